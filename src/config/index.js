@@ -26,6 +26,15 @@ module.exports = {
   // File storage configuration
   uploadDir: process.env.UPLOAD_DIR || "uploads",
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE || 5242880, 10), // 5MB in bytes
+  // Kept outside uploadDir, which is served publicly
+  attachmentDir: process.env.ATTACHMENT_DIR || "attachments",
+
+  // Lot expiration checks
+  expiryAlertDays: parseInt(process.env.EXPIRY_ALERT_DAYS || 30, 10),
+  expiryCheckInterval: parseInt(
+    process.env.EXPIRY_CHECK_INTERVAL || 3600000,
+    10
+  ), // 1 hour in milliseconds
 
   // Logging configuration
   logLevel: process.env.LOG_LEVEL || "info",
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const Attachment = require("../models/attachment.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const { deleteFile } = require("../middleware/upload");
+const config = require("../config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RESOURCE_MODELS = { item: Item, folder: Folder };
+
+const UPDATABLE_FIELDS = ["title", "description", "category", "expiresAt"];
+
+// Find the item or folder an attachment route refers to
+const findResource = (req, resourceType) =>
+  RESOURCE_MODELS[resourceType].findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Find an attachment owned by the current user
+const findAttachment = (req) =>
+  Attachment.findOne({ _id: req.params.id, userId: req.user.id });
+
+// Attachment as returned by the API, with its download link
+const formatAttachment = (req, attachment) => ({
+  ...attachment.toObject(),
+  downloadUrl: `${req.protocol}://${req.get("host")}/api/attachments/${
+    attachment._id
+  }/download`,
+});
+
+// List the attachments of an item or folder
+const listAttachments = async (req, res, next, resourceType) => {
+  try {
+    const resource = await findResource(req, resourceType);
+
+    if (!resource) {
+      return next(
+        new NotFoundError(
+          `${resourceType === "item" ? "Item" : "Folder"} not found`
+        )
+      );
+    }
+
+    const query = {
+      userId: req.user.id,
+      resourceType,
+      resourceId: resource._id,
+    };
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const attachments = await Attachment.find(query).sort({ createdAt: -1 });
+
+    return ApiResponse.success(res, "Attachments retrieved successfully", {
+      attachments: attachments.map((attachment) =>
+        formatAttachment(req, attachment)
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Store an uploaded file as an attachment of an item or folder
+const addAttachment = async (req, res, next, resourceType) => {
+  try {
+    if (!req.file) {
+      return next(new BadRequestError("No file provided"));
+    }
+
+    const resource = await findResource(req, resourceType);
+
+    if (!resource) {
+      deleteFile(req.file.path);
+      return next(
+        new NotFoundError(
+          `${resourceType === "item" ? "Item" : "Folder"} not found`
+        )
+      );
+    }
+
+    const { title, description, category, expiresAt } = req.body;
+
+    const attachment = await Attachment.create({
+      resourceType,
+      resourceId: resource._id,
+      title: title || req.file.originalname,
+      description,
+      category,
+      expiresAt: expiresAt || null,
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      kind: req.file.kind,
+      size: req.file.size,
+      uploadedBy: req.user.id,
+      userId: req.user.id,
+    });
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: resource._id,
+      resourceType,
+      action: "custom",
+      details: {
+        customAction: "add_attachment",
+        name: resource.name,
+        attachmentId: attachment._id,
+        title: attachment.title,
+        filename: attachment.originalName,
+        fileSize: attachment.size,
+      },
+    });
+
+    return ApiResponse.created(res, "Attachment added successfully", {
+      attachment: formatAttachment(req, attachment),
+    });
+  } catch (error) {
+    // Delete uploaded file on error
+    if (req.file) {
+      deleteFile(req.file.path);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an item's attachments
+ * @route   GET /api/items/:id/attachments
+ * @access  Private
+ */
+exports.getItemAttachments = (req, res, next) =>
+  listAttachments(req, res, next, "item");
+
+/**
+ * @desc    Attach a file to an item
+ * @route   POST /api/items/:id/attachments
+ * @access  Private
+ */
+exports.addItemAttachment = (req, res, next) =>
+  addAttachment(req, res, next, "item");
+
+/**
+ * @desc    Get a folder's attachments
+ * @route   GET /api/folders/:id/attachments
+ * @access  Private
+ */
+exports.getFolderAttachments = (req, res, next) =>
+  listAttachments(req, res, next, "folder");
+
+/**
+ * @desc    Attach a file to a folder
+ * @route   POST /api/folders/:id/attachments
+ * @access  Private
+ */
+exports.addFolderAttachment = (req, res, next) =>
+  addAttachment(req, res, next, "folder");
+
+/**
+ * @desc    Get attachments that have expired or expire soon
+ * @route   GET /api/attachments/expiring
+ * @access  Private
+ */
+exports.getExpiringAttachments = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days || config.expiryAlertDays, 10);
+    const now = new Date();
+    const cutoff = new Date(now.getTime() + days * DAY_MS);
+
+    const attachments = await Attachment.find({
+      userId: req.user.id,
+      expiresAt: { $ne: null, $lte: cutoff },
+    }).sort({ expiresAt: 1 });
+
+    return ApiResponse.success(res, "Expiring attachments retrieved", {
+      days,
+      attachments: attachments.map((attachment) => ({
+        ...formatAttachment(req, attachment),
+        expired: attachment.expiresAt <= now,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an attachment's details
+ * @route   GET /api/attachments/:id
+ * @access  Private
+ */
+exports.getAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return next(new NotFoundError("Attachment not found"));
+    }
+
+    return ApiResponse.success(res, "Attachment retrieved successfully", {
+      attachment: formatAttachment(req, attachment),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an attachment's title, description, category or expiry
+ * @route   PUT /api/attachments/:id
+ * @access  Private
+ */
+exports.updateAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return next(new NotFoundError("Attachment not found"));
+    }
+
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        attachment[field] = req.body[field];
+      }
+    });
+    await attachment.save();
+
+    return ApiResponse.success(res, "Attachment updated successfully", {
+      attachment: formatAttachment(req, attachment),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download an attachment's file
+ * @route   GET /api/attachments/:id/download
+ * @access  Private
+ */
+exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return next(new NotFoundError("Attachment not found"));
+    }
+
+    const filePath = attachment.getFilePath();
+    if (!fs.existsSync(filePath)) {
+      return next(new NotFoundError("Attachment file not found"));
+    }
+
+    res.setHeader("Content-Type", attachment.mimetype);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.download(filePath, attachment.originalName, (error) => {
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an attachment and its file
+ * @route   DELETE /api/attachments/:id
+ * @access  Private
+ */
+exports.deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return next(new NotFoundError("Attachment not found"));
+    }
+
+    await attachment.deleteOne();
+    attachment.removeFile();
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: attachment.resourceId,
+      resourceType: attachment.resourceType,
+      action: "custom",
+      details: {
+        customAction: "remove_attachment",
+        attachmentId: attachment._id,
+        title: attachment.title,
+        filename: attachment.originalName,
+      },
+    });
+
+    return ApiResponse.success(res, "Attachment deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,496 @@
+const CountSession = require("../models/countSession.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+const { Parser } = require("json2csv");
+
+// Find a count session owned by the current user
+const findUserSession = (req) =>
+  CountSession.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Quantity currently held by the balance a count line covers
+const getCurrentQuantity = (item, line) => {
+  if (line.variantId) {
+    const variant = item.variants.id(line.variantId);
+    return variant ? variant.quantity : 0;
+  }
+  if (line.locationId) {
+    return item.getLocationQuantity(line.locationId);
+  }
+  return item.quantity;
+};
+
+/**
+ * @desc    Start a count session over a folder subtree
+ * @route   POST /api/counts
+ * @access  Private
+ */
+exports.createCountSession = async (req, res, next) => {
+  try {
+    const { folderId, name, includeSubfolders = true, notes } = req.body;
+
+    const folder = await Folder.findOne({ _id: folderId, userId: req.user.id });
+
+    if (!folder) {
+      return next(new NotFoundError("Folder not found"));
+    }
+
+    const openSession = await CountSession.findOne({
+      userId: req.user.id,
+      folderId: folder._id,
+      status: { $in: ["counting", "submitted"] },
+    });
+
+    if (openSession) {
+      return next(
+        new ConflictError(
+          `Folder already has an open count session (${openSession.sessionNumber})`
+        )
+      );
+    }
+
+    const folderIds = [folder._id];
+    if (includeSubfolders) {
+      const descendants = await folder.getDescendants();
+      folderIds.push(...descendants.map((descendant) => descendant._id));
+    }
+
+    // Serialized items are counted by their serial numbers instead
+    const items = await Item.find({
+      userId: req.user.id,
+      folderId: { $in: folderIds },
+      isSerialized: { $ne: true },
+    }).sort({ name: 1 });
+
+    const lines = CountSession.buildLines(items);
+
+    if (lines.length === 0) {
+      return next(new BadRequestError("No items to count in this folder"));
+    }
+
+    const session = await CountSession.create({
+      sessionNumber: await CountSession.nextSessionNumber(req.user.id),
+      name: name || `Count of ${folder.name}`,
+      folderId: folder._id,
+      includeSubfolders,
+      userId: req.user.id,
+      lines,
+      notes,
+    });
+
+    return ApiResponse.created(res, "Count session created successfully", {
+      session,
+      summary: session.getVarianceSummary(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get count sessions
+ * @route   GET /api/counts
+ * @access  Private
+ */
+exports.getCountSessions = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.folderId) {
+      query.folderId = req.query.folderId;
+    }
+
+    const sessions = await CountSession.find(query)
+      .populate("folderId", "name")
+      .sort({ createdAt: -1 });
+
+    return ApiResponse.success(res, "Count sessions retrieved successfully", {
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        lines: undefined,
+        summary: session.getVarianceSummary(),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get count session by ID
+ * @route   GET /api/counts/:id
+ * @access  Private
+ */
+exports.getCountSessionById = async (req, res, next) => {
+  try {
+    const session = await findUserSession(req).populate("folderId", "name");
+
+    if (!session) {
+      return next(new NotFoundError("Count session not found"));
+    }
+
+    return ApiResponse.success(res, "Count session retrieved successfully", {
+      session,
+      summary: session.getVarianceSummary(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record counted quantities
+ * @route   PUT /api/counts/:id/counts
+ * @access  Private
+ */
+exports.recordCounts = async (req, res, next) => {
+  try {
+    const session = await findUserSession(req);
+
+    if (!session) {
+      return next(new NotFoundError("Count session not found"));
+    }
+
+    if (session.status !== "counting") {
+      return next(
+        new BadRequestError(
+          `Cannot record counts on a ${session.status} session`
+        )
+      );
+    }
+
+    for (const count of req.body.counts) {
+      const line = session.lines.id(count.lineId);
+
+      if (!line) {
+        return next(new NotFoundError(`Line ${count.lineId} not found`));
+      }
+
+      line.countedQuantity = Number(count.countedQuantity);
+      line.countedBy = req.user.id;
+      line.countedAt = Date.now();
+      if (count.notes !== undefined) line.notes = count.notes;
+    }
+
+    await session.save();
+
+    return ApiResponse.success(res, "Counts recorded successfully", {
+      session,
+      summary: session.getVarianceSummary(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Submit counts for approval
+ * @route   POST /api/counts/:id/submit
+ * @access  Private
+ */
+exports.submitCountSession = async (req, res, next) => {
+  try {
+    const session = await findUserSession(req);
+
+    if (!session) {
+      return next(new NotFoundError("Count session not found"));
+    }
+
+    if (session.status !== "counting") {
+      return next(
+        new BadRequestError(`Cannot submit a ${session.status} session`)
+      );
+    }
+
+    if (session.getVarianceSummary().countedCount === 0) {
+      return next(new BadRequestError("Record at least one count to submit"));
+    }
+
+    session.status = "submitted";
+    session.submittedAt = Date.now();
+    await session.save();
+
+    return ApiResponse.success(res, "Count session submitted for approval", {
+      session,
+      summary: session.getVarianceSummary(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a submitted session back for recounting
+ * @route   POST /api/counts/:id/reject
+ * @access  Private
+ */
+exports.rejectCountSession = async (req, res, next) => {
+  try {
+    const session = await findUserSession(req);
+
+    if (!session) {
+      return next(new NotFoundError("Count session not found"));
+    }
+
+    if (session.status !== "submitted") {
+      return next(
+        new BadRequestError("Only submitted sessions can be sent back")
+      );
+    }
+
+    session.status = "counting";
+    session.submittedAt = null;
+    session.reviewNotes = req.body.reviewNotes;
+    await session.save();
+
+    return ApiResponse.success(res, "Count session returned for recount", {
+      session,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a session and post its variances as stock adjustments
+ * @route   POST /api/counts/:id/approve
+ * @access  Private
+ */
+exports.approveCountSession = async (req, res, next) => {
+  try {
+    const session = await findUserSession(req);
+
+    if (!session) {
+      return next(new NotFoundError("Count session not found"));
+    }
+
+    if (session.status !== "submitted") {
+      return next(
+        new BadRequestError("Only submitted sessions can be approved")
+      );
+    }
+
+    // Lines posted by an earlier, interrupted approval are skipped
+    const lines = session.lines.filter(
+      (line) => line.variance && !line.transactionId
+    );
+    const items = await Item.find({
+      _id: { $in: lines.map((line) => line.itemId) },
+      userId: req.user.id,
+    });
+
+    // Check every adjustment before any stock moves
+    const adjustments = [];
+    for (const line of lines) {
+      const item = items.find((i) => i._id.equals(line.itemId));
+
+      if (!item) {
+        return next(new BadRequestError(`${line.name} no longer exists`));
+      }
+
+      const current = getCurrentQuantity(item, line);
+      if (current + line.variance < 0) {
+        return next(
+          new BadRequestError(
+            `${line.name} has ${current} on hand; cannot post a variance of ${line.variance}`
+          )
+        );
+      }
+
+      adjustments.push({ line, item });
+    }
+
+    const reason = `Cycle count ${session.sessionNumber}`;
+    for (const { line, item } of adjustments) {
+      const previousQuantity = item.quantity;
+
+      let result;
+      try {
+        result = await item.updateQuantity(line.variance, reason, {
+          userId: req.user.id,
+          reasonCode: "count_adjustment",
+          source: "cycle_count",
+          variantId: line.variantId,
+          locationId: line.locationId,
+          metadata: {
+            countSessionId: session._id,
+            lineId: line._id,
+            expectedQuantity: line.expectedQuantity,
+            countedQuantity: line.countedQuantity,
+          },
+        });
+      } catch (error) {
+        // Keep track of the lines already posted
+        await session.save();
+        return next(new BadRequestError(`${line.name}: ${error.message}`));
+      }
+
+      line.transactionId = result.transactionId;
+
+      await Activity.create({
+        userId: req.user.id,
+        resourceId: item._id,
+        resourceType: "item",
+        action: "quantity_change",
+        details: {
+          name: item.name,
+          previousQuantity,
+          newQuantity: item.quantity,
+          change: line.variance,
+          reason,
+          countSessionId: session._id,
+          transactionId: result.transactionId,
+        },
+      });
+
+      notificationService.emitItemEvent("quantity_changed", {
+        item,
+        previousQuantity,
+        newQuantity: item.quantity,
+        userId: req.user.id,
+      });
+    }
+
+    session.status = "approved";
+    session.approvedBy = req.user.id;
+    session.approvedAt = Date.now();
+    if (req.body.reviewNotes !== undefined) {
+      session.reviewNotes = req.body.reviewNotes;
+    }
+    await session.save();
+
+    return ApiResponse.success(res, "Count session approved", {
+      session,
+      summary: session.getVarianceSummary(),
+      adjustedCount: adjustments.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a count session without adjusting stock
+ * @route   POST /api/counts/:id/cancel
+ * @access  Private
+ */
+exports.cancelCountSession = async (req, res, next) => {
+  try {
+    const session = await findUserSession(req);
+
+    if (!session) {
+      return next(new NotFoundError("Count session not found"));
+    }
+
+    if (!["counting", "submitted"].includes(session.status)) {
+      return next(
+        new BadRequestError(`Cannot cancel a ${session.status} session`)
+      );
+    }
+
+    session.status = "cancelled";
+    session.cancelledAt = Date.now();
+    await session.save();
+
+    return ApiResponse.success(res, "Count session cancelled", { session });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the variance report for a count session
+ * @route   GET /api/counts/:id/variance-report
+ * @access  Private
+ */
+exports.getVarianceReport = async (req, res, next) => {
+  try {
+    const session = await findUserSession(req);
+
+    if (!session) {
+      return next(new NotFoundError("Count session not found"));
+    }
+
+    const folderPaths = await Folder.getPathNames(
+      session.lines.filter((line) => line.folderId).map((line) => line.folderId)
+    );
+
+    let rows = session.lines.map((line) => ({
+      lineId: line._id,
+      itemId: line.itemId,
+      name: line.name,
+      sku: line.sku,
+      unit: line.unit,
+      folderPath:
+        (line.folderId && folderPaths.get(line.folderId.toString())) || "",
+      locationId: line.locationId,
+      expectedQuantity: line.expectedQuantity,
+      countedQuantity: line.countedQuantity,
+      variance: line.variance,
+      varianceValue:
+        line.variance === null ? null : line.variance * line.unitCost,
+      counted: line.variance !== null,
+      posted: Boolean(line.transactionId),
+      notes: line.notes,
+    }));
+
+    if (req.query.onlyVariances === "true") {
+      rows = rows.filter((row) => row.variance);
+    }
+
+    rows.sort(
+      (a, b) =>
+        a.folderPath.localeCompare(b.folderPath) || a.name.localeCompare(b.name)
+    );
+
+    if (req.query.format === "csv") {
+      const parser = new Parser({
+        fields: [
+          { label: "Folder", value: "folderPath" },
+          { label: "Item", value: "name" },
+          { label: "SKU", value: "sku" },
+          { label: "Expected", value: "expectedQuantity" },
+          { label: "Counted", value: "countedQuantity" },
+          { label: "Variance", value: "variance" },
+          { label: "Variance Value", value: "varianceValue" },
+          { label: "Notes", value: "notes" },
+        ],
+      });
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="variance-report-${session.sessionNumber}.csv"`
+      );
+
+      return res.send(parser.parse(rows));
+    }
+
+    return ApiResponse.success(res, "Variance report generated successfully", {
+      session: {
+        _id: session._id,
+        sessionNumber: session.sessionNumber,
+        name: session.name,
+        status: session.status,
+        approvedAt: session.approvedAt,
+      },
+      summary: session.getVarianceSummary(),
+      lines: rows,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,164 @@
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, ConflictError } = require("../utils/customError");
+
+// Records holding the values of each definition target
+const TARGET_MODELS = { item: Item, folder: Folder };
+
+/**
+ * @desc    Get custom field definitions
+ * @route   GET /api/custom-fields
+ * @access  Private
+ */
+exports.getCustomFields = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.appliesTo) {
+      query.appliesTo = req.query.appliesTo;
+    }
+
+    const fields = await CustomFieldDefinition.find(query).sort({
+      appliesTo: 1,
+      sortOrder: 1,
+      key: 1,
+    });
+
+    return ApiResponse.success(res, "Custom fields retrieved successfully", {
+      fields,
+      types: CustomFieldDefinition.FIELD_TYPES,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a custom field definition
+ * @route   POST /api/custom-fields
+ * @access  Private
+ */
+exports.createCustomField = async (req, res, next) => {
+  try {
+    const {
+      key,
+      label,
+      type,
+      appliesTo = "item",
+      required,
+      options,
+      defaultValue,
+      sortOrder,
+    } = req.body;
+
+    const existingField = await CustomFieldDefinition.findOne({
+      key: key.trim(),
+      appliesTo,
+      userId: req.user.id,
+    });
+
+    if (existingField) {
+      return next(
+        new ConflictError("Custom field with this key already exists")
+      );
+    }
+
+    const field = await CustomFieldDefinition.create({
+      key,
+      label,
+      type,
+      appliesTo,
+      required,
+      options,
+      defaultValue,
+      sortOrder,
+      userId: req.user.id,
+    });
+
+    return ApiResponse.created(res, "Custom field created successfully", {
+      field,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a custom field definition
+ * @route   PUT /api/custom-fields/:id
+ * @access  Private
+ */
+exports.updateCustomField = async (req, res, next) => {
+  try {
+    const field = await CustomFieldDefinition.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!field) {
+      return next(new NotFoundError("Custom field not found"));
+    }
+
+    // The key and target stay fixed so stored values keep their meaning
+    const { label, type, required, options, defaultValue, sortOrder } =
+      req.body;
+
+    if (label !== undefined) field.label = label;
+    if (type !== undefined) field.type = type;
+    if (required !== undefined) field.required = required;
+    if (options !== undefined) field.options = options;
+    if (defaultValue !== undefined) field.defaultValue = defaultValue;
+    if (sortOrder !== undefined) field.sortOrder = sortOrder;
+
+    await field.save();
+
+    return ApiResponse.success(res, "Custom field updated successfully", {
+      field,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a custom field definition
+ * @route   DELETE /api/custom-fields/:id
+ * @access  Private
+ */
+exports.deleteCustomField = async (req, res, next) => {
+  try {
+    const field = await CustomFieldDefinition.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!field) {
+      return next(new NotFoundError("Custom field not found"));
+    }
+
+    // Stored values stay behind as untyped fields unless asked to go
+    let removedValues = 0;
+    if (req.query.removeValues === "true") {
+      const result = await TARGET_MODELS[field.appliesTo]
+        .updateMany(
+          {
+            userId: req.user.id,
+            [`customFields.${field.key}`]: { $exists: true },
+          },
+          { $unset: { [`customFields.${field.key}`]: "" } }
+        )
+        .setOptions({ withDeleted: true });
+      removedValues = result.modifiedCount;
+    }
+
+    await field.deleteOne();
+
+    return ApiResponse.success(res, "Custom field deleted successfully", {
+      removedValues,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
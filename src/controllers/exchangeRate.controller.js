@@ -0,0 +1,166 @@
+const ExchangeRate = require("../models/exchangeRate.model");
+const UserSettings = require("../models/settings.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+// Find an exchange rate owned by the current user
+const findUserRate = (req) =>
+  ExchangeRate.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Check that no other rate exists for the currency on the same date
+const hasDuplicateRate = (req, rate) =>
+  ExchangeRate.exists({
+    _id: { $ne: rate._id },
+    userId: req.user.id,
+    baseCurrency: rate.baseCurrency,
+    currency: rate.currency,
+    effectiveDate: rate.effectiveDate,
+  });
+
+/**
+ * @desc    Get exchange rates into the base currency
+ * @route   GET /api/exchange-rates
+ * @access  Private
+ */
+exports.getExchangeRates = async (req, res, next) => {
+  try {
+    const { baseCurrency } = await UserSettings.getInventorySettings(
+      req.user.id
+    );
+    const query = { userId: req.user.id, baseCurrency };
+
+    if (req.query.currency) {
+      query.currency = req.query.currency.toUpperCase();
+    }
+
+    const history = await ExchangeRate.find(query).sort({
+      currency: 1,
+      effectiveDate: -1,
+    });
+
+    // Rates in effect on the requested date
+    const rates = await ExchangeRate.getRates(
+      req.user.id,
+      baseCurrency,
+      req.query.asOf || new Date()
+    );
+
+    return ApiResponse.success(res, "Exchange rates retrieved successfully", {
+      baseCurrency,
+      current: Object.fromEntries(rates),
+      rates: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add an exchange rate
+ * @route   POST /api/exchange-rates
+ * @access  Private
+ */
+exports.createExchangeRate = async (req, res, next) => {
+  try {
+    const { currency, rate, effectiveDate, notes } = req.body;
+    const { baseCurrency } = await UserSettings.getInventorySettings(
+      req.user.id
+    );
+
+    if (currency.toUpperCase() === baseCurrency) {
+      return next(
+        new BadRequestError(`${baseCurrency} is already the base currency`)
+      );
+    }
+
+    const exchangeRate = new ExchangeRate({
+      currency,
+      baseCurrency,
+      rate,
+      effectiveDate: effectiveDate || new Date(),
+      notes,
+      userId: req.user.id,
+    });
+
+    if (await hasDuplicateRate(req, exchangeRate)) {
+      return next(
+        new ConflictError(
+          `A ${exchangeRate.currency} rate already exists for this date`
+        )
+      );
+    }
+
+    await exchangeRate.save();
+
+    return ApiResponse.created(res, "Exchange rate created successfully", {
+      exchangeRate,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an exchange rate
+ * @route   PUT /api/exchange-rates/:id
+ * @access  Private
+ */
+exports.updateExchangeRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await findUserRate(req);
+
+    if (!exchangeRate) {
+      return next(new NotFoundError("Exchange rate not found"));
+    }
+
+    const { rate, effectiveDate, notes } = req.body;
+
+    if (rate !== undefined) exchangeRate.rate = rate;
+    if (effectiveDate !== undefined) exchangeRate.effectiveDate = effectiveDate;
+    if (notes !== undefined) exchangeRate.notes = notes;
+
+    if (await hasDuplicateRate(req, exchangeRate)) {
+      return next(
+        new ConflictError(
+          `A ${exchangeRate.currency} rate already exists for this date`
+        )
+      );
+    }
+
+    await exchangeRate.save();
+
+    return ApiResponse.success(res, "Exchange rate updated successfully", {
+      exchangeRate,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an exchange rate
+ * @route   DELETE /api/exchange-rates/:id
+ * @access  Private
+ */
+exports.deleteExchangeRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await findUserRate(req);
+
+    if (!exchangeRate) {
+      return next(new NotFoundError("Exchange rate not found"));
+    }
+
+    await exchangeRate.deleteOne();
+
+    return ApiResponse.success(res, "Exchange rate deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,84 @@
 const Item = require("../models/item.model");
 const Folder = require("../models/folder.model");
 const Activity = require("../models/activity.model");
+const Unit = require("../models/unit.model");
+const UserSettings = require("../models/settings.model");
+const ExchangeRate = require("../models/exchangeRate.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
+const Attachment = require("../models/attachment.model");
 const ApiResponse = require("../utils/apiResponse");
 const { BadRequestError } = require("../utils/customError");
 const { Parser } = require("json2csv");
 const mongoose = require("mongoose");
+const fs = require("fs");
+
+// Attachment metadata for the complete export, with the file contents
+// embedded as base64 when requested
+const exportAttachment = async (req, attachment, includeFiles) => {
+  const data = {
+    id: attachment._id,
+    resourceType: attachment.resourceType,
+    resourceId: attachment.resourceId,
+    title: attachment.title,
+    description: attachment.description,
+    category: attachment.category,
+    expiresAt: attachment.expiresAt,
+    originalName: attachment.originalName,
+    mimetype: attachment.mimetype,
+    size: attachment.size,
+    downloadUrl: `${req.protocol}://${req.get("host")}/api/attachments/${
+      attachment._id
+    }/download`,
+    createdAt: attachment.createdAt,
+  };
+
+  if (includeFiles) {
+    try {
+      const content = await fs.promises.readFile(attachment.getFilePath());
+      data.content = content.toString("base64");
+    } catch (error) {
+      data.content = null;
+    }
+  }
+
+  return data;
+};
+
+// Valuation method and base currency converter for the user's exports
+const getValuation = async (userId) => {
+  const { valuationMethod, baseCurrency } =
+    await UserSettings.getInventorySettings(userId);
+  const converter = await ExchangeRate.getConverter(userId, baseCurrency);
+  return { valuationMethod, converter };
+};
+
+// Money values of an item, totals converted into the base currency
+const getItemValues = (item, { valuationMethod, converter }) => ({
+  currency: item.currency || converter.baseCurrency,
+  totalValue: converter.toBase(
+    item.quantity * (item.price || 0),
+    item.currency
+  ),
+  unitCost: item.getUnitCost(valuationMethod),
+  costValue: converter.toBase(
+    Item.getInventoryValue(item, valuationMethod),
+    item.currency
+  ),
+});
+
+// Sum one of the converted item values, skipping unconverted ones
+const sumItemValues = (items, valuation, field) =>
+  items.reduce(
+    (sum, item) => sum + (getItemValues(item, valuation)[field] || 0),
+    0
+  );
+
+// CSV text of a custom field value, dates as ISO strings
+const formatCustomField = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === "object" ? JSON.stringify(value) : value;
+};
 
 /**
  * @desc    Export items to CSV
@@ -84,17 +158,29 @@ exports.exportItemsCSV = async (req, res, next) => {
       });
     }
 
+    const valuation = await getValuation(req.user.id);
+    const definitions = await CustomFieldDefinition.getDefinitions(req.user.id);
+
     // Transform data for CSV
     const csvData = items.map((item) => ({
       name: item.name,
       description: item.description || "",
       quantity: item.quantity,
-      unit: item.unit || "",
+      unit: item.unit || "unit",
       minLevel: item.minLevel || 0,
       price: item.price || 0,
-      totalValue: item.quantity * (item.price || 0),
+      ...getItemValues(item, valuation),
       folder: item.folderId ? item.folderId.name : "No Folder",
       tags: item.tags.join(", "),
+      primaryImage: item.primaryImage ? item.primaryImage.url : "",
+      customFields: Object.fromEntries(
+        definitions.map((definition) => [
+          definition.key,
+          formatCustomField(
+            item.customFields && item.customFields.get(definition.key)
+          ),
+        ])
+      ),
       createdAt: item.createdAt.toISOString(),
       updatedAt: item.updatedAt.toISOString(),
     }));
@@ -107,9 +193,18 @@ exports.exportItemsCSV = async (req, res, next) => {
       "unit",
       "minLevel",
       "price",
+      "currency",
       "totalValue",
+      "unitCost",
+      "costValue",
       "folder",
       "tags",
+      "primaryImage",
+      // One column per custom field, headed by its label
+      ...definitions.map((definition) => ({
+        label: definition.label,
+        value: (row) => row.customFields[definition.key],
+      })),
       "createdAt",
       "updatedAt",
     ];
@@ -245,6 +340,8 @@ exports.exportItemsJSON = async (req, res, next) => {
       });
     }
 
+    const valuation = await getValuation(req.user.id);
+
     // Transform data for JSON
     const jsonData = {
       exportDate: new Date().toISOString(),
@@ -256,10 +353,10 @@ exports.exportItemsJSON = async (req, res, next) => {
       filters: { folderId, tags, lowStock, itemIds },
       summary: {
         totalItems: items.length,
-        totalValue: items.reduce(
-          (sum, item) => sum + item.quantity * (item.price || 0),
-          0
-        ),
+        totalValue: sumItemValues(items, valuation, "totalValue"),
+        totalCost: sumItemValues(items, valuation, "costValue"),
+        valuationMethod: valuation.valuationMethod,
+        baseCurrency: valuation.converter.baseCurrency,
       },
       items: items.map((item) => ({
         id: item._id,
@@ -269,11 +366,12 @@ exports.exportItemsJSON = async (req, res, next) => {
         unit: item.unit,
         minLevel: item.minLevel,
         price: item.price,
-        totalValue: item.quantity * (item.price || 0),
+        ...getItemValues(item, valuation),
         folderId: item.folderId?._id,
         folderName: item.folderId?.name,
         tags: item.tags,
         images: item.images,
+        primaryImage: item.primaryImage,
         createdAt: item.createdAt,
         updatedAt: item.updatedAt,
       })),
@@ -405,7 +503,7 @@ exports.exportFoldersCSV = async (req, res, next) => {
 };
 
 /**
- * @desc    Export complete inventory (items + folders) to JSON
+ * @desc    Export complete inventory (items + folders + attachments) to JSON
  * @route   GET /api/export/complete
  * @access  Private
  */
@@ -422,6 +520,25 @@ exports.exportCompleteInventory = async (req, res, next) => {
       .populate("folderId", "name")
       .sort({ name: 1 });
 
+    // Custom units are needed to restore items stocked in them
+    const units = await Unit.find({ userId: req.user.id }).sort({ name: 1 });
+
+    const valuation = await getValuation(req.user.id);
+
+    // Attachments are listed with download links; their files are embedded
+    // only when asked for, as they can make the export very large
+    const attachments = await Attachment.find({ userId: req.user.id }).sort({
+      resourceType: 1,
+      createdAt: 1,
+    });
+    const includeFiles = req.query.includeFiles === "true";
+    const exportedAttachments = [];
+    for (const attachment of attachments) {
+      exportedAttachments.push(
+        await exportAttachment(req, attachment, includeFiles)
+      );
+    }
+
     // Create complete export data
     const exportData = {
       exportDate: new Date().toISOString(),
@@ -433,10 +550,11 @@ exports.exportCompleteInventory = async (req, res, next) => {
       summary: {
         totalFolders: folders.length,
         totalItems: items.length,
-        totalValue: items.reduce(
-          (sum, item) => sum + item.quantity * (item.price || 0),
-          0
-        ),
+        totalAttachments: attachments.length,
+        totalValue: sumItemValues(items, valuation, "totalValue"),
+        totalCost: sumItemValues(items, valuation, "costValue"),
+        valuationMethod: valuation.valuationMethod,
+        baseCurrency: valuation.converter.baseCurrency,
       },
       folders: folders.map((folder) => ({
         id: folder._id,
@@ -449,6 +567,12 @@ exports.exportCompleteInventory = async (req, res, next) => {
         createdAt: folder.createdAt,
         updatedAt: folder.updatedAt,
       })),
+      units: units.map((unit) => ({
+        name: unit.name,
+        label: unit.label,
+        dimension: unit.dimension,
+        factor: unit.factor,
+      })),
       items: items.map((item) => ({
         id: item._id,
         name: item.name,
@@ -457,14 +581,16 @@ exports.exportCompleteInventory = async (req, res, next) => {
         unit: item.unit,
         minLevel: item.minLevel,
         price: item.price,
-        totalValue: item.quantity * (item.price || 0),
+        ...getItemValues(item, valuation),
         folderId: item.folderId?._id,
         folderName: item.folderId?.name,
         tags: item.tags,
         images: item.images,
+        primaryImage: item.primaryImage,
         createdAt: item.createdAt,
         updatedAt: item.updatedAt,
       })),
+      attachments: exportedAttachments,
     };
 
     // Log export activity
@@ -477,6 +603,8 @@ exports.exportCompleteInventory = async (req, res, next) => {
         customAction: "export_complete_inventory",
         folderCount: folders.length,
         itemCount: items.length,
+        attachmentCount: attachments.length,
+        includeFiles,
         totalValue: exportData.summary.totalValue,
       },
     });
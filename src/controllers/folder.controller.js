@@ -1,6 +1,7 @@
 const Folder = require("../models/folder.model");
 const Item = require("../models/item.model");
 const Activity = require("../models/activity.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
 const notificationService = require("../services/notificationService");
 const mongoose = require("mongoose");
 const { CustomError } = require("../utils/customError");
@@ -14,7 +15,7 @@ const logger = require("../config/logger");
  */
 exports.createFolder = async (req, res, next) => {
   try {
-    const { name, description, tags, color, parentId } = req.body;
+    const { name, description, tags, color, parentId, customFields } = req.body;
     const userId = req.user.id;
 
     // Check if folder with same name exists for this user
@@ -28,6 +29,20 @@ exports.createFolder = async (req, res, next) => {
       return next(new CustomError("Folder with this name already exists", 400));
     }
 
+    // Check custom fields against the user's folder field definitions
+    const definitions = await CustomFieldDefinition.getDefinitions(
+      userId,
+      "folder"
+    );
+    const checkedFields = CustomFieldDefinition.validateValues(
+      definitions,
+      customFields || {}
+    );
+
+    if (checkedFields.errors.length > 0) {
+      return next(new CustomError(checkedFields.errors.join("; "), 400));
+    }
+
     // Create folder
     const folder = await Folder.create({
       name,
@@ -35,6 +50,7 @@ exports.createFolder = async (req, res, next) => {
       tags: tags || [],
       color: color || "#16A34A",
       parentId: parentId || null,
+      customFields: checkedFields.values,
       userId,
     });
 
@@ -285,6 +301,22 @@ exports.updateFolder = async (req, res, next) => {
       }
     }
 
+    if (updates.customFields !== undefined) {
+      const definitions = await CustomFieldDefinition.getDefinitions(
+        userId,
+        "folder"
+      );
+      const { values, errors } = CustomFieldDefinition.validateValues(
+        definitions,
+        updates.customFields || {}
+      );
+
+      if (errors.length > 0) {
+        return next(new CustomError(errors.join("; "), 400));
+      }
+      updates.customFields = values;
+    }
+
     // Track changes for activity logging
     const changes = {};
     Object.keys(updates).forEach((key) => {
@@ -461,8 +493,8 @@ exports.deleteFolder = async (req, res, next) => {
       );
     }
 
-    // Delete folder
-    await Folder.findByIdAndDelete(id);
+    // Folders go to the trash and keep their parent for restoring
+    await folder.softDelete(userId);
 
     // Log activity
     await Activity.create({
@@ -473,7 +505,7 @@ exports.deleteFolder = async (req, res, next) => {
       details: { name: folder.name },
     });
 
-    return ApiResponse.success(res, "Folder deleted successfully");
+    return ApiResponse.success(res, "Folder moved to trash");
   } catch (error) {
     next(error);
   }
@@ -1,12 +1,59 @@
 const Item = require("../models/item.model");
 const Folder = require("../models/folder.model");
 const Activity = require("../models/activity.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const Unit = require("../models/unit.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
 const ApiResponse = require("../utils/apiResponse");
 const { BadRequestError } = require("../utils/customError");
 const csv = require("csv-parser");
 const fs = require("fs");
 const mongoose = require("mongoose");
 
+// Convert imported quantities and prices into the item's base unit
+const normalizeUnits = (catalog, data, existingItem) => {
+  const enteredUnit = data.unit ? String(data.unit).trim() : "";
+  let baseUnit = existingItem ? existingItem.unit : null;
+
+  if (!baseUnit) {
+    const unit = Unit.findInCatalog(catalog, enteredUnit || "unit");
+    if (!unit) {
+      throw new Error(`Unknown unit "${enteredUnit}"`);
+    }
+    baseUnit = unit.name;
+  }
+
+  const fromUnit = enteredUnit || baseUnit;
+  return {
+    unit: baseUnit,
+    quantity: Unit.convertWithCatalog(
+      catalog,
+      data.quantity,
+      fromUnit,
+      baseUnit
+    ),
+    minLevel: Unit.convertWithCatalog(
+      catalog,
+      data.minLevel,
+      fromUnit,
+      baseUnit
+    ),
+    // Price is per unit, so it converts the opposite way
+    price: Unit.convertWithCatalog(catalog, data.price, baseUnit, fromUnit),
+  };
+};
+
+// Match CSV columns to custom field definitions by key or label
+const mapCustomFieldColumns = (definitions, columns) =>
+  definitions.flatMap((definition) => {
+    const column =
+      columns.find((col) => col.trim() === definition.key) ||
+      columns.find(
+        (col) => col.trim().toLowerCase() === definition.label.toLowerCase()
+      );
+    return column ? [{ definition, column }] : [];
+  });
+
 /**
  * @desc    Import items from CSV
  * @route   POST /api/import/items/csv
@@ -37,6 +84,13 @@ exports.importItemsCSV = async (req, res, next) => {
         .on("error", reject);
     });
 
+    const unitCatalog = await Unit.getCatalog(req.user.id);
+    const definitions = await CustomFieldDefinition.getDefinitions(req.user.id);
+    const customFieldColumns = mapCustomFieldColumns(
+      definitions,
+      csvData.length > 0 ? Object.keys(csvData[0]) : []
+    );
+
     // Process each row
     for (const row of csvData) {
       processed++;
@@ -82,6 +136,36 @@ exports.importItemsCSV = async (req, res, next) => {
           tags: row.tags ? row.tags.split(",").map((tag) => tag.trim()) : [],
           userId: req.user.id,
         };
+        Object.assign(
+          itemData,
+          normalizeUnits(unitCatalog, itemData, existingItem)
+        );
+
+        // Filled-in custom field cells override the item's current values
+        if (!existingItem || duplicateAction === "update") {
+          const importedFields = Object.fromEntries(
+            customFieldColumns
+              .filter(({ column }) => row[column] && row[column].trim())
+              .map(({ definition, column }) => [definition.key, row[column]])
+          );
+          const { values, errors: fieldErrors } =
+            CustomFieldDefinition.validateValues(definitions, {
+              ...(existingItem
+                ? Object.fromEntries(existingItem.customFields || [])
+                : {}),
+              ...importedFields,
+            });
+
+          if (fieldErrors.length > 0) {
+            errors.push({
+              row: processed,
+              error: fieldErrors.join("; "),
+              data: row,
+            });
+            continue;
+          }
+          itemData.customFields = values;
+        }
 
         if (existingItem) {
           // Handle duplicate
@@ -96,9 +180,19 @@ exports.importItemsCSV = async (req, res, next) => {
               });
               break;
 
-            case "update":
+            case "update": {
+              const previousQuantity = existingItem.quantity;
               Object.assign(existingItem, itemData);
               await existingItem.save();
+              if (existingItem.quantity !== previousQuantity) {
+                await StockTransaction.record({
+                  item: existingItem,
+                  delta: existingItem.quantity - previousQuantity,
+                  userId: req.user.id,
+                  source: "import",
+                  reason: "CSV import",
+                });
+              }
               updated++;
               results.push({
                 row: processed,
@@ -107,6 +201,7 @@ exports.importItemsCSV = async (req, res, next) => {
                 id: existingItem._id,
               });
               break;
+            }
 
             case "error":
               errors.push({
@@ -119,6 +214,16 @@ exports.importItemsCSV = async (req, res, next) => {
         } else {
           // Create new item
           const newItem = await Item.create(itemData);
+          if (newItem.quantity > 0) {
+            await StockTransaction.record({
+              item: newItem,
+              delta: newItem.quantity,
+              userId: req.user.id,
+              reasonCode: "initial",
+              source: "import",
+              reason: "CSV import",
+            });
+          }
           created++;
           results.push({
             row: processed,
@@ -272,7 +377,31 @@ exports.importCompleteInventory = async (req, res, next) => {
         }
       }
 
+      // Import custom units before the items that use them
+      for (const unitData of jsonData.units || []) {
+        const existingUnit = await Unit.findOne({
+          name: String(unitData.name).trim().toLowerCase(),
+          userId: req.user.id,
+        });
+
+        if (!existingUnit && !Unit.isBuiltIn(unitData.name)) {
+          await Unit.create(
+            [
+              {
+                name: unitData.name,
+                label: unitData.label,
+                dimension: unitData.dimension,
+                factor: unitData.factor,
+                userId: req.user.id,
+              },
+            ],
+            { session }
+          );
+        }
+      }
+
       // Import items
+      const unitCatalog = await Unit.getCatalog(req.user.id, { session });
       for (const itemData of jsonData.items) {
         results.items.processed++;
 
@@ -300,21 +429,47 @@ exports.importCompleteInventory = async (req, res, next) => {
             tags: itemData.tags || [],
             userId: req.user.id,
           };
+          Object.assign(
+            newItemData,
+            normalizeUnits(unitCatalog, newItemData, existingItem)
+          );
 
           if (existingItem) {
             if (duplicateAction === "skip") {
               results.items.skipped++;
               continue;
             } else if (duplicateAction === "update") {
+              const previousQuantity = existingItem.quantity;
               Object.assign(existingItem, newItemData);
               await existingItem.save({ session });
+              if (existingItem.quantity !== previousQuantity) {
+                await StockTransaction.record({
+                  item: existingItem,
+                  delta: existingItem.quantity - previousQuantity,
+                  userId: req.user.id,
+                  source: "import",
+                  reason: "Inventory import",
+                  session,
+                });
+              }
               results.items.updated++;
               continue;
             }
           }
 
           // Create new item
-          await Item.create([newItemData], { session });
+          const [newItem] = await Item.create([newItemData], { session });
+          if (newItem.quantity > 0) {
+            await StockTransaction.record({
+              item: newItem,
+              delta: newItem.quantity,
+              userId: req.user.id,
+              reasonCode: "initial",
+              source: "import",
+              reason: "Inventory import",
+              session,
+            });
+          }
           results.items.created++;
         } catch (error) {
           errors.push({
@@ -454,6 +609,38 @@ exports.validateImportFile = async (req, res, next) => {
       if (csvData.length > 0) {
         const columns = Object.keys(csvData[0]);
         const foundColumns = columns.map((col) => col.toLowerCase().trim());
+        const customFieldColumns = mapCustomFieldColumns(
+          await CustomFieldDefinition.getDefinitions(req.user.id),
+          columns
+        );
+        validation.customFieldColumns = customFieldColumns.map(
+          ({ definition, column }) => ({
+            column,
+            key: definition.key,
+            type: definition.type,
+          })
+        );
+
+        // Check custom field cells against their definitions
+        customFieldColumns.forEach(({ definition, column }) => {
+          const invalidRows = csvData.filter((row) => {
+            if (!row[column] || !row[column].trim()) return false;
+            try {
+              CustomFieldDefinition.coerceValue(definition, row[column]);
+              return false;
+            } catch (error) {
+              return true;
+            }
+          }).length;
+          if (invalidRows > 0) {
+            validation.warnings.push({
+              type: "invalid_custom_field",
+              column,
+              message: `${invalidRows} row(s) have an invalid "${column}" value`,
+              suggestion: `Values must be of type ${definition.type}; those rows will fail to import.`,
+            });
+          }
+        });
 
         // Check for required columns
         for (const col of requiredColumns) {
@@ -508,7 +695,8 @@ exports.validateImportFile = async (req, res, next) => {
         const unknownColumns = columns.filter(
           (col) =>
             !requiredColumns.includes(col.toLowerCase()) &&
-            !optionalColumns.includes(col.toLowerCase())
+            !optionalColumns.includes(col.toLowerCase()) &&
+            !customFieldColumns.some((mapped) => mapped.column === col)
         );
         if (unknownColumns.length > 0) {
           validation.warnings.push({
@@ -1,16 +1,167 @@
 const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
 const Activity = require("../models/activity.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const Location = require("../models/location.model");
+const Unit = require("../models/unit.model");
+const Reservation = require("../models/reservation.model");
+const Supplier = require("../models/supplier.model");
+const Folder = require("../models/folder.model");
+const ItemTemplate = require("../models/itemTemplate.model");
+const ItemRelationship = require("../models/itemRelationship.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
 const ApiResponse = require("../utils/apiResponse");
 const {
   NotFoundError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
 } = require("../utils/customError");
-const { deleteFile, getFileUrl } = require("../middleware/upload");
+const {
+  deleteImageFiles,
+  duplicateImage,
+  getFileUrl,
+} = require("../middleware/upload");
 const { createImageMetadata } = require("../utils/imageProcessor");
 const notificationService = require("../services/notificationService");
 const mongoose = require("mongoose");
-const path = require("path");
+
+// Position of an image in an item's images by its ID, or -1
+const findImageIndex = (item, imageId) =>
+  item.images.findIndex((image) => String(image._id) === String(imageId));
+
+// Check that a preferred supplier in the request belongs to the user
+const hasUserSupplier = async (req, data = req.body) => {
+  if (data.preferredSupplierId === "") {
+    data.preferredSupplierId = null;
+  }
+  if (!data.preferredSupplierId) {
+    return true;
+  }
+
+  return Boolean(
+    await Supplier.exists({
+      _id: data.preferredSupplierId,
+      userId: req.user.id,
+    })
+  );
+};
+
+// Check that every location holding stock in the request belongs to the user
+const hasUserLocations = async (req, stockLocations) => {
+  const locationIds = [
+    ...new Set(stockLocations.map((stock) => String(stock.locationId))),
+  ];
+  if (locationIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return false;
+  }
+
+  const count = await Location.countDocuments({
+    _id: { $in: locationIds },
+    userId: req.user.id,
+  });
+  return count === locationIds.length;
+};
+
+// Drop fields new items cannot set and check the locations they are stocked
+// in belong to the user
+const checkNewItemData = async (req, data) => {
+  // Stock is reserved and kits defined through their own endpoints
+  delete data.reservedQuantity;
+  delete data.components;
+  // Cost layers follow stock movements
+  delete data.costLayers;
+  delete data.averageCost;
+
+  if (
+    Array.isArray(data.stockLocations) &&
+    !(await hasUserLocations(req, data.stockLocations))
+  ) {
+    throw new NotFoundError("Location not found");
+  }
+};
+
+// Fields a bulk edit leaves alone, including their nested paths: tracked
+// stock, reservations, kits and costs change through their own endpoints
+const BULK_LOCKED_FIELDS = [
+  "variants",
+  "stockLocations",
+  "serials",
+  "isSerialized",
+  "hasVariants",
+  "lots",
+  "reservedQuantity",
+  "components",
+  "costLayers",
+  "averageCost",
+];
+
+// Check custom field values against the user's item field definitions,
+// accepting JSON sent alongside multipart uploads
+const checkCustomFields = async (req, values) => {
+  let parsed = values;
+  if (typeof parsed === "string") {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (error) {
+      throw new BadRequestError("Custom fields must be a JSON object");
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new BadRequestError("Custom fields must be a JSON object");
+  }
+
+  const definitions = await CustomFieldDefinition.getDefinitions(req.user.id);
+  const result = CustomFieldDefinition.validateValues(definitions, parsed);
+
+  if (result.errors.length > 0) {
+    throw new BadRequestError(result.errors.join("; "));
+  }
+  return result.values;
+};
+
+// Generate a unique barcode based on item ID and timestamp
+const generateBarcode = (itemId, format) => {
+  const timestamp = Date.now().toString();
+  const itemIdStr = itemId.toString().slice(-6);
+
+  switch (format) {
+    case "UPC_A":
+      return `0${itemIdStr}${timestamp.slice(-5)}`;
+    case "EAN_13":
+      return `${itemIdStr}${timestamp.slice(-7)}`;
+    case "CODE_128":
+    default:
+      return `ITEM${itemIdStr}${timestamp.slice(-6)}`;
+  }
+};
+
+// Build a generator of "<base>-<n>" SKUs not used by the user's items
+const createSkuGenerator = async (req, baseSku) => {
+  const escaped = baseSku.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const taken = new Set(
+    await Item.distinct("sku", {
+      userId: req.user.id,
+      sku: new RegExp(`^${escaped}-\\d+$`),
+    }).setOptions({ withDeleted: true })
+  );
+
+  let n = 0;
+  return () => {
+    do {
+      n++;
+    } while (taken.has(`${baseSku}-${n}`));
+    return `${baseSku}-${n}`;
+  };
+};
+
+// Build the low stock condition, optionally scoped to a single location
+const lowStockExpr = (locationId) => ({
+  $lte: [
+    locationId ? Item.locationQuantityExpr(locationId) : "$quantity",
+    "$minLevel",
+  ],
+});
 
 /**
  * @desc    Create a new item
@@ -25,16 +176,9 @@ exports.createItem = async (req, res, next) => {
     // Process uploaded images
     let images = [];
     if (req.files && req.files.length > 0) {
-      images = req.files.map((file) => ({
-        filename: file.filename,
-        originalName: file.originalname,
-        path: file.path,
-        size: file.size,
-        mimetype: file.mimetype,
-        url: `${req.protocol}://${req.get("host")}/uploads/items/${
-          file.filename
-        }`,
-      }));
+      images = req.files.map((file) =>
+        createImageMetadata(file, getFileUrl(req, file.filename))
+      );
     }
 
     // Add images to request body
@@ -45,8 +189,40 @@ exports.createItem = async (req, res, next) => {
       req.body.folderId = null;
     }
 
+    // Base unit must come from the units catalog
+    if (req.body.unit !== undefined) {
+      const unit = await Unit.findUnit(req.user.id, req.body.unit);
+
+      if (!unit) {
+        return next(new BadRequestError(`Unknown unit "${req.body.unit}"`));
+      }
+      req.body.unit = unit.name;
+    }
+
+    if (!(await hasUserSupplier(req))) {
+      return next(new NotFoundError("Supplier not found"));
+    }
+
+    await checkNewItemData(req, req.body);
+
+    req.body.customFields = await checkCustomFields(
+      req,
+      req.body.customFields || {}
+    );
+
     // Create item
     const item = await Item.create(req.body);
+    await ItemRevision.record(item, { userId: req.user.id, action: "create" });
+
+    // Record opening balance in the stock ledger
+    if (item.quantity > 0) {
+      await StockTransaction.record({
+        item,
+        delta: item.quantity,
+        userId: req.user.id,
+        reasonCode: "initial",
+      });
+    }
 
     // Log activity
     await Activity.create({
@@ -104,9 +280,19 @@ exports.getItems = async (req, res, next) => {
       query.tags = { $in: tags };
     }
 
+    // Filter by stock location
+    if (req.query.locationId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.locationId)) {
+        return next(new BadRequestError("Invalid location ID"));
+      }
+      query["stockLocations.locationId"] = new mongoose.Types.ObjectId(
+        req.query.locationId
+      );
+    }
+
     // Filter by low stock
     if (req.query.lowStock === "true") {
-      query.$expr = { $lte: ["$quantity", "$minLevel"] };
+      query.$expr = lowStockExpr(req.query.locationId);
     }
 
     // Pagination
@@ -157,13 +343,36 @@ exports.getItemById = async (req, res, next) => {
     const item = await Item.findOne({
       _id: req.params.id,
       userId: req.user.id,
-    }).populate("folderId", "name");
+    }).populate([
+      { path: "folderId", select: "name" },
+      { path: "stockLocations.locationId", select: "name code" },
+    ]);
 
     if (!item) {
       return next(new NotFoundError("Item not found"));
     }
 
-    return ApiResponse.success(res, "Item retrieved successfully", { item });
+    const data = { item };
+
+    // Kits report how many more can be built from component stock
+    if (item.components && item.components.length > 0) {
+      const componentItems = await Item.find({
+        _id: { $in: item.components.map((component) => component.itemId) },
+        userId: req.user.id,
+      });
+
+      data.buildableQuantity = Item.getBuildableQuantity(
+        item.components,
+        componentItems
+      );
+    }
+
+    // Out of stock items point to substitutes that can be used instead
+    if (item.availableQuantity <= 0) {
+      data.substitutes = await ItemRelationship.findInStockSubstitutes(item);
+    }
+
+    return ApiResponse.success(res, "Item retrieved successfully", data);
   } catch (error) {
     next(error);
   }
@@ -177,7 +386,7 @@ exports.getItemById = async (req, res, next) => {
 exports.updateItem = async (req, res, next) => {
   try {
     // Find item
-    let item = await Item.findOne({
+    const item = await Item.findOne({
       _id: req.params.id,
       userId: req.user.id,
     });
@@ -189,16 +398,9 @@ exports.updateItem = async (req, res, next) => {
     // Process uploaded images
     let images = item.images || [];
     if (req.files && req.files.length > 0) {
-      const newImages = req.files.map((file) => ({
-        filename: file.filename,
-        originalName: file.originalname,
-        path: file.path,
-        size: file.size,
-        mimetype: file.mimetype,
-        url: `${req.protocol}://${req.get("host")}/uploads/items/${
-          file.filename
-        }`,
-      }));
+      const newImages = req.files.map((file) =>
+        createImageMetadata(file, getFileUrl(req, file.filename))
+      );
 
       // Combine existing and new images
       images = [...images, ...newImages];
@@ -212,8 +414,103 @@ exports.updateItem = async (req, res, next) => {
       req.body.folderId = null;
     }
 
+    // Lots, serials, reservations and components are managed through their own endpoints
+    delete req.body.lots;
+    delete req.body.serials;
+    delete req.body.isSerialized;
+    delete req.body.hasVariants;
+    delete req.body.reservedQuantity;
+    delete req.body.components;
+    delete req.body.costLayers;
+    delete req.body.averageCost;
+
+    // Cost per unit of any stock the edit adds
+    const { unitCost } = req.body;
+    delete req.body.unitCost;
+
+    if (!(await hasUserSupplier(req))) {
+      return next(new NotFoundError("Supplier not found"));
+    }
+
+    if (
+      Array.isArray(req.body.stockLocations) &&
+      !(await hasUserLocations(req, req.body.stockLocations))
+    ) {
+      return next(new NotFoundError("Location not found"));
+    }
+
+    if (req.body.customFields !== undefined) {
+      req.body.customFields = await checkCustomFields(
+        req,
+        req.body.customFields
+      );
+    }
+
+    // Stock is held in the base unit, so it can only change while empty
+    if (req.body.unit !== undefined && req.body.unit !== item.unit) {
+      const unit = await Unit.findUnit(req.user.id, req.body.unit);
+
+      if (!unit) {
+        return next(new BadRequestError(`Unknown unit "${req.body.unit}"`));
+      }
+      if (unit.name !== item.unit && item.quantity > 0) {
+        return next(
+          new BadRequestError(
+            "Cannot change the base unit of an item that holds stock"
+          )
+        );
+      }
+      req.body.unit = unit.name;
+    }
+
+    // Serialized items count their in-stock units instead
+    if (item.isSerialized && req.body.quantity !== undefined) {
+      if (Number(req.body.quantity) !== item.quantity) {
+        return next(
+          new BadRequestError(
+            "Quantity of serialized items follows their serial numbers"
+          )
+        );
+      }
+      delete req.body.quantity;
+    }
+
+    // Items with variants total their variants unless new ones are sent
+    if (
+      item.hasVariants &&
+      !Array.isArray(req.body.variants) &&
+      req.body.quantity !== undefined
+    ) {
+      if (Number(req.body.quantity) !== item.quantity) {
+        return next(
+          new BadRequestError(
+            "Quantity of items with variants follows their variants"
+          )
+        );
+      }
+      delete req.body.quantity;
+    }
+
+    // Items stocked by location total their balances, which move through
+    // quantity changes that name a location
+    if (
+      item.stockLocations.length > 0 &&
+      !Array.isArray(req.body.stockLocations) &&
+      req.body.quantity !== undefined
+    ) {
+      if (Number(req.body.quantity) !== item.quantity) {
+        return next(
+          new BadRequestError(
+            "Quantity of items stocked by location follows their location balances"
+          )
+        );
+      }
+      delete req.body.quantity;
+    }
+
     // Store previous item state for comparison
     const previousItem = { ...item.toObject() };
+    const previousSnapshot = ItemRevision.takeSnapshot(item);
 
     // Track changes for activity log
     const changes = {};
@@ -226,12 +523,44 @@ exports.updateItem = async (req, res, next) => {
       }
     }
 
-    // Update item
-    item = await Item.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+    // Update item, deriving quantity from any variants or location balances sent
+    item.set(req.body);
+    item.syncQuantity();
+
+    // Direct increases open a cost layer; decrements draw down the oldest
+    // layers and lots, first-expiring-first-out
+    if (item.quantity > previousItem.quantity) {
+      item.addCostLayer(
+        item.quantity - previousItem.quantity,
+        unitCost !== undefined && unitCost !== null
+          ? Number(unitCost)
+          : item.getUnitCost("average"),
+        previousItem.quantity
+      );
+    } else if (item.quantity < previousItem.quantity) {
+      item.consumeCostLayers(previousItem.quantity - item.quantity);
+      if (item.lots.length > 0) {
+        item.consumeLots(previousItem.quantity - item.quantity);
+      }
+    }
+    await item.save();
+
+    // Record direct quantity edits in the stock ledger
+    if (item.quantity !== previousItem.quantity) {
+      await StockTransaction.record({
+        item,
+        delta: item.quantity - previousItem.quantity,
+        userId: req.user.id,
+        reason: "Item edited",
+      });
+    }
+
+    // Save the full state so it can be compared and rolled back later
+    const revision = await ItemRevision.record(item, {
+      userId: req.user.id,
+      action: "update",
+      previous: previousSnapshot,
+    });
 
     // Log activity if there were changes
     if (Object.keys(changes).length > 0) {
@@ -243,6 +572,7 @@ exports.updateItem = async (req, res, next) => {
         details: {
           changes,
           name: item.name,
+          revision: revision.revision,
         },
       });
 
@@ -252,6 +582,8 @@ exports.updateItem = async (req, res, next) => {
         previousItem,
         userId: req.user.id,
         changes,
+        diff: ItemRevision.diffSnapshots(previousSnapshot, revision.snapshot),
+        revision: revision.revision,
       });
     }
 
@@ -277,6 +609,19 @@ exports.deleteItem = async (req, res, next) => {
       return next(new NotFoundError("Item not found"));
     }
 
+    const kitCount = await Item.countDocuments({
+      userId: req.user.id,
+      "components.itemId": item._id,
+    });
+
+    if (kitCount > 0) {
+      return next(
+        new ConflictError(
+          `Item is a component of ${kitCount} kit(s); remove it from them first`
+        )
+      );
+    }
+
     // Store item details before deletion
     const itemForNotification = { ...item.toObject() };
 
@@ -296,7 +641,15 @@ exports.deleteItem = async (req, res, next) => {
       },
     });
 
-    await item.deleteOne();
+    // Release any stock still held for the deleted item
+    await Reservation.updateMany(
+      { itemId: item._id, status: "active" },
+      { status: "released", closedAt: new Date() }
+    );
+    item.reservedQuantity = 0;
+
+    // Items go to the trash and keep their folder for restoring
+    await item.softDelete(req.user.id);
 
     // Emit notification event
     notificationService.emitItemEvent("deleted", {
@@ -304,7 +657,7 @@ exports.deleteItem = async (req, res, next) => {
       userId: req.user.id,
     });
 
-    return ApiResponse.success(res, "Item deleted successfully");
+    return ApiResponse.success(res, "Item moved to trash");
   } catch (error) {
     next(error);
   }
@@ -317,7 +670,19 @@ exports.deleteItem = async (req, res, next) => {
  */
 exports.updateQuantity = async (req, res, next) => {
   try {
-    const { change, reason } = req.body;
+    const {
+      change,
+      reason,
+      reasonCode,
+      source,
+      locationId,
+      variantId,
+      lotId,
+      lotNumber,
+      expiryDate,
+      unit,
+      unitCost,
+    } = req.body;
 
     if (change === undefined || isNaN(change)) {
       return next(
@@ -335,15 +700,48 @@ exports.updateQuantity = async (req, res, next) => {
       return next(new NotFoundError("Item not found"));
     }
 
+    // Verify the target location belongs to the user
+    if (locationId) {
+      const location = await Location.findOne({
+        _id: locationId,
+        userId: req.user.id,
+      });
+
+      if (!location) {
+        return next(new NotFoundError("Location not found"));
+      }
+    }
+
     // Store previous quantity for notification
     const previousQuantity = item.quantity;
 
     // Update quantity
     try {
-      const result = await item.updateQuantity(
-        Number(change),
-        reason || "manual"
-      );
+      // Changes may be entered in any unit compatible with the base unit
+      const baseChange = unit
+        ? await Unit.convert(
+            req.user.id,
+            Number(change),
+            unit,
+            item.unit || "unit"
+          )
+        : Number(change);
+
+      const result = await item.updateQuantity(baseChange, reason || "manual", {
+        userId: req.user.id,
+        reasonCode: reasonCode || "adjustment",
+        source: source || "manual",
+        locationId,
+        variantId,
+        lotId,
+        lot: lotNumber ? { lotNumber, expiryDate } : undefined,
+        // Cost is entered per unit of the change, layers are per base unit
+        unitCost:
+          unitCost !== undefined && unitCost !== null && baseChange
+            ? (Number(unitCost) * Number(change)) / baseChange
+            : undefined,
+        metadata: unit ? { unit, enteredChange: Number(change) } : undefined,
+      });
 
       // Log activity
       await Activity.create({
@@ -357,8 +755,13 @@ exports.updateQuantity = async (req, res, next) => {
           name: item.name,
           previousQuantity,
           newQuantity: item.quantity,
-          change: Number(change),
+          change: baseChange,
+          ...(unit && { enteredChange: Number(change), unit }),
           reason: reason || "manual",
+          locationId: result.locationId,
+          variantId: result.variantId,
+          lots: result.lots,
+          transactionId: result.transactionId,
         },
       });
 
@@ -382,6 +785,86 @@ exports.updateQuantity = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get stock ledger for item
+ * @route   GET /api/items/:id/transactions
+ * @access  Private
+ */
+exports.getItemTransactions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const item = await Item.findOne({
+      _id: id,
+      userId: req.user.id,
+    });
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const { transactions, total } = await StockTransaction.getLedger(id, {
+      startDate,
+      endDate,
+      skip: (page - 1) * limit,
+      limit: parseInt(limit),
+    });
+
+    return ApiResponse.success(
+      res,
+      "Stock transactions retrieved successfully",
+      {
+        transactions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rebuild item balance from its stock ledger
+ * @route   GET /api/items/:id/transactions/balance
+ * @access  Private
+ */
+exports.getItemLedgerBalance = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { asOf } = req.query;
+
+    const item = await Item.findOne({
+      _id: id,
+      userId: req.user.id,
+    });
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const { balance, transactionCount } = await StockTransaction.rebuildBalance(
+      id,
+      asOf
+    );
+
+    return ApiResponse.success(res, "Ledger balance calculated successfully", {
+      itemId: item._id,
+      asOf: asOf ? new Date(asOf) : new Date(),
+      ledgerBalance: balance,
+      transactionCount,
+      currentQuantity: item.quantity,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Add item image
  * @route   POST /api/items/:id/images
@@ -402,7 +885,7 @@ exports.addItemImage = async (req, res, next) => {
 
     if (!item) {
       // Delete uploaded file if item not found
-      deleteFile(req.file.path);
+      deleteImageFiles(req.file);
       return next(new NotFoundError("Item not found"));
     }
 
@@ -411,7 +894,14 @@ exports.addItemImage = async (req, res, next) => {
     const imageMetadata = createImageMetadata(req.file, imageUrl);
 
     // Add image to item
-    item.images.push(imageUrl);
+    item.images.push({
+      ...imageMetadata,
+      caption: req.body.caption,
+      altText: req.body.altText,
+    });
+    if (String(req.body.primary) === "true") {
+      item.setPrimaryImage(item.images[item.images.length - 1]._id);
+    }
     await item.save();
 
     // Log activity
@@ -437,21 +927,132 @@ exports.addItemImage = async (req, res, next) => {
   } catch (error) {
     // Delete uploaded file on error
     if (req.file) {
-      deleteFile(req.file.path);
+      deleteImageFiles(req.file);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an item image's caption, alt text or primary flag
+ * @route   PUT /api/items/:id/images/:imageId
+ * @access  Private
+ */
+exports.updateItemImage = async (req, res, next) => {
+  try {
+    const item = await Item.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const imageIndex = findImageIndex(item, req.params.imageId);
+    if (imageIndex === -1) {
+      return next(new NotFoundError("Image not found"));
+    }
+
+    const image = item.images[imageIndex];
+    ["caption", "altText"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        image[field] = req.body[field];
+      }
+    });
+    // Another image has to be made primary to change the cover
+    if (String(req.body.primary) === "true") {
+      item.setPrimaryImage(image._id);
+    }
+
+    await item.save();
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "custom",
+      details: {
+        customAction: "update_image",
+        name: item.name,
+        imageId: image._id,
+        changes: Object.keys(req.body),
+      },
+    });
+
+    return ApiResponse.success(res, "Image updated successfully", {
+      item,
+      image,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reorder an item's images
+ * @route   PUT /api/items/:id/images/reorder
+ * @access  Private
+ */
+exports.reorderItemImages = async (req, res, next) => {
+  try {
+    const { imageIds } = req.body;
+
+    const item = await Item.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    // The new order has to account for every image, so one added or
+    // removed since the client loaded the item isn't silently dropped
+    const indexes = imageIds.map((imageId) => findImageIndex(item, imageId));
+    if (
+      imageIds.length !== item.images.length ||
+      indexes.includes(-1) ||
+      new Set(indexes).size !== indexes.length
+    ) {
+      return next(
+        new ConflictError(
+          "Image IDs must list each of the item's current images once"
+        )
+      );
     }
+
+    item.images = indexes.map((index) => item.images[index]);
+    await item.save();
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "custom",
+      details: {
+        customAction: "reorder_images",
+        name: item.name,
+        imageIds,
+      },
+    });
+
+    return ApiResponse.success(res, "Images reordered successfully", {
+      item,
+      images: item.images,
+    });
+  } catch (error) {
     next(error);
   }
 };
 
 /**
  * @desc    Remove item image
- * @route   DELETE /api/items/:id/images/:imageIndex
+ * @route   DELETE /api/items/:id/images/:imageId
  * @access  Private
  */
 exports.removeItemImage = async (req, res, next) => {
   try {
-    const { imageIndex } = req.params;
-
     // Find item
     const item = await Item.findOne({
       _id: req.params.id,
@@ -463,17 +1064,17 @@ exports.removeItemImage = async (req, res, next) => {
     }
 
     // Check if image exists
-    if (!item.images[imageIndex]) {
+    const imageIndex = findImageIndex(item, req.params.imageId);
+    if (imageIndex === -1) {
       return next(new NotFoundError("Image not found"));
     }
 
-    // Get image URL and extract filename
+    // Remove image and keep its details for the response
     const removedImage = item.images.splice(imageIndex, 1)[0];
-    const filename = path.basename(removedImage);
+    const { filename } = removedImage;
 
-    // Delete physical file
-    const filePath = path.join(__dirname, "../../uploads/items", filename);
-    deleteFile(filePath);
+    // Delete physical files
+    deleteImageFiles(removedImage);
 
     await item.save();
 
@@ -485,7 +1086,8 @@ exports.removeItemImage = async (req, res, next) => {
       action: "remove_image",
       details: {
         name: item.name,
-        imageUrl: removedImage,
+        imageId: removedImage._id,
+        imageUrl: removedImage.url,
         filename,
       },
     });
@@ -520,11 +1122,18 @@ exports.moveItem = async (req, res, next) => {
 
     // Store previous folder ID for activity log
     const previousFolderId = item.folderId;
+    const previousSnapshot = ItemRevision.takeSnapshot(item);
 
     // Update folder
     item.folderId = folderId === "null" ? null : folderId;
     await item.save();
 
+    await ItemRevision.record(item, {
+      userId: req.user.id,
+      action: "move",
+      previous: previousSnapshot,
+    });
+
     // Log activity
     await Activity.create({
       userId: req.user.id,
@@ -544,6 +1153,277 @@ exports.moveItem = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Clone item into one or more copies
+ * @route   POST /api/items/:id/clone
+ * @access  Private
+ */
+exports.cloneItem = async (req, res, next) => {
+  try {
+    const {
+      count = 1,
+      copyImages = true,
+      copyTags = true,
+      copyCustomFields = true,
+      resetQuantity = true,
+      regenerateBarcode = true,
+      regenerateSku = true,
+    } = req.body;
+
+    const source = await Item.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!source) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const copies = Number(count);
+    // "{n}" in the name is replaced by the copy number
+    const namePattern =
+      req.body.name ||
+      (copies > 1 ? `${source.name} (Copy {n})` : `${source.name} (Copy)`);
+    const folderId =
+      req.body.folderId !== undefined ? req.body.folderId : source.folderId;
+    const nextSku =
+      source.sku && regenerateSku
+        ? await createSkuGenerator(req, source.sku)
+        : () => source.sku;
+
+    const items = [];
+    for (let n = 1; n <= copies; n++) {
+      const item = new Item({
+        name: namePattern.replace(/\{n\}/g, n),
+        description: source.description,
+        quantity: resetQuantity || source.isSerialized ? 0 : source.quantity,
+        unit: source.unit,
+        minLevel: source.minLevel,
+        reorderPoint: source.reorderPoint,
+        reorderQuantity: source.reorderQuantity,
+        leadTimeDays: source.leadTimeDays,
+        lowStockBasis: source.lowStockBasis,
+        price: source.price,
+        currency: source.currency,
+        cost: source.cost,
+        preferredSupplierId: source.preferredSupplierId,
+        notes: source.notes,
+        location: source.location,
+        folderId,
+        userId: req.user.id,
+        hasVariants: source.hasVariants,
+        variants: source.variants.map((variant) => ({
+          name: variant.name,
+          sku: variant.sku,
+          minLevel: variant.minLevel,
+          attributes: new Map(variant.attributes),
+          quantity: resetQuantity ? 0 : variant.quantity,
+        })),
+        isSerialized: source.isSerialized,
+        components: source.components.map((component) => ({
+          itemId: component.itemId,
+          quantity: component.quantity,
+        })),
+        tags: copyTags ? [...source.tags] : [],
+        customFields: copyCustomFields ? new Map(source.customFields) : {},
+        sku: nextSku(),
+      });
+
+      if (source.barcode && regenerateBarcode) {
+        item.barcode = generateBarcode(item._id, source.barcodeFormat);
+        item.barcodeFormat = source.barcodeFormat;
+      }
+
+      // Each copy gets its own files so deleting one leaves the others intact
+      if (copyImages) {
+        item.images = source.images
+          .map((image) => duplicateImage(req, image))
+          .filter(Boolean);
+      }
+
+      await item.save();
+      await ItemRevision.record(item, {
+        userId: req.user.id,
+        action: "create",
+      });
+
+      // Record copied stock as an opening balance in the stock ledger
+      if (item.quantity > 0) {
+        await StockTransaction.record({
+          item,
+          delta: item.quantity,
+          userId: req.user.id,
+          reasonCode: "initial",
+        });
+      }
+
+      await Activity.create({
+        userId: req.user.id,
+        resourceId: item._id,
+        resourceType: "item",
+        action: "clone",
+        details: {
+          name: item.name,
+          sourceId: source._id,
+          sourceName: source.name,
+          quantity: item.quantity,
+          folderId: item.folderId,
+        },
+      });
+
+      notificationService.emitItemEvent("created", {
+        item,
+        userId: req.user.id,
+      });
+
+      items.push(item);
+    }
+
+    return ApiResponse.created(
+      res,
+      `Item cloned into ${items.length} ${items.length === 1 ? "copy" : "copies"}`,
+      { items }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create items from a template
+ * @route   POST /api/items/from-template/:templateId
+ * @access  Private
+ */
+exports.createItemFromTemplate = async (req, res, next) => {
+  try {
+    const template = await ItemTemplate.findOne({
+      _id: req.params.templateId,
+      userId: req.user.id,
+    });
+
+    if (!template) {
+      return next(new NotFoundError("Template not found"));
+    }
+
+    // A list of overrides creates one item each; a plain body creates one
+    const overrides = Array.isArray(req.body.items)
+      ? req.body.items
+      : [req.body];
+
+    // The template's folder may have been deleted since it was saved
+    const folderId =
+      template.folderId &&
+      (await Folder.exists({ _id: template.folderId, userId: req.user.id }))
+        ? template.folderId
+        : null;
+
+    // Build and check every item before saving any of them
+    const items = [];
+    for (const override of overrides) {
+      const data = { ...override };
+      delete data.userId;
+      delete data.images;
+      // Variants, serials and lots are added once the item exists
+      delete data.variants;
+      delete data.hasVariants;
+      delete data.serials;
+      delete data.isSerialized;
+      delete data.lots;
+      await checkNewItemData(req, data);
+
+      const unitName = data.unit !== undefined ? data.unit : template.unit;
+      if (unitName) {
+        const unit = await Unit.findUnit(req.user.id, unitName);
+
+        if (!unit) {
+          return next(new BadRequestError(`Unknown unit "${unitName}"`));
+        }
+        data.unit = unit.name;
+      }
+
+      if (!(await hasUserSupplier(req, data))) {
+        return next(new NotFoundError("Supplier not found"));
+      }
+
+      // Template custom fields are defaults the override can replace one by one
+      data.customFields = await checkCustomFields(req, {
+        ...Object.fromEntries(template.customFields || []),
+        ...(data.customFields || {}),
+      });
+
+      const item = new Item({
+        tags: [...template.tags],
+        folderId,
+        ...(template.minLevel !== null && { minLevel: template.minLevel }),
+        ...(template.barcodeFormat && {
+          barcodeFormat: template.barcodeFormat,
+        }),
+        ...data,
+        userId: req.user.id,
+      });
+
+      if (!item.barcode && template.barcodeFormat) {
+        item.barcode = generateBarcode(item._id, template.barcodeFormat);
+      }
+
+      await item.validate();
+      items.push(item);
+    }
+
+    for (const item of items) {
+      await item.save();
+      await ItemRevision.record(item, {
+        userId: req.user.id,
+        action: "create",
+      });
+
+      // Record opening balance in the stock ledger
+      if (item.quantity > 0) {
+        await StockTransaction.record({
+          item,
+          delta: item.quantity,
+          userId: req.user.id,
+          reasonCode: "initial",
+        });
+      }
+
+      await Activity.create({
+        userId: req.user.id,
+        resourceId: item._id,
+        resourceType: "item",
+        action: "create",
+        details: {
+          name: item.name,
+          quantity: item.quantity,
+          price: item.price,
+          folderId: item.folderId,
+          templateId: template._id,
+          templateName: template.name,
+        },
+      });
+
+      notificationService.emitItemEvent("created", {
+        item,
+        userId: req.user.id,
+      });
+    }
+
+    template.usageCount += items.length;
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    return ApiResponse.created(
+      res,
+      items.length === 1
+        ? "Item created from template"
+        : `${items.length} items created from template`,
+      { items }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Add multiple item images
  * @route   POST /api/items/:id/images/multiple
@@ -564,7 +1444,7 @@ exports.addMultipleImages = async (req, res, next) => {
 
     if (!item) {
       // Delete uploaded files if item not found
-      req.files.forEach((file) => deleteFile(file.path));
+      req.files.forEach((file) => deleteImageFiles(file));
       return next(new NotFoundError("Item not found"));
     }
 
@@ -576,7 +1456,7 @@ exports.addMultipleImages = async (req, res, next) => {
       const imageUrl = getFileUrl(req, file.filename);
       imageUrls.push(imageUrl);
       filenames.push(file.filename);
-      item.images.push(imageUrl);
+      item.images.push(createImageMetadata(file, imageUrl));
     }
 
     await item.save();
@@ -604,7 +1484,7 @@ exports.addMultipleImages = async (req, res, next) => {
   } catch (error) {
     // Delete uploaded files on error
     if (req.files) {
-      req.files.forEach((file) => deleteFile(file.path));
+      req.files.forEach((file) => deleteImageFiles(file));
     }
     next(error);
   }
@@ -633,6 +1513,8 @@ exports.searchItems = async (req, res, next) => {
       barcode,
       sku,
       location,
+      locationId,
+      customFields,
       sortBy,
       sortOrder,
       page = 1,
@@ -641,16 +1523,75 @@ exports.searchItems = async (req, res, next) => {
 
     // Build query
     const query = { userId: req.user.id };
+    const definitions = await CustomFieldDefinition.getDefinitions(req.user.id);
 
-    // General text search
+    // General text search, including text-like custom fields
     if (q) {
       query.$or = [
         { name: { $regex: q, $options: "i" } },
         { description: { $regex: q, $options: "i" } },
         { tags: { $in: [new RegExp(q, "i")] } },
+        ...definitions
+          .filter((definition) =>
+            ["text", "url", "select"].includes(definition.type)
+          )
+          .map((definition) => ({
+            [`customFields.${definition.key}`]: { $regex: q, $options: "i" },
+          })),
       ];
     }
 
+    // Custom field filters, e.g. customFields[color]=red or
+    // customFields[weight][min]=2
+    if (customFields && typeof customFields === "object") {
+      for (const [key, filter] of Object.entries(customFields)) {
+        const definition = definitions.find((field) => field.key === key);
+        if (!definition) {
+          return next(new BadRequestError(`Unknown custom field "${key}"`));
+        }
+        const path = `customFields.${key}`;
+
+        try {
+          if (["number", "date"].includes(definition.type)) {
+            if (filter && typeof filter === "object") {
+              query[path] = {};
+              if (filter.min !== undefined && filter.min !== "") {
+                query[path].$gte = CustomFieldDefinition.coerceValue(
+                  definition,
+                  filter.min
+                );
+              }
+              if (filter.max !== undefined && filter.max !== "") {
+                query[path].$lte = CustomFieldDefinition.coerceValue(
+                  definition,
+                  filter.max
+                );
+              }
+            } else {
+              query[path] = CustomFieldDefinition.coerceValue(
+                definition,
+                filter
+              );
+            }
+          } else if (definition.type === "checkbox") {
+            query[path] = CustomFieldDefinition.coerceValue(definition, filter);
+          } else if (definition.type === "select") {
+            query[path] = {
+              $in: String(filter)
+                .split(",")
+                .map((option) =>
+                  CustomFieldDefinition.coerceValue(definition, option)
+                ),
+            };
+          } else {
+            query[path] = { $regex: String(filter), $options: "i" };
+          }
+        } catch (error) {
+          return next(new BadRequestError(error.message));
+        }
+      }
+    }
+
     // Specific field searches
     if (name) {
       query.name = { $regex: name, $options: "i" };
@@ -741,9 +1682,19 @@ exports.searchItems = async (req, res, next) => {
       }
     }
 
+    // Stock location filter
+    if (locationId) {
+      if (!mongoose.Types.ObjectId.isValid(locationId)) {
+        return next(new BadRequestError("Invalid location ID"));
+      }
+      query["stockLocations.locationId"] = new mongoose.Types.ObjectId(
+        locationId
+      );
+    }
+
     // Low stock filter
     if (lowStock === "true") {
-      query.$expr = { $lte: ["$quantity", "$minLevel"] };
+      query.$expr = lowStockExpr(locationId);
     }
 
     // Has images filter
@@ -790,9 +1741,12 @@ exports.searchItems = async (req, res, next) => {
     // Get total count
     const total = await Item.countDocuments(query);
 
-    // Calculate aggregations
+    // Calculate aggregations, counting only stock at the filtered location
     const aggregations = await Item.aggregate([
       { $match: query },
+      ...(locationId
+        ? [{ $addFields: { quantity: Item.locationQuantityExpr(locationId) } }]
+        : []),
       {
         $group: {
           _id: null,
@@ -992,16 +1946,116 @@ exports.bulkUpdateItems = async (req, res, next) => {
       return next(new BadRequestError("Updates are required"));
     }
 
-    // Update items
-    const result = await Item.updateMany(
-      {
-        _id: { $in: itemIds },
-        userId: req.user.id,
-      },
-      { $set: updates },
-      { runValidators: true }
+    Object.keys(updates)
+      .filter((path) => BULK_LOCKED_FIELDS.includes(path.split(".")[0]))
+      .forEach((path) => delete updates[path]);
+
+    // Quantity changes go through each item's stock movement instead
+    const quantity =
+      updates.quantity !== undefined ? Number(updates.quantity) : undefined;
+    delete updates.quantity;
+
+    if (quantity === undefined && Object.keys(updates).length === 0) {
+      return next(new BadRequestError("Updates are required"));
+    }
+
+    // Typed custom fields are checked whether set whole or one at a time
+    if (updates.customFields !== undefined) {
+      updates.customFields = await checkCustomFields(req, updates.customFields);
+    }
+    const fieldUpdates = Object.keys(updates)
+      .filter((path) => path.startsWith("customFields."))
+      .map((path) => path.slice("customFields.".length));
+    if (fieldUpdates.length > 0) {
+      const definitions = await CustomFieldDefinition.getDefinitions(
+        req.user.id
+      );
+      const { values, errors } = CustomFieldDefinition.validateValues(
+        definitions.filter((definition) =>
+          fieldUpdates.includes(definition.key)
+        ),
+        Object.fromEntries(
+          fieldUpdates.map((key) => [key, updates[`customFields.${key}`]])
+        )
+      );
+
+      if (errors.length > 0) {
+        return next(new BadRequestError(errors.join("; ")));
+      }
+      fieldUpdates.forEach((key) => {
+        updates[`customFields.${key}`] = values[key] ?? null;
+      });
+    }
+
+    // Capture current state for revisions and the stock ledger
+    const currentItems = await Item.find({
+      _id: { $in: itemIds },
+      userId: req.user.id,
+    });
+    const previousItems = new Map(
+      currentItems.map((item) => [
+        item._id.toString(),
+        ItemRevision.takeSnapshot(item),
+      ])
     );
 
+    // Tracked items total their serials, variants or location balances
+    if (quantity !== undefined) {
+      const trackedItem = currentItems.find(
+        (item) =>
+          (item.isSerialized ||
+            item.hasVariants ||
+            item.stockLocations.length > 0) &&
+          item.quantity !== quantity
+      );
+
+      if (trackedItem) {
+        return next(
+          new BadRequestError(
+            `Quantity of "${trackedItem.name}" follows its serial numbers, variants or location balances`
+          )
+        );
+      }
+    }
+
+    // Update items
+    const result =
+      Object.keys(updates).length > 0
+        ? await Item.updateMany(
+            {
+              _id: { $in: itemIds },
+              userId: req.user.id,
+            },
+            { $set: updates },
+            { runValidators: true }
+          )
+        : { matchedCount: currentItems.length, modifiedCount: 0 };
+
+    let quantityChangedCount = 0;
+    if (result.modifiedCount > 0 || quantity !== undefined) {
+      const updatedItems = await Item.find({
+        _id: { $in: [...previousItems.keys()] },
+      });
+
+      for (const item of updatedItems) {
+        // Opens cost layers or draws down layers and lots, and records the
+        // movement in the stock ledger
+        if (quantity !== undefined && quantity !== item.quantity) {
+          await item.updateQuantity(quantity - item.quantity, "Bulk update", {
+            userId: req.user.id,
+            source: "bulk",
+          });
+          quantityChangedCount++;
+        }
+
+        await ItemRevision.record(item, {
+          userId: req.user.id,
+          action: "bulk_update",
+          previous: previousItems.get(item._id.toString()),
+        });
+      }
+    }
+
     // Log activity
     await Activity.create({
       userId: req.user.id,
@@ -1011,14 +2065,17 @@ exports.bulkUpdateItems = async (req, res, next) => {
       details: {
         itemIds,
         updates,
+        ...(quantity !== undefined && { quantity }),
         matchedCount: result.matchedCount,
         modifiedCount: result.modifiedCount,
+        quantityChangedCount,
       },
     });
 
     return ApiResponse.success(res, "Items updated successfully", {
       matchedCount: result.matchedCount,
       modifiedCount: result.modifiedCount,
+      quantityChangedCount,
     });
   } catch (error) {
     next(error);
@@ -1034,17 +2091,40 @@ exports.findItemByBarcode = async (req, res, next) => {
   try {
     const { barcode } = req.params;
 
-    const item = await Item.findOne({
+    let item = await Item.findOne({
       barcode: barcode,
       userId: req.user.id,
       isDeleted: false,
     }).populate("folderId", "name");
+    let serial = null;
+
+    // Fall back to the serial number of an individual unit
+    if (!item) {
+      item = await Item.findOne({
+        "serials.serialNumber": barcode,
+        userId: req.user.id,
+        isDeleted: false,
+      }).populate("folderId", "name");
+
+      if (item) {
+        serial = item.serials.find((unit) => unit.serialNumber === barcode);
+      }
+    }
+
+    // Barcodes that were replaced or came from merged items still resolve
+    if (!item) {
+      item = await Item.findOne({
+        "barcodeHistory.barcode": barcode,
+        userId: req.user.id,
+        isDeleted: false,
+      }).populate("folderId", "name");
+    }
 
     if (!item) {
       throw new NotFoundError("Item not found");
     }
 
-    res.json(ApiResponse.success("Item found", item));
+    return ApiResponse.success(res, "Item found", { item, serial });
   } catch (error) {
     next(error);
   }
@@ -1104,23 +2184,7 @@ exports.generateItemBarcode = async (req, res, next) => {
       throw new NotFoundError("Item not found");
     }
 
-    // Generate a unique barcode based on item ID and timestamp
-    const timestamp = Date.now().toString();
-    const itemIdStr = item._id.toString().slice(-6);
-    let generatedBarcode;
-
-    switch (format) {
-      case "UPC_A":
-        generatedBarcode = `0${itemIdStr}${timestamp.slice(-5)}`;
-        break;
-      case "EAN_13":
-        generatedBarcode = `${itemIdStr}${timestamp.slice(-7)}`;
-        break;
-      case "CODE_128":
-      default:
-        generatedBarcode = `ITEM${itemIdStr}${timestamp.slice(-6)}`;
-        break;
-    }
+    const generatedBarcode = generateBarcode(item._id, format);
 
     // Update item with new barcode
     if (item.barcode) {
@@ -1330,12 +2394,41 @@ exports.bulkDeleteItems = async (req, res, next) => {
       );
     }
 
-    // Delete all items
-    const deleteResult = await Item.deleteMany({
-      _id: { $in: items.map((item) => item._id) },
+    // Components of kits outside the selection must stay
+    const itemIdsToDelete = items.map((item) => item._id);
+    const kitCount = await Item.countDocuments({
+      _id: { $nin: itemIdsToDelete },
       userId: req.user.id,
+      "components.itemId": { $in: itemIdsToDelete },
     });
 
+    if (kitCount > 0) {
+      return next(
+        new ConflictError(
+          `Some items are components of ${kitCount} kit(s); remove them from those kits first`
+        )
+      );
+    }
+
+    // Move all items to the trash, releasing any stock held for them
+    const deleteResult = await Item.updateMany(
+      {
+        _id: { $in: items.map((item) => item._id) },
+        userId: req.user.id,
+      },
+      {
+        isDeleted: true,
+        deletedAt: new Date(),
+        deletedBy: req.user.id,
+        reservedQuantity: 0,
+      }
+    );
+
+    await Reservation.updateMany(
+      { itemId: { $in: items.map((item) => item._id) }, status: "active" },
+      { status: "released", closedAt: new Date() }
+    );
+
     // Log activity for each deleted item
     const activityPromises = items.map((item) =>
       Activity.logItemActivity(req.user.id, item._id, "delete", {
@@ -1348,8 +2441,8 @@ exports.bulkDeleteItems = async (req, res, next) => {
 
     await Promise.all(activityPromises);
 
-    return ApiResponse.success(res, "Items deleted successfully", {
-      deletedCount: deleteResult.deletedCount,
+    return ApiResponse.success(res, "Items moved to trash", {
+      deletedCount: deleteResult.modifiedCount,
       requestedCount: itemIds.length,
       foundCount: items.length,
       deletedItems: items.map((item) => ({
@@ -0,0 +1,519 @@
+const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
+const Activity = require("../models/activity.model");
+const Alert = require("../models/alert.model");
+const Permission = require("../models/permission.model");
+const ItemRelationship = require("../models/itemRelationship.model");
+const Attachment = require("../models/attachment.model");
+const Reservation = require("../models/reservation.model");
+const PurchaseOrder = require("../models/purchaseOrder.model");
+const SalesOrder = require("../models/salesOrder.model");
+const CountSession = require("../models/countSession.model");
+const StockTransfer = require("../models/stockTransfer.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+const mongoose = require("mongoose");
+
+// Orders still expecting stock movements against their lines
+const OPEN_PURCHASE_ORDER_STATUSES = ["draft", "sent", "partially_received"];
+const OPEN_SALES_ORDER_STATUSES = ["draft", "confirmed", "partially_fulfilled"];
+
+// Most items scanned for duplicates in one request; narrow with a folder
+const MAX_DUPLICATE_SCAN = 1000;
+
+// Names are only compared with names sharing their first characters
+const NAME_PREFIX_LENGTH = 3;
+
+// Stock movement errors from the model become bad requests
+const toRequestError = (error) =>
+  error.statusCode ? error : new BadRequestError(error.message);
+
+// Lowercase a name and reduce it to letters and digits for comparison
+const normalizeName = (name = "") =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Sørensen–Dice similarity of two strings' character pairs, from 0 to 1
+const getSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairs = (value) => {
+    const counts = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+      const pair = value.slice(i, i + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const pairsA = pairs(a);
+  let overlap = 0;
+  for (const [pair, count] of pairs(b)) {
+    overlap += Math.min(count, pairsA.get(pair) || 0);
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+};
+
+// Group items that share a key, keeping groups of two or more
+const groupByKey = (items, getKeys) => {
+  const groups = new Map();
+  items.forEach((item) =>
+    getKeys(item)
+      .filter(Boolean)
+      .forEach((key) => {
+        if (!groups.has(key)) groups.set(key, new Set());
+        groups.get(key).add(item);
+      })
+  );
+  return [...groups.values()]
+    .filter((group) => group.size > 1)
+    .map((group) => [...group]);
+};
+
+// Move all of a source item's stock into the survivor
+const moveStock = async (req, source, survivor, session) => {
+  const balances =
+    source.stockLocations.length > 0
+      ? source.stockLocations
+          .filter((stock) => stock.quantity > 0)
+          .map((stock) => ({
+            locationId: stock.locationId,
+            quantity: stock.quantity,
+          }))
+      : [{ locationId: null, quantity: source.quantity }];
+  const unitCost = source.getUnitCost("average");
+  const reason = `Merged ${source.name} into ${survivor.name}`;
+
+  for (const { locationId, quantity } of balances) {
+    if (quantity <= 0) continue;
+
+    const result = await source.updateQuantity(-quantity, reason, {
+      userId: req.user.id,
+      reasonCode: "transfer",
+      source: "merge",
+      locationId,
+      metadata: { survivorId: survivor._id },
+      session,
+    });
+
+    // Lots keep their numbers and expiry dates in the survivor
+    result.lots.forEach((allocation) => {
+      const lot = source.lots.id(allocation.lotId);
+      survivor.receiveLot(
+        {
+          lotNumber: allocation.lotNumber,
+          expiryDate: lot ? lot.expiryDate : null,
+        },
+        -allocation.quantity
+      );
+    });
+
+    await survivor.updateQuantity(quantity, reason, {
+      userId: req.user.id,
+      reasonCode: "transfer",
+      source: "merge",
+      locationId,
+      unitCost,
+      metadata: { mergedItemId: source._id },
+      session,
+    });
+  }
+};
+
+// Fold a source item's descriptive data into the survivor
+const mergeDetails = (source, survivor) => {
+  survivor.tags = [...new Set([...survivor.tags, ...source.tags])];
+
+  // Images move rather than copy so files stay owned by one item
+  const filenames = new Set(survivor.images.map((image) => image.filename));
+  source.images
+    .filter((image) => !filenames.has(image.filename))
+    .forEach((image) => survivor.images.push(image));
+  source.images = [];
+
+  // The source's barcodes keep scanning to the survivor through its history
+  const barcodes = [
+    ...source.barcodeHistory.map((entry) => ({
+      barcode: entry.barcode,
+      format: entry.format,
+      createdAt: entry.createdAt,
+      createdBy: entry.createdBy,
+    })),
+    ...(source.barcode
+      ? [
+          {
+            barcode: source.barcode,
+            format: source.barcodeFormat,
+            createdBy: source.userId,
+          },
+        ]
+      : []),
+  ];
+  if (!survivor.barcode && source.barcode) {
+    survivor.barcode = source.barcode;
+    survivor.barcodeFormat = source.barcodeFormat;
+    barcodes.pop();
+  }
+  barcodes.forEach((entry) => survivor.barcodeHistory.push(entry));
+  source.barcode = undefined;
+
+  if (!survivor.sku && source.sku) survivor.sku = source.sku;
+  for (const [key, value] of source.customFields || []) {
+    if (!survivor.customFields.has(key)) survivor.customFields.set(key, value);
+  }
+
+  survivor.reservedQuantity =
+    (survivor.reservedQuantity || 0) + (source.reservedQuantity || 0);
+  source.reservedQuantity = 0;
+};
+
+// Point records that referenced the merged items at the survivor
+const repointReferences = async (req, sources, survivor, session) => {
+  const sourceIds = sources.map((source) => source._id);
+
+  await Activity.updateMany(
+    { resourceType: "item", resourceId: { $in: sourceIds } },
+    { $set: { resourceId: survivor._id } },
+    { session }
+  );
+  await Alert.updateMany(
+    { itemId: { $in: sourceIds } },
+    { $set: { itemId: survivor._id } },
+    { session }
+  );
+  await Reservation.updateMany(
+    { itemId: { $in: sourceIds }, status: "active" },
+    { $set: { itemId: survivor._id } },
+    { session }
+  );
+
+  // A user keeps the survivor's grant if they had one on both
+  const permissions = await Permission.find({
+    resourceType: "Item",
+    resourceId: { $in: [survivor._id, ...sourceIds] },
+  }).session(session);
+  const grantees = new Set(
+    permissions
+      .filter((permission) => permission.resourceId.equals(survivor._id))
+      .map((permission) => String(permission.userId))
+  );
+  for (const permission of permissions) {
+    if (permission.resourceId.equals(survivor._id)) continue;
+
+    if (grantees.has(String(permission.userId))) {
+      await permission.deleteOne({ session });
+    } else {
+      grantees.add(String(permission.userId));
+      permission.resourceId = survivor._id;
+      await permission.save({ session });
+    }
+  }
+
+  // Open orders receive and ship against the survivor
+  const lineFilter = { arrayFilters: [{ "line.itemId": { $in: sourceIds } }] };
+  await PurchaseOrder.updateMany(
+    {
+      userId: req.user.id,
+      status: { $in: OPEN_PURCHASE_ORDER_STATUSES },
+      "lines.itemId": { $in: sourceIds },
+    },
+    { $set: { "lines.$[line].itemId": survivor._id } },
+    { ...lineFilter, session }
+  );
+  await SalesOrder.updateMany(
+    {
+      userId: req.user.id,
+      status: { $in: OPEN_SALES_ORDER_STATUSES },
+      "lines.itemId": { $in: sourceIds },
+    },
+    { $set: { "lines.$[line].itemId": survivor._id } },
+    { ...lineFilter, session }
+  );
+
+  // Substitutes, accessories and parts now link to the survivor
+  await ItemRelationship.repoint(sourceIds, survivor._id, { session });
+  await Attachment.updateMany(
+    { resourceType: "item", resourceId: { $in: sourceIds } },
+    { $set: { resourceId: survivor._id } },
+    { session }
+  );
+
+  // Kits built from a merged item now use the survivor
+  const kits = await Item.find({
+    userId: req.user.id,
+    _id: { $nin: sourceIds },
+    "components.itemId": { $in: sourceIds },
+  }).session(session);
+  for (const kit of kits) {
+    const quantities = new Map();
+    kit.components.forEach((component) => {
+      const itemId = sourceIds.some((id) => id.equals(component.itemId))
+        ? String(survivor._id)
+        : String(component.itemId);
+      quantities.set(
+        itemId,
+        (quantities.get(itemId) || 0) + component.quantity
+      );
+    });
+    kit.components = [...quantities].map(([itemId, quantity]) => ({
+      itemId,
+      quantity,
+    }));
+    await kit.save({ session });
+  }
+};
+
+/**
+ * @desc    List likely duplicate items by name similarity, SKU or barcode
+ * @route   GET /api/items/duplicates
+ * @access  Private
+ */
+exports.getDuplicateCandidates = async (req, res, next) => {
+  try {
+    const threshold =
+      req.query.threshold !== undefined ? Number(req.query.threshold) : 0.85;
+    const query = { userId: req.user.id };
+
+    if (req.query.folderId) {
+      query.folderId = req.query.folderId;
+    }
+
+    const scanned = await Item.find(query)
+      .select("name sku barcode barcodeHistory quantity unit folderId")
+      .sort({ updatedAt: -1 })
+      .limit(MAX_DUPLICATE_SCAN + 1)
+      .lean();
+    const truncated = scanned.length > MAX_DUPLICATE_SCAN;
+    const items = scanned.slice(0, MAX_DUPLICATE_SCAN);
+
+    const groups = [
+      ...groupByKey(items, (item) => [
+        item.sku && `sku:${item.sku.trim().toLowerCase()}`,
+      ]).map((group) => ({ reason: "sku", items: group })),
+      ...groupByKey(items, (item) =>
+        [item.barcode, ...(item.barcodeHistory || []).map((e) => e.barcode)]
+          .filter(Boolean)
+          .map((barcode) => `barcode:${barcode}`)
+      ).map((group) => ({ reason: "barcode", items: group })),
+    ];
+
+    // Names are compared pairwise within a prefix bucket, so pairs are
+    // linked into clusters
+    const names = items.map((item) => normalizeName(item.name));
+    const buckets = new Map();
+    names.forEach((name, index) => {
+      const prefix = name.slice(0, NAME_PREFIX_LENGTH);
+      if (!buckets.has(prefix)) buckets.set(prefix, []);
+      buckets.get(prefix).push(index);
+    });
+    const clusters = items.map((_, index) => index);
+    const findCluster = (index) =>
+      clusters[index] === index
+        ? index
+        : (clusters[index] = findCluster(clusters[index]));
+    const scores = new Map();
+
+    for (const bucket of buckets.values()) {
+      for (let a = 0; a < bucket.length; a++) {
+        for (let b = a + 1; b < bucket.length; b++) {
+          const score = getSimilarity(names[bucket[a]], names[bucket[b]]);
+          if (score < threshold) continue;
+
+          const root = findCluster(bucket[a]);
+          const other = findCluster(bucket[b]);
+          clusters[other] = root;
+          scores.set(
+            root,
+            Math.min(scores.get(root) ?? 1, scores.get(other) ?? 1, score)
+          );
+        }
+      }
+    }
+
+    const nameGroups = new Map();
+    items.forEach((item, index) => {
+      const root = findCluster(index);
+      if (!nameGroups.has(root)) nameGroups.set(root, []);
+      nameGroups.get(root).push(item);
+    });
+    nameGroups.forEach((group, root) => {
+      if (group.length > 1) {
+        groups.push({
+          reason: "name",
+          similarity: Math.round(scores.get(root) * 100) / 100,
+          items: group,
+        });
+      }
+    });
+
+    return ApiResponse.success(res, "Duplicate candidates retrieved", {
+      groups: groups.map((group) => ({
+        ...group,
+        items: group.items.map(({ barcodeHistory, ...item }) => item),
+      })),
+      threshold,
+      truncated,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge items into a surviving item
+ * @route   POST /api/items/merge
+ * @access  Private
+ */
+exports.mergeItems = async (req, res, next) => {
+  try {
+    const { survivorId } = req.body;
+    const sourceIds = [...new Set(req.body.itemIds.map(String))].filter(
+      (id) => id !== String(survivorId)
+    );
+
+    if (sourceIds.length === 0) {
+      return next(
+        new BadRequestError(
+          "Select at least one item to merge into the survivor"
+        )
+      );
+    }
+
+    const items = await Item.find({
+      _id: { $in: [survivorId, ...sourceIds] },
+      userId: req.user.id,
+    });
+    const survivor = items.find((item) => item._id.equals(survivorId));
+    const sources = items.filter((item) => !item._id.equals(survivorId));
+
+    if (!survivor || sources.length !== sourceIds.length) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    for (const item of items) {
+      if (item.variants.length > 0 || item.isSerialized) {
+        return next(
+          new BadRequestError(
+            `${item.name} tracks variants or serial numbers and cannot be merged`
+          )
+        );
+      }
+      if ((item.unit || "unit") !== (survivor.unit || "unit")) {
+        return next(
+          new BadRequestError(`${item.name} uses a different base unit`)
+        );
+      }
+    }
+
+    if (
+      survivor.components.some((component) =>
+        sourceIds.includes(String(component.itemId))
+      )
+    ) {
+      return next(
+        new BadRequestError("A kit cannot be merged with its own components")
+      );
+    }
+
+    const [transfer, count] = await Promise.all([
+      StockTransfer.exists({
+        status: "in_transit",
+        $or: [
+          { sourceItemId: { $in: sourceIds } },
+          { destinationItemId: { $in: sourceIds } },
+        ],
+      }),
+      CountSession.exists({
+        status: { $in: ["counting", "submitted"] },
+        "lines.itemId": { $in: sourceIds },
+      }),
+    ]);
+
+    if (transfer || count) {
+      return next(
+        new ConflictError(
+          `Items with ${
+            transfer ? "transfers in transit" : "open cycle counts"
+          } cannot be merged`
+        )
+      );
+    }
+
+    const previousQuantity = survivor.quantity;
+    const previousSnapshot = ItemRevision.takeSnapshot(survivor);
+
+    // Stock, references and the trashed sources commit together
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      for (const source of sources) {
+        mergeDetails(source, survivor);
+        await moveStock(req, source, survivor, session);
+        await source.softDelete(req.user.id, { session });
+      }
+      await survivor.save({ session });
+
+      await repointReferences(req, sources, survivor, session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      return next(toRequestError(error));
+    } finally {
+      session.endSession();
+    }
+
+    const revision = await ItemRevision.record(survivor, {
+      userId: req.user.id,
+      action: "merge",
+      previous: previousSnapshot,
+    });
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: survivor._id,
+      resourceType: "item",
+      action: "merge",
+      details: {
+        name: survivor.name,
+        previousQuantity,
+        newQuantity: survivor.quantity,
+        revision: revision.revision,
+        mergedItems: sources.map((source) => ({
+          id: source._id,
+          name: source.name,
+        })),
+      },
+    });
+
+    if (survivor.quantity !== previousQuantity) {
+      notificationService.emitItemEvent("quantity_changed", {
+        item: survivor,
+        previousQuantity,
+        newQuantity: survivor.quantity,
+        userId: req.user.id,
+      });
+    }
+
+    return ApiResponse.success(
+      res,
+      `Merged ${sources.length} item(s) into ${survivor.name}`,
+      {
+        item: survivor,
+        mergedItemIds: sources.map((source) => source._id),
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,148 @@
+const ItemRelationship = require("../models/itemRelationship.model");
+const Item = require("../models/item.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+/**
+ * @desc    Get an item's relationships
+ * @route   GET /api/items/:id/relationships
+ * @access  Private
+ */
+exports.getItemRelationships = async (req, res, next) => {
+  try {
+    const item = await Item.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const relationships = await ItemRelationship.forItem(item._id, {
+      type: req.query.type,
+    });
+
+    return ApiResponse.success(res, "Relationships retrieved successfully", {
+      relationships,
+      types: ItemRelationship.TYPES,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Link another item to an item
+ * @route   POST /api/items/:id/relationships
+ * @access  Private
+ */
+exports.addItemRelationship = async (req, res, next) => {
+  try {
+    const { relatedItemId, type, note } = req.body;
+
+    if (relatedItemId === req.params.id) {
+      return next(new BadRequestError("An item cannot be related to itself"));
+    }
+
+    const [item, relatedItem] = await Promise.all([
+      Item.findOne({ _id: req.params.id, userId: req.user.id }),
+      Item.findOne({ _id: relatedItemId, userId: req.user.id }),
+    ]);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+    if (!relatedItem) {
+      return next(new NotFoundError("Related item not found"));
+    }
+
+    const existingLink = await ItemRelationship.findLink(
+      req.user.id,
+      item._id,
+      relatedItem._id,
+      type
+    );
+
+    if (existingLink) {
+      return next(
+        new ConflictError(
+          `Items are already linked as ${type.replace("_", " ")}`
+        )
+      );
+    }
+
+    const relationship = await ItemRelationship.create({
+      itemId: item._id,
+      relatedItemId: relatedItem._id,
+      type,
+      note,
+      createdBy: req.user.id,
+      userId: req.user.id,
+    });
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "custom",
+      details: {
+        customAction: "link_item",
+        name: item.name,
+        type,
+        relatedItemId: relatedItem._id,
+        relatedItemName: relatedItem.name,
+      },
+    });
+
+    return ApiResponse.created(res, "Relationship created successfully", {
+      relationship,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a relationship from an item
+ * @route   DELETE /api/items/:id/relationships/:relationshipId
+ * @access  Private
+ */
+exports.removeItemRelationship = async (req, res, next) => {
+  try {
+    // Either linked item can remove the link
+    const relationship = await ItemRelationship.findOne({
+      _id: req.params.relationshipId,
+      userId: req.user.id,
+      $or: [{ itemId: req.params.id }, { relatedItemId: req.params.id }],
+    });
+
+    if (!relationship) {
+      return next(new NotFoundError("Relationship not found"));
+    }
+
+    await relationship.deleteOne();
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: req.params.id,
+      resourceType: "item",
+      action: "custom",
+      details: {
+        customAction: "unlink_item",
+        type: relationship.type,
+        itemId: relationship.itemId,
+        relatedItemId: relationship.relatedItemId,
+      },
+    });
+
+    return ApiResponse.success(res, "Relationship removed successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,212 @@
+const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
+const Folder = require("../models/folder.model");
+const Supplier = require("../models/supplier.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+
+// Find an item owned by the current user
+const findUserItem = (req) =>
+  Item.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Summarise a revision with its changes from the one before it
+const describeRevision = (revision, previous) => ({
+  revision: revision.revision,
+  action: revision.action,
+  restoredFrom: revision.restoredFrom,
+  createdBy: revision.createdBy,
+  createdAt: revision.createdAt,
+  changes: previous
+    ? ItemRevision.diffSnapshots(previous.snapshot, revision.snapshot)
+    : [],
+});
+
+// Snapshot references to folders or suppliers that no longer exist
+const findMissingReferences = async (req, snapshot) => {
+  const missing = [];
+
+  if (
+    snapshot.folderId &&
+    !(await Folder.exists({ _id: snapshot.folderId, userId: req.user.id }))
+  ) {
+    missing.push("folderId");
+  }
+  if (
+    snapshot.preferredSupplierId &&
+    !(await Supplier.exists({
+      _id: snapshot.preferredSupplierId,
+      userId: req.user.id,
+    }))
+  ) {
+    missing.push("preferredSupplierId");
+  }
+
+  return missing;
+};
+
+/**
+ * @desc    Get an item's revisions with field-level changes
+ * @route   GET /api/items/:id/revisions
+ * @access  Private
+ */
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    // One extra revision to diff the oldest one on the page against
+    const [revisions, total] = await Promise.all([
+      ItemRevision.find({ itemId: item._id })
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(Number(limit) + 1),
+      ItemRevision.countDocuments({ itemId: item._id }),
+    ]);
+
+    return ApiResponse.success(res, "Revisions retrieved successfully", {
+      revisions: revisions
+        .slice(0, Number(limit))
+        .map((revision, index) =>
+          describeRevision(revision, revisions[index + 1])
+        ),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single revision with the item's full state at that point
+ * @route   GET /api/items/:id/revisions/:rev
+ * @access  Private
+ */
+exports.getRevision = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const revisionNumber = Number(req.params.rev);
+    const [revision, previous] = await Promise.all([
+      ItemRevision.findOne({ itemId: item._id, revision: revisionNumber }),
+      ItemRevision.findOne({
+        itemId: item._id,
+        revision: revisionNumber - 1,
+      }),
+    ]);
+
+    if (!revision) {
+      return next(new NotFoundError("Revision not found"));
+    }
+
+    return ApiResponse.success(res, "Revision retrieved successfully", {
+      revision: {
+        ...describeRevision(revision, previous),
+        snapshot: revision.snapshot,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Roll an item back to an earlier revision
+ * @route   POST /api/items/:id/revisions/:rev/restore
+ * @access  Private
+ */
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const target = await ItemRevision.findOne({
+      itemId: item._id,
+      revision: Number(req.params.rev),
+    });
+
+    if (!target) {
+      return next(new NotFoundError("Revision not found"));
+    }
+
+    const previous = ItemRevision.takeSnapshot(item);
+
+    // Keep current values where the revision points at deleted records
+    const skipped = [
+      ...ItemRevision.UNRESTORED_FIELDS,
+      ...(await findMissingReferences(req, target.snapshot)),
+    ];
+
+    [...new Set([...Object.keys(target.snapshot), ...Object.keys(previous)])]
+      .filter((field) => !skipped.includes(field))
+      .forEach((field) => item.set(field, target.snapshot[field]));
+
+    await item.save();
+
+    // The rollback is itself a new revision
+    const revision = await ItemRevision.record(item, {
+      userId: req.user.id,
+      action: "restore",
+      restoredFrom: target.revision,
+    });
+    const diff = ItemRevision.diffSnapshots(previous, revision.snapshot);
+    const changes = Object.fromEntries(
+      diff.map(({ field, from, to }) => [field, { from, to }])
+    );
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        restoredRevision: target.revision,
+        revision: revision.revision,
+        changes,
+      },
+    });
+
+    notificationService.emitItemEvent("updated", {
+      item,
+      previousItem: previous,
+      userId: req.user.id,
+      changes,
+      diff,
+      revision: revision.revision,
+    });
+
+    return ApiResponse.success(
+      res,
+      `Item restored to revision ${target.revision}`,
+      {
+        item,
+        revision: describeRevision(revision, { snapshot: previous }),
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,242 @@
+const ItemTemplate = require("../models/itemTemplate.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Unit = require("../models/unit.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+// Copy template fields from the request onto a template, checking the unit,
+// folder and custom field types. Required custom fields can be left for
+// each new item to fill in.
+const applyTemplateFields = async (req, template) => {
+  const fields = ItemTemplate.TEMPLATE_FIELDS.filter(
+    (field) => req.body[field] !== undefined
+  );
+
+  for (const field of fields) {
+    let value = req.body[field];
+
+    if (field === "unit" && value) {
+      const unit = await Unit.findUnit(req.user.id, value);
+      if (!unit) {
+        throw new BadRequestError(`Unknown unit "${value}"`);
+      }
+      value = unit.name;
+    }
+
+    if (field === "folderId" && value) {
+      const folder = await Folder.findOne({ _id: value, userId: req.user.id });
+      if (!folder) {
+        throw new NotFoundError("Folder not found");
+      }
+    }
+
+    if (field === "customFields") {
+      const definitions = await CustomFieldDefinition.getDefinitions(
+        req.user.id
+      );
+      value = { ...(value || {}) };
+      try {
+        definitions
+          .filter((definition) => value[definition.key] != null)
+          .forEach((definition) => {
+            value[definition.key] = CustomFieldDefinition.coerceValue(
+              definition,
+              value[definition.key]
+            );
+          });
+      } catch (error) {
+        throw new BadRequestError(error.message);
+      }
+    }
+
+    template[field] = value === "" ? null : value;
+  }
+};
+
+// Reject a template name already used by another of the user's templates
+const checkNameAvailable = async (req, name, excludeId) => {
+  const existingTemplate = await ItemTemplate.findOne({
+    name: name.trim(),
+    userId: req.user.id,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+
+  if (existingTemplate) {
+    throw new ConflictError("Template with this name already exists");
+  }
+};
+
+/**
+ * @desc    Get item templates
+ * @route   GET /api/item-templates
+ * @access  Private
+ */
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.search) {
+      query.name = { $regex: req.query.search, $options: "i" };
+    }
+
+    const templates = await ItemTemplate.find(query)
+      .populate("folderId", "name")
+      .sort({ name: 1 });
+
+    return ApiResponse.success(res, "Templates retrieved successfully", {
+      templates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an item template
+ * @route   GET /api/item-templates/:id
+ * @access  Private
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await ItemTemplate.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    }).populate("folderId", "name");
+
+    if (!template) {
+      return next(new NotFoundError("Template not found"));
+    }
+
+    return ApiResponse.success(res, "Template retrieved successfully", {
+      template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an item template
+ * @route   POST /api/item-templates
+ * @access  Private
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    await checkNameAvailable(req, req.body.name);
+
+    const template = new ItemTemplate({
+      name: req.body.name,
+      description: req.body.description,
+      userId: req.user.id,
+    });
+    await applyTemplateFields(req, template);
+    await template.save();
+
+    return ApiResponse.created(res, "Template created successfully", {
+      template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an item template from an existing item
+ * @route   POST /api/item-templates/from-item/:itemId
+ * @access  Private
+ */
+exports.createTemplateFromItem = async (req, res, next) => {
+  try {
+    const item = await Item.findOne({
+      _id: req.params.itemId,
+      userId: req.user.id,
+    });
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const name = req.body.name || `${item.name} template`;
+    await checkNameAvailable(req, name);
+
+    const template = new ItemTemplate({
+      name,
+      description: req.body.description,
+      ...ItemTemplate.fieldsFromItem(item),
+      sourceItemId: item._id,
+      userId: req.user.id,
+    });
+    await template.save();
+
+    return ApiResponse.created(res, "Template created successfully", {
+      template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an item template
+ * @route   PUT /api/item-templates/:id
+ * @access  Private
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const template = await ItemTemplate.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!template) {
+      return next(new NotFoundError("Template not found"));
+    }
+
+    const { name, description } = req.body;
+
+    if (name !== undefined && name.trim() !== template.name) {
+      await checkNameAvailable(req, name, template._id);
+      template.name = name;
+    }
+    if (description !== undefined) template.description = description;
+    await applyTemplateFields(req, template);
+
+    await template.save();
+
+    return ApiResponse.success(res, "Template updated successfully", {
+      template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an item template
+ * @route   DELETE /api/item-templates/:id
+ * @access  Private
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await ItemTemplate.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!template) {
+      return next(new NotFoundError("Template not found"));
+    }
+
+    await template.deleteOne();
+
+    return ApiResponse.success(res, "Template deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,319 @@
+const Item = require("../models/item.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+const mongoose = require("mongoose");
+
+// Find an item owned by the current user
+const findUserItem = (req) =>
+  Item.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Load the component items of a bill of materials
+const findComponentItems = (req, components) =>
+  Item.find({
+    _id: { $in: components.map((component) => component.itemId) },
+    userId: req.user.id,
+  });
+
+// Describe each component alongside the stock it has for building
+const describeComponents = (components, componentItems) =>
+  components.map((component) => {
+    const item = componentItems.find((i) => i._id.equals(component.itemId));
+    return {
+      itemId: component.itemId,
+      name: item ? item.name : null,
+      sku: item ? item.sku : null,
+      unit: item ? item.unit : null,
+      quantity: component.quantity,
+      availableQuantity: item ? item.availableQuantity : 0,
+      buildableQuantity: Item.getBuildableQuantity([component], componentItems),
+    };
+  });
+
+// Location to draw a component from: the requested one when the component
+// holds enough there, otherwise wherever the component itself is stored
+const getComponentLocation = (item, locationId, requiredQuantity) =>
+  locationId && item.getLocationQuantity(locationId) >= requiredQuantity
+    ? locationId
+    : null;
+
+// Check whether the kit is reachable from the given components
+const containsKit = async (req, kitId, componentIds) => {
+  const visited = new Set();
+  let frontier = componentIds.map(String);
+
+  while (frontier.length > 0) {
+    if (frontier.includes(String(kitId))) return true;
+    frontier.forEach((id) => visited.add(id));
+
+    const items = await Item.find({
+      _id: { $in: frontier },
+      userId: req.user.id,
+    }).select("components");
+
+    frontier = [
+      ...new Set(
+        items.flatMap((item) =>
+          item.components.map((component) => String(component.itemId))
+        )
+      ),
+    ].filter((id) => !visited.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * @desc    Get a kit's components and how many kits can be built
+ * @route   GET /api/items/:id/components
+ * @access  Private
+ */
+exports.getComponents = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const componentItems = await findComponentItems(req, item.components);
+
+    return ApiResponse.success(res, "Components retrieved successfully", {
+      components: describeComponents(item.components, componentItems),
+      buildableQuantity: Item.getBuildableQuantity(
+        item.components,
+        componentItems
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace a kit's bill of materials
+ * @route   PUT /api/items/:id/components
+ * @access  Private
+ */
+exports.setComponents = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const components = req.body.components.map((component) => ({
+      itemId: component.itemId,
+      quantity: Number(component.quantity),
+    }));
+
+    const componentIds = components.map((component) =>
+      String(component.itemId)
+    );
+    if (new Set(componentIds).size !== componentIds.length) {
+      return next(
+        new BadRequestError("Each component can only be listed once")
+      );
+    }
+
+    const componentItems = await findComponentItems(req, components);
+
+    for (const component of components) {
+      const componentItem = componentItems.find((i) =>
+        i._id.equals(component.itemId)
+      );
+
+      if (!componentItem) {
+        return next(
+          new NotFoundError(`Component item ${component.itemId} not found`)
+        );
+      }
+      if (componentItem.variants.length > 0 || componentItem.isSerialized) {
+        return next(
+          new BadRequestError(
+            `${componentItem.name} tracks variants or serial numbers and cannot be a component`
+          )
+        );
+      }
+    }
+
+    if (await containsKit(req, item._id, componentIds)) {
+      return next(new BadRequestError("A kit cannot contain itself"));
+    }
+
+    item.components = components;
+    await item.save();
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        components: components.length,
+      },
+    });
+
+    return ApiResponse.success(res, "Components updated successfully", {
+      components: describeComponents(item.components, componentItems),
+      buildableQuantity: Item.getBuildableQuantity(
+        item.components,
+        componentItems
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Build kits, consuming their components
+ * @route   POST /api/items/:id/build
+ * @access  Private
+ */
+exports.buildKit = async (req, res, next) => {
+  try {
+    const { locationId, notes } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    const kit = await findUserItem(req);
+
+    if (!kit) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    if (kit.components.length === 0) {
+      return next(new BadRequestError("Item has no components to build from"));
+    }
+
+    if (
+      locationId &&
+      (await Location.countDocuments({
+        _id: locationId,
+        userId: req.user.id,
+      })) === 0
+    ) {
+      return next(new NotFoundError("Location not found"));
+    }
+
+    const componentItems = await findComponentItems(req, kit.components);
+
+    // Refuse the whole build if any component is short
+    const shortages = describeComponents(kit.components, componentItems)
+      .map((component) => ({
+        ...component,
+        requiredQuantity: component.quantity * quantity,
+      }))
+      .filter(
+        (component) => component.availableQuantity < component.requiredQuantity
+      );
+
+    if (shortages.length > 0) {
+      return next(
+        new BadRequestError(
+          `Not enough stock to build ${quantity}: ${shortages
+            .map(
+              (component) =>
+                `${component.name || component.itemId} needs ${
+                  component.requiredQuantity
+                }, ${component.availableQuantity} available`
+            )
+            .join("; ")}`
+        )
+      );
+    }
+
+    const reason = notes || `Built ${quantity} x ${kit.name}`;
+    const metadata = { kitId: kit._id, buildQuantity: quantity };
+    const changes = [];
+
+    // Components and kit stock commit together or not at all
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      for (const component of kit.components) {
+        const item = componentItems.find((i) => i._id.equals(component.itemId));
+        const previousQuantity = item.quantity;
+        const change = -component.quantity * quantity;
+
+        const result = await item.updateQuantity(change, reason, {
+          userId: req.user.id,
+          reasonCode: "assembly",
+          source: "kit_build",
+          locationId: getComponentLocation(item, locationId, -change),
+          metadata,
+          session,
+        });
+        changes.push({ item, previousQuantity, change, result });
+      }
+
+      // Kit stock is valued at what its components cost
+      const componentCost = changes.reduce(
+        (sum, { result }) => sum + result.cost,
+        0
+      );
+      const previousQuantity = kit.quantity;
+      const result = await kit.updateQuantity(quantity, reason, {
+        userId: req.user.id,
+        reasonCode: "assembly",
+        source: "kit_build",
+        locationId,
+        unitCost: componentCost / quantity,
+        metadata,
+        session,
+      });
+      changes.push({ item: kit, previousQuantity, change: quantity, result });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      return next(new BadRequestError(error.message));
+    } finally {
+      session.endSession();
+    }
+
+    for (const { item, previousQuantity, change, result } of changes) {
+      await Activity.create({
+        userId: req.user.id,
+        resourceId: item._id,
+        resourceType: "item",
+        action: "quantity_change",
+        details: {
+          name: item.name,
+          previousQuantity,
+          newQuantity: item.quantity,
+          change,
+          reason,
+          kitId: kit._id,
+          transactionId: result.transactionId,
+        },
+      });
+
+      notificationService.emitItemEvent("quantity_changed", {
+        item,
+        previousQuantity,
+        newQuantity: item.quantity,
+        userId: req.user.id,
+      });
+    }
+
+    return ApiResponse.success(res, `Built ${quantity} x ${kit.name}`, {
+      item: kit,
+      components: describeComponents(kit.components, componentItems),
+      buildableQuantity: Item.getBuildableQuantity(
+        kit.components,
+        componentItems
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
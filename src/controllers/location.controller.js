@@ -0,0 +1,205 @@
+const Location = require("../models/location.model");
+const Item = require("../models/item.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+/**
+ * @desc    Create a new location
+ * @route   POST /api/locations
+ * @access  Private
+ */
+exports.createLocation = async (req, res, next) => {
+  try {
+    const { name, code, description } = req.body;
+
+    const existingLocation = await Location.findOne({
+      name: name.trim(),
+      userId: req.user.id,
+    });
+
+    if (existingLocation) {
+      return next(new ConflictError("Location with this name already exists"));
+    }
+
+    const location = await Location.create({
+      name,
+      code,
+      description,
+      userId: req.user.id,
+    });
+
+    return ApiResponse.created(res, "Location created successfully", {
+      location,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all locations
+ * @route   GET /api/locations
+ * @access  Private
+ */
+exports.getLocations = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.search) {
+      query.name = { $regex: req.query.search, $options: "i" };
+    }
+
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true";
+    }
+
+    const locations = await Location.find(query).sort({ name: 1 });
+
+    const locationsWithStock = await Promise.all(
+      locations.map(async (location) => ({
+        ...location.toObject(),
+        stock: await location.getStockSummary(),
+      }))
+    );
+
+    return ApiResponse.success(res, "Locations retrieved successfully", {
+      locations: locationsWithStock,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get location by ID with the items stocked there
+ * @route   GET /api/locations/:id
+ * @access  Private
+ */
+exports.getLocationById = async (req, res, next) => {
+  try {
+    const location = await Location.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!location) {
+      return next(new NotFoundError("Location not found"));
+    }
+
+    const items = await Item.find({
+      userId: req.user.id,
+      "stockLocations.locationId": location._id,
+    })
+      .select("name sku unit minLevel price quantity stockLocations folderId")
+      .populate("folderId", "name")
+      .sort({ name: 1 });
+
+    const stockedItems = items.map((item) => ({
+      _id: item._id,
+      name: item.name,
+      sku: item.sku,
+      unit: item.unit,
+      folderId: item.folderId,
+      totalQuantity: item.quantity,
+      quantity: item.getLocationQuantity(location._id),
+    }));
+
+    return ApiResponse.success(res, "Location retrieved successfully", {
+      location,
+      stock: await location.getStockSummary(),
+      items: stockedItems,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update location
+ * @route   PUT /api/locations/:id
+ * @access  Private
+ */
+exports.updateLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!location) {
+      return next(new NotFoundError("Location not found"));
+    }
+
+    const { name, code, description, isActive } = req.body;
+
+    if (name && name.trim() !== location.name) {
+      const existingLocation = await Location.findOne({
+        name: name.trim(),
+        userId: req.user.id,
+        _id: { $ne: location._id },
+      });
+
+      if (existingLocation) {
+        return next(
+          new ConflictError("Location with this name already exists")
+        );
+      }
+      location.name = name;
+    }
+
+    if (code !== undefined) location.code = code;
+    if (description !== undefined) location.description = description;
+    if (isActive !== undefined) location.isActive = isActive;
+
+    await location.save();
+
+    return ApiResponse.success(res, "Location updated successfully", {
+      location,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete location
+ * @route   DELETE /api/locations/:id
+ * @access  Private
+ */
+exports.deleteLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!location) {
+      return next(new NotFoundError("Location not found"));
+    }
+
+    const { totalQuantity } = await location.getStockSummary();
+    if (totalQuantity > 0) {
+      return next(
+        new BadRequestError(
+          "Cannot delete location that holds stock. Please move the stock first."
+        )
+      );
+    }
+
+    // Drop empty balances that still reference this location
+    await Item.updateMany(
+      { userId: req.user.id, "stockLocations.locationId": location._id },
+      { $pull: { stockLocations: { locationId: location._id } } }
+    );
+
+    await location.deleteOne();
+
+    return ApiResponse.success(res, "Location deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,290 @@
+const Item = require("../models/item.model");
+const Activity = require("../models/activity.model");
+const Alert = require("../models/alert.model");
+const Location = require("../models/location.model");
+const Unit = require("../models/unit.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+const expirationService = require("../services/expirationService");
+
+// Find an item owned by the current user
+const findUserItem = (req) =>
+  Item.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Resolve open expiration alerts so the next check re-evaluates the lot
+const resetLotAlerts = (item, lot) =>
+  Alert.updateMany(
+    {
+      itemId: item._id,
+      type: "expiration",
+      "metadata.lotId": lot._id,
+      status: { $in: ["active", "read", "dismissed"] },
+    },
+    { status: "resolved", resolvedAt: new Date() }
+  );
+
+/**
+ * @desc    Get item lots in first-expiring-first-out order
+ * @route   GET /api/items/:id/lots
+ * @access  Private
+ */
+exports.getLots = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const now = new Date();
+    let lots = item.getLotsByExpiry().map((lot) => ({
+      ...lot.toObject(),
+      daysUntilExpiry: lot.expiryDate
+        ? expirationService.getDaysUntilExpiry(lot.expiryDate, now)
+        : null,
+    }));
+
+    if (req.query.includeEmpty !== "true") {
+      lots = lots.filter((lot) => lot.quantity > 0);
+    }
+
+    if (req.query.expiringWithin !== undefined) {
+      const days = Number(req.query.expiringWithin);
+      lots = lots.filter(
+        (lot) => lot.daysUntilExpiry !== null && lot.daysUntilExpiry <= days
+      );
+    }
+
+    return ApiResponse.success(res, "Lots retrieved successfully", {
+      lots,
+      totalQuantity: item.quantity,
+      unassignedQuantity: item.getUnassignedLotQuantity(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive stock into a lot
+ * @route   POST /api/items/:id/lots
+ * @access  Private
+ */
+exports.receiveLot = async (req, res, next) => {
+  try {
+    const {
+      lotNumber,
+      quantity,
+      expiryDate,
+      receivedDate,
+      notes,
+      reason,
+      locationId,
+      variantId,
+      unit,
+    } = req.body;
+
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    // Verify the target location belongs to the user
+    if (locationId) {
+      const location = await Location.findOne({
+        _id: locationId,
+        userId: req.user.id,
+      });
+
+      if (!location) {
+        return next(new NotFoundError("Location not found"));
+      }
+    }
+
+    const previousQuantity = item.quantity;
+
+    try {
+      // Receipts may be entered in any unit compatible with the base unit
+      const baseQuantity = unit
+        ? await Unit.convert(
+            req.user.id,
+            Number(quantity),
+            unit,
+            item.unit || "unit"
+          )
+        : Number(quantity);
+
+      const result = await item.updateQuantity(
+        baseQuantity,
+        reason || `Received lot ${lotNumber}`,
+        {
+          userId: req.user.id,
+          reasonCode: "receipt",
+          locationId,
+          variantId,
+          lot: { lotNumber, expiryDate, receivedDate, notes },
+          metadata: unit
+            ? { unit, enteredChange: Number(quantity) }
+            : undefined,
+        }
+      );
+      const lot = item.lots.id(result.lots[0].lotId);
+
+      await Activity.create({
+        userId: req.user.id,
+        resourceId: item._id,
+        resourceType: "item",
+        action: "quantity_change",
+        details: {
+          name: item.name,
+          previousQuantity,
+          newQuantity: item.quantity,
+          change: baseQuantity,
+          reason: reason || `Received lot ${lotNumber}`,
+          lotId: lot._id,
+          lotNumber: lot.lotNumber,
+          transactionId: result.transactionId,
+        },
+      });
+
+      notificationService.emitItemEvent("quantity_changed", {
+        item,
+        previousQuantity,
+        newQuantity: item.quantity,
+        userId: req.user.id,
+      });
+
+      return ApiResponse.created(res, "Lot received successfully", {
+        item,
+        lot,
+        quantityChange: result,
+      });
+    } catch (error) {
+      return next(new BadRequestError(error.message));
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update lot details
+ * @route   PUT /api/items/:id/lots/:lotId
+ * @access  Private
+ */
+exports.updateLot = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const lot = item.lots.id(req.params.lotId);
+
+    if (!lot) {
+      return next(new NotFoundError("Lot not found"));
+    }
+
+    const { lotNumber, expiryDate, receivedDate, notes } = req.body;
+
+    if (lotNumber !== undefined && lotNumber !== lot.lotNumber) {
+      const duplicate = item.lots.find(
+        (other) =>
+          other._id.toString() !== lot._id.toString() &&
+          other.lotNumber === lotNumber
+      );
+      if (duplicate) {
+        return next(new BadRequestError("Lot with this number already exists"));
+      }
+      lot.lotNumber = lotNumber;
+    }
+    if (expiryDate !== undefined) lot.expiryDate = expiryDate;
+    if (receivedDate !== undefined) lot.receivedDate = receivedDate;
+    if (notes !== undefined) lot.notes = notes;
+
+    const expiryChanged = lot.isModified("expiryDate");
+    await item.save();
+
+    if (expiryChanged) {
+      await resetLotAlerts(item, lot);
+    }
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        lotAction: "update",
+        lotId: lot._id,
+        lotNumber: lot.lotNumber,
+      },
+    });
+
+    return ApiResponse.success(res, "Lot updated successfully", {
+      item,
+      lot,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an empty lot
+ * @route   DELETE /api/items/:id/lots/:lotId
+ * @access  Private
+ */
+exports.deleteLot = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const lot = item.lots.id(req.params.lotId);
+
+    if (!lot) {
+      return next(new NotFoundError("Lot not found"));
+    }
+
+    if (lot.quantity > 0) {
+      return next(
+        new BadRequestError(
+          "Cannot delete lot that holds stock. Please adjust its quantity to zero first."
+        )
+      );
+    }
+
+    const removedLot = lot.toObject();
+
+    lot.deleteOne();
+    await item.save();
+    await resetLotAlerts(item, removedLot);
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        lotAction: "delete",
+        lotId: removedLot._id,
+        lotNumber: removedLot.lotNumber,
+      },
+    });
+
+    return ApiResponse.success(res, "Lot deleted successfully", { item });
+  } catch (error) {
+    next(error);
+  }
+};
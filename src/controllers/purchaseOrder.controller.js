@@ -0,0 +1,436 @@
+const PurchaseOrder = require("../models/purchaseOrder.model");
+const Supplier = require("../models/supplier.model");
+const Item = require("../models/item.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const Alert = require("../models/alert.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+
+// Find a purchase order owned by the current user
+const findUserOrder = (req) =>
+  PurchaseOrder.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Find a supplier owned by the current user
+const findUserSupplier = async (req, supplierId) => {
+  const supplier = await Supplier.findOne({
+    _id: supplierId,
+    userId: req.user.id,
+  });
+
+  if (!supplier) {
+    throw new NotFoundError("Supplier not found");
+  }
+
+  return supplier;
+};
+
+// Check that every location named on the given lines belongs to the user
+const checkUserLocations = async (req, lines) => {
+  const locationIds = [
+    ...new Set(
+      lines
+        .filter((line) => line.locationId)
+        .map((line) => String(line.locationId))
+    ),
+  ];
+  const locationCount = locationIds.length
+    ? await Location.countDocuments({
+        _id: { $in: locationIds },
+        userId: req.user.id,
+      })
+    : 0;
+
+  if (locationCount !== locationIds.length) {
+    throw new NotFoundError("Location not found");
+  }
+};
+
+// Validate requested order lines against the user's items and locations
+const buildOrderLines = async (req, lines, supplierId) => {
+  const itemIds = [...new Set(lines.map((line) => String(line.itemId)))];
+  const items = await Item.find({ _id: { $in: itemIds }, userId: req.user.id });
+
+  await checkUserLocations(req, lines);
+
+  return lines.map((line) => {
+    const item = items.find((i) => i._id.equals(line.itemId));
+
+    if (!item) {
+      throw new NotFoundError(`Item ${line.itemId} not found`);
+    }
+    if (item.isSerialized) {
+      throw new BadRequestError(
+        `${item.name} is serialized; receive it by registering serial numbers`
+      );
+    }
+    if (item.variants.length > 0 && !item.variants.id(line.variantId)) {
+      throw new BadRequestError(`A variant of ${item.name} is required`);
+    }
+    if (item.variants.length === 0 && line.variantId) {
+      throw new BadRequestError(`${item.name} has no variants`);
+    }
+
+    // Default to the item's cost when ordering from its preferred supplier
+    const isPreferred =
+      item.preferredSupplierId && item.preferredSupplierId.equals(supplierId);
+    const unitCost =
+      line.unitCost !== undefined
+        ? Number(line.unitCost)
+        : isPreferred
+          ? item.cost || 0
+          : 0;
+
+    return {
+      itemId: item._id,
+      variantId: line.variantId || null,
+      locationId: line.locationId || null,
+      quantityOrdered: Number(line.quantityOrdered),
+      unitCost,
+      notes: line.notes,
+    };
+  });
+};
+
+/**
+ * @desc    Create a purchase order
+ * @route   POST /api/purchase-orders
+ * @access  Private
+ */
+exports.createPurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplierId, lines = [], expectedDate, notes } = req.body;
+
+    const supplier = await findUserSupplier(req, supplierId);
+    const orderLines = await buildOrderLines(req, lines, supplier._id);
+
+    const order = await PurchaseOrder.create({
+      orderNumber: await PurchaseOrder.nextOrderNumber(req.user.id),
+      supplierId: supplier._id,
+      userId: req.user.id,
+      lines: orderLines,
+      expectedDate: expectedDate || null,
+      notes,
+    });
+
+    return ApiResponse.created(res, "Purchase order created successfully", {
+      purchaseOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/purchase-orders
+ * @access  Private
+ */
+exports.getPurchaseOrders = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.supplierId) {
+      query.supplierId = req.query.supplierId;
+    }
+    if (req.query.itemId) {
+      query["lines.itemId"] = req.query.itemId;
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate("supplierId", "name")
+      .sort({ createdAt: -1 });
+
+    return ApiResponse.success(res, "Purchase orders retrieved successfully", {
+      purchaseOrders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get purchase order by ID
+ * @route   GET /api/purchase-orders/:id
+ * @access  Private
+ */
+exports.getPurchaseOrderById = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req)
+      .populate("supplierId")
+      .populate("lines.itemId", "name sku unit quantity");
+
+    if (!order) {
+      return next(new NotFoundError("Purchase order not found"));
+    }
+
+    return ApiResponse.success(res, "Purchase order retrieved successfully", {
+      purchaseOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a draft purchase order
+ * @route   PUT /api/purchase-orders/:id
+ * @access  Private
+ */
+exports.updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Purchase order not found"));
+    }
+
+    if (order.status !== "draft") {
+      return next(
+        new BadRequestError("Only draft purchase orders can be edited")
+      );
+    }
+
+    const { supplierId, lines, expectedDate, notes } = req.body;
+
+    if (supplierId !== undefined) {
+      const supplier = await findUserSupplier(req, supplierId);
+      order.supplierId = supplier._id;
+    }
+    if (lines !== undefined) {
+      order.lines = await buildOrderLines(req, lines, order.supplierId);
+    }
+    if (expectedDate !== undefined) order.expectedDate = expectedDate;
+    if (notes !== undefined) order.notes = notes;
+
+    await order.save();
+
+    return ApiResponse.success(res, "Purchase order updated successfully", {
+      purchaseOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change purchase order status (send or close)
+ * @route   PUT /api/purchase-orders/:id/status
+ * @access  Private
+ */
+exports.updatePurchaseOrderStatus = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Purchase order not found"));
+    }
+
+    const { status } = req.body;
+
+    if (!order.canTransitionTo(status)) {
+      return next(
+        new BadRequestError(
+          `Cannot change purchase order from ${order.status} to ${status}`
+        )
+      );
+    }
+
+    if (status === "sent") {
+      if (order.lines.length === 0) {
+        return next(
+          new BadRequestError("Cannot send a purchase order without lines")
+        );
+      }
+      order.sentAt = Date.now();
+    } else if (status === "closed") {
+      order.closedAt = Date.now();
+    }
+
+    order.status = status;
+    await order.save();
+
+    return ApiResponse.success(res, `Purchase order ${status}`, {
+      purchaseOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive stock against purchase order lines
+ * @route   POST /api/purchase-orders/:id/receive
+ * @access  Private
+ */
+exports.receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Purchase order not found"));
+    }
+
+    if (!order.isReceivable()) {
+      return next(
+        new BadRequestError(
+          `Cannot receive against a ${order.status} purchase order`
+        )
+      );
+    }
+
+    // Check every receipt before any stock moves
+    const receipts = [];
+    for (const receipt of req.body.lines) {
+      const line = order.lines.id(receipt.lineId);
+
+      if (!line) {
+        return next(new NotFoundError(`Line ${receipt.lineId} not found`));
+      }
+
+      const quantity = Number(receipt.quantity);
+      const queued = receipts
+        .filter((queuedReceipt) => queuedReceipt.line === line)
+        .reduce((sum, queuedReceipt) => sum + queuedReceipt.quantity, 0);
+
+      if (quantity + queued > line.outstandingQuantity) {
+        return next(
+          new BadRequestError(
+            `Cannot receive ${quantity + queued}; only ${line.outstandingQuantity} outstanding on line ${line._id}`
+          )
+        );
+      }
+
+      receipts.push({ ...receipt, line, quantity });
+    }
+
+    await checkUserLocations(req, receipts);
+
+    const received = [];
+    for (const {
+      line,
+      quantity,
+      locationId,
+      lotNumber,
+      expiryDate,
+    } of receipts) {
+      const item = await Item.findOne({
+        _id: line.itemId,
+        userId: req.user.id,
+      });
+
+      if (!item) {
+        return next(new NotFoundError(`Item ${line.itemId} not found`));
+      }
+
+      const previousQuantity = item.quantity;
+      const reason = `Received on ${order.orderNumber}`;
+
+      // Receipts from the preferred supplier keep the item's cost current
+      if (
+        line.unitCost > 0 &&
+        item.preferredSupplierId &&
+        item.preferredSupplierId.equals(order.supplierId)
+      ) {
+        item.cost = line.unitCost;
+      }
+
+      let result;
+      try {
+        result = await item.updateQuantity(quantity, reason, {
+          userId: req.user.id,
+          reasonCode: "receipt",
+          source: "purchase_order",
+          locationId: locationId || line.locationId,
+          variantId: line.variantId,
+          lot: lotNumber ? { lotNumber, expiryDate } : undefined,
+          unitCost: line.unitCost,
+          metadata: {
+            purchaseOrderId: order._id,
+            orderNumber: order.orderNumber,
+            lineId: line._id,
+          },
+        });
+      } catch (error) {
+        // Keep the lines received so far
+        order.refreshReceivingStatus();
+        await order.save();
+        return next(new BadRequestError(`${item.name}: ${error.message}`));
+      }
+
+      line.quantityReceived += quantity;
+      order.refreshReceivingStatus();
+      await order.save();
+
+      await Alert.checkAndResolveAlerts(item);
+
+      await Activity.create({
+        userId: req.user.id,
+        resourceId: item._id,
+        resourceType: "item",
+        action: "quantity_change",
+        details: {
+          name: item.name,
+          previousQuantity,
+          newQuantity: item.quantity,
+          change: quantity,
+          reason,
+          purchaseOrderId: order._id,
+          transactionId: result.transactionId,
+        },
+      });
+
+      notificationService.emitItemEvent("quantity_changed", {
+        item,
+        previousQuantity,
+        newQuantity: item.quantity,
+        userId: req.user.id,
+      });
+
+      received.push({ lineId: line._id, itemId: item._id, ...result });
+    }
+
+    return ApiResponse.success(res, "Purchase order received successfully", {
+      purchaseOrder: order,
+      received,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a draft purchase order
+ * @route   DELETE /api/purchase-orders/:id
+ * @access  Private
+ */
+exports.deletePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Purchase order not found"));
+    }
+
+    if (order.status !== "draft") {
+      return next(
+        new BadRequestError(
+          "Only draft purchase orders can be deleted. Close it instead."
+        )
+      );
+    }
+
+    await order.deleteOne();
+
+    return ApiResponse.success(res, "Purchase order deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
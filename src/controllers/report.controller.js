@@ -2,8 +2,60 @@ const Item = require("../models/item.model");
 const Folder = require("../models/folder.model");
 const Activity = require("../models/activity.model");
 const Alert = require("../models/alert.model");
+const Unit = require("../models/unit.model");
+const UserSettings = require("../models/settings.model");
+const ExchangeRate = require("../models/exchangeRate.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const PurchaseOrder = require("../models/purchaseOrder.model");
 const ApiResponse = require("../utils/apiResponse");
 const { CustomError } = require("../utils/customError");
+const mongoose = require("mongoose");
+const { Parser } = require("json2csv");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roll per-unit totals up into per-dimension totals in each base unit
+const summarizeByDimension = (catalog, unitTotals) => {
+  const dimensions = {};
+
+  for (const { _id: unitName, itemCount, totalQuantity } of unitTotals) {
+    const unit = Unit.findInCatalog(catalog, unitName || "unit");
+    const dimension = unit ? unit.dimension : "other";
+    const baseUnit = unit ? Unit.BASE_UNITS[unit.dimension] : null;
+
+    if (!dimensions[dimension]) {
+      dimensions[dimension] = {
+        dimension,
+        baseUnit,
+        itemCount: 0,
+        totalQuantity: 0,
+        units: [],
+      };
+    }
+
+    const entry = dimensions[dimension];
+    entry.itemCount += itemCount;
+    entry.totalQuantity += unit
+      ? Unit.convertWithCatalog(catalog, totalQuantity, unit.name, baseUnit)
+      : totalQuantity;
+    entry.units.push({ unit: unitName, itemCount, totalQuantity });
+  }
+
+  return Object.values(dimensions);
+};
+
+// Cost of an item's stock, or its share held at one location
+const getCostValue = (item, method, locationId) => {
+  const value = Item.getInventoryValue(item, method);
+  if (!locationId || !item.quantity) return value;
+
+  const held = Item.totalStock(
+    (item.stockLocations || []).filter(
+      (stock) => stock.locationId.toString() === locationId
+    )
+  );
+  return (value * held) / item.quantity;
+};
 
 // Get inventory summary report
 const getInventorySummary = async (req, res, next) => {
@@ -15,6 +67,7 @@ const getInventorySummary = async (req, res, next) => {
       maxPrice,
       lowStock,
       search,
+      locationId,
       page = 1,
       limit = 50,
       dateRange,
@@ -27,6 +80,22 @@ const getInventorySummary = async (req, res, next) => {
       query.folderId = folderId;
     }
 
+    // Restrict to stock held at one location
+    if (locationId) {
+      if (!mongoose.Types.ObjectId.isValid(locationId)) {
+        throw new CustomError("Invalid location ID", 400);
+      }
+      query["stockLocations.locationId"] = new mongoose.Types.ObjectId(
+        locationId
+      );
+    }
+    const quantityField = locationId
+      ? Item.locationQuantityExpr(locationId)
+      : "$quantity";
+    const locationStages = locationId
+      ? [{ $addFields: { quantity: quantityField } }]
+      : [];
+
     if (tags) {
       const tagArray = Array.isArray(tags) ? tags : [tags];
       query.tags = { $in: tagArray };
@@ -39,7 +108,7 @@ const getInventorySummary = async (req, res, next) => {
     }
 
     if (lowStock === "true") {
-      query.$expr = { $lt: ["$quantity", "$minLevel"] };
+      query.$expr = { $lt: [quantityField, "$minLevel"] };
     }
 
     if (search) {
@@ -56,18 +125,57 @@ const getInventorySummary = async (req, res, next) => {
       }
     }
 
-    const items = await Item.find(query)
+    let items = await Item.find(query)
       .populate("folderId", "name path")
       .sort({ name: 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .lean();
 
+    // Cost of goods on hand follows the account's valuation method, and
+    // money is reported in the account's base currency
+    const { valuationMethod, baseCurrency } =
+      await UserSettings.getInventorySettings(req.user.id);
+    const converter = await ExchangeRate.getConverter(
+      req.user.id,
+      baseCurrency
+    );
+    const currencyStages = [
+      {
+        $addFields: {
+          price: { $multiply: ["$price", converter.rateExpr()] },
+        },
+      },
+    ];
+
+    items = items.map((item) => ({
+      ...item,
+      priceInBase: converter.toBase(item.price, item.currency),
+      costValue: converter.toBase(
+        getCostValue(item, valuationMethod, locationId),
+        item.currency
+      ),
+    }));
+
+    if (locationId) {
+      items = items.map((item) => ({
+        ...item,
+        totalQuantity: item.quantity,
+        quantity: Item.totalStock(
+          (item.stockLocations || []).filter(
+            (stock) => stock.locationId.toString() === locationId
+          )
+        ),
+      }));
+    }
+
     const total = await Item.countDocuments(query);
 
     // Enhanced summary statistics with trends
     const summary = await Item.aggregate([
       { $match: query },
+      ...locationStages,
+      ...currencyStages,
       {
         $group: {
           _id: null,
@@ -103,6 +211,8 @@ const getInventorySummary = async (req, res, next) => {
     // Get folder-wise breakdown
     const folderBreakdown = await Item.aggregate([
       { $match: query },
+      ...locationStages,
+      ...currencyStages,
       {
         $lookup: {
           from: "folders",
@@ -128,6 +238,8 @@ const getInventorySummary = async (req, res, next) => {
     // Get tag-wise breakdown
     const tagBreakdown = await Item.aggregate([
       { $match: query },
+      ...locationStages,
+      ...currencyStages,
       { $unwind: "$tags" },
       {
         $group: {
@@ -141,6 +253,41 @@ const getInventorySummary = async (req, res, next) => {
       { $limit: 10 },
     ]);
 
+    // Get quantity totals normalized to each dimension's base unit
+    const unitTotals = await Item.aggregate([
+      { $match: query },
+      ...locationStages,
+      {
+        $group: {
+          _id: "$unit",
+          itemCount: { $sum: 1 },
+          totalQuantity: { $sum: "$quantity" },
+        },
+      },
+    ]);
+    const quantityByDimension = summarizeByDimension(
+      await Unit.getCatalog(req.user.id),
+      unitTotals
+    );
+
+    const costItems = await Item.find(query)
+      .select("quantity cost currency averageCost costLayers stockLocations")
+      .lean();
+    const totalCost = costItems.reduce(
+      (sum, item) =>
+        sum +
+        (converter.toBase(
+          getCostValue(item, valuationMethod, locationId),
+          item.currency
+        ) || 0),
+      0
+    );
+
+    // Values in currencies without a rate are left out of the totals
+    const unconvertedCurrencies = [
+      ...new Set(costItems.map((item) => item.currency)),
+    ].filter((currency) => converter.getRate(currency) === null);
+
     const stats = summary[0] || {
       totalItems: 0,
       totalQuantity: 0,
@@ -158,9 +305,16 @@ const getInventorySummary = async (req, res, next) => {
       "Inventory summary retrieved successfully",
       {
         items,
-        summary: stats,
+        summary: {
+          ...stats,
+          totalCost,
+          valuationMethod,
+          baseCurrency,
+          unconvertedCurrencies,
+        },
         folderBreakdown,
         tagBreakdown,
+        quantityByDimension,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -322,6 +476,199 @@ const getUserActivitySummary = async (req, res, next) => {
   }
 };
 
+// Get suggested reorders grouped by supplier or folder
+const getReorderSuggestions = async (req, res, next) => {
+  try {
+    const { groupBy = "supplier", folderId, supplierId, format } = req.query;
+    const days = Number(req.query.days) || 90;
+    const coverageDays =
+      req.query.coverageDays !== undefined
+        ? Number(req.query.coverageDays)
+        : 30;
+
+    const query = { userId: req.user.id };
+    if (folderId) {
+      query.folderId = folderId;
+    }
+    if (supplierId) {
+      query.preferredSupplierId = supplierId;
+    }
+
+    const items = await Item.find(query)
+      .populate("preferredSupplierId", "name email")
+      .sort({ name: 1 });
+
+    // Estimated costs are totalled in the account's base currency
+    const { baseCurrency } = await UserSettings.getInventorySettings(
+      req.user.id
+    );
+    const converter = await ExchangeRate.getConverter(
+      req.user.id,
+      baseCurrency
+    );
+
+    const consumption = await StockTransaction.getConsumption(
+      req.user.id,
+      new Date(Date.now() - days * DAY_MS)
+    );
+
+    // Stock on open purchase orders already covers part of the need
+    const openOrders = await PurchaseOrder.find({
+      userId: req.user.id,
+      status: { $in: ["sent", "partially_received"] },
+    });
+    const onOrder = new Map();
+    for (const order of openOrders) {
+      for (const line of order.lines) {
+        const key = line.itemId.toString();
+        onOrder.set(key, (onOrder.get(key) || 0) + line.outstandingQuantity);
+      }
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const key = item._id.toString();
+      const suggestion = item.getReorderSuggestion({
+        dailyUsage: (consumption.get(key) || 0) / days,
+        onOrder: onOrder.get(key) || 0,
+        coverageDays,
+      });
+
+      if (!suggestion) continue;
+
+      const supplier = item.preferredSupplierId;
+      const unitCost = item.cost || item.price || 0;
+      lines.push({
+        itemId: item._id,
+        name: item.name,
+        sku: item.sku,
+        unit: item.unit,
+        folderId: item.folderId,
+        supplierId: supplier ? supplier._id : null,
+        supplierName: supplier ? supplier.name : null,
+        quantity: item.quantity,
+        availableQuantity: item.availableQuantity,
+        onOrder: suggestion.onOrder,
+        reorderPoint: suggestion.reorderPoint,
+        leadTimeDays: item.leadTimeDays || 0,
+        dailyUsage: Math.round(suggestion.dailyUsage * 100) / 100,
+        suggestedQuantity: suggestion.suggestedQuantity,
+        unitCost,
+        currency: item.currency || baseCurrency,
+        // Null when the item's currency has no rate to the base currency
+        estimatedCost: converter.toBase(
+          suggestion.suggestedQuantity * unitCost,
+          item.currency
+        ),
+      });
+    }
+
+    // Costs in currencies without a rate are left out of the totals
+    const unconvertedCurrencies = [
+      ...new Set(
+        lines
+          .filter((line) => line.estimatedCost === null)
+          .map((line) => line.currency)
+      ),
+    ];
+
+    const folderPaths = await Folder.getPathNames(
+      lines.filter((line) => line.folderId).map((line) => line.folderId)
+    );
+    lines.forEach((line) => {
+      line.folderPath =
+        (line.folderId && folderPaths.get(line.folderId.toString())) || "";
+    });
+
+    // Group lines under their supplier or folder
+    const groups = new Map();
+    for (const line of lines) {
+      const [key, name] =
+        groupBy === "folder"
+          ? [line.folderId ? line.folderId.toString() : "none", line.folderPath]
+          : [
+              line.supplierId ? line.supplierId.toString() : "none",
+              line.supplierName,
+            ];
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          id: key === "none" ? null : key,
+          name: name || (groupBy === "folder" ? "No folder" : "No supplier"),
+          lines: [],
+          totalQuantity: 0,
+          estimatedCost: 0,
+        });
+      }
+
+      const group = groups.get(key);
+      group.lines.push(line);
+      group.totalQuantity += line.suggestedQuantity;
+      group.estimatedCost += line.estimatedCost || 0;
+    }
+
+    const sortedGroups = [...groups.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+
+    if (format === "csv") {
+      const parser = new Parser({
+        fields: [
+          {
+            label: groupBy === "folder" ? "Folder" : "Supplier",
+            value: "group",
+          },
+          { label: "Item", value: "name" },
+          { label: "SKU", value: "sku" },
+          { label: "Unit", value: "unit" },
+          { label: "On Hand", value: "quantity" },
+          { label: "On Order", value: "onOrder" },
+          { label: "Reorder Point", value: "reorderPoint" },
+          { label: "Daily Usage", value: "dailyUsage" },
+          { label: "Lead Time (days)", value: "leadTimeDays" },
+          { label: "Suggested Quantity", value: "suggestedQuantity" },
+          { label: "Unit Cost", value: "unitCost" },
+          { label: "Currency", value: "currency" },
+          { label: `Estimated Cost (${baseCurrency})`, value: "estimatedCost" },
+        ],
+      });
+      const rows = sortedGroups.flatMap((group) =>
+        group.lines.map((line) => ({ ...line, group: group.name }))
+      );
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="reorder-suggestions-${Date.now()}.csv"`
+      );
+
+      return res.send(parser.parse(rows));
+    }
+
+    return ApiResponse.success(
+      res,
+      "Reorder suggestions generated successfully",
+      {
+        groupBy,
+        days,
+        coverageDays,
+        baseCurrency,
+        unconvertedCurrencies,
+        groups: sortedGroups,
+        totals: {
+          itemCount: lines.length,
+          estimatedCost: lines.reduce(
+            (sum, line) => sum + (line.estimatedCost || 0),
+            0
+          ),
+        },
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Export report
 const exportReport = async (req, res, next) => {
   try {
@@ -335,10 +682,30 @@ const exportReport = async (req, res, next) => {
         if (params.folderId && params.folderId !== "all") {
           inventoryQuery.folderId = params.folderId;
         }
-        data = await Item.find(inventoryQuery)
-          .populate("folderId", "name path")
-          .sort({ name: 1 })
-          .lean();
+        const { valuationMethod, baseCurrency } =
+          await UserSettings.getInventorySettings(req.user.id);
+        const converter = await ExchangeRate.getConverter(
+          req.user.id,
+          baseCurrency
+        );
+        data = (
+          await Item.find(inventoryQuery)
+            .populate("folderId", "name path")
+            .sort({ name: 1 })
+            .lean()
+        ).map((item) => ({
+          ...item,
+          totalValue: converter.toBase(
+            item.quantity * (item.price || 0),
+            item.currency
+          ),
+          costValue: converter.toBase(
+            Item.getInventoryValue(item, valuationMethod),
+            item.currency
+          ),
+          valuationMethod,
+          baseCurrency,
+        }));
         break;
 
       case "transactions":
@@ -380,5 +747,6 @@ module.exports = {
   getItemFlow,
   getMoveSummary,
   getUserActivitySummary,
+  getReorderSuggestions,
   exportReport,
 };
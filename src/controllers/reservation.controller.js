@@ -0,0 +1,270 @@
+const Item = require("../models/item.model");
+const Reservation = require("../models/reservation.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+
+// Find an item owned by the current user
+const findUserItem = (req) =>
+  Item.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Find an item's reservation owned by the current user
+const findUserReservation = (req) =>
+  Reservation.findOne({
+    _id: req.params.reservationId,
+    itemId: req.params.id,
+    userId: req.user.id,
+  });
+
+// Quantities exposed alongside reservation responses
+const stockSummary = (item) => ({
+  onHand: item.quantity,
+  reserved: item.reservedQuantity || 0,
+  available: item.availableQuantity,
+});
+
+/**
+ * @desc    Get item reservations
+ * @route   GET /api/items/:id/reservations
+ * @access  Private
+ */
+exports.getReservations = async (req, res, next) => {
+  try {
+    let item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    // Release anything that lapsed since the last sweep
+    if (await Reservation.expireDue({ itemId: item._id })) {
+      item = await findUserItem(req);
+    }
+
+    const query = { itemId: item._id, userId: req.user.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const reservations = await Reservation.find(query).sort({
+      createdAt: -1,
+    });
+
+    return ApiResponse.success(res, "Reservations retrieved successfully", {
+      reservations,
+      stock: stockSummary(item),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reserve item stock for a job or order
+ * @route   POST /api/items/:id/reservations
+ * @access  Private
+ */
+exports.createReservation = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const { quantity, reference, notes, expiresAt } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return next(new BadRequestError("Expiry date must be in the future"));
+    }
+
+    await Reservation.expireDue({ itemId: item._id });
+
+    let result;
+    try {
+      result = await Reservation.reserve({
+        item,
+        quantity: Number(quantity),
+        userId: req.user.id,
+        reference,
+        notes,
+        expiresAt: expiresAt || null,
+      });
+    } catch (error) {
+      return next(new BadRequestError(error.message));
+    }
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        reservationAction: "create",
+        reservationId: result.reservation._id,
+        quantity: result.reservation.quantity,
+        reference,
+      },
+    });
+
+    return ApiResponse.created(res, "Reservation created successfully", {
+      reservation: result.reservation,
+      stock: stockSummary(result.item),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Release a reservation without using the stock
+ * @route   POST /api/items/:id/reservations/:reservationId/release
+ * @access  Private
+ */
+exports.releaseReservation = async (req, res, next) => {
+  try {
+    const reservation = await findUserReservation(req);
+
+    if (!reservation) {
+      return next(new NotFoundError("Reservation not found"));
+    }
+
+    let item;
+    try {
+      item = await reservation.close("released");
+    } catch (error) {
+      return next(new BadRequestError(error.message));
+    }
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: reservation.itemId,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        reservationAction: "release",
+        reservationId: reservation._id,
+        quantity: reservation.quantity,
+        reference: reservation.reference,
+      },
+    });
+
+    return ApiResponse.success(res, "Reservation released successfully", {
+      reservation,
+      stock: stockSummary(item),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Fulfil a reservation, issuing the reserved stock
+ * @route   POST /api/items/:id/reservations/:reservationId/fulfill
+ * @access  Private
+ */
+exports.fulfillReservation = async (req, res, next) => {
+  try {
+    const reservation = await findUserReservation(req);
+
+    if (!reservation) {
+      return next(new NotFoundError("Reservation not found"));
+    }
+
+    if (reservation.status !== "active") {
+      return next(
+        new BadRequestError(`Reservation is already ${reservation.status}`)
+      );
+    }
+
+    const { locationId } = req.body;
+    if (
+      locationId &&
+      (await Location.countDocuments({
+        _id: locationId,
+        userId: req.user.id,
+      })) === 0
+    ) {
+      return next(new NotFoundError("Location not found"));
+    }
+
+    // Closing returns the item with the hold already released
+    const item = await reservation.close("fulfilled");
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const previousQuantity = item.quantity;
+
+    let result;
+    try {
+      result = await item.updateQuantity(
+        -reservation.quantity,
+        reservation.reference
+          ? `Reservation ${reservation.reference} fulfilled`
+          : "Reservation fulfilled",
+        {
+          userId: req.user.id,
+          reasonCode: "issue",
+          locationId,
+          variantId: req.body.variantId,
+          metadata: { reservationId: reservation._id },
+        }
+      );
+    } catch (error) {
+      // Put the hold back so the reservation can be retried
+      reservation.status = "active";
+      reservation.closedAt = null;
+      await reservation.save();
+      await Item.updateOne(
+        { _id: item._id },
+        { $inc: { reservedQuantity: reservation.quantity } }
+      );
+      return next(new BadRequestError(error.message));
+    }
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "quantity_change",
+      details: {
+        name: item.name,
+        previousQuantity,
+        newQuantity: item.quantity,
+        change: -reservation.quantity,
+        reservationId: reservation._id,
+        reference: reservation.reference,
+        transactionId: result.transactionId,
+      },
+    });
+
+    notificationService.emitItemEvent("quantity_changed", {
+      item,
+      previousQuantity,
+      newQuantity: item.quantity,
+      userId: req.user.id,
+    });
+
+    return ApiResponse.success(res, "Reservation fulfilled successfully", {
+      reservation,
+      item,
+      stock: stockSummary(item),
+      quantityChange: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
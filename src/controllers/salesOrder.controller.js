@@ -0,0 +1,614 @@
+const SalesOrder = require("../models/salesOrder.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+const { Parser } = require("json2csv");
+
+// Find a sales order owned by the current user
+const findUserOrder = (req) =>
+  SalesOrder.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Stock a line can draw on, net of reservations
+const getAvailableQuantity = (item, variantId, locationId) => {
+  if (variantId) {
+    const variant = item.variants.id(variantId);
+    return variant ? variant.quantity : 0;
+  }
+  if (locationId) {
+    return Math.min(
+      item.getLocationQuantity(locationId),
+      item.availableQuantity
+    );
+  }
+  return item.availableQuantity;
+};
+
+// Check that every location named on the given lines belongs to the user
+const checkUserLocations = async (req, lines) => {
+  const locationIds = [
+    ...new Set(
+      lines
+        .filter((line) => line.locationId)
+        .map((line) => String(line.locationId))
+    ),
+  ];
+  const locationCount = locationIds.length
+    ? await Location.countDocuments({
+        _id: { $in: locationIds },
+        userId: req.user.id,
+      })
+    : 0;
+
+  if (locationCount !== locationIds.length) {
+    throw new NotFoundError("Location not found");
+  }
+};
+
+// Validate requested order lines, resolving the folder each draws from
+const buildOrderLines = async (req, lines) => {
+  await checkUserLocations(req, lines);
+
+  const orderLines = [];
+  for (const line of lines) {
+    let item = await Item.findOne({ _id: line.itemId, userId: req.user.id });
+
+    if (!item) {
+      throw new NotFoundError(`Item ${line.itemId} not found`);
+    }
+
+    // Draw from the same SKU held in another folder when asked
+    const folderId = line.folderId || null;
+    if (
+      line.folderId !== undefined &&
+      String(item.folderId || "") !== String(folderId || "")
+    ) {
+      const folderItem = item.sku
+        ? await Item.findOne({ userId: req.user.id, sku: item.sku, folderId })
+        : null;
+
+      if (!folderItem) {
+        throw new BadRequestError(
+          `${item.name} is not stocked in the requested folder`
+        );
+      }
+      item = folderItem;
+    }
+
+    if (item.isSerialized) {
+      throw new BadRequestError(
+        `${item.name} is serialized; issue it by updating its serial numbers`
+      );
+    }
+    if (item.variants.length > 0 && !item.variants.id(line.variantId)) {
+      throw new BadRequestError(`A variant of ${item.name} is required`);
+    }
+    if (item.variants.length === 0 && line.variantId) {
+      throw new BadRequestError(`${item.name} has no variants`);
+    }
+
+    orderLines.push({
+      itemId: item._id,
+      folderId: item.folderId || null,
+      variantId: line.variantId || null,
+      locationId: line.locationId || null,
+      quantityOrdered: Number(line.quantityOrdered),
+      unitPrice:
+        line.unitPrice !== undefined ? Number(line.unitPrice) : item.price || 0,
+      notes: line.notes,
+    });
+  }
+
+  return orderLines;
+};
+
+/**
+ * @desc    Create a sales/issue order
+ * @route   POST /api/sales-orders
+ * @access  Private
+ */
+exports.createSalesOrder = async (req, res, next) => {
+  try {
+    const { customer, reference, lines = [], dueDate, notes } = req.body;
+
+    const order = await SalesOrder.create({
+      orderNumber: await SalesOrder.nextOrderNumber(req.user.id),
+      customer,
+      reference,
+      userId: req.user.id,
+      lines: await buildOrderLines(req, lines),
+      dueDate: dueDate || null,
+      notes,
+    });
+
+    return ApiResponse.created(res, "Sales order created successfully", {
+      salesOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get sales orders
+ * @route   GET /api/sales-orders
+ * @access  Private
+ */
+exports.getSalesOrders = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.itemId) {
+      query["lines.itemId"] = req.query.itemId;
+    }
+    if (req.query.backordered === "true") {
+      query["lines.quantityBackordered"] = { $gt: 0 };
+    }
+
+    const salesOrders = await SalesOrder.find(query).sort({ createdAt: -1 });
+
+    return ApiResponse.success(res, "Sales orders retrieved successfully", {
+      salesOrders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get sales order by ID
+ * @route   GET /api/sales-orders/:id
+ * @access  Private
+ */
+exports.getSalesOrderById = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req)
+      .populate("lines.itemId", "name sku unit quantity")
+      .populate("lines.folderId", "name");
+
+    if (!order) {
+      return next(new NotFoundError("Sales order not found"));
+    }
+
+    return ApiResponse.success(res, "Sales order retrieved successfully", {
+      salesOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a draft sales order
+ * @route   PUT /api/sales-orders/:id
+ * @access  Private
+ */
+exports.updateSalesOrder = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Sales order not found"));
+    }
+
+    if (order.status !== "draft") {
+      return next(new BadRequestError("Only draft sales orders can be edited"));
+    }
+
+    const { customer, reference, lines, dueDate, notes } = req.body;
+
+    if (lines !== undefined) {
+      order.lines = await buildOrderLines(req, lines);
+    }
+    if (customer !== undefined) order.customer = customer;
+    if (reference !== undefined) order.reference = reference;
+    if (dueDate !== undefined) order.dueDate = dueDate;
+    if (notes !== undefined) order.notes = notes;
+
+    await order.save();
+
+    return ApiResponse.success(res, "Sales order updated successfully", {
+      salesOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change sales order status (confirm or cancel)
+ * @route   PUT /api/sales-orders/:id/status
+ * @access  Private
+ */
+exports.updateSalesOrderStatus = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Sales order not found"));
+    }
+
+    const { status } = req.body;
+
+    if (!order.canTransitionTo(status)) {
+      return next(
+        new BadRequestError(
+          `Cannot change sales order from ${order.status} to ${status}`
+        )
+      );
+    }
+
+    if (status === "confirmed") {
+      if (order.lines.length === 0) {
+        return next(
+          new BadRequestError("Cannot confirm a sales order without lines")
+        );
+      }
+      order.confirmedAt = Date.now();
+    } else if (status === "cancelled") {
+      // Outstanding quantities are no longer owed
+      order.lines.forEach((line) => {
+        line.quantityBackordered = 0;
+      });
+      order.cancelledAt = Date.now();
+    }
+
+    order.status = status;
+    await order.save();
+
+    return ApiResponse.success(res, `Sales order ${status}`, {
+      salesOrder: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a pick list grouped by folder path and location
+ * @route   GET /api/sales-orders/:id/pick-list
+ * @access  Private
+ */
+exports.getPickList = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Sales order not found"));
+    }
+
+    if (!order.isFulfillable()) {
+      return next(
+        new BadRequestError(`Cannot pick a ${order.status} sales order`)
+      );
+    }
+
+    const lines = order.lines.filter((line) => line.outstandingQuantity > 0);
+    const items = await Item.find({
+      _id: { $in: lines.map((line) => line.itemId) },
+      userId: req.user.id,
+    });
+
+    // Pick from where each item is stored now
+    const placements = lines.map((line) => {
+      const item = items.find((i) => i._id.equals(line.itemId));
+      const locationId =
+        line.locationId ||
+        (item && item.stockLocations.length === 1
+          ? item.stockLocations[0].locationId
+          : null);
+
+      return {
+        line,
+        item,
+        folderId: item ? item.folderId : line.folderId,
+        locationId,
+      };
+    });
+
+    const folderPaths = await Folder.getPathNames(
+      placements.filter((p) => p.folderId).map((p) => p.folderId)
+    );
+    const locations = await Location.find({
+      _id: {
+        $in: placements.filter((p) => p.locationId).map((p) => p.locationId),
+      },
+      userId: req.user.id,
+    }).select("name code");
+
+    const rows = placements
+      .map(({ line, item, folderId, locationId }) => {
+        const location = locationId
+          ? locations.find((l) => l._id.equals(locationId))
+          : null;
+        const variant =
+          item && line.variantId ? item.variants.id(line.variantId) : null;
+
+        return {
+          lineId: line._id,
+          itemId: line.itemId,
+          name: item ? item.name : "Deleted item",
+          sku: item ? item.sku : undefined,
+          variant: variant ? variant.name : undefined,
+          unit: item ? item.unit : undefined,
+          folderId,
+          folderPath: (folderId && folderPaths.get(folderId.toString())) || "",
+          locationId,
+          location: location ? location.name : "",
+          quantity: line.outstandingQuantity,
+          available: item
+            ? getAvailableQuantity(item, line.variantId, locationId)
+            : 0,
+          backordered: line.quantityBackordered,
+        };
+      })
+      .sort(
+        (a, b) =>
+          a.folderPath.localeCompare(b.folderPath) ||
+          a.location.localeCompare(b.location) ||
+          a.name.localeCompare(b.name)
+      );
+
+    // Printable copy for the warehouse floor
+    if (req.query.format === "csv") {
+      const parser = new Parser({
+        fields: [
+          { label: "Folder", value: "folderPath" },
+          { label: "Location", value: "location" },
+          { label: "Item", value: "name" },
+          { label: "SKU", value: "sku" },
+          { label: "Variant", value: "variant" },
+          { label: "Quantity", value: "quantity" },
+          { label: "Unit", value: "unit" },
+          { label: "Available", value: "available" },
+        ],
+      });
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="pick-list-${order.orderNumber}.csv"`
+      );
+
+      return res.send(parser.parse(rows));
+    }
+
+    const groups = [];
+    for (const row of rows) {
+      let group = groups[groups.length - 1];
+      if (
+        !group ||
+        group.folderPath !== row.folderPath ||
+        group.location !== row.location
+      ) {
+        group = {
+          folderId: row.folderId,
+          folderPath: row.folderPath,
+          locationId: row.locationId,
+          location: row.location,
+          lines: [],
+        };
+        groups.push(group);
+      }
+      group.lines.push(row);
+    }
+
+    return ApiResponse.success(res, "Pick list generated successfully", {
+      orderNumber: order.orderNumber,
+      customer: order.customer,
+      groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Fulfil sales order lines, backordering any shortfall
+ * @route   POST /api/sales-orders/:id/fulfill
+ * @access  Private
+ */
+exports.fulfillSalesOrder = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Sales order not found"));
+    }
+
+    if (!order.isFulfillable()) {
+      return next(
+        new BadRequestError(`Cannot fulfil a ${order.status} sales order`)
+      );
+    }
+
+    const { allowPartial = true } = req.body;
+    const requested =
+      req.body.lines && req.body.lines.length > 0
+        ? req.body.lines
+        : order.lines
+            .filter((line) => line.outstandingQuantity > 0)
+            .map((line) => ({ lineId: line._id }));
+
+    await checkUserLocations(req, requested);
+
+    // Plan every line before any stock moves
+    const items = new Map();
+    const planned = new Map();
+    const plan = [];
+    for (const request of requested) {
+      const line = order.lines.id(request.lineId);
+
+      if (!line) {
+        return next(new NotFoundError(`Line ${request.lineId} not found`));
+      }
+
+      const quantity =
+        request.quantity !== undefined
+          ? Number(request.quantity)
+          : line.outstandingQuantity;
+      const queued = plan
+        .filter((step) => step.line === line)
+        .reduce((sum, step) => sum + step.quantity, 0);
+
+      if (quantity + queued > line.outstandingQuantity) {
+        return next(
+          new BadRequestError(
+            `Cannot fulfil ${quantity + queued}; only ${line.outstandingQuantity} outstanding on line ${line._id}`
+          )
+        );
+      }
+
+      const itemKey = line.itemId.toString();
+      if (!items.has(itemKey)) {
+        items.set(
+          itemKey,
+          await Item.findOne({ _id: line.itemId, userId: req.user.id })
+        );
+      }
+      const item = items.get(itemKey);
+
+      if (!item) {
+        return next(new NotFoundError(`Item ${line.itemId} not found`));
+      }
+
+      const locationId = request.locationId || line.locationId;
+      const stockKey = `${itemKey}:${line.variantId}:${locationId}`;
+      const available = Math.max(
+        getAvailableQuantity(item, line.variantId, locationId) -
+          (planned.get(stockKey) || 0),
+        0
+      );
+      const shipped = Math.min(quantity, available);
+
+      if (shipped < quantity && !allowPartial) {
+        return next(
+          new BadRequestError(
+            `Insufficient stock for ${item.name}: ${available} available, ${quantity} requested`
+          )
+        );
+      }
+
+      planned.set(stockKey, (planned.get(stockKey) || 0) + shipped);
+      plan.push({ line, item, quantity, shipped, locationId });
+    }
+
+    const fulfilled = [];
+    for (const { line, item, quantity, shipped, locationId } of plan) {
+      if (shipped > 0) {
+        const previousQuantity = item.quantity;
+        const reason = `Fulfilled on ${order.orderNumber}`;
+
+        let result;
+        try {
+          result = await item.updateQuantity(-shipped, reason, {
+            userId: req.user.id,
+            reasonCode: "issue",
+            source: "sales_order",
+            locationId,
+            variantId: line.variantId,
+            metadata: {
+              salesOrderId: order._id,
+              orderNumber: order.orderNumber,
+              lineId: line._id,
+            },
+          });
+        } catch (error) {
+          // Keep the lines fulfilled so far
+          order.refreshFulfillmentStatus();
+          await order.save();
+          return next(new BadRequestError(`${item.name}: ${error.message}`));
+        }
+
+        line.quantityFulfilled += shipped;
+
+        await Activity.create({
+          userId: req.user.id,
+          resourceId: item._id,
+          resourceType: "item",
+          action: "quantity_change",
+          details: {
+            name: item.name,
+            previousQuantity,
+            newQuantity: item.quantity,
+            change: -shipped,
+            reason,
+            salesOrderId: order._id,
+            transactionId: result.transactionId,
+          },
+        });
+
+        notificationService.emitItemEvent("quantity_changed", {
+          item,
+          previousQuantity,
+          newQuantity: item.quantity,
+          userId: req.user.id,
+        });
+      }
+
+      // Shortfalls wait on stock; later fulfilments draw them down
+      line.quantityBackordered =
+        shipped < quantity
+          ? line.outstandingQuantity
+          : Math.min(line.quantityBackordered, line.outstandingQuantity);
+
+      fulfilled.push({
+        lineId: line._id,
+        itemId: item._id,
+        quantity: shipped,
+        backordered: line.quantityBackordered,
+      });
+    }
+
+    order.refreshFulfillmentStatus();
+    await order.save();
+
+    return ApiResponse.success(
+      res,
+      order.hasBackorders
+        ? "Sales order partially fulfilled with backorders"
+        : "Sales order fulfilled successfully",
+      { salesOrder: order, fulfilled }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a draft sales order
+ * @route   DELETE /api/sales-orders/:id
+ * @access  Private
+ */
+exports.deleteSalesOrder = async (req, res, next) => {
+  try {
+    const order = await findUserOrder(req);
+
+    if (!order) {
+      return next(new NotFoundError("Sales order not found"));
+    }
+
+    if (order.status !== "draft") {
+      return next(
+        new BadRequestError(
+          "Only draft sales orders can be deleted. Cancel it instead."
+        )
+      );
+    }
+
+    await order.deleteOne();
+
+    return ApiResponse.success(res, "Sales order deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
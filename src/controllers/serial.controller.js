@@ -0,0 +1,337 @@
+const Item = require("../models/item.model");
+const Activity = require("../models/activity.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+
+// Ledger reason codes for units entering or leaving stock
+const STATUS_REASON_CODES = {
+  in_stock: "receipt",
+  checked_out: "issue",
+  retired: "other",
+  lost: "damage",
+};
+
+// Find an item owned by the current user
+const findUserItem = (req) =>
+  Item.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Record the in-stock count change in the stock ledger and notify listeners
+const recordSerialChange = async (
+  item,
+  previousQuantity,
+  userId,
+  { reasonCode, reason, serials }
+) => {
+  if (item.quantity === previousQuantity) {
+    return null;
+  }
+
+  const transaction = await StockTransaction.record({
+    item,
+    delta: item.quantity - previousQuantity,
+    userId,
+    reasonCode,
+    reason,
+    metadata: {
+      serials: serials.map((serial) => ({
+        serialId: serial._id,
+        serialNumber: serial.serialNumber,
+      })),
+    },
+  });
+
+  notificationService.emitItemEvent("quantity_changed", {
+    item,
+    previousQuantity,
+    newQuantity: item.quantity,
+    userId,
+  });
+
+  return transaction;
+};
+
+/**
+ * @desc    Get item serial numbers
+ * @route   GET /api/items/:id/serials
+ * @access  Private
+ */
+exports.getSerials = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    let serials = item.serials;
+
+    if (req.query.status) {
+      serials = serials.filter((serial) => serial.status === req.query.status);
+    }
+
+    if (req.query.search) {
+      const search = req.query.search.toLowerCase();
+      serials = serials.filter((serial) =>
+        serial.serialNumber.toLowerCase().includes(search)
+      );
+    }
+
+    const statusCounts = Item.SERIAL_STATUSES.reduce((counts, status) => {
+      counts[status] = item.serials.filter(
+        (serial) => serial.status === status
+      ).length;
+      return counts;
+    }, {});
+
+    return ApiResponse.success(res, "Serial numbers retrieved successfully", {
+      serials,
+      statusCounts,
+      quantity: item.quantity,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add serial numbers to an item
+ * @route   POST /api/items/:id/serials
+ * @access  Private
+ */
+exports.addSerials = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    if (item.variants.length > 0) {
+      return next(
+        new BadRequestError("Serial numbers cannot be added to variant items")
+      );
+    }
+
+    const { status = "in_stock", notes } = req.body;
+    const serialNumbers = req.body.serialNumbers.map((serialNumber) =>
+      serialNumber.trim()
+    );
+
+    if (new Set(serialNumbers).size !== serialNumbers.length) {
+      return next(new BadRequestError("Serial numbers must be unique"));
+    }
+
+    // Serial numbers are unique across all of the user's items, including
+    // trashed ones that could be restored
+    const existingItem = await Item.findOne({
+      userId: req.user.id,
+      "serials.serialNumber": { $in: serialNumbers },
+    }).setOptions({ withDeleted: true });
+
+    if (existingItem) {
+      const duplicates = existingItem.serials
+        .filter((serial) => serialNumbers.includes(serial.serialNumber))
+        .map((serial) => serial.serialNumber);
+      return next(
+        new ConflictError(
+          `Serial number already exists: ${duplicates.join(", ")}`
+        )
+      );
+    }
+
+    const previousQuantity = item.quantity;
+    // Stock counted before serial tracking is replaced by the units added
+    const untrackedQuantity = item.serials.length === 0 ? previousQuantity : 0;
+
+    for (const serialNumber of serialNumbers) {
+      item.serials.push({ serialNumber, status, notes });
+    }
+    const added = item.serials.slice(-serialNumbers.length);
+
+    await item.save();
+    if (untrackedQuantity > 0) {
+      await StockTransaction.record({
+        item,
+        delta: -untrackedQuantity,
+        balance: 0,
+        userId: req.user.id,
+        reasonCode: "other",
+        reason: "Untracked stock replaced by serial numbers",
+      });
+    }
+    await recordSerialChange(
+      item,
+      previousQuantity - untrackedQuantity,
+      req.user.id,
+      {
+        reasonCode: "receipt",
+        reason: `${added.length} serial number(s) added`,
+        serials: added,
+      }
+    );
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        serialAction: "create",
+        serialNumbers,
+      },
+    });
+
+    return ApiResponse.created(res, "Serial numbers added successfully", {
+      item,
+      serials: added,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a serialized unit's status or details
+ * @route   PUT /api/items/:id/serials/:serialId
+ * @access  Private
+ */
+exports.updateSerial = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const serial = item.serials.id(req.params.serialId);
+
+    if (!serial) {
+      return next(new NotFoundError("Serial number not found"));
+    }
+
+    const { serialNumber, status, assignedTo, notes } = req.body;
+    const previousQuantity = item.quantity;
+    const previousStatus = serial.status;
+
+    if (serialNumber !== undefined && serialNumber !== serial.serialNumber) {
+      const existingItem = await Item.findOne({
+        userId: req.user.id,
+        "serials.serialNumber": serialNumber,
+      }).setOptions({ withDeleted: true });
+
+      if (existingItem) {
+        return next(
+          new ConflictError(`Serial number already exists: ${serialNumber}`)
+        );
+      }
+      serial.serialNumber = serialNumber;
+    }
+
+    if (status !== undefined && status !== serial.status) {
+      serial.status = status;
+      serial.statusChangedAt = Date.now();
+
+      // Returning to stock clears the assignment
+      if (status === "in_stock" && assignedTo === undefined) {
+        serial.assignedTo = undefined;
+      }
+    }
+    if (assignedTo !== undefined) serial.assignedTo = assignedTo;
+    if (notes !== undefined) serial.notes = notes;
+
+    await item.save();
+
+    const reasonCode =
+      serial.status === "in_stock" && previousStatus === "checked_out"
+        ? "return"
+        : STATUS_REASON_CODES[serial.status];
+    await recordSerialChange(item, previousQuantity, req.user.id, {
+      reasonCode,
+      reason: `Serial ${serial.serialNumber} changed from ${previousStatus} to ${serial.status}`,
+      serials: [serial],
+    });
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: previousStatus !== serial.status ? "status_change" : "update",
+      details: {
+        name: item.name,
+        serialAction: "update",
+        serialId: serial._id,
+        serialNumber: serial.serialNumber,
+        previousStatus,
+        status: serial.status,
+      },
+    });
+
+    return ApiResponse.success(res, "Serial number updated successfully", {
+      item,
+      serial,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a serial number from an item
+ * @route   DELETE /api/items/:id/serials/:serialId
+ * @access  Private
+ */
+exports.deleteSerial = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const serial = item.serials.id(req.params.serialId);
+
+    if (!serial) {
+      return next(new NotFoundError("Serial number not found"));
+    }
+
+    const previousQuantity = item.quantity;
+    const removedSerial = serial.toObject();
+
+    serial.deleteOne();
+    await item.save();
+    await recordSerialChange(item, previousQuantity, req.user.id, {
+      reasonCode: "adjustment",
+      reason: `Serial ${removedSerial.serialNumber} removed`,
+      serials: [removedSerial],
+    });
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        serialAction: "delete",
+        serialId: removedSerial._id,
+        serialNumber: removedSerial.serialNumber,
+      },
+    });
+
+    return ApiResponse.success(res, "Serial number removed successfully", {
+      item,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -118,7 +118,7 @@ const updatePreferences = async (req, res, next) => {
 // Update notification settings
 const updateNotifications = async (req, res, next) => {
   try {
-    const { email, push, inApp } = req.body;
+    const { email, push, inApp, expiryAlertDays } = req.body;
 
     let settings = await UserSettings.findOne({ userId: req.user.id });
 
@@ -145,6 +145,9 @@ const updateNotifications = async (req, res, next) => {
         ...inApp,
       };
     }
+    if (expiryAlertDays !== undefined) {
+      settings.notifications.expiryAlertDays = expiryAlertDays;
+    }
 
     await settings.save();
 
@@ -160,6 +163,40 @@ const updateNotifications = async (req, res, next) => {
   }
 };
 
+// Update inventory settings
+const updateInventory = async (req, res, next) => {
+  try {
+    const { valuationMethod, baseCurrency, trashRetentionDays } = req.body;
+
+    let settings = await UserSettings.findOne({ userId: req.user.id });
+
+    if (!settings) {
+      settings = new UserSettings({
+        userId: req.user.id,
+        ...UserSettings.getDefaultSettings(),
+      });
+    }
+
+    if (valuationMethod !== undefined) {
+      settings.inventory.valuationMethod = valuationMethod;
+    }
+    if (baseCurrency !== undefined) {
+      settings.inventory.baseCurrency = baseCurrency;
+    }
+    if (trashRetentionDays !== undefined) {
+      settings.inventory.trashRetentionDays = trashRetentionDays;
+    }
+
+    await settings.save();
+
+    return ApiResponse.success(res, "Inventory settings updated successfully", {
+      inventory: settings.inventory,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update privacy settings
 const updatePrivacy = async (req, res, next) => {
   try {
@@ -374,6 +411,7 @@ module.exports = {
   updateProfile,
   updatePreferences,
   updateNotifications,
+  updateInventory,
   updatePrivacy,
   updateSecurity,
   updateIntegrations,
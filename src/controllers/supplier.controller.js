@@ -0,0 +1,208 @@
+const Supplier = require("../models/supplier.model");
+const PurchaseOrder = require("../models/purchaseOrder.model");
+const Item = require("../models/item.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+// Fields a supplier can be created or updated with
+const SUPPLIER_FIELDS = [
+  "name",
+  "contactName",
+  "email",
+  "phone",
+  "website",
+  "address",
+  "notes",
+  "isActive",
+];
+
+/**
+ * @desc    Create a new supplier
+ * @route   POST /api/suppliers
+ * @access  Private
+ */
+exports.createSupplier = async (req, res, next) => {
+  try {
+    const existingSupplier = await Supplier.findOne({
+      name: req.body.name.trim(),
+      userId: req.user.id,
+    });
+
+    if (existingSupplier) {
+      return next(new ConflictError("Supplier with this name already exists"));
+    }
+
+    const supplier = new Supplier({ userId: req.user.id });
+    SUPPLIER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+    await supplier.save();
+
+    return ApiResponse.created(res, "Supplier created successfully", {
+      supplier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all suppliers
+ * @route   GET /api/suppliers
+ * @access  Private
+ */
+exports.getSuppliers = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.search) {
+      query.name = { $regex: req.query.search, $options: "i" };
+    }
+
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true";
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    return ApiResponse.success(res, "Suppliers retrieved successfully", {
+      suppliers,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get supplier by ID with its items and open orders
+ * @route   GET /api/suppliers/:id
+ * @access  Private
+ */
+exports.getSupplierById = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!supplier) {
+      return next(new NotFoundError("Supplier not found"));
+    }
+
+    const items = await Item.find({
+      userId: req.user.id,
+      preferredSupplierId: supplier._id,
+    })
+      .select("name sku unit quantity minLevel cost folderId")
+      .sort({ name: 1 });
+
+    const openOrders = await PurchaseOrder.find({
+      userId: req.user.id,
+      supplierId: supplier._id,
+      status: { $in: ["draft", "sent", "partially_received"] },
+    })
+      .select("orderNumber status expectedDate lines createdAt")
+      .sort({ createdAt: -1 });
+
+    return ApiResponse.success(res, "Supplier retrieved successfully", {
+      supplier,
+      items,
+      openOrders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update supplier
+ * @route   PUT /api/suppliers/:id
+ * @access  Private
+ */
+exports.updateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!supplier) {
+      return next(new NotFoundError("Supplier not found"));
+    }
+
+    const { name } = req.body;
+
+    if (name && name.trim() !== supplier.name) {
+      const existingSupplier = await Supplier.findOne({
+        name: name.trim(),
+        userId: req.user.id,
+        _id: { $ne: supplier._id },
+      });
+
+      if (existingSupplier) {
+        return next(
+          new ConflictError("Supplier with this name already exists")
+        );
+      }
+    }
+
+    SUPPLIER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+    await supplier.save();
+
+    return ApiResponse.success(res, "Supplier updated successfully", {
+      supplier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete supplier
+ * @route   DELETE /api/suppliers/:id
+ * @access  Private
+ */
+exports.deleteSupplier = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!supplier) {
+      return next(new NotFoundError("Supplier not found"));
+    }
+
+    const openOrderCount = await PurchaseOrder.countDocuments({
+      userId: req.user.id,
+      supplierId: supplier._id,
+      status: { $ne: "closed" },
+    });
+
+    if (openOrderCount > 0) {
+      return next(
+        new BadRequestError(
+          "Cannot delete supplier with open purchase orders. Please close them first."
+        )
+      );
+    }
+
+    // Items fall back to having no preferred supplier
+    await Item.updateMany(
+      { userId: req.user.id, preferredSupplierId: supplier._id },
+      { preferredSupplierId: null }
+    );
+
+    await supplier.deleteOne();
+
+    return ApiResponse.success(res, "Supplier deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,545 @@
+const StockTransfer = require("../models/stockTransfer.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+const mongoose = require("mongoose");
+
+// Find a transfer owned by the current user
+const findUserTransfer = (req) =>
+  StockTransfer.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Stock movement errors from the model become bad requests
+const toRequestError = (error) =>
+  error.statusCode ? error : new BadRequestError(error.message);
+
+// Find or create the record that holds the item's stock in another folder
+const resolveDestinationItem = async (req, source, folderId, session) => {
+  const { destinationItemId } = req.body;
+  let destination;
+
+  if (destinationItemId) {
+    destination = await Item.findOne({
+      _id: destinationItemId,
+      userId: req.user.id,
+    }).session(session);
+
+    if (!destination) {
+      throw new NotFoundError("Destination item not found");
+    }
+    if (String(destination.folderId || "") !== String(folderId || "")) {
+      throw new BadRequestError(
+        "Destination item is not in the destination folder"
+      );
+    }
+
+    const linked =
+      (destination.linkedItemId &&
+        destination.linkedItemId.equals(source._id)) ||
+      (source.linkedItemId && source.linkedItemId.equals(destination._id)) ||
+      (source.sku && destination.sku === source.sku);
+    if (!linked) {
+      throw new BadRequestError(
+        "Destination item must share the SKU of, or be linked to, the source item"
+      );
+    }
+  } else {
+    const matches = [{ linkedItemId: source._id }];
+    if (source.linkedItemId) matches.push({ _id: source.linkedItemId });
+    if (source.sku) matches.push({ sku: source.sku });
+
+    destination = await Item.findOne({
+      userId: req.user.id,
+      folderId,
+      _id: { $ne: source._id },
+      $or: matches,
+    }).session(session);
+  }
+
+  if (destination) {
+    if (destination.variants.length > 0 || destination.isSerialized) {
+      throw new BadRequestError(
+        "Destination item tracks variants or serial numbers"
+      );
+    }
+    if ((destination.unit || "unit") !== (source.unit || "unit")) {
+      throw new BadRequestError("Destination item uses a different base unit");
+    }
+    return destination;
+  }
+
+  // Start a linked record in the destination folder
+  const [created] = await Item.create(
+    [
+      {
+        name: source.name,
+        description: source.description,
+        notes: source.notes,
+        sku: source.sku,
+        unit: source.unit,
+        price: source.price,
+        cost: source.cost,
+        preferredSupplierId: source.preferredSupplierId,
+        tags: source.tags,
+        customFields: source.customFields,
+        quantity: 0,
+        folderId,
+        linkedItemId: source._id,
+        userId: req.user.id,
+      },
+    ],
+    { session }
+  );
+
+  return created;
+};
+
+// Book in-transit stock into the destination record
+const receiveAtDestination = async (transfer, destination, userId, session) => {
+  transfer.lots.forEach((lot) =>
+    destination.receiveLot(
+      { lotNumber: lot.lotNumber, expiryDate: lot.expiryDate },
+      lot.quantity
+    )
+  );
+
+  const result = await destination.updateQuantity(
+    transfer.quantity,
+    `Transfer ${transfer.transferNumber} received`,
+    {
+      userId,
+      reasonCode: "transfer",
+      source: "transfer",
+      locationId: transfer.destinationLocationId,
+      unitCost: transfer.unitCost,
+      metadata: {
+        transferId: transfer._id,
+        transferNumber: transfer.transferNumber,
+        sourceItemId: transfer.sourceItemId,
+        lots: transfer.lots.length > 0 ? transfer.lots : undefined,
+      },
+      session,
+    }
+  );
+
+  transfer.status = "completed";
+  transfer.receivedAt = Date.now();
+  transfer.destinationTransactionId = result.transactionId;
+  await transfer.save({ session });
+
+  return result;
+};
+
+// Log and announce one side of a transfer
+const recordTransferSide = async (req, item, previousQuantity, transfer) => {
+  await Activity.create({
+    userId: req.user.id,
+    resourceId: item._id,
+    resourceType: "item",
+    action: "quantity_change",
+    details: {
+      name: item.name,
+      previousQuantity,
+      newQuantity: item.quantity,
+      change: item.quantity - previousQuantity,
+      transferId: transfer._id,
+      transferNumber: transfer.transferNumber,
+      transferStatus: transfer.status,
+    },
+  });
+
+  notificationService.emitItemEvent("quantity_changed", {
+    item,
+    previousQuantity,
+    newQuantity: item.quantity,
+    userId: req.user.id,
+  });
+};
+
+/**
+ * @desc    Transfer part of an item's stock to another folder
+ * @route   POST /api/items/:id/transfer
+ * @access  Private
+ */
+exports.createTransfer = async (req, res, next) => {
+  try {
+    const {
+      destinationFolderId,
+      sourceLocationId,
+      destinationLocationId,
+      inTransit = false,
+      reference,
+      notes,
+    } = req.body;
+    const quantity = Number(req.body.quantity);
+    const folderId =
+      destinationFolderId && destinationFolderId !== "null"
+        ? destinationFolderId
+        : null;
+
+    const source = await Item.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!source) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    if (source.variants.length > 0 || source.isSerialized) {
+      return next(
+        new BadRequestError(
+          "Items with variants or serial numbers cannot be split across folders"
+        )
+      );
+    }
+
+    if (String(source.folderId || "") === String(folderId || "")) {
+      return next(new BadRequestError("Item is already in this folder"));
+    }
+
+    if (quantity > source.availableQuantity) {
+      return next(
+        new BadRequestError(
+          `Only ${source.availableQuantity} available to transfer`
+        )
+      );
+    }
+
+    if (folderId) {
+      const folder = await Folder.findOne({
+        _id: folderId,
+        userId: req.user.id,
+      });
+
+      if (!folder) {
+        return next(new NotFoundError("Folder not found"));
+      }
+    }
+
+    // Verify the locations belong to the user
+    const locationIds = [sourceLocationId, destinationLocationId].filter(
+      (id) => id
+    );
+    if (locationIds.length > 0) {
+      const locationCount = await Location.countDocuments({
+        _id: { $in: locationIds },
+        userId: req.user.id,
+      });
+
+      if (locationCount !== new Set(locationIds.map(String)).size) {
+        return next(new NotFoundError("Location not found"));
+      }
+    }
+
+    const sourcePrevious = source.quantity;
+    let destination;
+    let destinationPrevious;
+    let transfer;
+
+    // Both sides commit together or not at all
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      destination = await resolveDestinationItem(
+        req,
+        source,
+        folderId,
+        session
+      );
+      destinationPrevious = destination.quantity;
+
+      const transferNumber = await StockTransfer.nextTransferNumber(
+        req.user.id,
+        { session }
+      );
+
+      const sourceResult = await source.updateQuantity(
+        -quantity,
+        `Transfer ${transferNumber} sent`,
+        {
+          userId: req.user.id,
+          reasonCode: "transfer",
+          source: "transfer",
+          locationId: sourceLocationId,
+          metadata: { transferNumber, destinationItemId: destination._id },
+          session,
+        }
+      );
+
+      const lots = sourceResult.lots.map((allocation) => {
+        const lot = source.lots.id(allocation.lotId);
+        return {
+          lotNumber: allocation.lotNumber,
+          expiryDate: lot ? lot.expiryDate : null,
+          quantity: -allocation.quantity,
+        };
+      });
+
+      [transfer] = await StockTransfer.create(
+        [
+          {
+            transferNumber,
+            userId: req.user.id,
+            sourceItemId: source._id,
+            destinationItemId: destination._id,
+            sourceFolderId: source.folderId,
+            destinationFolderId: folderId,
+            sourceLocationId: sourceResult.locationId,
+            destinationLocationId: destinationLocationId || null,
+            quantity,
+            unitCost: sourceResult.cost / quantity,
+            lots,
+            reference,
+            notes,
+            sourceTransactionId: sourceResult.transactionId,
+          },
+        ],
+        { session }
+      );
+
+      if (!inTransit) {
+        await receiveAtDestination(transfer, destination, req.user.id, session);
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      return next(toRequestError(error));
+    } finally {
+      session.endSession();
+    }
+
+    await recordTransferSide(req, source, sourcePrevious, transfer);
+    if (!inTransit) {
+      await recordTransferSide(req, destination, destinationPrevious, transfer);
+    }
+
+    return ApiResponse.created(
+      res,
+      inTransit
+        ? "Transfer dispatched; confirm it on arrival"
+        : "Transfer completed successfully",
+      { transfer, source, destination }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get stock transfers
+ * @route   GET /api/transfers
+ * @access  Private
+ */
+exports.getTransfers = async (req, res, next) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.itemId) {
+      query.$or = [
+        { sourceItemId: req.query.itemId },
+        { destinationItemId: req.query.itemId },
+      ];
+    }
+
+    const transfers = await StockTransfer.find(query)
+      .populate("sourceItemId", "name sku")
+      .populate("destinationItemId", "name sku")
+      .populate("sourceFolderId", "name")
+      .populate("destinationFolderId", "name")
+      .sort({ createdAt: -1 });
+
+    return ApiResponse.success(res, "Transfers retrieved successfully", {
+      transfers,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get transfer by ID
+ * @route   GET /api/transfers/:id
+ * @access  Private
+ */
+exports.getTransferById = async (req, res, next) => {
+  try {
+    const transfer = await findUserTransfer(req)
+      .populate("sourceItemId", "name sku quantity unit")
+      .populate("destinationItemId", "name sku quantity unit")
+      .populate("sourceFolderId", "name")
+      .populate("destinationFolderId", "name");
+
+    if (!transfer) {
+      return next(new NotFoundError("Transfer not found"));
+    }
+
+    return ApiResponse.success(res, "Transfer retrieved successfully", {
+      transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm an in-transit transfer has arrived
+ * @route   POST /api/transfers/:id/receive
+ * @access  Private
+ */
+exports.receiveTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findUserTransfer(req);
+
+    if (!transfer) {
+      return next(new NotFoundError("Transfer not found"));
+    }
+
+    if (transfer.status !== "in_transit") {
+      return next(
+        new BadRequestError(`Transfer is already ${transfer.status}`)
+      );
+    }
+
+    const destination = await Item.findOne({
+      _id: transfer.destinationItemId,
+      userId: req.user.id,
+    });
+
+    if (!destination) {
+      return next(
+        new BadRequestError(
+          "Destination item no longer exists; cancel the transfer instead"
+        )
+      );
+    }
+
+    if (req.body.destinationLocationId) {
+      const location = await Location.findOne({
+        _id: req.body.destinationLocationId,
+        userId: req.user.id,
+      });
+
+      if (!location) {
+        return next(new NotFoundError("Location not found"));
+      }
+      transfer.destinationLocationId = location._id;
+    }
+
+    const previousQuantity = destination.quantity;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      await receiveAtDestination(transfer, destination, req.user.id, session);
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      return next(toRequestError(error));
+    } finally {
+      session.endSession();
+    }
+
+    await recordTransferSide(req, destination, previousQuantity, transfer);
+
+    return ApiResponse.success(res, "Transfer received successfully", {
+      transfer,
+      destination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel an in-transit transfer, returning stock to the source
+ * @route   POST /api/transfers/:id/cancel
+ * @access  Private
+ */
+exports.cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findUserTransfer(req);
+
+    if (!transfer) {
+      return next(new NotFoundError("Transfer not found"));
+    }
+
+    if (transfer.status !== "in_transit") {
+      return next(
+        new BadRequestError(`Transfer is already ${transfer.status}`)
+      );
+    }
+
+    const source = await Item.findOne({
+      _id: transfer.sourceItemId,
+      userId: req.user.id,
+    });
+
+    if (!source) {
+      return next(new BadRequestError("Source item no longer exists"));
+    }
+
+    const previousQuantity = source.quantity;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      transfer.lots.forEach((lot) =>
+        source.receiveLot(
+          { lotNumber: lot.lotNumber, expiryDate: lot.expiryDate },
+          lot.quantity
+        )
+      );
+
+      await source.updateQuantity(
+        transfer.quantity,
+        `Transfer ${transfer.transferNumber} cancelled`,
+        {
+          userId: req.user.id,
+          reasonCode: "transfer",
+          source: "transfer",
+          locationId: transfer.sourceLocationId,
+          unitCost: transfer.unitCost,
+          metadata: {
+            transferId: transfer._id,
+            transferNumber: transfer.transferNumber,
+          },
+          session,
+        }
+      );
+
+      transfer.status = "cancelled";
+      transfer.cancelledAt = Date.now();
+      await transfer.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      return next(toRequestError(error));
+    } finally {
+      session.endSession();
+    }
+
+    await recordTransferSide(req, source, previousQuantity, transfer);
+
+    return ApiResponse.success(res, "Transfer cancelled", {
+      transfer,
+      source,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
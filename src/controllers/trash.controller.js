@@ -0,0 +1,261 @@
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const ItemRelationship = require("../models/itemRelationship.model");
+const Attachment = require("../models/attachment.model");
+const Activity = require("../models/activity.model");
+const UserSettings = require("../models/settings.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, ConflictError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Find a trashed record owned by the current user
+const findTrashed = (Model, req) =>
+  Model.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+    isDeleted: true,
+  });
+
+// Date a record trashed at deletedAt will be purged
+const getPurgeDate = (deletedAt, retentionDays) =>
+  new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+// Restore a folder and any trashed ancestors, returning where contents belong
+const restoreFolderPlacement = async (req, folderId) => {
+  if (!folderId) return null;
+
+  const folder = await Folder.findOne({
+    _id: folderId,
+    userId: req.user.id,
+  }).setOptions({ withDeleted: true });
+
+  // Purged folders can't be brought back; their contents go to the root
+  if (!folder) return null;
+
+  if (folder.isDeleted) {
+    folder.parentId = await restoreFolderPlacement(req, folder.parentId);
+
+    const nameTaken = await Folder.exists({
+      _id: { $ne: folder._id },
+      name: folder.name,
+      userId: req.user.id,
+      parentId: folder.parentId,
+    });
+
+    if (nameTaken) {
+      throw new ConflictError(
+        `A folder named "${folder.name}" already exists in that location`
+      );
+    }
+
+    await folder.restore();
+  }
+
+  return folder._id;
+};
+
+/**
+ * @desc    List trashed items and folders
+ * @route   GET /api/trash
+ * @access  Private
+ */
+exports.getTrash = async (req, res, next) => {
+  try {
+    const { type, search, page = 1, limit = 50 } = req.query;
+    const { trashRetentionDays } = await UserSettings.getInventorySettings(
+      req.user.id
+    );
+
+    const query = { userId: req.user.id, isDeleted: true };
+    if (search) {
+      query.name = { $regex: search, $options: "i" };
+    }
+
+    const [items, folders] = await Promise.all([
+      type === "folder"
+        ? []
+        : Item.find(query).select(
+            "name sku quantity unit folderId images deletedAt deletedBy"
+          ),
+      type === "item"
+        ? []
+        : Folder.find(query).select(
+            "name parentId path color deletedAt deletedBy"
+          ),
+    ]);
+
+    const entries = [
+      ...folders.map((folder) => ({ type: "folder", record: folder })),
+      ...items.map((item) => ({ type: "item", record: item })),
+    ]
+      .map(({ type, record }) => ({
+        type,
+        ...record.toObject(),
+        purgeAt: getPurgeDate(record.deletedAt, trashRetentionDays),
+      }))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    return ApiResponse.success(res, "Trash retrieved successfully", {
+      trash: entries.slice(skip, skip + Number(limit)),
+      retentionDays: trashRetentionDays,
+      pagination: {
+        total: entries.length,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(entries.length / Number(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a trashed item into its original folder
+ * @route   POST /api/trash/items/:id/restore
+ * @access  Private
+ */
+exports.restoreItem = async (req, res, next) => {
+  try {
+    const item = await findTrashed(Item, req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found in trash"));
+    }
+
+    item.folderId = await restoreFolderPlacement(req, item.folderId);
+    // Reservations were released when the item was trashed
+    item.reservedQuantity = 0;
+    await item.restore();
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "restore",
+      details: { name: item.name, folderId: item.folderId },
+    });
+
+    notificationService.emitItemEvent("restored", {
+      item,
+      userId: req.user.id,
+    });
+
+    return ApiResponse.success(res, "Item restored successfully", { item });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a trashed folder under its original parent
+ * @route   POST /api/trash/folders/:id/restore
+ * @access  Private
+ */
+exports.restoreFolder = async (req, res, next) => {
+  try {
+    const folder = await findTrashed(Folder, req);
+
+    if (!folder) {
+      return next(new NotFoundError("Folder not found in trash"));
+    }
+
+    await restoreFolderPlacement(req, folder._id);
+    const restoredFolder = await Folder.findById(folder._id);
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: folder._id,
+      resourceType: "folder",
+      action: "restore",
+      details: { name: folder.name, parentId: restoredFolder.parentId },
+    });
+
+    notificationService.emitFolderEvent("restored", {
+      folder: restoredFolder,
+      userId: req.user.id,
+    });
+
+    return ApiResponse.success(res, "Folder restored successfully", {
+      folder: restoredFolder,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Permanently delete a trashed item
+ * @route   DELETE /api/trash/items/:id
+ * @access  Private
+ */
+exports.purgeItem = async (req, res, next) => {
+  try {
+    const item = await findTrashed(Item, req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found in trash"));
+    }
+
+    await item.deleteOne();
+    await ItemRelationship.removeForItems([item._id]);
+    await Attachment.removeFor("item", [item._id]);
+
+    return ApiResponse.success(res, "Item permanently deleted");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Permanently delete a trashed folder
+ * @route   DELETE /api/trash/folders/:id
+ * @access  Private
+ */
+exports.purgeFolder = async (req, res, next) => {
+  try {
+    const folder = await findTrashed(Folder, req);
+
+    if (!folder) {
+      return next(new NotFoundError("Folder not found in trash"));
+    }
+
+    await folder.deleteOne();
+    await Attachment.removeFor("folder", [folder._id]);
+
+    return ApiResponse.success(res, "Folder permanently deleted");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Permanently delete everything in the trash
+ * @route   DELETE /api/trash
+ * @access  Private
+ */
+exports.emptyTrash = async (req, res, next) => {
+  try {
+    const [items, folders] = await Promise.all([
+      Item.purgeTrash(req.user.id),
+      Folder.purgeTrash(req.user.id),
+    ]);
+    if (items.deletedCount > 0) {
+      await ItemRelationship.removeOrphans(req.user.id);
+    }
+    if (items.deletedCount + folders.deletedCount > 0) {
+      await Attachment.removeOrphans(req.user.id);
+    }
+
+    return ApiResponse.success(res, "Trash emptied successfully", {
+      itemCount: items.deletedCount,
+      folderCount: folders.deletedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
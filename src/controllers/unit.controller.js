@@ -0,0 +1,192 @@
+const Unit = require("../models/unit.model");
+const Item = require("../models/item.model");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+/**
+ * @desc    Get units of measure available to the user
+ * @route   GET /api/units
+ * @access  Private
+ */
+exports.getUnits = async (req, res, next) => {
+  try {
+    let units = await Unit.getCatalog(req.user.id);
+
+    if (req.query.dimension) {
+      units = units.filter((unit) => unit.dimension === req.query.dimension);
+    }
+
+    return ApiResponse.success(res, "Units retrieved successfully", {
+      units,
+      baseUnits: Unit.BASE_UNITS,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Convert a quantity between two units
+ * @route   GET /api/units/convert
+ * @access  Private
+ */
+exports.convertQuantity = async (req, res, next) => {
+  try {
+    const { quantity, from, to } = req.query;
+
+    let converted;
+    try {
+      converted = await Unit.convert(req.user.id, Number(quantity), from, to);
+    } catch (error) {
+      return next(new BadRequestError(error.message));
+    }
+
+    return ApiResponse.success(res, "Quantity converted successfully", {
+      quantity: Number(quantity),
+      from,
+      to,
+      converted,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a custom unit
+ * @route   POST /api/units
+ * @access  Private
+ */
+exports.createUnit = async (req, res, next) => {
+  try {
+    const { name, label, dimension, factor } = req.body;
+
+    if (Unit.isBuiltIn(name)) {
+      return next(new ConflictError("A built-in unit with this name exists"));
+    }
+
+    const existingUnit = await Unit.findOne({
+      name: name.trim().toLowerCase(),
+      userId: req.user.id,
+    });
+
+    if (existingUnit) {
+      return next(new ConflictError("Unit with this name already exists"));
+    }
+
+    const unit = await Unit.create({
+      name,
+      label,
+      dimension,
+      factor,
+      userId: req.user.id,
+    });
+
+    return ApiResponse.created(res, "Unit created successfully", { unit });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a custom unit
+ * @route   PUT /api/units/:id
+ * @access  Private
+ */
+exports.updateUnit = async (req, res, next) => {
+  try {
+    const unit = await Unit.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!unit) {
+      return next(new NotFoundError("Unit not found"));
+    }
+
+    const { name, label, dimension, factor } = req.body;
+
+    if (name !== undefined && name.trim().toLowerCase() !== unit.name) {
+      if (Unit.isBuiltIn(name)) {
+        return next(new ConflictError("A built-in unit with this name exists"));
+      }
+
+      const existingUnit = await Unit.findOne({
+        name: name.trim().toLowerCase(),
+        userId: req.user.id,
+        _id: { $ne: unit._id },
+      });
+
+      if (existingUnit) {
+        return next(new ConflictError("Unit with this name already exists"));
+      }
+
+      // Trashed items still hold the unit and can be restored
+      const itemCount = await Item.countDocuments({
+        userId: req.user.id,
+        unit: unit.name,
+      }).setOptions({ withDeleted: true });
+
+      if (itemCount > 0) {
+        return next(
+          new BadRequestError(
+            `Cannot rename unit used as the base unit of ${itemCount} item(s)`
+          )
+        );
+      }
+      unit.name = name;
+    }
+
+    if (label !== undefined) unit.label = label;
+    if (dimension !== undefined) unit.dimension = dimension;
+    if (factor !== undefined) unit.factor = factor;
+
+    await unit.save();
+
+    return ApiResponse.success(res, "Unit updated successfully", { unit });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a custom unit
+ * @route   DELETE /api/units/:id
+ * @access  Private
+ */
+exports.deleteUnit = async (req, res, next) => {
+  try {
+    const unit = await Unit.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!unit) {
+      return next(new NotFoundError("Unit not found"));
+    }
+
+    // Trashed items still hold the unit and can be restored
+    const itemCount = await Item.countDocuments({
+      userId: req.user.id,
+      unit: unit.name,
+    }).setOptions({ withDeleted: true });
+
+    if (itemCount > 0) {
+      return next(
+        new BadRequestError(
+          `Cannot delete unit used as the base unit of ${itemCount} item(s)`
+        )
+      );
+    }
+
+    await unit.deleteOne();
+
+    return ApiResponse.success(res, "Unit deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,382 @@
+const Item = require("../models/item.model");
+const Activity = require("../models/activity.model");
+const Alert = require("../models/alert.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const Unit = require("../models/unit.model");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+const notificationService = require("../services/notificationService");
+
+// Find an item owned by the current user
+const findUserItem = (req) =>
+  Item.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+// Record the parent's rolled-up quantity change in the stock ledger
+const recordRollup = async (item, previousQuantity, userId, reason) => {
+  if (item.quantity !== previousQuantity) {
+    await StockTransaction.record({
+      item,
+      delta: item.quantity - previousQuantity,
+      userId,
+      reason,
+    });
+  }
+};
+
+/**
+ * @desc    Get item variants
+ * @route   GET /api/items/:id/variants
+ * @access  Private
+ */
+exports.getVariants = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    let variants = item.variants;
+
+    // Filter by attribute values, e.g. ?attributes[color]=red
+    if (req.query.attributes && typeof req.query.attributes === "object") {
+      variants = variants.filter((variant) =>
+        Object.entries(req.query.attributes).every(
+          ([key, value]) => variant.attributes.get(key) === value
+        )
+      );
+    }
+
+    if (req.query.lowStock === "true") {
+      variants = variants.filter(
+        (variant) => variant.quantity <= variant.minLevel
+      );
+    }
+
+    return ApiResponse.success(res, "Variants retrieved successfully", {
+      variants,
+      totalQuantity: item.quantity,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get item variant by ID
+ * @route   GET /api/items/:id/variants/:variantId
+ * @access  Private
+ */
+exports.getVariantById = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const variant = item.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return next(new NotFoundError("Variant not found"));
+    }
+
+    return ApiResponse.success(res, "Variant retrieved successfully", {
+      variant,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create item variant
+ * @route   POST /api/items/:id/variants
+ * @access  Private
+ */
+exports.createVariant = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const { name, sku, quantity = 0, minLevel = 0, attributes = {} } = req.body;
+
+    const duplicate = item.variants.find(
+      (variant) => variant.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (duplicate) {
+      return next(new BadRequestError("Variant with this name already exists"));
+    }
+
+    const previousQuantity = item.quantity;
+    // Stock counted before variants is replaced by the variants' own stock
+    const untrackedQuantity = item.variants.length === 0 ? previousQuantity : 0;
+
+    item.variants.push({
+      name,
+      sku,
+      quantity: Number(quantity),
+      minLevel: Number(minLevel),
+      attributes,
+    });
+    const variant = item.variants[item.variants.length - 1];
+
+    await item.save();
+    if (untrackedQuantity > 0) {
+      await StockTransaction.record({
+        item,
+        delta: -untrackedQuantity,
+        balance: 0,
+        userId: req.user.id,
+        reasonCode: "other",
+        reason: "Untracked stock replaced by variants",
+      });
+    }
+    await recordRollup(
+      item,
+      previousQuantity - untrackedQuantity,
+      req.user.id,
+      `Variant "${variant.name}" created`
+    );
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        variantAction: "create",
+        variantId: variant._id,
+        variantName: variant.name,
+        quantity: variant.quantity,
+      },
+    });
+
+    return ApiResponse.created(res, "Variant created successfully", {
+      item,
+      variant,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update item variant
+ * @route   PUT /api/items/:id/variants/:variantId
+ * @access  Private
+ */
+exports.updateVariant = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const variant = item.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return next(new NotFoundError("Variant not found"));
+    }
+
+    const { name, sku, minLevel, attributes } = req.body;
+
+    if (name !== undefined) {
+      const duplicate = item.variants.find(
+        (other) =>
+          other._id.toString() !== variant._id.toString() &&
+          other.name.toLowerCase() === name.trim().toLowerCase()
+      );
+      if (duplicate) {
+        return next(
+          new BadRequestError("Variant with this name already exists")
+        );
+      }
+      variant.name = name;
+    }
+    if (sku !== undefined) variant.sku = sku;
+    if (minLevel !== undefined) variant.minLevel = Number(minLevel);
+    if (attributes !== undefined) variant.attributes = attributes;
+
+    await item.save();
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        variantAction: "update",
+        variantId: variant._id,
+        variantName: variant.name,
+      },
+    });
+
+    return ApiResponse.success(res, "Variant updated successfully", {
+      item,
+      variant,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete item variant
+ * @route   DELETE /api/items/:id/variants/:variantId
+ * @access  Private
+ */
+exports.deleteVariant = async (req, res, next) => {
+  try {
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const variant = item.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return next(new NotFoundError("Variant not found"));
+    }
+
+    const previousQuantity = item.quantity;
+    const removedVariant = variant.toObject();
+
+    variant.deleteOne();
+    await item.save();
+    await recordRollup(
+      item,
+      previousQuantity,
+      req.user.id,
+      `Variant "${removedVariant.name}" deleted`
+    );
+
+    // Resolve alerts raised for the removed variant
+    await Alert.updateMany(
+      {
+        itemId: item._id,
+        variantId: removedVariant._id,
+        status: { $in: ["active", "read"] },
+      },
+      { status: "resolved", resolvedAt: new Date() }
+    );
+
+    await Activity.create({
+      userId: req.user.id,
+      resourceId: item._id,
+      resourceType: "item",
+      action: "update",
+      details: {
+        name: item.name,
+        variantAction: "delete",
+        variantId: removedVariant._id,
+        variantName: removedVariant.name,
+        quantity: removedVariant.quantity,
+      },
+    });
+
+    return ApiResponse.success(res, "Variant deleted successfully", { item });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Adjust item variant quantity
+ * @route   PUT /api/items/:id/variants/:variantId/quantity
+ * @access  Private
+ */
+exports.updateVariantQuantity = async (req, res, next) => {
+  try {
+    const { change, reason, reasonCode, source, unit } = req.body;
+
+    if (change === undefined || isNaN(change)) {
+      return next(
+        new BadRequestError("Quantity change is required and must be a number")
+      );
+    }
+
+    const item = await findUserItem(req);
+
+    if (!item) {
+      return next(new NotFoundError("Item not found"));
+    }
+
+    const variant = item.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return next(new NotFoundError("Variant not found"));
+    }
+
+    const previousQuantity = item.quantity;
+    const previousVariantQuantity = variant.quantity;
+
+    try {
+      // Changes may be entered in any unit compatible with the base unit
+      const baseChange = unit
+        ? await Unit.convert(
+            req.user.id,
+            Number(change),
+            unit,
+            item.unit || "unit"
+          )
+        : Number(change);
+
+      const result = await item.updateQuantity(baseChange, reason || "manual", {
+        userId: req.user.id,
+        reasonCode: reasonCode || "adjustment",
+        source: source || "manual",
+        variantId: variant._id,
+        metadata: unit ? { unit, enteredChange: Number(change) } : undefined,
+      });
+
+      await Activity.create({
+        userId: req.user.id,
+        resourceId: item._id,
+        resourceType: "item",
+        action: "quantity_change",
+        details: {
+          name: item.name,
+          variantId: variant._id,
+          variantName: variant.name,
+          previousQuantity: previousVariantQuantity,
+          newQuantity: variant.quantity,
+          change: baseChange,
+          reason: reason || "manual",
+          transactionId: result.transactionId,
+        },
+      });
+
+      notificationService.emitItemEvent("quantity_changed", {
+        item,
+        previousQuantity,
+        newQuantity: item.quantity,
+        userId: req.user.id,
+      });
+
+      return ApiResponse.success(res, "Variant quantity updated successfully", {
+        item,
+        variant,
+        quantityChange: {
+          ...result,
+          previousVariantQuantity,
+          newVariantQuantity: variant.quantity,
+        },
+      });
+    } catch (error) {
+      return next(new BadRequestError(error.message));
+    }
+  } catch (error) {
+    next(error);
+  }
+};
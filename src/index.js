@@ -84,6 +84,18 @@ app.use("/api/auth", require("./routes/auth.routes"));
 app.use("/api/users", require("./routes/user.routes"));
 app.use("/api/items", require("./routes/item.routes"));
 app.use("/api/folders", require("./routes/folder.routes"));
+app.use("/api/locations", require("./routes/location.routes"));
+app.use("/api/units", require("./routes/unit.routes"));
+app.use("/api/suppliers", require("./routes/supplier.routes"));
+app.use("/api/purchase-orders", require("./routes/purchaseOrder.routes"));
+app.use("/api/sales-orders", require("./routes/salesOrder.routes"));
+app.use("/api/counts", require("./routes/countSession.routes"));
+app.use("/api/transfers", require("./routes/transfer.routes"));
+app.use("/api/exchange-rates", require("./routes/exchangeRate.routes"));
+app.use("/api/trash", require("./routes/trash.routes"));
+app.use("/api/custom-fields", require("./routes/customField.routes"));
+app.use("/api/attachments", require("./routes/attachment.routes"));
+app.use("/api/item-templates", require("./routes/itemTemplate.routes"));
 app.use("/api/alerts", require("./routes/alert.routes"));
 app.use("/api/activities", require("./routes/activity.routes"));
 app.use("/api/permissions", require("./routes/permission.routes"));
@@ -134,6 +146,11 @@ app.use((req, res) => {
 const PORT = config.port;
 const server = app.listen(PORT, () => {
   logger.info(`Server running in ${config.nodeEnv} mode on port ${PORT}`);
+
+  // Start background check for expiring lots
+  if (config.nodeEnv !== "test") {
+    require("./services/expirationService").start();
+  }
 });
 
 // Handle unhandled promise rejections
@@ -5,7 +5,14 @@ const { BadRequestError } = require("../utils/customError");
 const {
   generateOptimizedFilename,
   validateImage,
+  processImage,
+  generateThumbnails,
 } = require("../utils/imageProcessor");
+const {
+  MAX_ATTACHMENT_SIZE,
+  getAttachmentType,
+  validateAttachment,
+} = require("../utils/attachmentProcessor");
 const config = require("../config");
 
 // Ensure upload directory exists
@@ -56,6 +63,25 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+// Strip metadata from uploaded images and generate their thumbnails. If any
+// image can't be processed, all of the request's uploads are removed.
+const processUploadedImages = async (files) => {
+  try {
+    for (const file of files) {
+      const processed = await processImage(file.path);
+      file.size = processed.size;
+      file.width = processed.width;
+      file.height = processed.height;
+      file.thumbnails = await generateThumbnails(file.path);
+    }
+  } catch (error) {
+    files.forEach((file) => deleteImageFiles(file));
+    throw new BadRequestError(
+      `Could not process image: ${error.message || "invalid image file"}`
+    );
+  }
+};
+
 // Middleware for single image upload
 const uploadSingle = (fieldName = "image") => {
   return (req, res, next) => {
@@ -72,7 +98,9 @@ const uploadSingle = (fieldName = "image") => {
       } else if (err) {
         return next(err);
       }
-      next();
+      processUploadedImages(req.file ? [req.file] : [])
+        .then(() => next())
+        .catch(next);
     });
   };
 };
@@ -98,11 +126,95 @@ const uploadMultiple = (fieldName = "images", maxCount = 5) => {
       } else if (err) {
         return next(err);
       }
+      processUploadedImages(req.files || [])
+        .then(() => next())
+        .catch(next);
+    });
+  };
+};
+
+// Ensure attachment directory exists
+const attachmentDir = path.join(__dirname, "../../", config.attachmentDir);
+if (!fs.existsSync(attachmentDir)) {
+  fs.mkdirSync(attachmentDir, { recursive: true });
+}
+
+// Configure attachment storage
+const attachmentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, attachmentDir);
+  },
+  filename: (req, file, cb) => {
+    const filename = generateOptimizedFilename(file.originalname);
+    cb(null, `attachment-${filename}`);
+  },
+});
+
+// Attachment filter
+const attachmentFilter = (req, file, cb) => {
+  if (getAttachmentType(file.originalname)) {
+    return cb(null, true);
+  }
+  cb(
+    new BadRequestError("Only PDF, spreadsheet and text files can be attached"),
+    false
+  );
+};
+
+// Configure multer for attachments
+const attachmentUpload = multer({
+  storage: attachmentStorage,
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+  },
+  fileFilter: attachmentFilter,
+});
+
+// Middleware for single attachment upload. The file's contents are checked
+// against its extension once stored, and rejected files are removed.
+const uploadAttachment = (fieldName = "file") => {
+  return (req, res, next) => {
+    const singleUpload = attachmentUpload.single(fieldName);
+
+    singleUpload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return next(
+            new BadRequestError(
+              `File too large. Maximum size is ${
+                MAX_ATTACHMENT_SIZE / (1024 * 1024)
+              }MB`
+            )
+          );
+        }
+        return next(new BadRequestError(`Upload error: ${err.message}`));
+      } else if (err) {
+        return next(err);
+      }
+
+      if (req.file) {
+        const validation = validateAttachment(req.file);
+        if (!validation.isValid) {
+          deleteFile(req.file.path);
+          return next(new BadRequestError(validation.errors.join(". ")));
+        }
+        req.file.mimetype = validation.type.mimetype;
+        req.file.kind = validation.type.kind;
+      }
       next();
     });
   };
 };
 
+// Error middleware for upload routes that removes the stored file when a
+// later check, such as body validation, rejects the request
+const discardUploadOnError = (err, req, res, next) => {
+  if (req.file) {
+    deleteFile(req.file.path);
+  }
+  next(err);
+};
+
 // Helper function to delete file
 const deleteFile = (filePath) => {
   try {
@@ -117,6 +229,70 @@ const deleteFile = (filePath) => {
   }
 };
 
+// Helper function to copy an uploaded file under a new name
+const duplicateFile = (filePath, originalName) => {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const filename = `item-${generateOptimizedFilename(originalName)}`;
+    const copyPath = path.join(path.dirname(filePath), filename);
+    fs.copyFileSync(filePath, copyPath);
+    return { filename, path: copyPath };
+  } catch (error) {
+    console.error("Error copying file:", error);
+    return null;
+  }
+};
+
+// Helper function to delete an image and its thumbnails. Works with stored
+// item images and with processed multer files.
+const deleteImageFiles = (image) => {
+  deleteFile(image.path);
+  Object.values(image.thumbnails || {}).forEach((thumbnail) => {
+    if (thumbnail) {
+      deleteFile(path.join(path.dirname(image.path), path.basename(thumbnail)));
+    }
+  });
+};
+
+// Helper function to copy a stored item image and its thumbnails
+const duplicateImage = (req, image) => {
+  const copy = duplicateFile(image.path, image.originalName);
+  if (!copy) {
+    return null;
+  }
+
+  const thumbnails = {};
+  Object.entries(image.thumbnails || {}).forEach(([size, thumbnail]) => {
+    const thumbnailCopy =
+      thumbnail &&
+      duplicateFile(
+        path.join(path.dirname(image.path), path.basename(thumbnail)),
+        image.originalName
+      );
+    if (thumbnailCopy) {
+      thumbnails[size] = getFileUrl(req, thumbnailCopy.filename);
+    }
+  });
+
+  return {
+    filename: copy.filename,
+    originalName: image.originalName,
+    path: copy.path,
+    size: image.size,
+    mimetype: image.mimetype,
+    width: image.width,
+    height: image.height,
+    thumbnails,
+    primary: image.primary,
+    caption: image.caption,
+    altText: image.altText,
+    url: getFileUrl(req, copy.filename),
+  };
+};
+
 // Helper function to get file URL
 const getFileUrl = (req, filename) => {
   return `${req.protocol}://${req.get("host")}/uploads/items/${filename}`;
@@ -126,6 +302,11 @@ module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
+  uploadAttachment,
+  discardUploadOnError,
   deleteFile,
+  deleteImageFiles,
+  duplicateFile,
+  duplicateImage,
   getFileUrl,
 };
@@ -1,4 +1,5 @@
 const { body, validationResult } = require("express-validator");
+const Attachment = require("../models/attachment.model");
 
 // Tag validation
 const validateTag = [
@@ -44,6 +45,34 @@ const validateTag = [
   },
 ];
 
+// Attachment detail validation, for uploads and updates. Run `validate`
+// after it.
+const attachmentFieldsValidation = [
+  body("title")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Title cannot be empty")
+    .isLength({ max: 200 })
+    .withMessage("Title cannot be more than 200 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description cannot be more than 1000 characters"),
+  body("category")
+    .optional()
+    .isIn(Attachment.CATEGORIES)
+    .withMessage(
+      `Category must be one of: ${Attachment.CATEGORIES.join(", ")}`
+    ),
+  body("expiresAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date"),
+];
+
 module.exports = {
   validateTag,
+  attachmentFieldsValidation,
 };
@@ -25,6 +25,8 @@ const ActivitySchema = new Schema(
         "delete",
         "move",
         "clone",
+        "restore",
+        "merge",
         "quantity_change",
         "status_change",
         "bulk_update",
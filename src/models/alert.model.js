@@ -10,6 +10,10 @@ const AlertSchema = new Schema(
         return this.type !== 'system' && this.type !== 'user_activity';
       },
     },
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
     folderId: {
       type: Schema.Types.ObjectId,
       ref: "Folder",
@@ -109,6 +113,7 @@ const AlertSchema = new Schema(
 // Add indexes for efficient querying
 AlertSchema.index({ userId: 1, status: 1, createdAt: -1 });
 AlertSchema.index({ itemId: 1, type: 1 });
+AlertSchema.index({ itemId: 1, variantId: 1, status: 1 });
 AlertSchema.index({ type: 1, priority: 1 });
 AlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -147,26 +152,64 @@ AlertSchema.methods.dismiss = async function () {
   return this;
 };
 
+// Whether low stock is judged on available (net of reservations) or on-hand stock
+const usesAvailableQuantity = (item, variant, options = {}) => {
+  if (variant) {
+    return false;
+  }
+  return options.useAvailable !== undefined
+    ? options.useAvailable
+    : item.lowStockBasis === "available";
+};
+
 // Static method to create low quantity alert
-AlertSchema.statics.createLowQuantityAlert = async function (item) {
-  // Check if there's already an active alert for this item
+// Pass a variant to alert on that variant's own stock and minimum level
+// Pass { useAvailable: true } to judge stock net of reservations
+AlertSchema.statics.createLowQuantityAlert = async function (item, variant = null, options = {}) {
+  const useAvailable = usesAvailableQuantity(item, variant, options);
+  const stock = {
+    quantity: useAvailable
+      ? Math.max(item.quantity - (item.reservedQuantity || 0), 0)
+      : (variant || item).quantity,
+    minLevel: (variant || item).minLevel,
+  };
+  const minLevel = stock.minLevel || 0;
+  const name = variant ? `${item.name} (${variant.name})` : item.name;
+  const remaining = useAvailable ? "available" : "remaining";
+  const outOfStock = stock.quantity === 0;
+  const itemAvailable = Math.max(item.quantity - (item.reservedQuantity || 0), 0);
+
+  // Out of stock alerts list in-stock substitutes to use instead, unless
+  // the item itself still has stock in other variants
+  let substitutes = [];
+  if (outOfStock && itemAvailable === 0) {
+    const ItemRelationship = require('./itemRelationship.model');
+    substitutes = await ItemRelationship.findInStockSubstitutes(item);
+  }
+
+  // Check if there's already an active alert for this item or variant
   const existingAlert = await this.findOne({
     itemId: item._id,
-    type: "low_quantity",
+    variantId: variant ? variant._id : null,
+    type: { $in: ["low_quantity", "out_of_stock"] },
     status: { $in: ["active", "read"] },
   });
 
   if (existingAlert) {
     // Update existing alert
-    existingAlert.threshold = item.minLevel;
-    existingAlert.currentValue = item.quantity;
+    existingAlert.type = outOfStock ? "out_of_stock" : "low_quantity";
+    existingAlert.threshold = minLevel;
+    existingAlert.currentValue = stock.quantity;
     existingAlert.status = "active";
     existingAlert.readAt = null;
-    existingAlert.title = "Low Stock Alert";
-    existingAlert.message = `${item.name} is running low (${item.quantity} remaining, minimum: ${item.minLevel})`;
-    existingAlert.priority = item.quantity === 0 ? "critical" : "high";
+    existingAlert.title = outOfStock ? "Out of Stock Alert" : "Low Stock Alert";
+    existingAlert.message = outOfStock
+      ? `${name} is out of stock`
+      : `${name} is running low (${stock.quantity} ${remaining}, minimum: ${minLevel})`;
+    existingAlert.priority = outOfStock ? "critical" : "high";
     existingAlert.actionUrl = `/dashboard?tab=items&item=${item._id}`;
     existingAlert.actionText = "View Item";
+    existingAlert.metadata = { ...existingAlert.metadata, substitutes };
     await existingAlert.save();
     return existingAlert;
   }
@@ -174,21 +217,25 @@ AlertSchema.statics.createLowQuantityAlert = async function (item) {
   // Create new alert
   return await this.create({
     itemId: item._id,
+    variantId: variant ? variant._id : null,
     folderId: item.folderId,
     userId: item.userId,
-    type: item.quantity === 0 ? "out_of_stock" : "low_quantity",
-    threshold: item.minLevel,
-    currentValue: item.quantity,
-    title: item.quantity === 0 ? "Out of Stock Alert" : "Low Stock Alert",
-    message: item.quantity === 0 
-      ? `${item.name} is out of stock`
-      : `${item.name} is running low (${item.quantity} remaining, minimum: ${item.minLevel})`,
-    priority: item.quantity === 0 ? "critical" : "high",
+    type: outOfStock ? "out_of_stock" : "low_quantity",
+    threshold: minLevel,
+    currentValue: stock.quantity,
+    title: outOfStock ? "Out of Stock Alert" : "Low Stock Alert",
+    message: outOfStock 
+      ? `${name} is out of stock`
+      : `${name} is running low (${stock.quantity} ${remaining}, minimum: ${minLevel})`,
+    priority: outOfStock ? "critical" : "high",
     actionUrl: `/dashboard?tab=items&item=${item._id}`,
     actionText: "View Item",
     metadata: {
       itemName: item.name,
-      previousQuantity: item.quantity,
+      ...(variant && { variantName: variant.name }),
+      ...(useAvailable && { basis: "available" }),
+      ...(substitutes.length > 0 && { substitutes }),
+      previousQuantity: stock.quantity,
     }
   });
 };
@@ -309,11 +356,16 @@ AlertSchema.statics.createSystemAlert = async function (title, message, priority
 };
 
 // Static method to check and resolve low quantity alerts
-AlertSchema.statics.checkAndResolveAlerts = async function (item) {
+AlertSchema.statics.checkAndResolveAlerts = async function (item, variant = null, options = {}) {
+  const quantity = usesAvailableQuantity(item, variant, options)
+    ? Math.max(item.quantity - (item.reservedQuantity || 0), 0)
+    : (variant || item).quantity;
+
   // If quantity is now above minLevel, resolve any active low quantity alerts
-  if (item.quantity > item.minLevel) {
+  if (quantity > ((variant || item).minLevel || 0)) {
     const alerts = await this.find({
       itemId: item._id,
+      variantId: variant ? variant._id : null,
       type: { $in: ["low_quantity", "out_of_stock"] },
       status: { $in: ["active", "read"] },
     });
@@ -324,6 +376,88 @@ AlertSchema.statics.checkAndResolveAlerts = async function (item) {
   }
 };
 
+// Static method to create or refresh an expiration alert for a lot
+AlertSchema.statics.createExpirationAlert = async function (item, lot, daysUntilExpiry) {
+  const expired = daysUntilExpiry <= 0;
+  const title = expired ? "Lot Expired" : "Lot Expiring Soon";
+  const message = expired
+    ? `Lot ${lot.lotNumber} of ${item.name} has expired (${lot.quantity} ${item.unit || "units"} on hand)`
+    : `Lot ${lot.lotNumber} of ${item.name} expires in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? "" : "s"} (${lot.quantity} ${item.unit || "units"} on hand)`;
+  const priority = expired ? "critical" : daysUntilExpiry <= 7 ? "high" : "medium";
+
+  // Dismissed alerts stay dismissed until the lot changes
+  const existingAlert = await this.findOne({
+    itemId: item._id,
+    type: "expiration",
+    "metadata.lotId": lot._id,
+    status: { $in: ["active", "read", "dismissed"] },
+  });
+
+  if (existingAlert) {
+    if (existingAlert.status === "dismissed") {
+      return existingAlert;
+    }
+
+    // Re-activate when the alert escalates to a higher priority
+    if (existingAlert.priority !== priority) {
+      existingAlert.status = "active";
+      existingAlert.readAt = null;
+    }
+    existingAlert.title = title;
+    existingAlert.message = message;
+    existingAlert.priority = priority;
+    existingAlert.currentValue = daysUntilExpiry;
+    existingAlert.metadata = {
+      ...existingAlert.metadata,
+      quantity: lot.quantity,
+      daysUntilExpiry,
+    };
+    existingAlert.markModified("metadata");
+    await existingAlert.save();
+    return existingAlert;
+  }
+
+  return await this.create({
+    itemId: item._id,
+    folderId: item.folderId,
+    userId: item.userId,
+    type: "expiration",
+    threshold: 0,
+    currentValue: daysUntilExpiry,
+    title: title,
+    message: message,
+    priority: priority,
+    actionUrl: `/dashboard?tab=items&item=${item._id}`,
+    actionText: "View Item",
+    metadata: {
+      itemName: item.name,
+      lotId: lot._id,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      quantity: lot.quantity,
+      daysUntilExpiry,
+    }
+  });
+};
+
+// Static method to resolve expiration alerts for lots that are empty or gone
+AlertSchema.statics.resolveExpirationAlerts = async function (item) {
+  const stockedLotIds = (item.lots || [])
+    .filter((lot) => lot.quantity > 0 && lot.expiryDate)
+    .map((lot) => lot._id);
+
+  const result = await this.updateMany(
+    {
+      itemId: item._id,
+      type: "expiration",
+      "metadata.lotId": { $nin: stockedLotIds },
+      status: { $in: ["active", "read", "dismissed"] },
+    },
+    { status: "resolved", resolvedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
 // Static method to clean up expired alerts
 AlertSchema.statics.cleanupExpiredAlerts = async function () {
   const result = await this.deleteMany({
@@ -0,0 +1,150 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const fs = require("fs");
+const config = require("../config");
+const Schema = mongoose.Schema;
+
+const RESOURCE_TYPES = ["item", "folder"];
+const CATEGORIES = ["manual", "invoice", "certificate", "warranty", "other"];
+const KINDS = ["pdf", "spreadsheet", "text"];
+
+const attachmentDir = path.join(__dirname, "../../", config.attachmentDir);
+
+const AttachmentSchema = new Schema(
+  {
+    resourceType: {
+      type: String,
+      enum: RESOURCE_TYPES,
+      required: [true, "Resource type is required"],
+    },
+    resourceId: {
+      type: Schema.Types.ObjectId,
+      required: [true, "Resource ID is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot be more than 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot be more than 1000 characters"],
+    },
+    category: {
+      type: String,
+      enum: CATEGORIES,
+      default: "other",
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    filename: {
+      type: String,
+      required: [true, "Filename is required"],
+    },
+    originalName: {
+      type: String,
+      required: [true, "Original filename is required"],
+    },
+    mimetype: {
+      type: String,
+      required: [true, "File type is required"],
+    },
+    kind: {
+      type: String,
+      enum: KINDS,
+      required: [true, "File kind is required"],
+    },
+    size: {
+      type: Number,
+      required: [true, "File size is required"],
+      min: [0, "File size cannot be negative"],
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AttachmentSchema.index({ userId: 1, resourceType: 1, resourceId: 1 });
+AttachmentSchema.index({ userId: 1, expiresAt: 1 });
+
+// Location of the stored file
+AttachmentSchema.methods.getFilePath = function () {
+  return path.join(attachmentDir, this.filename);
+};
+
+// Remove the stored file
+AttachmentSchema.methods.removeFile = function () {
+  try {
+    fs.unlinkSync(this.getFilePath());
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error deleting attachment file:", error);
+    }
+  }
+};
+
+// Static method to delete the attachments of permanently deleted records
+AttachmentSchema.statics.removeFor = async function (resourceType, ids) {
+  const attachments = await this.find({
+    resourceType,
+    resourceId: { $in: ids },
+  });
+  attachments.forEach((attachment) => attachment.removeFile());
+
+  return this.deleteMany({
+    _id: { $in: attachments.map((attachment) => attachment._id) },
+  });
+};
+
+// Static method to delete a user's attachments on items and folders that no
+// longer exist
+AttachmentSchema.statics.removeOrphans = async function (userId) {
+  let deletedCount = 0;
+
+  for (const [resourceType, modelName] of [
+    ["item", "Item"],
+    ["folder", "Folder"],
+  ]) {
+    const attachedIds = await this.distinct("resourceId", {
+      userId,
+      resourceType,
+    });
+    if (attachedIds.length === 0) {
+      continue;
+    }
+
+    const existingIds = await mongoose
+      .model(modelName)
+      .distinct("_id", { _id: { $in: attachedIds } })
+      .setOptions({ withDeleted: true });
+    const existing = new Set(existingIds.map(String));
+    const missingIds = attachedIds.filter((id) => !existing.has(String(id)));
+
+    if (missingIds.length > 0) {
+      const result = await this.removeFor(resourceType, missingIds);
+      deletedCount += result.deletedCount;
+    }
+  }
+
+  return { deletedCount };
+};
+
+AttachmentSchema.statics.RESOURCE_TYPES = RESOURCE_TYPES;
+AttachmentSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model("Attachment", AttachmentSchema);
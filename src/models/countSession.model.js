@@ -0,0 +1,242 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Lifecycle of a count session; only approved sessions move stock
+const COUNT_SESSION_STATUSES = [
+  "counting",
+  "submitted",
+  "approved",
+  "cancelled",
+];
+
+const CountLineSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item ID is required"],
+  },
+  folderId: {
+    type: Schema.Types.ObjectId,
+    ref: "Folder",
+    default: null,
+  },
+  variantId: {
+    type: Schema.Types.ObjectId,
+    default: null,
+  },
+  locationId: {
+    type: Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  // Snapshot of the item when the session started
+  name: {
+    type: String,
+    trim: true,
+  },
+  sku: {
+    type: String,
+    trim: true,
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  expectedQuantity: {
+    type: Number,
+    required: [true, "Expected quantity is required"],
+    min: [0, "Expected quantity cannot be negative"],
+  },
+  countedQuantity: {
+    type: Number,
+    default: null,
+    min: [0, "Counted quantity cannot be negative"],
+  },
+  countedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  countedAt: {
+    type: Date,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Notes cannot be more than 500 characters"],
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: "StockTransaction",
+    default: null,
+  },
+});
+
+// Virtual for counted minus expected, null until counted
+CountLineSchema.virtual("variance").get(function () {
+  if (this.countedQuantity === null || this.countedQuantity === undefined) {
+    return null;
+  }
+  return this.countedQuantity - this.expectedQuantity;
+});
+
+CountLineSchema.set("toJSON", { virtuals: true });
+CountLineSchema.set("toObject", { virtuals: true });
+
+const CountSessionSchema = new Schema(
+  {
+    sessionNumber: {
+      type: String,
+      required: [true, "Session number is required"],
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    // Root of the counted folder subtree
+    folderId: {
+      type: Schema.Types.ObjectId,
+      ref: "Folder",
+      required: [true, "Folder is required"],
+    },
+    includeSubfolders: {
+      type: Boolean,
+      default: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    status: {
+      type: String,
+      enum: COUNT_SESSION_STATUSES,
+      default: "counting",
+    },
+    lines: [CountLineSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot be more than 1000 characters"],
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Review notes cannot be more than 1000 characters"],
+    },
+    approvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Session numbers are unique per user
+CountSessionSchema.index({ userId: 1, sessionNumber: 1 }, { unique: true });
+CountSessionSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+// Static method to generate the next session number for a user
+CountSessionSchema.statics.nextSessionNumber = async function (userId) {
+  const lastSession = await this.findOne({
+    userId,
+    sessionNumber: /^CC-\d+$/,
+  })
+    .sort({ sessionNumber: -1 })
+    .select("sessionNumber");
+
+  const lastNumber = lastSession
+    ? parseInt(lastSession.sessionNumber.slice(3))
+    : 0;
+  return `CC-${String(lastNumber + 1).padStart(5, "0")}`;
+};
+
+// Static method to build count lines for every balance an item holds
+CountSessionSchema.statics.buildLines = function (items) {
+  const lines = [];
+
+  for (const item of items) {
+    const snapshot = {
+      itemId: item._id,
+      folderId: item.folderId || null,
+      name: item.name,
+      sku: item.sku,
+      unit: item.unit,
+      unitCost: item.cost || item.price || 0,
+    };
+
+    if (item.variants.length > 0) {
+      item.variants.forEach((variant) =>
+        lines.push({
+          ...snapshot,
+          name: `${item.name} (${variant.name})`,
+          sku: variant.sku || item.sku,
+          variantId: variant._id,
+          expectedQuantity: variant.quantity,
+        })
+      );
+    } else if (item.stockLocations.length > 0) {
+      item.stockLocations.forEach((stock) =>
+        lines.push({
+          ...snapshot,
+          locationId: stock.locationId,
+          expectedQuantity: stock.quantity,
+        })
+      );
+    } else {
+      lines.push({ ...snapshot, expectedQuantity: item.quantity });
+    }
+  }
+
+  return lines;
+};
+
+// Method to summarize counted lines and their variances
+CountSessionSchema.methods.getVarianceSummary = function () {
+  const counted = this.lines.filter((line) => line.variance !== null);
+  const varied = counted.filter((line) => line.variance !== 0);
+
+  return {
+    lineCount: this.lines.length,
+    countedCount: counted.length,
+    uncountedCount: this.lines.length - counted.length,
+    varianceCount: varied.length,
+    netVariance: varied.reduce((sum, line) => sum + line.variance, 0),
+    netVarianceValue: varied.reduce(
+      (sum, line) => sum + line.variance * line.unitCost,
+      0
+    ),
+    absoluteVarianceValue: varied.reduce(
+      (sum, line) => sum + Math.abs(line.variance * line.unitCost),
+      0
+    ),
+  };
+};
+
+CountSessionSchema.statics.STATUSES = COUNT_SESSION_STATUSES;
+
+module.exports = mongoose.model("CountSession", CountSessionSchema);
@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const FIELD_TYPES = ["text", "number", "date", "select", "checkbox", "url"];
+
+// Records a definition can describe the custom fields of
+const TARGETS = ["item", "folder"];
+
+// Checkbox spellings accepted from forms and CSV files
+const TRUE_VALUES = ["true", "1", "yes", "y", "on"];
+const FALSE_VALUES = ["false", "0", "no", "n", "off"];
+
+const CustomFieldDefinitionSchema = new Schema(
+  {
+    // Map key the value is stored under in customFields
+    key: {
+      type: String,
+      required: [true, "Field key is required"],
+      trim: true,
+      immutable: true,
+      maxlength: [50, "Field key cannot be more than 50 characters"],
+      match: [
+        /^[A-Za-z][A-Za-z0-9_]*$/,
+        "Field key must start with a letter and contain only letters, numbers and underscores",
+      ],
+    },
+    label: {
+      type: String,
+      required: [true, "Field label is required"],
+      trim: true,
+      maxlength: [100, "Field label cannot be more than 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      required: [true, "Field type is required"],
+    },
+    appliesTo: {
+      type: String,
+      enum: TARGETS,
+      default: "item",
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    // Allowed values of select fields
+    options: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    defaultValue: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Position among the columns of forms and exports
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Field keys are unique per user and target
+CustomFieldDefinitionSchema.index(
+  { userId: 1, appliesTo: 1, key: 1 },
+  { unique: true }
+);
+
+// Values treated as "not filled in"
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+// Convert a raw value into the definition's type, throwing when it does not fit
+const coerceValue = (definition, value) => {
+  const label = definition.label || definition.key;
+
+  switch (definition.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(value);
+      if (typeof value === "boolean" || !Number.isFinite(number)) {
+        throw new Error(`${label} must be a number`);
+      }
+      return number;
+    }
+
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      if (typeof value === "boolean" || isNaN(date.getTime())) {
+        throw new Error(`${label} must be a valid date`);
+      }
+      return date;
+    }
+
+    case "checkbox": {
+      if (typeof value === "boolean") return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      throw new Error(`${label} must be true or false`);
+    }
+
+    case "select": {
+      const option = String(value).trim();
+      if (!(definition.options || []).includes(option)) {
+        throw new Error(
+          `${label} must be one of: ${(definition.options || []).join(", ")}`
+        );
+      }
+      return option;
+    }
+
+    case "url": {
+      const text = String(value).trim();
+      let url;
+      try {
+        url = new URL(text);
+      } catch (error) {
+        throw new Error(`${label} must be a valid URL`);
+      }
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error(`${label} must be an http or https URL`);
+      }
+      return text;
+    }
+
+    default:
+      if (typeof value === "object") {
+        throw new Error(`${label} must be text`);
+      }
+      return String(value);
+  }
+};
+
+// Select fields need options, and a default must itself be a valid value
+CustomFieldDefinitionSchema.pre("validate", function (next) {
+  if (this.type === "select" && (!this.options || !this.options.length)) {
+    this.invalidate("options", "Select fields need at least one option");
+  }
+
+  if (isBlank(this.defaultValue)) {
+    this.defaultValue = null;
+  } else {
+    try {
+      this.defaultValue = coerceValue(this, this.defaultValue);
+    } catch (error) {
+      this.invalidate("defaultValue", `Default value: ${error.message}`);
+    }
+  }
+
+  next();
+});
+
+// Static method to get a user's definitions in column order
+CustomFieldDefinitionSchema.statics.getDefinitions = function (
+  userId,
+  appliesTo = "item"
+) {
+  return this.find({ userId, appliesTo }).sort({ sortOrder: 1, key: 1 });
+};
+
+// Static method to check custom field values against a set of definitions.
+// Defined fields are coerced to their type and missing ones get their
+// default; keys without a definition are kept as they are.
+CustomFieldDefinitionSchema.statics.validateValues = function (
+  definitions,
+  values
+) {
+  const input =
+    values instanceof Map ? Object.fromEntries(values) : { ...(values || {}) };
+  const errors = [];
+
+  for (const definition of definitions) {
+    let value = input[definition.key];
+
+    if (isBlank(value)) {
+      value = definition.defaultValue;
+    }
+
+    if (isBlank(value)) {
+      delete input[definition.key];
+      if (definition.required) {
+        errors.push(`${definition.label} is required`);
+      }
+      continue;
+    }
+
+    try {
+      input[definition.key] = coerceValue(definition, value);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return { values: input, errors };
+};
+
+CustomFieldDefinitionSchema.statics.coerceValue = coerceValue;
+CustomFieldDefinitionSchema.statics.FIELD_TYPES = FIELD_TYPES;
+CustomFieldDefinitionSchema.statics.TARGETS = TARGETS;
+
+module.exports = mongoose.model(
+  "CustomFieldDefinition",
+  CustomFieldDefinitionSchema
+);
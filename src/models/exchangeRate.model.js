@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// ISO 4217 currency code, e.g. "EUR"
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const ExchangeRateSchema = new Schema(
+  {
+    // Currency the rate converts from
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      trim: true,
+      uppercase: true,
+      match: [CURRENCY_PATTERN, "Currency must be a 3-letter ISO code"],
+    },
+    // Account base currency the rate converts into
+    baseCurrency: {
+      type: String,
+      required: [true, "Base currency is required"],
+      trim: true,
+      uppercase: true,
+      match: [CURRENCY_PATTERN, "Currency must be a 3-letter ISO code"],
+    },
+    // Units of base currency for one unit of currency
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      validate: {
+        validator: (value) => value > 0,
+        message: "Rate must be greater than zero",
+      },
+    },
+    effectiveDate: {
+      type: Date,
+      required: [true, "Effective date is required"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot be more than 500 characters"],
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per currency pair and effective date
+ExchangeRateSchema.index(
+  { userId: 1, baseCurrency: 1, currency: 1, effectiveDate: -1 },
+  { unique: true }
+);
+
+// Static method to get the rates in effect on a date, keyed by currency
+ExchangeRateSchema.statics.getRates = async function (
+  userId,
+  baseCurrency,
+  asOf = new Date()
+) {
+  const rates = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        baseCurrency,
+        effectiveDate: { $lte: new Date(asOf) },
+      },
+    },
+    { $sort: { effectiveDate: -1 } },
+    { $group: { _id: "$currency", rate: { $first: "$rate" } } },
+  ]);
+
+  const map = new Map(rates.map((entry) => [entry._id, entry.rate]));
+  map.set(baseCurrency, 1);
+  return map;
+};
+
+// Static method to build a converter into the base currency
+ExchangeRateSchema.statics.getConverter = async function (
+  userId,
+  baseCurrency,
+  asOf = new Date()
+) {
+  const rates = await this.getRates(userId, baseCurrency, asOf);
+
+  // Amounts without a currency are already in the base currency
+  const getRate = (currency) =>
+    currency ? (rates.has(currency) ? rates.get(currency) : null) : 1;
+
+  return {
+    baseCurrency,
+    rates,
+    getRate,
+    toBase: (amount, currency) => {
+      const rate = getRate(currency);
+      return rate === null ? null : (amount || 0) * rate;
+    },
+    // Aggregation expression for a field's rate; null when no rate exists
+    rateExpr: (field = "$currency") => ({
+      $switch: {
+        branches: [
+          { case: { $eq: [{ $ifNull: [field, null] }, null] }, then: 1 },
+          ...[...rates].map(([currency, rate]) => ({
+            case: { $eq: [field, currency] },
+            then: rate,
+          })),
+        ],
+        default: null,
+      },
+    }),
+  };
+};
+
+ExchangeRateSchema.statics.CURRENCY_PATTERN = CURRENCY_PATTERN;
+
+module.exports = mongoose.model("ExchangeRate", ExchangeRateSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const softDelete = require("./plugins/softDelete");
 
 const FolderSchema = new Schema(
   {
@@ -71,6 +72,9 @@ FolderSchema.index({ name: "text", description: "text", tags: "text" });
 FolderSchema.index({ path: 1 });
 FolderSchema.index({ userId: 1, parentId: 1 });
 
+// Deleted folders go to the trash and keep their parent for restoring
+FolderSchema.plugin(softDelete);
+
 // Virtual for items in this folder
 FolderSchema.virtual("items", {
   ref: "Item",
@@ -119,11 +123,40 @@ FolderSchema.methods.getAncestors = async function () {
 FolderSchema.methods.getDescendants = async function () {
   return await this.model("Folder")
     .find({
-      path: new RegExp(`/${this._id}/`),
+      // Direct children end their path with this folder's ID
+      path: new RegExp(`/${this._id}(/|$)`),
     })
     .sort({ path: 1 });
 };
 
+// Static method to map folder IDs to readable paths (e.g., "Root / Shelf A")
+FolderSchema.statics.getPathNames = async function (folderIds) {
+  const folders = await this.find({ _id: { $in: folderIds } }).select(
+    "name path"
+  );
+  const pathIds = (folder) => (folder.path || "").split("/").filter((id) => id);
+
+  const ancestors = await this.find({
+    _id: { $in: [...new Set(folders.flatMap(pathIds))] },
+  }).select("name");
+  const names = new Map(
+    [...folders, ...ancestors].map((folder) => [
+      folder._id.toString(),
+      folder.name,
+    ])
+  );
+
+  return new Map(
+    folders.map((folder) => [
+      folder._id.toString(),
+      [...pathIds(folder), folder._id.toString()]
+        .map((id) => names.get(id))
+        .filter((name) => name)
+        .join(" / "),
+    ])
+  );
+};
+
 // Pre-save hook to update path and level
 FolderSchema.pre("save", async function (next) {
   try {
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const StockTransaction = require("./stockTransaction.model");
+const softDelete = require("./plugins/softDelete");
 
 // Item variant schema
 const ItemVariantSchema = new Schema(
@@ -9,11 +11,20 @@ const ItemVariantSchema = new Schema(
       required: [true, "Variant name is required"],
       trim: true,
     },
+    sku: {
+      type: String,
+      trim: true,
+    },
     quantity: {
       type: Number,
       default: 0,
       min: [0, "Quantity cannot be negative"],
     },
+    minLevel: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum level cannot be negative"],
+    },
     attributes: {
       type: Map,
       of: String,
@@ -25,6 +36,148 @@ const ItemVariantSchema = new Schema(
   }
 );
 
+// Stock balance held at a single location
+const StockLocationSchema = new Schema(
+  {
+    locationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      required: [true, "Location ID is required"],
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Batch of stock received together, tracked by lot number and expiry
+const ItemLotSchema = new Schema(
+  {
+    lotNumber: {
+      type: String,
+      required: [true, "Lot number is required"],
+      trim: true,
+      maxlength: [100, "Lot number cannot be more than 100 characters"],
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+    expiryDate: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot be more than 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Statuses an individually tracked unit can be in
+const SERIAL_STATUSES = ["in_stock", "checked_out", "retired", "lost"];
+
+// Individually identifiable unit of an item
+const ItemSerialSchema = new Schema(
+  {
+    serialNumber: {
+      type: String,
+      required: [true, "Serial number is required"],
+      trim: true,
+      maxlength: [100, "Serial number cannot be more than 100 characters"],
+    },
+    status: {
+      type: String,
+      enum: SERIAL_STATUSES,
+      default: "in_stock",
+    },
+    assignedTo: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Assignee cannot be more than 100 characters"],
+    },
+    statusChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot be more than 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Units received together at one cost, drawn down oldest first
+const CostLayerSchema = new Schema(
+  {
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+    originalQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Quantity cannot be negative"],
+    },
+    unitCost: {
+      type: Number,
+      default: 0,
+      min: [0, "Unit cost cannot be negative"],
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Valuation methods an account can choose between
+const VALUATION_METHODS = ["fifo", "average"];
+
+// Component item consumed when building one unit of a kit
+const KitComponentSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Component item is required"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Component quantity is required"],
+      validate: {
+        validator: (value) => value > 0,
+        message: "Component quantity must be greater than zero",
+      },
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 // Item schema
 const ItemSchema = new Schema(
   {
@@ -54,11 +207,64 @@ const ItemSchema = new Schema(
       default: 0,
       min: [0, "Minimum level cannot be negative"],
     },
+    // Stock level that triggers a reorder; derived from usage when unset
+    reorderPoint: {
+      type: Number,
+      default: null,
+      min: [0, "Reorder point cannot be negative"],
+    },
+    // Quantity ordered at a time; derived from usage when unset
+    reorderQuantity: {
+      type: Number,
+      default: null,
+      min: [0, "Reorder quantity cannot be negative"],
+    },
+    leadTimeDays: {
+      type: Number,
+      default: 0,
+      min: [0, "Lead time cannot be negative"],
+    },
+    reservedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Reserved quantity cannot be negative"],
+    },
+    lowStockBasis: {
+      type: String,
+      enum: ["on_hand", "available"],
+      default: "on_hand",
+    },
     price: {
       type: Number,
       default: 0,
       min: [0, "Price cannot be negative"],
     },
+    // Currency of price and cost; null means the account base currency
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+      default: null,
+    },
+    preferredSupplierId: {
+      type: Schema.Types.ObjectId,
+      ref: "Supplier",
+      default: null,
+    },
+    cost: {
+      type: Number,
+      default: 0,
+      min: [0, "Cost cannot be negative"],
+    },
+    // Remaining stock from each receipt, oldest first, for FIFO valuation
+    costLayers: [CostLayerSchema],
+    // Running weighted-average cost of stock on hand
+    averageCost: {
+      type: Number,
+      default: null,
+      min: [0, "Average cost cannot be negative"],
+    },
     tags: [
       {
         type: String,
@@ -91,6 +297,35 @@ const ItemSchema = new Schema(
           type: String,
           required: true,
         },
+        width: {
+          type: Number,
+          default: null,
+        },
+        height: {
+          type: Number,
+          default: null,
+        },
+        // URLs of the scaled-down copies, by size name
+        thumbnails: {
+          small: String,
+          medium: String,
+          large: String,
+        },
+        // Cover image shown in lists and exports; one per item
+        primary: {
+          type: Boolean,
+          default: false,
+        },
+        caption: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Caption cannot be more than 200 characters"],
+        },
+        altText: {
+          type: String,
+          trim: true,
+          maxlength: [250, "Alt text cannot be more than 250 characters"],
+        },
       },
     ],
     notes: {
@@ -101,11 +336,18 @@ const ItemSchema = new Schema(
       type: String,
       trim: true,
     },
+    stockLocations: [StockLocationSchema],
     folderId: {
       type: Schema.Types.ObjectId,
       ref: "Folder",
       default: null,
     },
+    // Record this item was split from by a transfer to another folder
+    linkedItemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      default: null,
+    },
     userId: {
       type: Schema.Types.ObjectId,
       ref: "User",
@@ -116,6 +358,14 @@ const ItemSchema = new Schema(
       default: false,
     },
     variants: [ItemVariantSchema],
+    lots: [ItemLotSchema],
+    isSerialized: {
+      type: Boolean,
+      default: false,
+    },
+    serials: [ItemSerialSchema],
+    // Bill of materials; an item with components is a kit
+    components: [KitComponentSchema],
     barcode: {
       type: String,
       trim: true,
@@ -169,19 +419,397 @@ const ItemSchema = new Schema(
 
 // Add index for search
 ItemSchema.index({ name: "text", description: "text", tags: "text" });
+ItemSchema.index({ userId: 1, "stockLocations.locationId": 1 });
+ItemSchema.index({ userId: 1, "lots.expiryDate": 1 });
+ItemSchema.index({ userId: 1, "serials.serialNumber": 1 });
+ItemSchema.index({ userId: 1, preferredSupplierId: 1 });
+ItemSchema.index({ userId: 1, "components.itemId": 1 });
+
+// Deleted items go to the trash and keep their folder for restoring
+ItemSchema.plugin(softDelete);
+
+// Number of kits the components' available stock covers
+ItemSchema.statics.getBuildableQuantity = function (
+  components = [],
+  componentItems = []
+) {
+  if (components.length === 0) return 0;
+
+  return Math.min(
+    ...components.map((component) => {
+      const item = componentItems.find((i) => i._id.equals(component.itemId));
+      if (!item) return 0;
+      // Allow for float error, e.g. 0.3 / 0.1
+      return Math.floor(item.availableQuantity / component.quantity + 1e-9);
+    })
+  );
+};
+
+// Sum a list of per-location balances
+ItemSchema.statics.totalStock = function (stockLocations = []) {
+  return stockLocations.reduce((sum, entry) => sum + (entry.quantity || 0), 0);
+};
+
+// Aggregation expression resolving the quantity held at one location
+ItemSchema.statics.locationQuantityExpr = function (locationId) {
+  const id = new mongoose.Types.ObjectId(locationId);
+  return {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ["$stockLocations", []] },
+            cond: { $eq: ["$$this.locationId", id] },
+          },
+        },
+        in: "$$this.quantity",
+      },
+    },
+  };
+};
+
+// Order lots first-expiring-first-out; lots without an expiry go last
+ItemSchema.statics.compareLotsByExpiry = function (a, b) {
+  const aExpiry = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+  const bExpiry = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+
+  if (aExpiry !== bExpiry) {
+    return aExpiry - bExpiry;
+  }
+  return new Date(a.receivedDate) - new Date(b.receivedDate);
+};
+
+// Virtual for stock physically on hand
+ItemSchema.virtual("onHandQuantity").get(function () {
+  return this.quantity;
+});
+
+// Virtual for stock not held by reservations
+ItemSchema.virtual("availableQuantity").get(function () {
+  return Math.max(this.quantity - (this.reservedQuantity || 0), 0);
+});
+
+// Virtual for whether the item is assembled from components
+ItemSchema.virtual("isKit").get(function () {
+  return Boolean(this.components && this.components.length > 0);
+});
+
+// Virtual for the cover image, falling back to the first image
+ItemSchema.virtual("primaryImage").get(function () {
+  if (!this.images || this.images.length === 0) {
+    return null;
+  }
+  return this.images.find((image) => image.primary) || this.images[0];
+});
+
+// Virtual for the cover image's list view thumbnail, falling back to the
+// original for images uploaded before thumbnails were generated
+ItemSchema.virtual("thumbnail").get(function () {
+  const image = this.primaryImage;
+  if (!image) {
+    return null;
+  }
+  return (image.thumbnails && image.thumbnails.medium) || image.url;
+});
 
 // Virtual for total value
 ItemSchema.virtual("value").get(function () {
   return this.price * this.quantity;
 });
 
+// Method to make one of the item's images its cover image
+ItemSchema.methods.setPrimaryImage = function (imageId) {
+  this.images.forEach((image) => {
+    image.primary = String(image._id) === String(imageId);
+  });
+};
+
 // Method to check if item is low on stock
 ItemSchema.methods.isLowStock = function () {
-  return this.quantity <= this.minLevel;
+  const quantity =
+    this.lowStockBasis === "available" ? this.availableQuantity : this.quantity;
+  return quantity <= this.minLevel;
+};
+
+// Static method to value stock on hand; works on plain objects too
+ItemSchema.statics.getInventoryValue = function (item, method = "average") {
+  const quantity = item.quantity || 0;
+  const fallbackCost =
+    item.averageCost !== null && item.averageCost !== undefined
+      ? item.averageCost
+      : item.cost || 0;
+
+  if (method !== "fifo") {
+    return quantity * fallbackCost;
+  }
+
+  // Stock on hand is what remains of the newest layers
+  let remaining = quantity;
+  let value = 0;
+  for (const layer of [...(item.costLayers || [])].reverse()) {
+    if (remaining <= 0) break;
+    const taken = Math.min(layer.quantity, remaining);
+    value += taken * layer.unitCost;
+    remaining -= taken;
+  }
+
+  // Stock that predates cost layers is valued at the item's cost
+  return value + remaining * fallbackCost;
+};
+
+// Method to get the cost per unit under a valuation method
+ItemSchema.methods.getUnitCost = function (method = "average") {
+  if (this.quantity > 0) {
+    return this.constructor.getInventoryValue(this, method) / this.quantity;
+  }
+  return this.averageCost !== null ? this.averageCost : this.cost || 0;
+};
+
+// Method to add a cost layer and fold it into the average cost
+ItemSchema.methods.addCostLayer = function (
+  quantity,
+  unitCost,
+  previousQuantity = this.quantity - quantity
+) {
+  const previousCost =
+    this.averageCost !== null ? this.averageCost : this.cost || 0;
+  const totalQuantity = previousQuantity + quantity;
+
+  this.averageCost =
+    totalQuantity > 0
+      ? (previousQuantity * previousCost + quantity * unitCost) / totalQuantity
+      : unitCost;
+  this.costLayers.push({
+    quantity,
+    originalQuantity: quantity,
+    unitCost,
+    receivedAt: Date.now(),
+  });
+};
+
+// Method to draw stock out of cost layers, oldest first
+ItemSchema.methods.consumeCostLayers = function (quantity) {
+  let remaining = quantity;
+  let cost = 0;
+
+  for (const layer of this.costLayers) {
+    if (remaining <= 0) break;
+    const taken = Math.min(layer.quantity, remaining);
+    layer.quantity -= taken;
+    cost += taken * layer.unitCost;
+    remaining -= taken;
+  }
+
+  this.costLayers = this.costLayers.filter((layer) => layer.quantity > 0);
+  return cost;
+};
+
+// Method to suggest a reorder from daily usage and stock already on order
+ItemSchema.methods.getReorderSuggestion = function ({
+  dailyUsage = 0,
+  onOrder = 0,
+  coverageDays = 30,
+} = {}) {
+  const hasReorderPoint =
+    this.reorderPoint !== null && this.reorderPoint !== undefined;
+  const reorderPoint = hasReorderPoint
+    ? this.reorderPoint
+    : Math.ceil(dailyUsage * (this.leadTimeDays || 0) + (this.minLevel || 0));
+  const position = this.availableQuantity + onOrder;
+
+  // Nothing to suggest without a reorder point set or implied by usage
+  if (position > reorderPoint || (!hasReorderPoint && reorderPoint === 0)) {
+    return null;
+  }
+
+  // Cover the shortfall plus expected usage, in whole reorder quantities
+  let suggestedQuantity = Math.max(
+    Math.ceil(reorderPoint - position + dailyUsage * coverageDays),
+    1
+  );
+  if (this.reorderQuantity > 0) {
+    suggestedQuantity =
+      Math.ceil(suggestedQuantity / this.reorderQuantity) *
+      this.reorderQuantity;
+  }
+
+  return { reorderPoint, position, onOrder, dailyUsage, suggestedQuantity };
+};
+
+// Method to get the quantity held at a location
+ItemSchema.methods.getLocationQuantity = function (locationId) {
+  const entry = this.stockLocations.find(
+    (stock) => stock.locationId.toString() === locationId.toString()
+  );
+  return entry ? entry.quantity : 0;
+};
+
+// Method to apply a quantity change to a location balance
+ItemSchema.methods.adjustLocationQuantity = function (locationId, change) {
+  let entry = this.stockLocations.find(
+    (stock) => stock.locationId.toString() === locationId.toString()
+  );
+
+  if (!entry) {
+    // Stock that predates location tracking lands in the first location
+    const openingQuantity =
+      this.stockLocations.length === 0 ? this.quantity : 0;
+    this.stockLocations.push({ locationId, quantity: openingQuantity });
+    entry = this.stockLocations[this.stockLocations.length - 1];
+  }
+
+  if (entry.quantity + change < 0) {
+    throw new Error("Cannot reduce location quantity below zero");
+  }
+
+  entry.quantity += change;
+};
+
+// Method to apply a quantity change to a variant
+ItemSchema.methods.adjustVariantQuantity = function (variantId, change) {
+  const variant = this.variants.id(variantId);
+
+  if (!variant) {
+    throw new Error("Variant not found");
+  }
+
+  if (variant.quantity + change < 0) {
+    throw new Error("Cannot reduce variant quantity below zero");
+  }
+
+  variant.quantity += change;
+  return variant;
+};
+
+// Method to get lots in the order they should be consumed
+ItemSchema.methods.getLotsByExpiry = function () {
+  return [...this.lots].sort(this.constructor.compareLotsByExpiry);
+};
+
+// Method to get the stock that is not assigned to any lot
+ItemSchema.methods.getUnassignedLotQuantity = function () {
+  return Math.max(this.quantity - this.constructor.totalStock(this.lots), 0);
+};
+
+// Method to add received stock to a new or existing lot
+ItemSchema.methods.receiveLot = function (lotDetails, quantity) {
+  const { lotId, lotNumber, expiryDate, receivedDate, notes } = lotDetails;
+  let lot;
+
+  if (lotId) {
+    lot = this.lots.id(lotId);
+    if (!lot) {
+      throw new Error("Lot not found");
+    }
+  } else {
+    lot = this.lots.find((existing) => existing.lotNumber === lotNumber);
+  }
+
+  if (!lot) {
+    this.lots.push({
+      lotNumber,
+      quantity: 0,
+      expiryDate: expiryDate || null,
+      receivedDate: receivedDate || Date.now(),
+      notes,
+    });
+    lot = this.lots[this.lots.length - 1];
+  }
+
+  lot.quantity += quantity;
+  return lot;
+};
+
+// Method to take stock out of lots, first-expiring-first-out
+ItemSchema.methods.consumeLots = function (quantity, lotId = null) {
+  const allocations = [];
+
+  if (lotId) {
+    const lot = this.lots.id(lotId);
+    if (!lot) {
+      throw new Error("Lot not found");
+    }
+    if (lot.quantity < quantity) {
+      throw new Error("Cannot reduce lot quantity below zero");
+    }
+    lot.quantity -= quantity;
+    allocations.push({ lotId: lot._id, lotNumber: lot.lotNumber, quantity });
+    return allocations;
+  }
+
+  // Anything not covered by lots comes from unassigned stock
+  let remaining = quantity;
+  for (const lot of this.getLotsByExpiry()) {
+    if (remaining <= 0) break;
+    if (lot.quantity <= 0) continue;
+
+    const taken = Math.min(lot.quantity, remaining);
+    lot.quantity -= taken;
+    remaining -= taken;
+    allocations.push({
+      lotId: lot._id,
+      lotNumber: lot.lotNumber,
+      quantity: taken,
+    });
+  }
+
+  return allocations;
+};
+
+// Method to keep lots from holding more than the item has on hand
+ItemSchema.methods.trimLots = function () {
+  const lotQuantity = this.constructor.totalStock(this.lots);
+  if (lotQuantity <= this.quantity) {
+    return [];
+  }
+  return this.consumeLots(lotQuantity - this.quantity);
+};
+
+// Method to count the serialized units currently in stock
+ItemSchema.methods.getInStockSerialCount = function () {
+  return this.serials.filter((serial) => serial.status === "in_stock").length;
 };
 
-// Method to update quantity
-ItemSchema.methods.updateQuantity = async function (change, reason = "manual") {
+// Method to derive quantity from the tracked stock breakdown
+ItemSchema.methods.syncQuantity = function () {
+  const wasTracked = this.hasVariants || this.isSerialized;
+  this.hasVariants = this.variants.length > 0;
+  this.isSerialized = this.serials.length > 0;
+
+  if (this.hasVariants) {
+    this.quantity = this.constructor.totalStock(this.variants);
+  } else if (this.isSerialized) {
+    this.quantity = this.getInStockSerialCount();
+  } else if (this.stockLocations && this.stockLocations.length > 0) {
+    this.quantity = this.constructor.totalStock(this.stockLocations);
+  } else if (wasTracked) {
+    // The last variant or serial number took its stock with it
+    this.quantity = 0;
+  }
+  return this.quantity;
+};
+
+// Method to update quantity and record the movement in the stock ledger
+ItemSchema.methods.updateQuantity = async function (
+  change,
+  reason = "manual",
+  options = {}
+) {
+  const {
+    userId,
+    reasonCode = "adjustment",
+    source = "manual",
+    metadata = {},
+  } = options;
+  let { locationId } = options;
+  const {
+    variantId = null,
+    lotId = null,
+    lot = null,
+    unitCost,
+    session,
+  } = options;
+  const previousQuantity = this.quantity;
   const newQuantity = this.quantity + change;
 
   // Prevent negative quantity
@@ -189,8 +817,94 @@ ItemSchema.methods.updateQuantity = async function (change, reason = "manual") {
     throw new Error("Cannot reduce quantity below zero");
   }
 
-  this.quantity = newQuantity;
-  await this.save();
+  if (this.serials.length > 0) {
+    throw new Error(
+      "Quantity of serialized items follows their serial numbers"
+    );
+  }
+
+  if (this.variants.length > 0) {
+    // Parent quantity rolls up from the variants
+    if (!variantId) {
+      throw new Error("Variant is required for items with variants");
+    }
+    this.adjustVariantQuantity(variantId, change);
+    locationId = null;
+  } else {
+    if (variantId) {
+      throw new Error("Variant not found");
+    }
+
+    // Items stocked by location need to know which balance to move
+    if (!locationId && this.stockLocations.length === 1) {
+      locationId = this.stockLocations[0].locationId;
+    }
+    if (!locationId && this.stockLocations.length > 1) {
+      throw new Error(
+        "Location is required for items stocked in multiple locations"
+      );
+    }
+
+    if (locationId) {
+      this.adjustLocationQuantity(locationId, change);
+    } else {
+      this.quantity = newQuantity;
+    }
+  }
+
+  // Receipts open a cost layer; decrements draw down the oldest layers
+  let cost = 0;
+  if (change > 0) {
+    const receiptCost =
+      unitCost !== undefined && unitCost !== null
+        ? unitCost
+        : this.getUnitCost("average");
+    this.addCostLayer(change, receiptCost, previousQuantity);
+    cost = change * receiptCost;
+  } else if (change < 0) {
+    // Stock that predates cost layers is drawn at the average cost
+    const unlayered = Math.max(
+      -change - this.constructor.totalStock(this.costLayers),
+      0
+    );
+    cost =
+      unlayered * this.getUnitCost("average") + this.consumeCostLayers(-change);
+  }
+
+  // Receipts can name a lot; decrements draw down lots by expiry
+  let lotAllocations = [];
+  if (change > 0 && (lotId || (lot && lot.lotNumber))) {
+    const receivedLot = this.receiveLot({ ...lot, lotId }, change);
+    lotAllocations = [
+      {
+        lotId: receivedLot._id,
+        lotNumber: receivedLot.lotNumber,
+        quantity: change,
+      },
+    ];
+  } else if (change < 0 && (lotId || this.lots.length > 0)) {
+    lotAllocations = this.consumeLots(-change, lotId).map((allocation) => ({
+      ...allocation,
+      quantity: -allocation.quantity,
+    }));
+  }
+  await this.save({ session });
+
+  const transaction = await StockTransaction.record({
+    item: this,
+    delta: change,
+    userId,
+    reasonCode,
+    reason,
+    source,
+    locationId,
+    variantId,
+    metadata:
+      lotAllocations.length > 0
+        ? { ...metadata, lots: lotAllocations }
+        : metadata,
+    session,
+  });
 
   // Return activity data for logging
   return {
@@ -199,13 +913,72 @@ ItemSchema.methods.updateQuantity = async function (change, reason = "manual") {
     newQuantity: this.quantity,
     change,
     reason,
+    reasonCode,
+    source,
+    locationId: locationId || null,
+    variantId,
+    lots: lotAllocations,
+    cost,
+    transactionId: transaction._id,
   };
 };
 
+// Pre-validate hook to keep exactly one primary image; the first flagged one
+// wins, as when merged items bring their own
+ItemSchema.pre("validate", function (next) {
+  if (this.isModified("images") && this.images.length > 0) {
+    const primaryImage = this.primaryImage;
+    this.images.forEach((image) => {
+      if (image.primary !== (image === primaryImage)) {
+        image.primary = image === primaryImage;
+      }
+    });
+  }
+
+  next();
+});
+
+// Pre-save hook to keep quantity equal to the tracked stock breakdown
+ItemSchema.pre("save", function (next) {
+  if (
+    this.isModified("stockLocations") ||
+    this.isModified("variants") ||
+    this.isModified("serials")
+  ) {
+    this.syncQuantity();
+  }
+
+  // Opening stock becomes the first cost layer
+  if (this.isNew && this.quantity > 0 && this.costLayers.length === 0) {
+    this.addCostLayer(this.quantity, this.cost || 0, 0);
+  }
+
+  // Lots can never hold more than the item has on hand
+  this.trimLots();
+  this._lotsModified = this.isModified("lots");
+
+  // Flag variants whose stock changed so their alerts can be re-evaluated
+  this._variantAlertIds = this.variants
+    .filter(
+      (variant) =>
+        variant.isNew ||
+        variant.isModified("quantity") ||
+        variant.isModified("minLevel")
+    )
+    .map((variant) => variant._id);
+
+  next();
+});
+
 // Pre-save hook to check for low stock
 ItemSchema.pre("save", async function (next) {
   // If quantity changed and is now below minLevel, we should generate an alert
-  if (this.isModified("quantity") && this.isLowStock()) {
+  if (
+    (this.isModified("quantity") ||
+      this.isModified("reservedQuantity") ||
+      this.isModified("lowStockBasis")) &&
+    this.isLowStock()
+  ) {
     // Flag for alert generation
     this._generateAlert = true;
   }
@@ -220,7 +993,7 @@ ItemSchema.post("save", async function (doc, next) {
       const Alert = mongoose.model("Alert");
 
       // Create or update low quantity alert
-      if (doc.quantity <= doc.minLevel) {
+      if (doc.isLowStock()) {
         await Alert.createLowQuantityAlert(doc);
       } else {
         // Check and resolve any existing alerts
@@ -231,6 +1004,36 @@ ItemSchema.post("save", async function (doc, next) {
     }
   }
 
+  // Raise or resolve low stock alerts for individual variants
+  if (doc._variantAlertIds && doc._variantAlertIds.length > 0) {
+    try {
+      const Alert = mongoose.model("Alert");
+
+      for (const variantId of doc._variantAlertIds) {
+        const variant = doc.variants.id(variantId);
+        if (!variant) continue;
+
+        if (variant.quantity <= variant.minLevel) {
+          await Alert.createLowQuantityAlert(doc, variant);
+        } else {
+          await Alert.checkAndResolveAlerts(doc, variant);
+        }
+      }
+    } catch (error) {
+      console.error("Error generating variant alert:", error);
+    }
+  }
+
+  // Resolve expiration alerts for lots that have been used up
+  if (doc._lotsModified) {
+    try {
+      const Alert = mongoose.model("Alert");
+      await Alert.resolveExpirationAlerts(doc);
+    } catch (error) {
+      console.error("Error resolving expiration alerts:", error);
+    }
+  }
+
   // Update tag counts
   if (doc.tags && doc.tags.length > 0) {
     try {
@@ -266,4 +1069,7 @@ ItemSchema.post("findOneAndDelete", async function (doc) {
   }
 });
 
+ItemSchema.statics.VALUATION_METHODS = VALUATION_METHODS;
+ItemSchema.statics.SERIAL_STATUSES = SERIAL_STATUSES;
+
 module.exports = mongoose.model("Item", ItemSchema);
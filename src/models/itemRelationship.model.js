@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// What the related item is to the item: "accessory" means the related item
+// is an accessory of the item
+const TYPES = ["substitute", "accessory", "replacement_part", "related"];
+
+// Types that read the same from either item
+const SYMMETRIC_TYPES = ["substitute", "related"];
+
+// How a directional link reads from the related item's side
+const INVERSE_RELATIONS = {
+  accessory: "accessory_of",
+  replacement_part: "replacement_part_for",
+};
+
+const ItemRelationshipSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Item ID is required"],
+    },
+    relatedItemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Related item ID is required"],
+    },
+    type: {
+      type: String,
+      enum: TYPES,
+      required: [true, "Relationship type is required"],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot be more than 500 characters"],
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ItemRelationshipSchema.index(
+  { userId: 1, itemId: 1, relatedItemId: 1, type: 1 },
+  { unique: true }
+);
+ItemRelationshipSchema.index({ relatedItemId: 1 });
+
+// Static method to find links between two items, in either direction for
+// symmetric types
+ItemRelationshipSchema.statics.findLink = function (
+  userId,
+  itemId,
+  relatedItemId,
+  type
+) {
+  const pairs = [{ itemId, relatedItemId }];
+  if (SYMMETRIC_TYPES.includes(type)) {
+    pairs.push({ itemId: relatedItemId, relatedItemId: itemId });
+  }
+
+  return this.findOne({ userId, type, $or: pairs });
+};
+
+// Static method to list an item's links as seen from that item. Links to
+// trashed items are left out.
+ItemRelationshipSchema.statics.forItem = async function (
+  itemId,
+  { type } = {}
+) {
+  const links = await this.find({
+    $or: [{ itemId }, { relatedItemId: itemId }],
+    ...(type && { type }),
+  })
+    .populate("itemId", "name sku quantity reservedQuantity unit images")
+    .populate("relatedItemId", "name sku quantity reservedQuantity unit images")
+    .sort({ type: 1, createdAt: 1 });
+
+  return links
+    .filter((link) => link.itemId && link.relatedItemId)
+    .map((link) => {
+      const outgoing = link.itemId._id.equals(itemId);
+      return {
+        _id: link._id,
+        type: link.type,
+        relation:
+          outgoing || SYMMETRIC_TYPES.includes(link.type)
+            ? link.type
+            : INVERSE_RELATIONS[link.type],
+        item: outgoing ? link.relatedItemId : link.itemId,
+        note: link.note,
+        createdAt: link.createdAt,
+      };
+    });
+};
+
+// Static method to list an item's substitutes that have stock available
+ItemRelationshipSchema.statics.findInStockSubstitutes = async function (item) {
+  const links = await this.forItem(item._id, { type: "substitute" });
+
+  return links
+    .map((link) => link.item)
+    .filter(
+      (substitute) => substitute.quantity > (substitute.reservedQuantity || 0)
+    )
+    .map((substitute) => ({
+      itemId: substitute._id,
+      name: substitute.name,
+      sku: substitute.sku,
+      availableQuantity:
+        substitute.quantity - (substitute.reservedQuantity || 0),
+      unit: substitute.unit,
+    }));
+};
+
+// Static method to move merged items' links onto the surviving item,
+// dropping links that would now point at itself or repeat another
+ItemRelationshipSchema.statics.repoint = async function (
+  sourceIds,
+  survivorId,
+  { session } = {}
+) {
+  const mergedIds = [survivorId, ...sourceIds].map(String);
+  const links = await this.find({
+    $or: [
+      { itemId: { $in: mergedIds } },
+      { relatedItemId: { $in: mergedIds } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .session(session || null);
+
+  const seen = new Set();
+  for (const link of links) {
+    const itemId = mergedIds.includes(String(link.itemId))
+      ? survivorId
+      : link.itemId;
+    const relatedItemId = mergedIds.includes(String(link.relatedItemId))
+      ? survivorId
+      : link.relatedItemId;
+    const ends = [String(itemId), String(relatedItemId)];
+    const key = `${link.type}:${
+      SYMMETRIC_TYPES.includes(link.type) ? ends.sort() : ends
+    }`;
+
+    if (String(itemId) === String(relatedItemId) || seen.has(key)) {
+      await link.deleteOne({ session });
+      continue;
+    }
+    seen.add(key);
+
+    if (
+      String(itemId) !== String(link.itemId) ||
+      String(relatedItemId) !== String(link.relatedItemId)
+    ) {
+      link.itemId = itemId;
+      link.relatedItemId = relatedItemId;
+      await link.save({ session });
+    }
+  }
+};
+
+// Static method to delete the links of permanently deleted items
+ItemRelationshipSchema.statics.removeForItems = function (itemIds) {
+  return this.deleteMany({
+    $or: [{ itemId: { $in: itemIds } }, { relatedItemId: { $in: itemIds } }],
+  });
+};
+
+// Static method to delete a user's links to items that no longer exist
+ItemRelationshipSchema.statics.removeOrphans = async function (userId) {
+  const linkedIds = [
+    ...(await this.distinct("itemId", { userId })),
+    ...(await this.distinct("relatedItemId", { userId })),
+  ];
+  if (linkedIds.length === 0) {
+    return { deletedCount: 0 };
+  }
+
+  const existingIds = await mongoose
+    .model("Item")
+    .distinct("_id", { _id: { $in: linkedIds } })
+    .setOptions({ withDeleted: true });
+  const existing = new Set(existingIds.map(String));
+  const missingIds = linkedIds.filter((id) => !existing.has(String(id)));
+
+  return missingIds.length > 0
+    ? this.removeForItems(missingIds)
+    : { deletedCount: 0 };
+};
+
+ItemRelationshipSchema.statics.TYPES = TYPES;
+ItemRelationshipSchema.statics.SYMMETRIC_TYPES = SYMMETRIC_TYPES;
+
+module.exports = mongoose.model("ItemRelationship", ItemRelationshipSchema);
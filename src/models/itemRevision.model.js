@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const ACTIONS = [
+  "baseline",
+  "create",
+  "update",
+  "move",
+  "bulk_update",
+  "merge",
+  "restore",
+];
+
+// Snapshot fields that are bookkeeping rather than item state
+const SNAPSHOT_OMIT = ["_id", "__v", "userId", "createdAt", "updatedAt"];
+
+// Fields a rollback leaves alone: stock follows the ledger, and images,
+// trash state and barcode history are managed by their own endpoints
+const UNRESTORED_FIELDS = [
+  "quantity",
+  "reservedQuantity",
+  "stockLocations",
+  "hasVariants",
+  "variants",
+  "lots",
+  "isSerialized",
+  "serials",
+  "components",
+  "costLayers",
+  "averageCost",
+  "linkedItemId",
+  "images",
+  "barcodeHistory",
+  "isDeleted",
+  "deletedAt",
+  "deletedBy",
+];
+
+const ItemRevisionSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Item ID is required"],
+    },
+    // Increments per item, starting at 1
+    revision: {
+      type: Number,
+      required: [true, "Revision number is required"],
+      min: 1,
+    },
+    action: {
+      type: String,
+      enum: ACTIONS,
+      required: [true, "Action is required"],
+    },
+    // Full item state after the change
+    snapshot: {
+      type: Schema.Types.Mixed,
+      required: [true, "Snapshot is required"],
+    },
+    changedFields: [
+      {
+        type: String,
+      },
+    ],
+    // Revision a rollback returned the item to
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+ItemRevisionSchema.index({ itemId: 1, revision: -1 }, { unique: true });
+
+// Static method to capture an item's state as plain JSON
+ItemRevisionSchema.statics.takeSnapshot = function (item) {
+  const snapshot = JSON.parse(
+    JSON.stringify(
+      item.toObject({ flattenMaps: true, virtuals: false, depopulate: true })
+    )
+  );
+  SNAPSHOT_OMIT.forEach((field) => delete snapshot[field]);
+  return snapshot;
+};
+
+// Static method to list field-level differences between two snapshots
+ItemRevisionSchema.statics.diffSnapshots = function (before = {}, after = {}) {
+  const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  const diff = (from, to, prefix) =>
+    [...new Set([...Object.keys(from), ...Object.keys(to)])].flatMap((key) => {
+      const field = prefix ? `${prefix}.${key}` : key;
+
+      if (isPlainObject(from[key]) && isPlainObject(to[key])) {
+        return diff(from[key], to[key], field);
+      }
+      if (JSON.stringify(from[key]) === JSON.stringify(to[key])) {
+        return [];
+      }
+      return [
+        {
+          field,
+          from: from[key] === undefined ? null : from[key],
+          to: to[key] === undefined ? null : to[key],
+        },
+      ];
+    });
+
+  return diff(before || {}, after || {}, "").sort((a, b) =>
+    a.field.localeCompare(b.field)
+  );
+};
+
+// Static method to save an item's current state as its next revision.
+// Items changed before they had any revisions get their previous state
+// recorded first as a baseline.
+ItemRevisionSchema.statics.record = async function (
+  item,
+  { userId, action = "update", previous, restoredFrom = null } = {}
+) {
+  const snapshot = this.takeSnapshot(item);
+  let latest = await this.findOne({ itemId: item._id }).sort({ revision: -1 });
+
+  if (!latest && previous) {
+    latest = await this.create({
+      itemId: item._id,
+      userId: item.userId,
+      revision: 1,
+      action: "baseline",
+      snapshot: previous,
+      createdBy: null,
+    });
+  }
+
+  const changedFields = latest
+    ? this.diffSnapshots(latest.snapshot, snapshot).map(
+        (change) => change.field
+      )
+    : [];
+
+  // Nothing to record when the item ended up unchanged
+  if (latest && changedFields.length === 0 && action !== "restore") {
+    return latest;
+  }
+
+  return this.create({
+    itemId: item._id,
+    userId: item.userId,
+    revision: latest ? latest.revision + 1 : 1,
+    action,
+    snapshot,
+    changedFields,
+    restoredFrom,
+    createdBy: userId || null,
+  });
+};
+
+ItemRevisionSchema.statics.ACTIONS = ACTIONS;
+ItemRevisionSchema.statics.UNRESTORED_FIELDS = UNRESTORED_FIELDS;
+
+module.exports = mongoose.model("ItemRevision", ItemRevisionSchema);
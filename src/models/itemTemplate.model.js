@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Item fields a template fills in for new items
+const TEMPLATE_FIELDS = [
+  "unit",
+  "minLevel",
+  "tags",
+  "customFields",
+  "folderId",
+  "barcodeFormat",
+];
+
+const ItemTemplateSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Template name cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    minLevel: {
+      type: Number,
+      min: [0, "Minimum level cannot be negative"],
+      default: null,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    customFields: {
+      type: Map,
+      of: Schema.Types.Mixed,
+      default: {},
+    },
+    folderId: {
+      type: Schema.Types.ObjectId,
+      ref: "Folder",
+      default: null,
+    },
+    // New items get a generated barcode in this format when set
+    barcodeFormat: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (value) =>
+          value === null ||
+          mongoose
+            .model("Item")
+            .schema.path("barcodeFormat")
+            .enumValues.includes(value),
+        message: "Invalid barcode format",
+      },
+    },
+    // Item the template was saved from, if any
+    sourceItemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      default: null,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Template names are unique per user
+ItemTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Static method to copy an item's template fields
+ItemTemplateSchema.statics.fieldsFromItem = function (item) {
+  return {
+    unit: item.unit || null,
+    minLevel: item.minLevel,
+    tags: [...(item.tags || [])],
+    customFields: new Map(item.customFields || []),
+    folderId: item.folderId || null,
+    barcodeFormat: item.barcode ? item.barcodeFormat : null,
+  };
+};
+
+ItemTemplateSchema.statics.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+module.exports = mongoose.model("ItemTemplate", ItemTemplateSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const LocationSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Location name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    code: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Code cannot be more than 50 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Location names are unique per user
+LocationSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Method to get stock held at this location across all items
+LocationSchema.methods.getStockSummary = async function () {
+  const result = await mongoose.model("Item").aggregate([
+    { $match: { userId: this.userId, "stockLocations.locationId": this._id } },
+    { $unwind: "$stockLocations" },
+    { $match: { "stockLocations.locationId": this._id } },
+    {
+      $group: {
+        _id: null,
+        itemCount: { $sum: 1 },
+        totalQuantity: { $sum: "$stockLocations.quantity" },
+        totalValue: {
+          $sum: { $multiply: ["$stockLocations.quantity", "$price"] },
+        },
+      },
+    },
+  ]);
+
+  return result[0]
+    ? {
+        itemCount: result[0].itemCount,
+        totalQuantity: result[0].totalQuantity,
+        totalValue: result[0].totalValue,
+      }
+    : { itemCount: 0, totalQuantity: 0, totalValue: 0 };
+};
+
+module.exports = mongoose.model("Location", LocationSchema);
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+];
+
+// Mongoose plugin that moves records to the trash instead of deleting them.
+// Queries and aggregations skip trashed records unless they filter on
+// isDeleted themselves or pass the `withDeleted` option.
+module.exports = function softDelete(schema) {
+  schema.add({
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+
+  schema.index({ userId: 1, isDeleted: 1, deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || "isDeleted" in this.getFilter()) {
+      return;
+    }
+    this.where({ isDeleted: { $ne: true } });
+  });
+
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (this.options.withDeleted) return;
+
+    // $text and $geoNear must stay first, so merge into a leading $match
+    if (first && first.$match) {
+      if (!("isDeleted" in first.$match)) {
+        first.$match.isDeleted = { $ne: true };
+      }
+    } else if (!(first && first.$geoNear)) {
+      pipeline.unshift({ $match: { isDeleted: { $ne: true } } });
+    }
+  });
+
+  // Static method to permanently delete a user's records trashed before a date
+  schema.statics.purgeTrash = function (userId, before = new Date()) {
+    return this.deleteMany({
+      userId,
+      isDeleted: true,
+      deletedAt: { $lte: before },
+    });
+  };
+
+  // Move the record to the trash
+  schema.methods.softDelete = function (userId, options = {}) {
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save(options);
+  };
+
+  // Take the record back out of the trash
+  schema.methods.restore = function (options = {}) {
+    this.isDeleted = false;
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save(options);
+  };
+};
@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Lifecycle of a purchase order
+const PURCHASE_ORDER_STATUSES = [
+  "draft",
+  "sent",
+  "partially_received",
+  "received",
+  "closed",
+];
+
+// Statuses an order may move to by hand; receiving sets the rest
+const STATUS_TRANSITIONS = {
+  draft: ["sent"],
+  sent: ["closed"],
+  partially_received: ["closed"],
+  received: ["closed"],
+  closed: [],
+};
+
+const PurchaseOrderLineSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item ID is required"],
+  },
+  variantId: {
+    type: Schema.Types.ObjectId,
+    default: null,
+  },
+  locationId: {
+    type: Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  quantityOrdered: {
+    type: Number,
+    required: [true, "Ordered quantity is required"],
+    validate: {
+      validator: (value) => value > 0,
+      message: "Ordered quantity must be greater than zero",
+    },
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: [0, "Received quantity cannot be negative"],
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, "Unit cost cannot be negative"],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Notes cannot be more than 500 characters"],
+  },
+});
+
+// Virtual for quantity still expected on a line
+PurchaseOrderLineSchema.virtual("outstandingQuantity").get(function () {
+  return Math.max(this.quantityOrdered - this.quantityReceived, 0);
+});
+
+PurchaseOrderLineSchema.set("toJSON", { virtuals: true });
+PurchaseOrderLineSchema.set("toObject", { virtuals: true });
+
+const PurchaseOrderSchema = new Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: [true, "Order number is required"],
+      trim: true,
+    },
+    supplierId: {
+      type: Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: "draft",
+    },
+    lines: [PurchaseOrderLineSchema],
+    expectedDate: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot be more than 1000 characters"],
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Order numbers are unique per user
+PurchaseOrderSchema.index({ userId: 1, orderNumber: 1 }, { unique: true });
+PurchaseOrderSchema.index({ userId: 1, status: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ userId: 1, "lines.itemId": 1 });
+
+// Virtual for the order's total cost
+PurchaseOrderSchema.virtual("totalCost").get(function () {
+  return (this.lines || []).reduce(
+    (sum, line) => sum + line.quantityOrdered * line.unitCost,
+    0
+  );
+});
+
+// Static method to generate the next order number for a user
+PurchaseOrderSchema.statics.nextOrderNumber = async function (userId) {
+  const lastOrder = await this.findOne({
+    userId,
+    orderNumber: /^PO-\d+$/,
+  })
+    .sort({ orderNumber: -1 })
+    .select("orderNumber");
+
+  const lastNumber = lastOrder ? parseInt(lastOrder.orderNumber.slice(3)) : 0;
+  return `PO-${String(lastNumber + 1).padStart(5, "0")}`;
+};
+
+// Method to check whether the order may move to a status by hand
+PurchaseOrderSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Method to check whether the order accepts receipts
+PurchaseOrderSchema.methods.isReceivable = function () {
+  return ["sent", "partially_received"].includes(this.status);
+};
+
+// Method to set the receiving status from the line quantities
+PurchaseOrderSchema.methods.refreshReceivingStatus = function () {
+  const received = this.lines.every((line) => line.outstandingQuantity === 0);
+  const started = this.lines.some((line) => line.quantityReceived > 0);
+
+  if (received) {
+    this.status = "received";
+    this.receivedAt = Date.now();
+  } else if (started) {
+    this.status = "partially_received";
+  }
+
+  return this.status;
+};
+
+PurchaseOrderSchema.statics.STATUSES = PURCHASE_ORDER_STATUSES;
+PurchaseOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model("PurchaseOrder", PurchaseOrderSchema);
@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Lifecycle of a reservation; only active ones hold stock
+const RESERVATION_STATUSES = ["active", "released", "fulfilled", "expired"];
+
+const ReservationSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Item ID is required"],
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0, "Quantity cannot be negative"],
+    },
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Reference cannot be more than 100 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot be more than 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: RESERVATION_STATUSES,
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Add indexes for item lookups and the expiry sweep
+ReservationSchema.index({ itemId: 1, status: 1 });
+ReservationSchema.index({ userId: 1, status: 1, createdAt: -1 });
+ReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Re-evaluate low stock alerts for items that alert on available quantity
+const refreshItemAlerts = async (item) => {
+  if (!item || item.lowStockBasis !== "available") {
+    return;
+  }
+
+  const Alert = mongoose.model("Alert");
+  if (item.isLowStock()) {
+    await Alert.createLowQuantityAlert(item);
+  } else {
+    await Alert.checkAndResolveAlerts(item);
+  }
+};
+
+// Static method to reserve stock, refusing more than is available
+ReservationSchema.statics.reserve = async function ({
+  item,
+  quantity,
+  userId,
+  reference,
+  notes,
+  expiresAt = null,
+}) {
+  const Item = mongoose.model("Item");
+
+  // Guard and increment in one update so concurrent reservations can't oversell
+  const updatedItem = await Item.findOneAndUpdate(
+    {
+      _id: item._id,
+      $expr: {
+        $gte: [
+          {
+            $subtract: ["$quantity", { $ifNull: ["$reservedQuantity", 0] }],
+          },
+          quantity,
+        ],
+      },
+    },
+    { $inc: { reservedQuantity: quantity } },
+    { new: true }
+  );
+
+  if (!updatedItem) {
+    throw new Error("Insufficient available quantity");
+  }
+
+  const reservation = await this.create({
+    itemId: item._id,
+    userId,
+    quantity,
+    reference,
+    notes,
+    expiresAt,
+  });
+
+  await refreshItemAlerts(updatedItem);
+
+  return { reservation, item: updatedItem };
+};
+
+// Method to stop holding stock, closing with the given status
+ReservationSchema.methods.close = async function (status = "released") {
+  if (this.status !== "active") {
+    throw new Error(`Reservation is already ${this.status}`);
+  }
+
+  const Item = mongoose.model("Item");
+
+  this.status = status;
+  this.closedAt = Date.now();
+  await this.save();
+
+  // Never let the reserved total drop below zero
+  const item = await Item.findOneAndUpdate(
+    { _id: this.itemId },
+    [
+      {
+        $set: {
+          reservedQuantity: {
+            $max: [
+              {
+                $subtract: [
+                  { $ifNull: ["$reservedQuantity", 0] },
+                  this.quantity,
+                ],
+              },
+              0,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  await refreshItemAlerts(item);
+
+  return item;
+};
+
+// Static method to expire active reservations past their expiry date
+ReservationSchema.statics.expireDue = async function (
+  filter = {},
+  now = new Date()
+) {
+  const reservations = await this.find({
+    ...filter,
+    status: "active",
+    expiresAt: { $ne: null, $lte: now },
+  });
+
+  for (const reservation of reservations) {
+    await reservation.close("expired");
+  }
+
+  return reservations.length;
+};
+
+ReservationSchema.statics.STATUSES = RESERVATION_STATUSES;
+
+module.exports = mongoose.model("Reservation", ReservationSchema);
@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Lifecycle of an outbound sales/issue order
+const SALES_ORDER_STATUSES = [
+  "draft",
+  "confirmed",
+  "partially_fulfilled",
+  "fulfilled",
+  "cancelled",
+];
+
+// Statuses an order may move to by hand; fulfilment sets the rest
+const STATUS_TRANSITIONS = {
+  draft: ["confirmed", "cancelled"],
+  confirmed: ["cancelled"],
+  partially_fulfilled: ["cancelled"],
+  fulfilled: [],
+  cancelled: [],
+};
+
+const SalesOrderLineSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: "Item",
+    required: [true, "Item ID is required"],
+  },
+  // Folder the stock is deducted from
+  folderId: {
+    type: Schema.Types.ObjectId,
+    ref: "Folder",
+    default: null,
+  },
+  variantId: {
+    type: Schema.Types.ObjectId,
+    default: null,
+  },
+  locationId: {
+    type: Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  quantityOrdered: {
+    type: Number,
+    required: [true, "Ordered quantity is required"],
+    validate: {
+      validator: (value) => value > 0,
+      message: "Ordered quantity must be greater than zero",
+    },
+  },
+  quantityFulfilled: {
+    type: Number,
+    default: 0,
+    min: [0, "Fulfilled quantity cannot be negative"],
+  },
+  // Quantity left waiting for stock after a short fulfilment
+  quantityBackordered: {
+    type: Number,
+    default: 0,
+    min: [0, "Backordered quantity cannot be negative"],
+  },
+  unitPrice: {
+    type: Number,
+    default: 0,
+    min: [0, "Unit price cannot be negative"],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Notes cannot be more than 500 characters"],
+  },
+});
+
+// Virtual for quantity still to be fulfilled on a line
+SalesOrderLineSchema.virtual("outstandingQuantity").get(function () {
+  return Math.max(this.quantityOrdered - this.quantityFulfilled, 0);
+});
+
+SalesOrderLineSchema.set("toJSON", { virtuals: true });
+SalesOrderLineSchema.set("toObject", { virtuals: true });
+
+const SalesOrderSchema = new Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: [true, "Order number is required"],
+      trim: true,
+    },
+    customer: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Customer cannot be more than 200 characters"],
+    },
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Reference cannot be more than 100 characters"],
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    status: {
+      type: String,
+      enum: SALES_ORDER_STATUSES,
+      default: "draft",
+    },
+    lines: [SalesOrderLineSchema],
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot be more than 1000 characters"],
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    fulfilledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Order numbers are unique per user
+SalesOrderSchema.index({ userId: 1, orderNumber: 1 }, { unique: true });
+SalesOrderSchema.index({ userId: 1, status: 1, createdAt: -1 });
+SalesOrderSchema.index({ userId: 1, "lines.itemId": 1 });
+
+// Virtual for the order's total value
+SalesOrderSchema.virtual("totalValue").get(function () {
+  return (this.lines || []).reduce(
+    (sum, line) => sum + line.quantityOrdered * line.unitPrice,
+    0
+  );
+});
+
+// Virtual for whether any line is waiting on stock
+SalesOrderSchema.virtual("hasBackorders").get(function () {
+  return (this.lines || []).some((line) => line.quantityBackordered > 0);
+});
+
+// Static method to generate the next order number for a user
+SalesOrderSchema.statics.nextOrderNumber = async function (userId) {
+  const lastOrder = await this.findOne({
+    userId,
+    orderNumber: /^SO-\d+$/,
+  })
+    .sort({ orderNumber: -1 })
+    .select("orderNumber");
+
+  const lastNumber = lastOrder ? parseInt(lastOrder.orderNumber.slice(3)) : 0;
+  return `SO-${String(lastNumber + 1).padStart(5, "0")}`;
+};
+
+// Method to check whether the order may move to a status by hand
+SalesOrderSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Method to check whether the order can be picked and fulfilled
+SalesOrderSchema.methods.isFulfillable = function () {
+  return ["confirmed", "partially_fulfilled"].includes(this.status);
+};
+
+// Method to set the fulfilment status from the line quantities
+SalesOrderSchema.methods.refreshFulfillmentStatus = function () {
+  const fulfilled = this.lines.every((line) => line.outstandingQuantity === 0);
+  const started = this.lines.some((line) => line.quantityFulfilled > 0);
+
+  if (fulfilled) {
+    this.status = "fulfilled";
+    this.fulfilledAt = Date.now();
+  } else if (started) {
+    this.status = "partially_fulfilled";
+  }
+
+  return this.status;
+};
+
+SalesOrderSchema.statics.STATUSES = SALES_ORDER_STATUSES;
+SalesOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model("SalesOrder", SalesOrderSchema);
@@ -142,6 +142,34 @@ const userSettingsSchema = new mongoose.Schema(
           default: true,
         },
       },
+      expiryAlertDays: {
+        type: Number,
+        default: 30,
+        min: 0,
+        max: 365,
+      },
+    },
+    inventory: {
+      valuationMethod: {
+        type: String,
+        enum: ["fifo", "average"],
+        default: "average",
+      },
+      // Currency reports and exports convert values into
+      baseCurrency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+        default: "USD",
+      },
+      // Days deleted items and folders stay in the trash
+      trashRetentionDays: {
+        type: Number,
+        default: 30,
+        min: 1,
+        max: 365,
+      },
     },
     privacy: {
       profileVisibility: {
@@ -248,6 +276,12 @@ userSettingsSchema.statics.getDefaultSettings = function () {
         reports: true,
         updates: true,
       },
+      expiryAlertDays: 30,
+    },
+    inventory: {
+      valuationMethod: "average",
+      baseCurrency: "USD",
+      trashRetentionDays: 30,
     },
     privacy: {
       profileVisibility: "private",
@@ -268,6 +302,12 @@ userSettingsSchema.statics.getDefaultSettings = function () {
   };
 };
 
+// Static method to get a user's inventory settings with defaults applied
+userSettingsSchema.statics.getInventorySettings = async function (userId) {
+  const settings = await this.findOne({ userId }).select("inventory").lean();
+  return { ...this.getDefaultSettings().inventory, ...settings?.inventory };
+};
+
 // Method to merge with defaults
 userSettingsSchema.methods.mergeWithDefaults = function () {
   const defaults = this.constructor.getDefaultSettings();
@@ -0,0 +1,238 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Reason codes describing why stock moved
+const REASON_CODES = [
+  "initial",
+  "adjustment",
+  "receipt",
+  "issue",
+  "damage",
+  "return",
+  "count_adjustment",
+  "transfer",
+  "assembly",
+  "other",
+];
+
+// Reason codes that count as stock being used up: issues (sales orders ship
+// as issues) and kit builds. Adjustments are corrections, not usage.
+const CONSUMPTION_REASON_CODES = ["issue", "assembly"];
+
+// Channels a stock movement can originate from
+const SOURCES = [
+  "manual",
+  "import",
+  "bulk",
+  "scan",
+  "purchase_order",
+  "sales_order",
+  "cycle_count",
+  "transfer",
+  "kit_build",
+  "merge",
+];
+
+const StockTransactionSchema = new Schema(
+  {
+    itemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Item ID is required"],
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    delta: {
+      type: Number,
+      required: [true, "Quantity delta is required"],
+    },
+    balance: {
+      type: Number,
+      required: [true, "Resulting balance is required"],
+      min: [0, "Balance cannot be negative"],
+    },
+    reasonCode: {
+      type: String,
+      enum: REASON_CODES,
+      default: "adjustment",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot be more than 500 characters"],
+    },
+    source: {
+      type: String,
+      enum: SOURCES,
+      default: "manual",
+    },
+    locationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    metadata: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Add indexes for ledger queries by item and date range
+StockTransactionSchema.index({ itemId: 1, createdAt: 1 });
+StockTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+// Ledger entries are append-only
+const rejectMutation = function (next) {
+  next(new Error("Stock transactions are immutable"));
+};
+
+StockTransactionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "findOneAndReplace",
+].forEach((hook) => {
+  StockTransactionSchema.pre(hook, rejectMutation);
+});
+
+// Static method to record a stock movement for an item
+StockTransactionSchema.statics.record = async function ({
+  item,
+  delta,
+  userId,
+  reasonCode = "adjustment",
+  reason,
+  source = "manual",
+  locationId = null,
+  variantId = null,
+  metadata = {},
+  balance = item.quantity,
+  session,
+}) {
+  const [transaction] = await this.create(
+    [
+      {
+        itemId: item._id,
+        userId: userId || item.userId,
+        delta,
+        balance,
+        reasonCode,
+        reason,
+        source,
+        locationId,
+        variantId,
+        metadata,
+      },
+    ],
+    { session }
+  );
+
+  return transaction;
+};
+
+// Static method to get ledger entries for an item within a date range
+StockTransactionSchema.statics.getLedger = async function (
+  itemId,
+  { startDate, endDate, skip = 0, limit = 50 } = {}
+) {
+  const query = { itemId };
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const [transactions, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("userId", "name email")
+      .populate("locationId", "name code")
+      .lean(),
+    this.countDocuments(query),
+  ]);
+
+  return { transactions, total };
+};
+
+// Static method to rebuild an item's balance from its ledger
+StockTransactionSchema.statics.rebuildBalance = async function (
+  itemId,
+  asOf = null
+) {
+  const match = { itemId: new mongoose.Types.ObjectId(itemId) };
+  if (asOf) {
+    match.createdAt = { $lte: new Date(asOf) };
+  }
+
+  const result = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: "$delta" },
+        transactionCount: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return result[0]
+    ? {
+        balance: result[0].balance,
+        transactionCount: result[0].transactionCount,
+      }
+    : { balance: 0, transactionCount: 0 };
+};
+
+// Static method to total each item's consumption since a date
+StockTransactionSchema.statics.getConsumption = async function (userId, since) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: new Date(since) },
+        delta: { $lt: 0 },
+        reasonCode: { $in: CONSUMPTION_REASON_CODES },
+      },
+    },
+    {
+      $group: {
+        _id: "$itemId",
+        consumed: { $sum: { $multiply: ["$delta", -1] } },
+      },
+    },
+  ]);
+
+  return new Map(result.map((entry) => [entry._id.toString(), entry.consumed]));
+};
+
+StockTransactionSchema.statics.REASON_CODES = REASON_CODES;
+StockTransactionSchema.statics.SOURCES = SOURCES;
+StockTransactionSchema.statics.CONSUMPTION_REASON_CODES =
+  CONSUMPTION_REASON_CODES;
+
+module.exports = mongoose.model("StockTransaction", StockTransactionSchema);
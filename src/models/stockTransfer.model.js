@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Lifecycle of a transfer; in-transit stock has left but not yet arrived
+const TRANSFER_STATUSES = ["in_transit", "completed", "cancelled"];
+
+const TransferLotSchema = new Schema(
+  {
+    lotNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    expiryDate: {
+      type: Date,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, "Quantity cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+const StockTransferSchema = new Schema(
+  {
+    transferNumber: {
+      type: String,
+      required: [true, "Transfer number is required"],
+      trim: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    sourceItemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Source item is required"],
+    },
+    destinationItemId: {
+      type: Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Destination item is required"],
+    },
+    sourceFolderId: {
+      type: Schema.Types.ObjectId,
+      ref: "Folder",
+      default: null,
+    },
+    destinationFolderId: {
+      type: Schema.Types.ObjectId,
+      ref: "Folder",
+      default: null,
+    },
+    sourceLocationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    destinationLocationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      validate: {
+        validator: (value) => value > 0,
+        message: "Quantity must be greater than zero",
+      },
+    },
+    // Cost per unit of the stock drawn from the source, carried to the destination
+    unitCost: {
+      type: Number,
+      default: null,
+      min: [0, "Unit cost cannot be negative"],
+    },
+    // Lots drawn from the source, recreated at the destination on arrival
+    lots: [TransferLotSchema],
+    status: {
+      type: String,
+      enum: TRANSFER_STATUSES,
+      default: "in_transit",
+    },
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Reference cannot be more than 100 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot be more than 500 characters"],
+    },
+    shippedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    sourceTransactionId: {
+      type: Schema.Types.ObjectId,
+      ref: "StockTransaction",
+      default: null,
+    },
+    destinationTransactionId: {
+      type: Schema.Types.ObjectId,
+      ref: "StockTransaction",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Transfer numbers are unique per user
+StockTransferSchema.index({ userId: 1, transferNumber: 1 }, { unique: true });
+StockTransferSchema.index({ userId: 1, status: 1, createdAt: -1 });
+StockTransferSchema.index({ sourceItemId: 1 });
+StockTransferSchema.index({ destinationItemId: 1 });
+
+// Static method to generate the next transfer number for a user
+StockTransferSchema.statics.nextTransferNumber = async function (
+  userId,
+  { session } = {}
+) {
+  const lastTransfer = await this.findOne({
+    userId,
+    transferNumber: /^TR-\d+$/,
+  })
+    .sort({ transferNumber: -1 })
+    .select("transferNumber")
+    .session(session || null);
+
+  const lastNumber = lastTransfer
+    ? parseInt(lastTransfer.transferNumber.slice(3))
+    : 0;
+  return `TR-${String(lastNumber + 1).padStart(5, "0")}`;
+};
+
+StockTransferSchema.statics.STATUSES = TRANSFER_STATUSES;
+
+module.exports = mongoose.model("StockTransfer", StockTransferSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const SupplierSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    contactName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Contact name cannot be more than 100 characters"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Phone cannot be more than 50 characters"],
+    },
+    website: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Website cannot be more than 200 characters"],
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Address cannot be more than 500 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot be more than 1000 characters"],
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Supplier names are unique per user
+SupplierSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Supplier", SupplierSchema);
@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Kinds of quantity; units only convert within the same dimension
+const DIMENSIONS = ["count", "mass", "volume", "length"];
+
+// Reference unit each dimension's factors are expressed in
+const BASE_UNITS = {
+  count: "each",
+  mass: "g",
+  volume: "ml",
+  length: "mm",
+};
+
+// Built-in units available to every user
+const DEFAULT_UNITS = [
+  { name: "unit", label: "Unit", dimension: "count", factor: 1 },
+  { name: "each", label: "Each", dimension: "count", factor: 1 },
+  { name: "pcs", label: "Pieces", dimension: "count", factor: 1 },
+  { name: "pair", label: "Pair", dimension: "count", factor: 2 },
+  { name: "dozen", label: "Dozen", dimension: "count", factor: 12 },
+  { name: "mg", label: "Milligram", dimension: "mass", factor: 0.001 },
+  { name: "g", label: "Gram", dimension: "mass", factor: 1 },
+  { name: "kg", label: "Kilogram", dimension: "mass", factor: 1000 },
+  { name: "oz", label: "Ounce", dimension: "mass", factor: 28.349523125 },
+  { name: "lb", label: "Pound", dimension: "mass", factor: 453.59237 },
+  { name: "ml", label: "Millilitre", dimension: "volume", factor: 1 },
+  { name: "l", label: "Litre", dimension: "volume", factor: 1000 },
+  { name: "gal", label: "US Gallon", dimension: "volume", factor: 3785.411784 },
+  { name: "mm", label: "Millimetre", dimension: "length", factor: 1 },
+  { name: "cm", label: "Centimetre", dimension: "length", factor: 10 },
+  { name: "m", label: "Metre", dimension: "length", factor: 1000 },
+  { name: "in", label: "Inch", dimension: "length", factor: 25.4 },
+  { name: "ft", label: "Foot", dimension: "length", factor: 304.8 },
+];
+
+const UnitSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Unit name is required"],
+      trim: true,
+      lowercase: true,
+      maxlength: [20, "Unit name cannot be more than 20 characters"],
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Label cannot be more than 50 characters"],
+    },
+    dimension: {
+      type: String,
+      enum: DIMENSIONS,
+      required: [true, "Dimension is required"],
+    },
+    factor: {
+      type: Number,
+      required: [true, "Conversion factor is required"],
+      validate: {
+        validator: (value) => value > 0,
+        message: "Conversion factor must be greater than zero",
+      },
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Unit names are unique per user
+UnitSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Normalize a unit name for lookups
+const normalizeName = (name) =>
+  String(name || "")
+    .trim()
+    .toLowerCase();
+
+// Static method to get built-in and custom units available to a user
+UnitSchema.statics.getCatalog = async function (userId, { session } = {}) {
+  const customUnits = await this.find({ userId })
+    .sort({ name: 1 })
+    .session(session || null)
+    .lean();
+
+  return [
+    ...DEFAULT_UNITS.map((unit) => ({ ...unit, builtIn: true })),
+    ...customUnits.map((unit) => ({ ...unit, builtIn: false })),
+  ];
+};
+
+// Static method to check whether a name belongs to a built-in unit
+UnitSchema.statics.isBuiltIn = function (name) {
+  return DEFAULT_UNITS.some((unit) => unit.name === normalizeName(name));
+};
+
+// Static method to find a unit by name in a catalog
+UnitSchema.statics.findInCatalog = function (catalog, name) {
+  return catalog.find((unit) => unit.name === normalizeName(name)) || null;
+};
+
+// Static method to find a unit by name for a user
+UnitSchema.statics.findUnit = async function (userId, name) {
+  return this.findInCatalog(await this.getCatalog(userId), name);
+};
+
+// Static method to convert a quantity between two units of a catalog
+UnitSchema.statics.convertWithCatalog = function (
+  catalog,
+  quantity,
+  fromUnit,
+  toUnit
+) {
+  if (normalizeName(fromUnit) === normalizeName(toUnit)) {
+    return quantity;
+  }
+
+  const from = this.findInCatalog(catalog, fromUnit);
+  const to = this.findInCatalog(catalog, toUnit);
+
+  if (!from) {
+    throw new Error(`Unknown unit "${fromUnit}"`);
+  }
+  if (!to) {
+    throw new Error(`Unknown unit "${toUnit}"`);
+  }
+  if (from.dimension !== to.dimension) {
+    throw new Error(`Cannot convert ${from.name} to ${to.name}`);
+  }
+
+  // Round away floating point noise from the factor arithmetic
+  return Math.round(((quantity * from.factor) / to.factor) * 1e6) / 1e6;
+};
+
+// Static method to convert a quantity between two units for a user
+UnitSchema.statics.convert = async function (
+  userId,
+  quantity,
+  fromUnit,
+  toUnit
+) {
+  if (normalizeName(fromUnit) === normalizeName(toUnit)) {
+    return quantity;
+  }
+
+  return this.convertWithCatalog(
+    await this.getCatalog(userId),
+    quantity,
+    fromUnit,
+    toUnit
+  );
+};
+
+UnitSchema.statics.DIMENSIONS = DIMENSIONS;
+UnitSchema.statics.BASE_UNITS = BASE_UNITS;
+UnitSchema.statics.DEFAULT_UNITS = DEFAULT_UNITS;
+
+module.exports = mongoose.model("Unit", UnitSchema);
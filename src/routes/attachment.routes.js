@@ -0,0 +1,88 @@
+const express = require("express");
+const { param, query } = require("express-validator");
+const router = express.Router();
+const attachmentController = require("../controllers/attachment.controller");
+const Attachment = require("../models/attachment.model");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permission");
+const { attachmentFieldsValidation } = require("../middleware/validation");
+const { NotFoundError } = require("../utils/customError");
+
+// Check the caller's access to the item or folder an attachment belongs to
+const checkAttachmentPermission = (accessLevel) => async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id).select(
+      "resourceType resourceId"
+    );
+
+    if (!attachment) {
+      return next(new NotFoundError("Attachment not found"));
+    }
+
+    req.params.resourceId = String(attachment.resourceId);
+    return checkPermission(attachment.resourceType, accessLevel, "resourceId")(
+      req,
+      res,
+      next
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Validation rules
+const expiringValidation = [
+  query("days")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Days must be a non-negative integer"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid attachment ID"),
+];
+
+// Routes
+router.get(
+  "/expiring",
+  protect,
+  expiringValidation,
+  validate,
+  attachmentController.getExpiringAttachments
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  checkAttachmentPermission("view"),
+  attachmentController.getAttachment
+);
+router.get(
+  "/:id/download",
+  protect,
+  idValidation,
+  validate,
+  checkAttachmentPermission("view"),
+  attachmentController.downloadAttachment
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  attachmentFieldsValidation,
+  validate,
+  checkAttachmentPermission("edit"),
+  attachmentController.updateAttachment
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  checkAttachmentPermission("edit"),
+  attachmentController.deleteAttachment
+);
+
+module.exports = router;
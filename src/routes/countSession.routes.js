@@ -0,0 +1,139 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+const countSessionController = require("../controllers/countSession.controller");
+const CountSession = require("../models/countSession.model");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const createSessionValidation = [
+  body("folderId").isMongoId().withMessage("Invalid folder ID"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body("includeSubfolders")
+    .optional()
+    .isBoolean()
+    .withMessage("includeSubfolders must be a boolean"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+const recordCountsValidation = [
+  body("counts")
+    .isArray({ min: 1 })
+    .withMessage("Counts must be a non-empty array"),
+  body("counts.*.lineId").isMongoId().withMessage("Invalid line ID"),
+  body("counts.*.countedQuantity")
+    .isFloat({ min: 0 })
+    .withMessage("Counted quantity cannot be negative"),
+  body("counts.*.notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const reviewValidation = [
+  body("reviewNotes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Review notes cannot be more than 1000 characters"),
+];
+
+const listValidation = [
+  query("status")
+    .optional()
+    .isIn(CountSession.STATUSES)
+    .withMessage("Invalid count session status"),
+  query("folderId").optional().isMongoId().withMessage("Invalid folder ID"),
+];
+
+const reportValidation = [
+  query("format")
+    .optional()
+    .isIn(["json", "csv"])
+    .withMessage("Format must be json or csv"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid count session ID"),
+];
+
+// Routes
+router.get(
+  "/",
+  protect,
+  listValidation,
+  validate,
+  countSessionController.getCountSessions
+);
+router.post(
+  "/",
+  protect,
+  createSessionValidation,
+  validate,
+  countSessionController.createCountSession
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  countSessionController.getCountSessionById
+);
+router.put(
+  "/:id/counts",
+  protect,
+  idValidation,
+  recordCountsValidation,
+  validate,
+  countSessionController.recordCounts
+);
+router.post(
+  "/:id/submit",
+  protect,
+  idValidation,
+  validate,
+  countSessionController.submitCountSession
+);
+router.post(
+  "/:id/approve",
+  protect,
+  idValidation,
+  reviewValidation,
+  validate,
+  countSessionController.approveCountSession
+);
+router.post(
+  "/:id/reject",
+  protect,
+  idValidation,
+  reviewValidation,
+  validate,
+  countSessionController.rejectCountSession
+);
+router.post(
+  "/:id/cancel",
+  protect,
+  idValidation,
+  validate,
+  countSessionController.cancelCountSession
+);
+router.get(
+  "/:id/variance-report",
+  protect,
+  idValidation,
+  reportValidation,
+  validate,
+  countSessionController.getVarianceReport
+);
+
+module.exports = router;
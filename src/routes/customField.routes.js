@@ -0,0 +1,112 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+const customFieldController = require("../controllers/customField.controller");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+const { FIELD_TYPES, TARGETS } = CustomFieldDefinition;
+
+// Validation rules
+const createCustomFieldValidation = [
+  body("key")
+    .notEmpty()
+    .withMessage("Key is required")
+    .trim()
+    .matches(/^[A-Za-z][A-Za-z0-9_]*$/)
+    .withMessage(
+      "Key must start with a letter and contain only letters, numbers and underscores"
+    )
+    .isLength({ max: 50 })
+    .withMessage("Key cannot be more than 50 characters"),
+  body("label")
+    .notEmpty()
+    .withMessage("Label is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Label cannot be more than 100 characters"),
+  body("type")
+    .isIn(FIELD_TYPES)
+    .withMessage(`Type must be one of: ${FIELD_TYPES.join(", ")}`),
+  body("appliesTo")
+    .optional()
+    .isIn(TARGETS)
+    .withMessage(`Applies to must be one of: ${TARGETS.join(", ")}`),
+  body("required")
+    .optional()
+    .isBoolean()
+    .withMessage("Required must be a boolean"),
+  body("options").optional().isArray().withMessage("Options must be an array"),
+  body("sortOrder")
+    .optional()
+    .isInt()
+    .withMessage("Sort order must be an integer"),
+];
+
+const updateCustomFieldValidation = [
+  body("label")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Label cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Label cannot be more than 100 characters"),
+  body("type")
+    .optional()
+    .isIn(FIELD_TYPES)
+    .withMessage(`Type must be one of: ${FIELD_TYPES.join(", ")}`),
+  body("required")
+    .optional()
+    .isBoolean()
+    .withMessage("Required must be a boolean"),
+  body("options").optional().isArray().withMessage("Options must be an array"),
+  body("sortOrder")
+    .optional()
+    .isInt()
+    .withMessage("Sort order must be an integer"),
+];
+
+const listCustomFieldsValidation = [
+  query("appliesTo")
+    .optional()
+    .isIn(TARGETS)
+    .withMessage(`Applies to must be one of: ${TARGETS.join(", ")}`),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid custom field ID"),
+];
+
+// Routes
+router.get(
+  "/",
+  protect,
+  listCustomFieldsValidation,
+  validate,
+  customFieldController.getCustomFields
+);
+router.post(
+  "/",
+  protect,
+  createCustomFieldValidation,
+  validate,
+  customFieldController.createCustomField
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  updateCustomFieldValidation,
+  validate,
+  customFieldController.updateCustomField
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  customFieldController.deleteCustomField
+);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+const exchangeRateController = require("../controllers/exchangeRate.controller");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const createRateValidation = [
+  body("currency")
+    .notEmpty()
+    .withMessage("Currency is required")
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+  body("rate").isFloat({ gt: 0 }).withMessage("Rate must be greater than zero"),
+  body("effectiveDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Effective date must be a valid date"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const updateRateValidation = [
+  body("rate")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Rate must be greater than zero"),
+  body("effectiveDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Effective date must be a valid date"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const listValidation = [
+  query("currency")
+    .optional()
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+  query("asOf").optional().isISO8601().withMessage("Invalid date"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid exchange rate ID"),
+];
+
+// Routes
+router.get(
+  "/",
+  protect,
+  listValidation,
+  validate,
+  exchangeRateController.getExchangeRates
+);
+router.post(
+  "/",
+  protect,
+  createRateValidation,
+  validate,
+  exchangeRateController.createExchangeRate
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  updateRateValidation,
+  validate,
+  exchangeRateController.updateExchangeRate
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  exchangeRateController.deleteExchangeRate
+);
+
+module.exports = router;
@@ -2,8 +2,14 @@ const express = require("express");
 const { body, param, query } = require("express-validator");
 const router = express.Router();
 const folderController = require("../controllers/folder.controller");
+const attachmentController = require("../controllers/attachment.controller");
 const validate = require("../middleware/validate");
 const { protect } = require("../middleware/auth");
+const {
+  uploadAttachment,
+  discardUploadOnError,
+} = require("../middleware/upload");
+const { attachmentFieldsValidation } = require("../middleware/validation");
 const {
   checkPermission,
   addAccessibleResources,
@@ -154,6 +160,25 @@ router.get(
   folderController.getFolderActivities
 );
 
+// Folder attachments routes
+router.get(
+  "/:id/attachments",
+  protect,
+  checkPermission("folder", "view"),
+  attachmentController.getFolderAttachments
+);
+
+router.post(
+  "/:id/attachments",
+  protect,
+  checkPermission("folder", "edit"),
+  uploadAttachment("file"),
+  attachmentFieldsValidation,
+  validate,
+  discardUploadOnError,
+  attachmentController.addFolderAttachment
+);
+
 // Folder permissions routes
 router.get(
   "/:id/permissions",
@@ -2,9 +2,29 @@ const express = require("express");
 const { body, param, query } = require("express-validator");
 const router = express.Router();
 const itemController = require("../controllers/item.controller");
+const variantController = require("../controllers/variant.controller");
+const lotController = require("../controllers/lot.controller");
+const serialController = require("../controllers/serial.controller");
+const reservationController = require("../controllers/reservation.controller");
+const transferController = require("../controllers/transfer.controller");
+const kitController = require("../controllers/kit.controller");
+const itemRevisionController = require("../controllers/itemRevision.controller");
+const itemMergeController = require("../controllers/itemMerge.controller");
+const itemRelationshipController = require("../controllers/itemRelationship.controller");
+const attachmentController = require("../controllers/attachment.controller");
+const Item = require("../models/item.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const Reservation = require("../models/reservation.model");
+const ItemRelationship = require("../models/itemRelationship.model");
 const validate = require("../middleware/validate");
 const { protect } = require("../middleware/auth");
-const { uploadSingle, uploadMultiple } = require("../middleware/upload");
+const {
+  uploadSingle,
+  uploadMultiple,
+  uploadAttachment,
+  discardUploadOnError,
+} = require("../middleware/upload");
+const { attachmentFieldsValidation } = require("../middleware/validation");
 const {
   checkPermission,
   checkBulkPermission,
@@ -42,13 +62,54 @@ const createItemValidation = [
     .withMessage("Minimum level must be a number")
     .isFloat({ min: 0 })
     .withMessage("Minimum level cannot be negative"),
+  body("reorderPoint")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Reorder point cannot be negative"),
+  body("reorderQuantity")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Reorder quantity cannot be negative"),
+  body("leadTimeDays")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Lead time must be a whole number of days"),
   body("price")
     .optional()
     .isNumeric()
     .withMessage("Price must be a number")
     .isFloat({ min: 0 })
     .withMessage("Price cannot be negative"),
+  body("cost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Cost cannot be negative"),
+  body("currency")
+    .optional({ nullable: true })
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+  body("preferredSupplierId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid supplier ID"),
+  body("lowStockBasis")
+    .optional()
+    .isIn(["on_hand", "available"])
+    .withMessage("Low stock basis must be on_hand or available"),
   body("tags").optional().isArray().withMessage("Tags must be an array"),
+  body("stockLocations")
+    .optional()
+    .isArray()
+    .withMessage("Stock locations must be an array"),
+  body("stockLocations.*.locationId")
+    .isMongoId()
+    .withMessage("Invalid location ID"),
+  body("stockLocations.*.quantity")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Location quantity cannot be negative"),
   body("folderId")
     .optional()
     .custom((value) => {
@@ -87,13 +148,58 @@ const updateItemValidation = [
     .withMessage("Minimum level must be a number")
     .isFloat({ min: 0 })
     .withMessage("Minimum level cannot be negative"),
+  body("reorderPoint")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Reorder point cannot be negative"),
+  body("reorderQuantity")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Reorder quantity cannot be negative"),
+  body("leadTimeDays")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Lead time must be a whole number of days"),
   body("price")
     .optional()
     .isNumeric()
     .withMessage("Price must be a number")
     .isFloat({ min: 0 })
     .withMessage("Price cannot be negative"),
+  body("cost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Cost cannot be negative"),
+  body("unitCost")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost cannot be negative"),
+  body("currency")
+    .optional({ nullable: true })
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+  body("preferredSupplierId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid supplier ID"),
+  body("lowStockBasis")
+    .optional()
+    .isIn(["on_hand", "available"])
+    .withMessage("Low stock basis must be on_hand or available"),
   body("tags").optional().isArray().withMessage("Tags must be an array"),
+  body("stockLocations")
+    .optional()
+    .isArray()
+    .withMessage("Stock locations must be an array"),
+  body("stockLocations.*.locationId")
+    .isMongoId()
+    .withMessage("Invalid location ID"),
+  body("stockLocations.*.quantity")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Location quantity cannot be negative"),
   body("folderId")
     .optional()
     .custom((value) => {
@@ -110,6 +216,385 @@ const updateQuantityValidation = [
     .isNumeric()
     .withMessage("Quantity change must be a number"),
   body("reason").optional().trim(),
+  body("reasonCode")
+    .optional()
+    .isIn(StockTransaction.REASON_CODES)
+    .withMessage("Invalid reason code"),
+  body("source")
+    .optional()
+    .isIn(StockTransaction.SOURCES)
+    .withMessage("Invalid source"),
+  body("locationId").optional().isMongoId().withMessage("Invalid location ID"),
+  body("variantId").optional().isMongoId().withMessage("Invalid variant ID"),
+  body("lotId").optional().isMongoId().withMessage("Invalid lot ID"),
+  body("unit").optional().trim().notEmpty().withMessage("Unit cannot be empty"),
+  body("unitCost")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost cannot be negative"),
+  body("lotNumber")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Lot number cannot be more than 100 characters"),
+  body("expiryDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Invalid expiry date"),
+];
+
+const ledgerValidation = [
+  query("startDate").optional().isISO8601().withMessage("Invalid start date"),
+  query("endDate").optional().isISO8601().withMessage("Invalid end date"),
+  query("asOf").optional().isISO8601().withMessage("Invalid date"),
+];
+
+const createVariantValidation = [
+  body("name")
+    .notEmpty()
+    .withMessage("Variant name is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Variant name cannot be more than 100 characters"),
+  body("sku").optional().trim(),
+  body("quantity")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Quantity cannot be negative"),
+  body("minLevel")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum level cannot be negative"),
+  body("attributes")
+    .optional()
+    .isObject()
+    .withMessage("Attributes must be an object"),
+];
+
+const updateVariantValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Variant name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Variant name cannot be more than 100 characters"),
+  body("sku").optional().trim(),
+  body("quantity")
+    .not()
+    .exists()
+    .withMessage("Use the variant quantity endpoint to change stock"),
+  body("minLevel")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum level cannot be negative"),
+  body("attributes")
+    .optional()
+    .isObject()
+    .withMessage("Attributes must be an object"),
+];
+
+const variantIdValidation = [
+  param("variantId").isMongoId().withMessage("Invalid variant ID"),
+];
+
+const createLotValidation = [
+  body("lotNumber")
+    .notEmpty()
+    .withMessage("Lot number is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Lot number cannot be more than 100 characters"),
+  body("quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  body("expiryDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Invalid expiry date"),
+  body("receivedDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid received date"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+  body("locationId").optional().isMongoId().withMessage("Invalid location ID"),
+  body("variantId").optional().isMongoId().withMessage("Invalid variant ID"),
+  body("unit").optional().trim().notEmpty().withMessage("Unit cannot be empty"),
+];
+
+const updateLotValidation = [
+  body("lotNumber")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Lot number cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Lot number cannot be more than 100 characters"),
+  body("quantity")
+    .not()
+    .exists()
+    .withMessage("Use the item quantity endpoint to change stock"),
+  body("expiryDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Invalid expiry date"),
+  body("receivedDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid received date"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const lotIdValidation = [
+  param("lotId").isMongoId().withMessage("Invalid lot ID"),
+];
+
+const lotQueryValidation = [
+  query("expiringWithin")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("expiringWithin must be a non-negative number of days"),
+];
+
+const addSerialsValidation = [
+  body("serialNumbers")
+    .isArray({ min: 1 })
+    .withMessage("Serial numbers must be a non-empty array"),
+  body("serialNumbers.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Serial number cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Serial number cannot be more than 100 characters"),
+  body("status")
+    .optional()
+    .isIn(Item.SERIAL_STATUSES)
+    .withMessage("Invalid serial status"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const updateSerialValidation = [
+  body("serialNumber")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Serial number cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Serial number cannot be more than 100 characters"),
+  body("status")
+    .optional()
+    .isIn(Item.SERIAL_STATUSES)
+    .withMessage("Invalid serial status"),
+  body("assignedTo")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Assignee cannot be more than 100 characters"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const serialIdValidation = [
+  param("serialId").isMongoId().withMessage("Invalid serial ID"),
+];
+
+const serialQueryValidation = [
+  query("status")
+    .optional()
+    .isIn(Item.SERIAL_STATUSES)
+    .withMessage("Invalid serial status"),
+];
+
+const createReservationValidation = [
+  body("quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  body("reference")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Reference cannot be more than 100 characters"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+  body("expiresAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date"),
+];
+
+const reservationIdValidation = [
+  param("reservationId").isMongoId().withMessage("Invalid reservation ID"),
+];
+
+const fulfillReservationValidation = [
+  ...reservationIdValidation,
+  body("locationId").optional().isMongoId().withMessage("Invalid location ID"),
+  body("variantId").optional().isMongoId().withMessage("Invalid variant ID"),
+];
+
+const reservationQueryValidation = [
+  query("status")
+    .optional()
+    .isIn(Reservation.STATUSES)
+    .withMessage("Invalid reservation status"),
+];
+
+const createTransferValidation = [
+  body("destinationFolderId")
+    .exists()
+    .withMessage("Destination folder is required")
+    .custom((value) => {
+      if (value === null || value === "null") return true;
+      return /^[0-9a-fA-F]{24}$/.test(value);
+    })
+    .withMessage("Invalid folder ID"),
+  body("quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  body("destinationItemId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid destination item ID"),
+  body("sourceLocationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid source location ID"),
+  body("destinationLocationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid destination location ID"),
+  body("inTransit")
+    .optional()
+    .isBoolean()
+    .withMessage("inTransit must be a boolean"),
+  body("reference")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Reference cannot be more than 100 characters"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const setComponentsValidation = [
+  body("components").isArray().withMessage("Components must be an array"),
+  body("components.*.itemId").isMongoId().withMessage("Invalid component ID"),
+  body("components.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Component quantity must be greater than zero"),
+];
+
+const buildKitValidation = [
+  body("quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  body("locationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid location ID"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+];
+
+const revisionValidation = [
+  param("rev")
+    .isInt({ min: 1 })
+    .withMessage("Revision must be a positive integer"),
+];
+
+const listRevisionsValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const imageIdValidation = [
+  param("imageId").isMongoId().withMessage("Invalid image ID"),
+];
+
+const updateImageValidation = [
+  body("caption")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Caption cannot be more than 200 characters"),
+  body("altText")
+    .optional()
+    .trim()
+    .isLength({ max: 250 })
+    .withMessage("Alt text cannot be more than 250 characters"),
+  body("primary")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Primary must be a boolean"),
+];
+
+const reorderImagesValidation = [
+  body("imageIds")
+    .isArray({ min: 1 })
+    .withMessage("Image IDs must be a non-empty array"),
+  body("imageIds.*").isMongoId().withMessage("Invalid image ID"),
+];
+
+const relationshipValidation = [
+  body("relatedItemId").isMongoId().withMessage("Invalid related item ID"),
+  body("type")
+    .isIn(ItemRelationship.TYPES)
+    .withMessage(`Type must be one of: ${ItemRelationship.TYPES.join(", ")}`),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot be more than 500 characters"),
+];
+
+const relationshipQueryValidation = [
+  query("type")
+    .optional()
+    .isIn(ItemRelationship.TYPES)
+    .withMessage(`Type must be one of: ${ItemRelationship.TYPES.join(", ")}`),
+];
+
+const relationshipIdValidation = [
+  param("relationshipId").isMongoId().withMessage("Invalid relationship ID"),
 ];
 
 const moveItemValidation = [
@@ -123,6 +608,81 @@ const moveItemValidation = [
     .withMessage("Invalid folder ID"),
 ];
 
+const cloneItemValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body("count")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Count must be between 1 and 50"),
+  body("folderId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid folder ID"),
+  body([
+    "copyImages",
+    "copyTags",
+    "copyCustomFields",
+    "resetQuantity",
+    "regenerateBarcode",
+    "regenerateSku",
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage("Clone options must be booleans")
+    .toBoolean(),
+];
+
+const duplicatesValidation = [
+  query("threshold")
+    .optional()
+    .isFloat({ min: 0.5, max: 1 })
+    .withMessage("Threshold must be between 0.5 and 1"),
+  query("folderId").optional().isMongoId().withMessage("Invalid folder ID"),
+];
+
+const mergeItemsValidation = [
+  body("survivorId").isMongoId().withMessage("Invalid survivor item ID"),
+  body("itemIds")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Item IDs must be an array of 1 to 50 items"),
+  body("itemIds.*").isMongoId().withMessage("Invalid item ID"),
+];
+
+const createFromTemplateValidation = [
+  param("templateId").isMongoId().withMessage("Invalid template ID"),
+  body("items")
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Items must be an array of 1 to 50 items"),
+  body("name")
+    .if(body("items").not().exists())
+    .notEmpty()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body("items.*.name")
+    .notEmpty()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body(["quantity", "items.*.quantity"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Quantity must be a non-negative number"),
+  body(["customFields", "items.*.customFields"])
+    .optional()
+    .isObject()
+    .withMessage("Custom fields must be an object"),
+];
+
 const bulkUpdateValidation = [
   body("itemIds")
     .isArray()
@@ -130,6 +690,10 @@ const bulkUpdateValidation = [
     .notEmpty()
     .withMessage("Item IDs are required"),
   body("updates").isObject().withMessage("Updates must be an object"),
+  body("updates.quantity")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Quantity must be a non-negative number"),
 ];
 
 // Routes
@@ -155,8 +719,37 @@ router.get(
 );
 router.get("/stats", protect, itemController.getItemStats);
 
+router.get(
+  "/duplicates",
+  protect,
+  duplicatesValidation,
+  validate,
+  itemMergeController.getDuplicateCandidates
+);
+router.post(
+  "/merge",
+  protect,
+  checkBulkPermission("item", "admin"),
+  mergeItemsValidation,
+  validate,
+  itemMergeController.mergeItems
+);
+router.post(
+  "/from-template/:templateId",
+  protect,
+  createFromTemplateValidation,
+  validate,
+  itemController.createItemFromTemplate
+);
+
 // Bulk operations (must come before :id routes)
-router.put("/bulk", protect, itemController.bulkUpdateItems);
+router.put(
+  "/bulk",
+  protect,
+  bulkUpdateValidation,
+  validate,
+  itemController.bulkUpdateItems
+);
 router.delete(
   "/bulk",
   protect,
@@ -207,10 +800,29 @@ router.post(
   uploadMultiple("images", 5),
   itemController.addMultipleImages
 );
+router.put(
+  "/:id/images/reorder",
+  protect,
+  checkPermission("item", "edit"),
+  reorderImagesValidation,
+  validate,
+  itemController.reorderItemImages
+);
+router.put(
+  "/:id/images/:imageId",
+  protect,
+  checkPermission("item", "edit"),
+  imageIdValidation,
+  updateImageValidation,
+  validate,
+  itemController.updateItemImage
+);
 router.delete(
-  "/:id/images/:imageIndex",
+  "/:id/images/:imageId",
   protect,
   checkPermission("item", "edit"),
+  imageIdValidation,
+  validate,
   itemController.removeItemImage
 );
 router.put(
@@ -221,6 +833,290 @@ router.put(
   validate,
   itemController.moveItem
 );
+router.post(
+  "/:id/clone",
+  protect,
+  checkPermission("item", "edit"),
+  cloneItemValidation,
+  validate,
+  itemController.cloneItem
+);
+
+// Stock ledger
+router.get(
+  "/:id/transactions",
+  protect,
+  checkPermission("item", "view"),
+  ledgerValidation,
+  validate,
+  itemController.getItemTransactions
+);
+router.get(
+  "/:id/transactions/balance",
+  protect,
+  checkPermission("item", "view"),
+  ledgerValidation,
+  validate,
+  itemController.getItemLedgerBalance
+);
+
+// Variants
+router.get(
+  "/:id/variants",
+  protect,
+  checkPermission("item", "view"),
+  variantController.getVariants
+);
+router.post(
+  "/:id/variants",
+  protect,
+  checkPermission("item", "edit"),
+  createVariantValidation,
+  validate,
+  variantController.createVariant
+);
+router.get(
+  "/:id/variants/:variantId",
+  protect,
+  checkPermission("item", "view"),
+  variantIdValidation,
+  validate,
+  variantController.getVariantById
+);
+router.put(
+  "/:id/variants/:variantId",
+  protect,
+  checkPermission("item", "edit"),
+  variantIdValidation,
+  updateVariantValidation,
+  validate,
+  variantController.updateVariant
+);
+router.delete(
+  "/:id/variants/:variantId",
+  protect,
+  checkPermission("item", "edit"),
+  variantIdValidation,
+  validate,
+  variantController.deleteVariant
+);
+router.put(
+  "/:id/variants/:variantId/quantity",
+  protect,
+  checkPermission("item", "edit"),
+  variantIdValidation,
+  updateQuantityValidation,
+  validate,
+  variantController.updateVariantQuantity
+);
+
+// Lots
+router.get(
+  "/:id/lots",
+  protect,
+  checkPermission("item", "view"),
+  lotQueryValidation,
+  validate,
+  lotController.getLots
+);
+router.post(
+  "/:id/lots",
+  protect,
+  checkPermission("item", "edit"),
+  createLotValidation,
+  validate,
+  lotController.receiveLot
+);
+router.put(
+  "/:id/lots/:lotId",
+  protect,
+  checkPermission("item", "edit"),
+  lotIdValidation,
+  updateLotValidation,
+  validate,
+  lotController.updateLot
+);
+router.delete(
+  "/:id/lots/:lotId",
+  protect,
+  checkPermission("item", "edit"),
+  lotIdValidation,
+  validate,
+  lotController.deleteLot
+);
+
+// Serial numbers
+router.get(
+  "/:id/serials",
+  protect,
+  checkPermission("item", "view"),
+  serialQueryValidation,
+  validate,
+  serialController.getSerials
+);
+router.post(
+  "/:id/serials",
+  protect,
+  checkPermission("item", "edit"),
+  addSerialsValidation,
+  validate,
+  serialController.addSerials
+);
+router.put(
+  "/:id/serials/:serialId",
+  protect,
+  checkPermission("item", "edit"),
+  serialIdValidation,
+  updateSerialValidation,
+  validate,
+  serialController.updateSerial
+);
+router.delete(
+  "/:id/serials/:serialId",
+  protect,
+  checkPermission("item", "edit"),
+  serialIdValidation,
+  validate,
+  serialController.deleteSerial
+);
+
+// Reservations
+router.get(
+  "/:id/reservations",
+  protect,
+  checkPermission("item", "view"),
+  reservationQueryValidation,
+  validate,
+  reservationController.getReservations
+);
+router.post(
+  "/:id/reservations",
+  protect,
+  checkPermission("item", "edit"),
+  createReservationValidation,
+  validate,
+  reservationController.createReservation
+);
+router.post(
+  "/:id/reservations/:reservationId/release",
+  protect,
+  checkPermission("item", "edit"),
+  reservationIdValidation,
+  validate,
+  reservationController.releaseReservation
+);
+router.post(
+  "/:id/reservations/:reservationId/fulfill",
+  protect,
+  checkPermission("item", "edit"),
+  fulfillReservationValidation,
+  validate,
+  reservationController.fulfillReservation
+);
+
+// Transfers
+router.post(
+  "/:id/transfer",
+  protect,
+  checkPermission("item", "edit"),
+  createTransferValidation,
+  validate,
+  transferController.createTransfer
+);
+
+// Kits
+router.get(
+  "/:id/components",
+  protect,
+  checkPermission("item", "view"),
+  kitController.getComponents
+);
+router.put(
+  "/:id/components",
+  protect,
+  checkPermission("item", "edit"),
+  setComponentsValidation,
+  validate,
+  kitController.setComponents
+);
+router.post(
+  "/:id/build",
+  protect,
+  checkPermission("item", "edit"),
+  buildKitValidation,
+  validate,
+  kitController.buildKit
+);
+
+// Revisions
+router.get(
+  "/:id/revisions",
+  protect,
+  checkPermission("item", "view"),
+  listRevisionsValidation,
+  validate,
+  itemRevisionController.getRevisions
+);
+router.get(
+  "/:id/revisions/:rev",
+  protect,
+  checkPermission("item", "view"),
+  revisionValidation,
+  validate,
+  itemRevisionController.getRevision
+);
+router.post(
+  "/:id/revisions/:rev/restore",
+  protect,
+  checkPermission("item", "edit"),
+  revisionValidation,
+  validate,
+  itemRevisionController.restoreRevision
+);
+
+// Item relationships
+router.get(
+  "/:id/relationships",
+  protect,
+  checkPermission("item", "view"),
+  relationshipQueryValidation,
+  validate,
+  itemRelationshipController.getItemRelationships
+);
+router.post(
+  "/:id/relationships",
+  protect,
+  checkPermission("item", "edit"),
+  relationshipValidation,
+  validate,
+  itemRelationshipController.addItemRelationship
+);
+router.delete(
+  "/:id/relationships/:relationshipId",
+  protect,
+  checkPermission("item", "edit"),
+  relationshipIdValidation,
+  validate,
+  itemRelationshipController.removeItemRelationship
+);
+
+// Item attachments
+router.get(
+  "/:id/attachments",
+  protect,
+  checkPermission("item", "view"),
+  attachmentController.getItemAttachments
+);
+router.post(
+  "/:id/attachments",
+  protect,
+  checkPermission("item", "edit"),
+  uploadAttachment("file"),
+  attachmentFieldsValidation,
+  validate,
+  discardUploadOnError,
+  attachmentController.addItemAttachment
+);
 
 // Get item activities
 router.get(
@@ -0,0 +1,112 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const router = express.Router();
+const itemTemplateController = require("../controllers/itemTemplate.controller");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permission");
+
+// Validation rules
+const templateFieldValidation = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+  body("minLevel")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Minimum level must be a non-negative number"),
+  body("tags").optional().isArray().withMessage("Tags must be an array"),
+  body("customFields")
+    .optional()
+    .isObject()
+    .withMessage("Custom fields must be an object"),
+  body("folderId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage("Invalid folder ID"),
+];
+
+const createTemplateValidation = [
+  body("name")
+    .notEmpty()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  ...templateFieldValidation,
+];
+
+const updateTemplateValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  ...templateFieldValidation,
+];
+
+const fromItemValidation = [
+  param("itemId").isMongoId().withMessage("Invalid item ID"),
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid template ID"),
+];
+
+// Routes
+router.get("/", protect, itemTemplateController.getTemplates);
+router.post(
+  "/",
+  protect,
+  createTemplateValidation,
+  validate,
+  itemTemplateController.createTemplate
+);
+router.post(
+  "/from-item/:itemId",
+  protect,
+  checkPermission("item", "view", "itemId"),
+  fromItemValidation,
+  validate,
+  itemTemplateController.createTemplateFromItem
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  itemTemplateController.getTemplate
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  updateTemplateValidation,
+  validate,
+  itemTemplateController.updateTemplate
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  itemTemplateController.deleteTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const router = express.Router();
+const locationController = require("../controllers/location.controller");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const createLocationValidation = [
+  body("name")
+    .notEmpty()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body("code")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Code cannot be more than 50 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+];
+
+const updateLocationValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body("code")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Code cannot be more than 50 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid location ID"),
+];
+
+// Routes
+router.get("/", protect, locationController.getLocations);
+router.post(
+  "/",
+  protect,
+  createLocationValidation,
+  validate,
+  locationController.createLocation
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  locationController.getLocationById
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  updateLocationValidation,
+  validate,
+  locationController.updateLocation
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  locationController.deleteLocation
+);
+
+module.exports = router;
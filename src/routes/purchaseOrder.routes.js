@@ -0,0 +1,150 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+const purchaseOrderController = require("../controllers/purchaseOrder.controller");
+const PurchaseOrder = require("../models/purchaseOrder.model");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const orderLinesValidation = [
+  body("lines").optional().isArray().withMessage("Lines must be an array"),
+  body("lines.*.itemId").isMongoId().withMessage("Invalid item ID"),
+  body("lines.*.variantId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid variant ID"),
+  body("lines.*.locationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid location ID"),
+  body("lines.*.quantityOrdered")
+    .isFloat({ gt: 0 })
+    .withMessage("Ordered quantity must be greater than zero"),
+  body("lines.*.unitCost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost cannot be negative"),
+  body("lines.*.notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+  body("expectedDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Expected date must be a valid date"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+const createOrderValidation = [
+  body("supplierId").isMongoId().withMessage("Invalid supplier ID"),
+  ...orderLinesValidation,
+];
+
+const updateOrderValidation = [
+  body("supplierId").optional().isMongoId().withMessage("Invalid supplier ID"),
+  ...orderLinesValidation,
+];
+
+const updateStatusValidation = [
+  body("status")
+    .isIn(["sent", "closed"])
+    .withMessage("Status must be sent or closed"),
+];
+
+const receiveValidation = [
+  body("lines")
+    .isArray({ min: 1 })
+    .withMessage("Lines must be a non-empty array"),
+  body("lines.*.lineId").isMongoId().withMessage("Invalid line ID"),
+  body("lines.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  body("lines.*.locationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid location ID"),
+  body("lines.*.lotNumber")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Lot number cannot be more than 100 characters"),
+  body("lines.*.expiryDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid date"),
+];
+
+const listValidation = [
+  query("status")
+    .optional()
+    .isIn(PurchaseOrder.STATUSES)
+    .withMessage("Invalid purchase order status"),
+  query("supplierId").optional().isMongoId().withMessage("Invalid supplier ID"),
+  query("itemId").optional().isMongoId().withMessage("Invalid item ID"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid purchase order ID"),
+];
+
+// Routes
+router.get(
+  "/",
+  protect,
+  listValidation,
+  validate,
+  purchaseOrderController.getPurchaseOrders
+);
+router.post(
+  "/",
+  protect,
+  createOrderValidation,
+  validate,
+  purchaseOrderController.createPurchaseOrder
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  purchaseOrderController.getPurchaseOrderById
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  updateOrderValidation,
+  validate,
+  purchaseOrderController.updatePurchaseOrder
+);
+router.put(
+  "/:id/status",
+  protect,
+  idValidation,
+  updateStatusValidation,
+  validate,
+  purchaseOrderController.updatePurchaseOrderStatus
+);
+router.post(
+  "/:id/receive",
+  protect,
+  idValidation,
+  receiveValidation,
+  validate,
+  purchaseOrderController.receivePurchaseOrder
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  purchaseOrderController.deletePurchaseOrder
+);
+
+module.exports = router;
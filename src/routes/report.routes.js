@@ -7,6 +7,7 @@ const {
   getItemFlow,
   getMoveSummary,
   getUserActivitySummary,
+  getReorderSuggestions,
   exportReport,
 } = require("../controllers/report.controller");
 const { protect } = require("../middleware/auth");
@@ -19,6 +20,27 @@ const dateRangeValidation = [
   query("endDate").optional().isISO8601().withMessage("Invalid end date"),
 ];
 
+const reorderValidation = [
+  query("groupBy")
+    .optional()
+    .isIn(["supplier", "folder"])
+    .withMessage("Group by must be supplier or folder"),
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Days must be between 1 and 365"),
+  query("coverageDays")
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage("Coverage days must be between 0 and 365"),
+  query("folderId").optional().isMongoId().withMessage("Invalid folder ID"),
+  query("supplierId").optional().isMongoId().withMessage("Invalid supplier ID"),
+  query("format")
+    .optional()
+    .isIn(["json", "csv"])
+    .withMessage("Format must be json or csv"),
+];
+
 const exportValidation = [
   body("reportType")
     .isIn(["inventory-summary", "transactions", "activity-history"])
@@ -47,6 +69,13 @@ router.get(
 router.get("/item-flow", protect, getItemFlow);
 router.get("/move-summary", protect, getMoveSummary);
 router.get("/user-activity-summary", protect, getUserActivitySummary);
+router.get(
+  "/reorder-suggestions",
+  protect,
+  reorderValidation,
+  validate,
+  getReorderSuggestions
+);
 router.post("/export", protect, exportValidation, validate, exportReport);
 
 module.exports = router;
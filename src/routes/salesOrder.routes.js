@@ -0,0 +1,162 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+const salesOrderController = require("../controllers/salesOrder.controller");
+const SalesOrder = require("../models/salesOrder.model");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const orderValidation = [
+  body("customer")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Customer cannot be more than 200 characters"),
+  body("reference")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Reference cannot be more than 100 characters"),
+  body("lines").optional().isArray().withMessage("Lines must be an array"),
+  body("lines.*.itemId").isMongoId().withMessage("Invalid item ID"),
+  body("lines.*.folderId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid folder ID"),
+  body("lines.*.variantId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid variant ID"),
+  body("lines.*.locationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid location ID"),
+  body("lines.*.quantityOrdered")
+    .isFloat({ gt: 0 })
+    .withMessage("Ordered quantity must be greater than zero"),
+  body("lines.*.unitPrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Unit price cannot be negative"),
+  body("lines.*.notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be more than 500 characters"),
+  body("dueDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Due date must be a valid date"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+const updateStatusValidation = [
+  body("status")
+    .isIn(["confirmed", "cancelled"])
+    .withMessage("Status must be confirmed or cancelled"),
+];
+
+const fulfillValidation = [
+  body("lines").optional().isArray().withMessage("Lines must be an array"),
+  body("lines.*.lineId").isMongoId().withMessage("Invalid line ID"),
+  body("lines.*.quantity")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than zero"),
+  body("lines.*.locationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid location ID"),
+  body("allowPartial")
+    .optional()
+    .isBoolean()
+    .withMessage("allowPartial must be a boolean"),
+];
+
+const listValidation = [
+  query("status")
+    .optional()
+    .isIn(SalesOrder.STATUSES)
+    .withMessage("Invalid sales order status"),
+  query("itemId").optional().isMongoId().withMessage("Invalid item ID"),
+];
+
+const pickListValidation = [
+  query("format")
+    .optional()
+    .isIn(["json", "csv"])
+    .withMessage("Format must be json or csv"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid sales order ID"),
+];
+
+// Routes
+router.get(
+  "/",
+  protect,
+  listValidation,
+  validate,
+  salesOrderController.getSalesOrders
+);
+router.post(
+  "/",
+  protect,
+  orderValidation,
+  validate,
+  salesOrderController.createSalesOrder
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  salesOrderController.getSalesOrderById
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  orderValidation,
+  validate,
+  salesOrderController.updateSalesOrder
+);
+router.put(
+  "/:id/status",
+  protect,
+  idValidation,
+  updateStatusValidation,
+  validate,
+  salesOrderController.updateSalesOrderStatus
+);
+router.get(
+  "/:id/pick-list",
+  protect,
+  idValidation,
+  pickListValidation,
+  validate,
+  salesOrderController.getPickList
+);
+router.post(
+  "/:id/fulfill",
+  protect,
+  idValidation,
+  fulfillValidation,
+  validate,
+  salesOrderController.fulfillSalesOrder
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  salesOrderController.deleteSalesOrder
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
   updateProfile,
   updatePreferences,
   updateNotifications,
+  updateInventory,
   updatePrivacy,
   updateSecurity,
   updateIntegrations,
@@ -48,6 +49,30 @@ const updatePreferencesValidation = [
     .withMessage("Invalid sort order"),
 ];
 
+const updateNotificationsValidation = [
+  body("expiryAlertDays")
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage("Expiry alert days must be between 0 and 365"),
+];
+
+const updateInventoryValidation = [
+  body("valuationMethod")
+    .optional()
+    .isIn(["fifo", "average"])
+    .withMessage("Valuation method must be fifo or average"),
+  body("baseCurrency")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Base currency must be a valid ISO 4217 code"),
+  body("trashRetentionDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Trash retention days must be between 1 and 365"),
+];
+
 const changePasswordValidation = [
   body("currentPassword")
     .notEmpty()
@@ -74,7 +99,20 @@ router.put(
   validate,
   updatePreferences
 );
-router.put("/notifications", protect, updateNotifications);
+router.put(
+  "/notifications",
+  protect,
+  updateNotificationsValidation,
+  validate,
+  updateNotifications
+);
+router.put(
+  "/inventory",
+  protect,
+  updateInventoryValidation,
+  validate,
+  updateInventory
+);
 router.put("/privacy", protect, updatePrivacy);
 router.put("/security", protect, updateSecurity);
 router.put("/integrations", protect, updateIntegrations);
@@ -0,0 +1,104 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const router = express.Router();
+const supplierController = require("../controllers/supplier.controller");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Contact fields shared by create and update
+const supplierDetailsValidation = [
+  body("contactName")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Contact name cannot be more than 100 characters"),
+  body("email")
+    .optional({ checkFalsy: true })
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid email"),
+  body("phone")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Phone cannot be more than 50 characters"),
+  body("website")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Website cannot be more than 200 characters"),
+  body("address")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Address cannot be more than 500 characters"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+// Validation rules
+const createSupplierValidation = [
+  body("name")
+    .notEmpty()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  ...supplierDetailsValidation,
+];
+
+const updateSupplierValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  ...supplierDetailsValidation,
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid supplier ID"),
+];
+
+// Routes
+router.get("/", protect, supplierController.getSuppliers);
+router.post(
+  "/",
+  protect,
+  createSupplierValidation,
+  validate,
+  supplierController.createSupplier
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  supplierController.getSupplierById
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  updateSupplierValidation,
+  validate,
+  supplierController.updateSupplier
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  supplierController.deleteSupplier
+);
+
+module.exports = router;
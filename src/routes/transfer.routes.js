@@ -0,0 +1,60 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+const transferController = require("../controllers/transfer.controller");
+const StockTransfer = require("../models/stockTransfer.model");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const listValidation = [
+  query("status")
+    .optional()
+    .isIn(StockTransfer.STATUSES)
+    .withMessage("Invalid transfer status"),
+  query("itemId").optional().isMongoId().withMessage("Invalid item ID"),
+];
+
+const receiveValidation = [
+  body("destinationLocationId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Invalid destination location ID"),
+];
+
+const idValidation = [
+  param("id").isMongoId().withMessage("Invalid transfer ID"),
+];
+
+// Routes
+router.get(
+  "/",
+  protect,
+  listValidation,
+  validate,
+  transferController.getTransfers
+);
+router.get(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  transferController.getTransferById
+);
+router.post(
+  "/:id/receive",
+  protect,
+  idValidation,
+  receiveValidation,
+  validate,
+  transferController.receiveTransfer
+);
+router.post(
+  "/:id/cancel",
+  protect,
+  idValidation,
+  validate,
+  transferController.cancelTransfer
+);
+
+module.exports = router;
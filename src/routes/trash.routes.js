@@ -0,0 +1,58 @@
+const express = require("express");
+const { param, query } = require("express-validator");
+const router = express.Router();
+const trashController = require("../controllers/trash.controller");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const listValidation = [
+  query("type")
+    .optional()
+    .isIn(["item", "folder"])
+    .withMessage("Type must be item or folder"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const idValidation = [param("id").isMongoId().withMessage("Invalid ID")];
+
+// Routes
+router.get("/", protect, listValidation, validate, trashController.getTrash);
+router.delete("/", protect, trashController.emptyTrash);
+router.post(
+  "/items/:id/restore",
+  protect,
+  idValidation,
+  validate,
+  trashController.restoreItem
+);
+router.post(
+  "/folders/:id/restore",
+  protect,
+  idValidation,
+  validate,
+  trashController.restoreFolder
+);
+router.delete(
+  "/items/:id",
+  protect,
+  idValidation,
+  validate,
+  trashController.purgeItem
+);
+router.delete(
+  "/folders/:id",
+  protect,
+  idValidation,
+  validate,
+  trashController.purgeFolder
+);
+
+module.exports = router;
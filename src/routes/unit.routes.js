@@ -0,0 +1,93 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+const unitController = require("../controllers/unit.controller");
+const Unit = require("../models/unit.model");
+const validate = require("../middleware/validate");
+const { protect } = require("../middleware/auth");
+
+// Validation rules
+const createUnitValidation = [
+  body("name")
+    .notEmpty()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Name cannot be more than 20 characters"),
+  body("label")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Label cannot be more than 50 characters"),
+  body("dimension")
+    .isIn(Unit.DIMENSIONS)
+    .withMessage(`Dimension must be one of: ${Unit.DIMENSIONS.join(", ")}`),
+  body("factor")
+    .isFloat({ gt: 0 })
+    .withMessage("Conversion factor must be greater than zero"),
+];
+
+const updateUnitValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 20 })
+    .withMessage("Name cannot be more than 20 characters"),
+  body("label")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Label cannot be more than 50 characters"),
+  body("dimension")
+    .optional()
+    .isIn(Unit.DIMENSIONS)
+    .withMessage(`Dimension must be one of: ${Unit.DIMENSIONS.join(", ")}`),
+  body("factor")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Conversion factor must be greater than zero"),
+];
+
+const convertValidation = [
+  query("quantity").isNumeric().withMessage("Quantity must be a number"),
+  query("from").notEmpty().withMessage("Source unit is required"),
+  query("to").notEmpty().withMessage("Target unit is required"),
+];
+
+const idValidation = [param("id").isMongoId().withMessage("Invalid unit ID")];
+
+// Routes
+router.get("/", protect, unitController.getUnits);
+router.get(
+  "/convert",
+  protect,
+  convertValidation,
+  validate,
+  unitController.convertQuantity
+);
+router.post(
+  "/",
+  protect,
+  createUnitValidation,
+  validate,
+  unitController.createUnit
+);
+router.put(
+  "/:id",
+  protect,
+  idValidation,
+  updateUnitValidation,
+  validate,
+  unitController.updateUnit
+);
+router.delete(
+  "/:id",
+  protect,
+  idValidation,
+  validate,
+  unitController.deleteUnit
+);
+
+module.exports = router;
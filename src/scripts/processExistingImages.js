@@ -0,0 +1,83 @@
+/**
+ * Script to strip metadata from and generate thumbnails for item images
+ * uploaded before image processing was added
+ * Run with: node src/scripts/processExistingImages.js
+ */
+
+// Load environment variables
+require("dotenv").config();
+
+const fs = require("fs");
+const { connectDB, closeConnection } = require("../config/database");
+const logger = require("../config/logger");
+const Item = require("../models/item.model");
+const {
+  processImage,
+  generateThumbnails,
+  createImageMetadata,
+} = require("../utils/imageProcessor");
+
+const processExistingImages = async () => {
+  try {
+    await connectDB();
+
+    const items = await Item.find({
+      images: { $elemMatch: { "thumbnails.small": { $exists: false } } },
+    }).setOptions({ withDeleted: true });
+    logger.info(`Found ${items.length} items with unprocessed images`);
+
+    let processedCount = 0;
+    let failedCount = 0;
+    for (const item of items) {
+      for (const image of item.images) {
+        if (image.thumbnails && image.thumbnails.small) continue;
+
+        if (!fs.existsSync(image.path)) {
+          logger.warn(`Missing file for ${item.name}: ${image.path}`);
+          failedCount++;
+          continue;
+        }
+
+        try {
+          const processed = await processImage(image.path);
+          const thumbnails = await generateThumbnails(image.path);
+          const metadata = createImageMetadata(
+            {
+              ...image.toObject(),
+              ...processed,
+              originalname: image.originalName,
+              thumbnails,
+            },
+            image.url
+          );
+
+          image.size = metadata.size;
+          image.width = metadata.width;
+          image.height = metadata.height;
+          image.thumbnails = metadata.thumbnails;
+          processedCount++;
+        } catch (error) {
+          logger.warn(
+            `Could not process ${image.path} for ${item.name}: ${error.message}`
+          );
+          failedCount++;
+        }
+      }
+
+      await item.save({ validateModifiedOnly: true });
+    }
+
+    logger.info(
+      `✅ Processed ${processedCount} images (${failedCount} could not be processed)`
+    );
+
+    await closeConnection();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`❌ Image processing failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Run the script
+processExistingImages();
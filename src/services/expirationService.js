@@ -0,0 +1,187 @@
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const ItemRelationship = require("../models/itemRelationship.model");
+const Attachment = require("../models/attachment.model");
+const Alert = require("../models/alert.model");
+const UserSettings = require("../models/settings.model");
+const Reservation = require("../models/reservation.model");
+const config = require("../config");
+const logger = require("../config/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ExpirationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Days before expiry a user wants to be warned, from their settings
+  async getAlertDays(userId) {
+    const settings = await UserSettings.findOne({ userId }).select(
+      "notifications.expiryAlertDays"
+    );
+    const days = settings?.notifications?.expiryAlertDays;
+
+    return typeof days === "number" ? days : config.expiryAlertDays;
+  }
+
+  // Whole days from now until the expiry date, negative once expired
+  getDaysUntilExpiry(expiryDate, now = new Date()) {
+    return Math.ceil((new Date(expiryDate) - now) / DAY_MS);
+  }
+
+  // Raise expiration alerts for a single user's lots
+  async checkUserLots(userId, now = new Date()) {
+    const alertDays = await this.getAlertDays(userId);
+    const horizon = new Date(now.getTime() + alertDays * DAY_MS);
+
+    const items = await Item.find({
+      userId,
+      lots: {
+        $elemMatch: {
+          quantity: { $gt: 0 },
+          expiryDate: { $ne: null, $lte: horizon },
+        },
+      },
+    });
+
+    let alertCount = 0;
+    for (const item of items) {
+      for (const lot of item.getLotsByExpiry()) {
+        if (lot.quantity <= 0 || !lot.expiryDate || lot.expiryDate > horizon) {
+          continue;
+        }
+
+        await Alert.createExpirationAlert(
+          item,
+          lot,
+          this.getDaysUntilExpiry(lot.expiryDate, now)
+        );
+        alertCount++;
+      }
+    }
+
+    return { itemCount: items.length, alertCount };
+  }
+
+  // Check every user's lots and resolve alerts for lots no longer stocked
+  async checkExpiringLots(now = new Date()) {
+    const userIds = await Item.distinct("userId", {
+      "lots.expiryDate": { $ne: null },
+    });
+
+    let alertCount = 0;
+    for (const userId of userIds) {
+      const result = await this.checkUserLots(userId, now);
+      alertCount += result.alertCount;
+    }
+
+    const alertedItemIds = await Alert.distinct("itemId", {
+      type: "expiration",
+      status: { $in: ["active", "read", "dismissed"] },
+    });
+    const alertedItems = await Item.find({ _id: { $in: alertedItemIds } });
+    const missingItemIds = alertedItemIds.filter(
+      (id) => !alertedItems.some((item) => item._id.equals(id))
+    );
+
+    let resolvedCount = 0;
+    for (const item of alertedItems) {
+      resolvedCount += await Alert.resolveExpirationAlerts(item);
+    }
+
+    // Items deleted since the alert was raised
+    if (missingItemIds.length > 0) {
+      const result = await Alert.updateMany(
+        {
+          itemId: { $in: missingItemIds },
+          type: "expiration",
+          status: { $in: ["active", "read", "dismissed"] },
+        },
+        { status: "resolved", resolvedAt: new Date() }
+      );
+      resolvedCount += result.modifiedCount;
+    }
+
+    return { userCount: userIds.length, alertCount, resolvedCount };
+  }
+
+  // Permanently delete trashed items and folders past each user's retention
+  async purgeExpiredTrash(now = new Date()) {
+    const userIds = [
+      ...new Set(
+        [
+          ...(await Item.distinct("userId", { isDeleted: true })),
+          ...(await Folder.distinct("userId", { isDeleted: true })),
+        ].map(String)
+      ),
+    ];
+
+    let purgedCount = 0;
+    for (const userId of userIds) {
+      const { trashRetentionDays } =
+        await UserSettings.getInventorySettings(userId);
+      const before = new Date(now.getTime() - trashRetentionDays * DAY_MS);
+
+      const items = await Item.purgeTrash(userId, before);
+      const folders = await Folder.purgeTrash(userId, before);
+      if (items.deletedCount > 0) {
+        await ItemRelationship.removeOrphans(userId);
+      }
+      if (items.deletedCount + folders.deletedCount > 0) {
+        await Attachment.removeOrphans(userId);
+      }
+      purgedCount += items.deletedCount + folders.deletedCount;
+    }
+
+    return purgedCount;
+  }
+
+  // Run a check, skipping if the previous one is still in progress
+  async run() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const result = await this.checkExpiringLots();
+      result.expiredReservations = await Reservation.expireDue();
+      result.purgedTrash = await this.purgeExpiredTrash();
+      logger.info(
+        `Expiration check: ${result.alertCount} lot alerts raised, ${result.resolvedCount} resolved, ${result.expiredReservations} reservations expired, ${result.purgedTrash} trashed records purged`
+      );
+      return result;
+    } catch (error) {
+      logger.error(`Expiration check failed: ${error.message}`);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Start the background check
+  start(interval = config.expiryCheckInterval) {
+    if (this.timer) {
+      return;
+    }
+
+    this.run();
+    this.timer = setInterval(() => this.run(), interval);
+    this.timer.unref();
+  }
+
+  // Stop the background check
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const expirationService = new ExpirationService();
+
+module.exports = expirationService;
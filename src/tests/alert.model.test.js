@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const Alert = require("../models/alert.model");
 const User = require("../models/user.model");
 const Item = require("../models/item.model");
+const ItemRelationship = require("../models/itemRelationship.model");
 
 describe("Alert Model", () => {
   let userId, itemId;
@@ -156,6 +157,58 @@ describe("Alert Model", () => {
     expect(alert.readAt).toBeNull();
   });
 
+  it("should turn an existing low quantity alert into out of stock", async () => {
+    await Alert.create({
+      itemId,
+      userId,
+      type: "low_quantity",
+      threshold: 10,
+      currentValue: 3,
+    });
+
+    const item = {
+      _id: itemId,
+      userId,
+      name: "Test Item",
+      quantity: 0,
+      minLevel: 10,
+    };
+
+    const alert = await Alert.createLowQuantityAlert(item);
+
+    expect(alert.type).toBe("out_of_stock");
+    expect(alert.title).toBe("Out of Stock Alert");
+    expect(alert.priority).toBe("critical");
+    expect(await Alert.countDocuments({ itemId })).toBe(1);
+  });
+
+  it("should not list substitutes for a variant while the item has stock", async () => {
+    const findSubstitutes = jest.spyOn(
+      ItemRelationship,
+      "findInStockSubstitutes"
+    );
+    const item = {
+      _id: itemId,
+      userId,
+      name: "Test Item",
+      quantity: 4,
+      minLevel: 10,
+    };
+    const variant = {
+      _id: new mongoose.Types.ObjectId(),
+      name: "Large",
+      quantity: 0,
+      minLevel: 2,
+    };
+
+    const alert = await Alert.createLowQuantityAlert(item, variant);
+
+    expect(alert.type).toBe("out_of_stock");
+    expect(findSubstitutes).not.toHaveBeenCalled();
+    expect(alert.metadata.substitutes).toBeUndefined();
+    findSubstitutes.mockRestore();
+  });
+
   it("should check and resolve alerts when quantity is above min level", async () => {
     // Create alert
     const alert = await Alert.create({
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const Attachment = require("../models/attachment.model");
+const Item = require("../models/item.model");
+const attachmentController = require("../controllers/attachment.controller");
+const { validateAttachment } = require("../utils/attachmentProcessor");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/activity.model");
+jest.mock("../utils/apiResponse");
+
+describe("Attachments", () => {
+  let req, res, next, userId, tempDir;
+
+  // Write a file to the temp directory as multer would store it
+  const storeFile = (originalname, contents) => {
+    const filePath = path.join(tempDir, `attachment-${originalname}`);
+    fs.writeFileSync(filePath, contents);
+    return {
+      originalname,
+      filename: path.basename(filePath),
+      path: filePath,
+      size: Buffer.byteLength(contents),
+    };
+  };
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    userId = new mongoose.Types.ObjectId();
+    req = {
+      user: { id: userId.toString() },
+      params: {},
+      body: {},
+      query: {},
+      protocol: "http",
+      get: jest.fn().mockReturnValue("localhost:5003"),
+    };
+    res = {};
+    next = jest.fn();
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("validateAttachment", () => {
+    it("should accept files whose contents match their extension", () => {
+      const pdf = storeFile("manual.pdf", "%PDF-1.7\n...");
+      const csv = storeFile("parts.csv", "sku,name\nA1,Bolt ø8\n");
+
+      expect(validateAttachment(pdf)).toMatchObject({
+        isValid: true,
+        type: { kind: "pdf", mimetype: "application/pdf" },
+      });
+      expect(validateAttachment(csv).isValid).toBe(true);
+    });
+
+    it("should reject renamed binaries and oversized text files", () => {
+      const renamed = storeFile(
+        "invoice.pdf",
+        Buffer.from([0x4d, 0x5a, 0x90, 0x00])
+      );
+      const spreadsheet = storeFile("stock.xlsx", "not a zip");
+      const notes = storeFile("notes.txt", "notes");
+      notes.size = 3 * 1024 * 1024;
+
+      expect(validateAttachment(renamed).errors).toEqual([
+        "File contents do not match its extension",
+      ]);
+      expect(validateAttachment(spreadsheet).isValid).toBe(false);
+      expect(validateAttachment(notes).errors).toEqual([
+        "File too large. Maximum size for .txt files is 2MB",
+      ]);
+    });
+
+    it("should reject extensions that are not accepted", () => {
+      const script = storeFile("setup.exe", "MZ");
+
+      expect(validateAttachment(script)).toMatchObject({
+        isValid: false,
+        type: null,
+      });
+    });
+  });
+
+  describe("addItemAttachment", () => {
+    it("should store the file's metadata against the item", async () => {
+      const item = new Item({ name: "Compressor", userId });
+      jest.spyOn(Item, "findOne").mockResolvedValue(item);
+      jest
+        .spyOn(Attachment, "create")
+        .mockImplementation(async (data) => new Attachment(data));
+      req.params.id = item._id.toString();
+      req.body = { category: "warranty", expiresAt: "2027-03-01" };
+      req.file = {
+        ...storeFile("warranty.pdf", "%PDF-1.4"),
+        mimetype: "application/pdf",
+        kind: "pdf",
+      };
+
+      await attachmentController.addItemAttachment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      const { attachment } = ApiResponse.created.mock.calls[0][2];
+      expect(attachment.title).toBe("warranty.pdf");
+      expect(attachment.resourceType).toBe("item");
+      expect(attachment.resourceId).toEqual(item._id);
+      expect(attachment.expiresAt).toEqual(new Date("2027-03-01"));
+      expect(attachment.downloadUrl).toBe(
+        `http://localhost:5003/api/attachments/${attachment._id}/download`
+      );
+    });
+
+    it("should remove the upload when the item is not found", async () => {
+      jest.spyOn(Item, "findOne").mockResolvedValue(null);
+      req.file = storeFile("manual.pdf", "%PDF-1.4");
+
+      await attachmentController.addItemAttachment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+      expect(fs.existsSync(req.file.path)).toBe(false);
+    });
+
+    it("should require a file", async () => {
+      await attachmentController.addItemAttachment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+    });
+  });
+
+  describe("removeOrphans", () => {
+    it("should delete attachments of purged items and folders", async () => {
+      const keptId = new mongoose.Types.ObjectId();
+      const purgedId = new mongoose.Types.ObjectId();
+      jest
+        .spyOn(Attachment, "distinct")
+        .mockResolvedValueOnce([keptId, purgedId])
+        .mockResolvedValueOnce([]);
+      jest.spyOn(Item, "distinct").mockReturnValue({
+        setOptions: jest.fn().mockResolvedValue([keptId]),
+      });
+      const removeFor = jest
+        .spyOn(Attachment, "removeFor")
+        .mockResolvedValue({ deletedCount: 2 });
+
+      const result = await Attachment.removeOrphans(userId);
+
+      expect(removeFor).toHaveBeenCalledWith("item", [purgedId]);
+      expect(result).toEqual({ deletedCount: 2 });
+    });
+  });
+});
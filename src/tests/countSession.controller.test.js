@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+const CountSession = require("../models/countSession.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Activity = require("../models/activity.model");
+const countSessionController = require("../controllers/countSession.controller");
+const notificationService = require("../services/notificationService");
+const ApiResponse = require("../utils/apiResponse");
+const { BadRequestError, ConflictError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/folder.model");
+jest.mock("../models/activity.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Count Session Controller", () => {
+  let req, res, next;
+
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  // Build a session document with real line and variance behaviour
+  const buildSession = (lines, status = "submitted") => {
+    const session = new CountSession({
+      sessionNumber: "CC-00001",
+      folderId: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      status,
+      lines,
+    });
+    session.save = jest.fn().mockResolvedValue(session);
+    return session;
+  };
+
+  // Build a minimal item whose updateQuantity applies the change
+  const buildItem = (quantity) => {
+    const item = {
+      _id: new mongoose.Types.ObjectId(),
+      name: "Screws",
+      quantity,
+      variants: { id: () => null },
+      updateQuantity: jest.fn().mockImplementation(async (change) => {
+        item.quantity += change;
+        return { change, transactionId: new mongoose.Types.ObjectId() };
+      }),
+    };
+    return item;
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { id: userId },
+      params: { id: "session123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("createCountSession", () => {
+    it("should refuse a second open session on the same folder", async () => {
+      Folder.findOne.mockResolvedValueOnce({ _id: "folder123", name: "Bins" });
+      jest
+        .spyOn(CountSession, "findOne")
+        .mockResolvedValueOnce({ sessionNumber: "CC-00003" });
+      req.body = { folderId: "folder123" };
+
+      await countSessionController.createCountSession(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+    });
+  });
+
+  describe("approveCountSession", () => {
+    it("should post variances as count adjustments", async () => {
+      const short = buildItem(10);
+      const over = buildItem(4);
+      const exact = buildItem(7);
+      const session = buildSession([
+        {
+          itemId: short._id,
+          name: "Short",
+          expectedQuantity: 10,
+          countedQuantity: 8,
+        },
+        {
+          itemId: over._id,
+          name: "Over",
+          expectedQuantity: 4,
+          countedQuantity: 5,
+        },
+        {
+          itemId: exact._id,
+          name: "Exact",
+          expectedQuantity: 7,
+          countedQuantity: 7,
+        },
+      ]);
+      jest.spyOn(CountSession, "findOne").mockResolvedValueOnce(session);
+      Item.find.mockResolvedValueOnce([short, over, exact]);
+
+      await countSessionController.approveCountSession(req, res, next);
+
+      expect(short.updateQuantity).toHaveBeenCalledWith(
+        -2,
+        "Cycle count CC-00001",
+        expect.objectContaining({
+          reasonCode: "count_adjustment",
+          source: "cycle_count",
+        })
+      );
+      expect(over.updateQuantity).toHaveBeenCalledWith(
+        1,
+        "Cycle count CC-00001",
+        expect.any(Object)
+      );
+      expect(exact.updateQuantity).not.toHaveBeenCalled();
+      expect(Activity.create).toHaveBeenCalledTimes(2);
+      expect(notificationService.emitItemEvent).toHaveBeenCalledTimes(2);
+      expect(session.status).toBe("approved");
+      expect(session.approvedBy.toString()).toBe(userId);
+      expect(session.lines[0].transactionId).toBeTruthy();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should refuse adjustments that would take stock below zero", async () => {
+      const item = buildItem(1);
+      const session = buildSession([
+        {
+          itemId: item._id,
+          name: "Screws",
+          expectedQuantity: 10,
+          countedQuantity: 5,
+        },
+      ]);
+      jest.spyOn(CountSession, "findOne").mockResolvedValueOnce(session);
+      Item.find.mockResolvedValueOnce([item]);
+
+      await countSessionController.approveCountSession(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(item.updateQuantity).not.toHaveBeenCalled();
+      expect(session.status).toBe("submitted");
+    });
+
+    it("should only approve submitted sessions", async () => {
+      const session = buildSession([], "counting");
+      jest.spyOn(CountSession, "findOne").mockResolvedValueOnce(session);
+
+      await countSessionController.approveCountSession(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+    });
+  });
+
+  describe("getVarianceSummary", () => {
+    it("should total counted variances at cost", () => {
+      const session = buildSession([
+        {
+          itemId: new mongoose.Types.ObjectId(),
+          expectedQuantity: 10,
+          countedQuantity: 8,
+          unitCost: 3,
+        },
+        {
+          itemId: new mongoose.Types.ObjectId(),
+          expectedQuantity: 2,
+          countedQuantity: 3,
+          unitCost: 5,
+        },
+        { itemId: new mongoose.Types.ObjectId(), expectedQuantity: 6 },
+      ]);
+
+      expect(session.getVarianceSummary()).toEqual({
+        lineCount: 3,
+        countedCount: 2,
+        uncountedCount: 1,
+        varianceCount: 2,
+        netVariance: -1,
+        netVarianceValue: -1,
+        absoluteVarianceValue: 11,
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
+
+describe("CustomFieldDefinition Model", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  describe("validation", () => {
+    it("should require options for select fields", async () => {
+      const field = new CustomFieldDefinition({
+        key: "size",
+        label: "Size",
+        type: "select",
+        userId,
+      });
+
+      await expect(field.validate()).rejects.toThrow(
+        "Select fields need at least one option"
+      );
+    });
+
+    it("should coerce and check the default value", async () => {
+      const field = new CustomFieldDefinition({
+        key: "weight",
+        label: "Weight",
+        type: "number",
+        defaultValue: "1.5",
+        userId,
+      });
+      const invalid = new CustomFieldDefinition({
+        key: "manual",
+        label: "Manual",
+        type: "url",
+        defaultValue: "ftp://example.com/manual.pdf",
+        userId,
+      });
+
+      await field.validate();
+
+      expect(field.defaultValue).toBe(1.5);
+      await expect(invalid.validate()).rejects.toThrow(
+        "Default value: Manual must be an http or https URL"
+      );
+    });
+
+    it("should reject keys that cannot be stored as map keys", () => {
+      const field = new CustomFieldDefinition({
+        key: "part.number",
+        label: "Part number",
+        type: "text",
+        userId,
+      });
+
+      expect(field.validateSync().errors.key).toBeDefined();
+    });
+  });
+
+  describe("validateValues", () => {
+    const definitions = [
+      { key: "bought", label: "Bought", type: "date" },
+      { key: "fragile", label: "Fragile", type: "checkbox" },
+      { key: "serial", label: "Serial", type: "text", required: true },
+      { key: "shelf", label: "Shelf", type: "number", defaultValue: 1 },
+    ];
+
+    it("should coerce values, apply defaults and keep untyped keys", () => {
+      const { values, errors } = CustomFieldDefinition.validateValues(
+        definitions,
+        new Map([
+          ["bought", "2026-03-01"],
+          ["fragile", "No"],
+          ["serial", 1234],
+          ["legacy", "kept"],
+        ])
+      );
+
+      expect(errors).toEqual([]);
+      expect(values).toEqual({
+        bought: new Date("2026-03-01"),
+        fragile: false,
+        serial: "1234",
+        shelf: 1,
+        legacy: "kept",
+      });
+    });
+
+    it("should collect every problem", () => {
+      const { errors } = CustomFieldDefinition.validateValues(definitions, {
+        bought: "someday",
+        fragile: "maybe",
+        serial: " ",
+      });
+
+      expect(errors).toEqual([
+        "Bought must be a valid date",
+        "Fragile must be true or false",
+        "Serial is required",
+      ]);
+    });
+  });
+});
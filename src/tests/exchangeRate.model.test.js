@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const ExchangeRate = require("../models/exchangeRate.model");
+
+describe("ExchangeRate Model", () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("getRates", () => {
+    it("should always include the base currency at par", async () => {
+      jest
+        .spyOn(ExchangeRate, "aggregate")
+        .mockResolvedValueOnce([{ _id: "EUR", rate: 1.1 }]);
+
+      const rates = await ExchangeRate.getRates(userId, "USD");
+
+      expect(rates.get("EUR")).toBe(1.1);
+      expect(rates.get("USD")).toBe(1);
+    });
+
+    it("should pick the latest rate effective on the date", async () => {
+      const aggregate = jest
+        .spyOn(ExchangeRate, "aggregate")
+        .mockResolvedValueOnce([]);
+      const asOf = new Date("2024-03-01");
+
+      await ExchangeRate.getRates(userId, "USD", asOf);
+
+      const [match, sort, group] = aggregate.mock.calls[0][0];
+      expect(match.$match.effectiveDate).toEqual({ $lte: asOf });
+      expect(sort.$sort).toEqual({ effectiveDate: -1 });
+      expect(group.$group.rate).toEqual({ $first: "$rate" });
+    });
+  });
+
+  describe("getConverter", () => {
+    beforeEach(() => {
+      jest.spyOn(ExchangeRate, "getRates").mockResolvedValueOnce(
+        new Map([
+          ["EUR", 1.1],
+          ["USD", 1],
+        ])
+      );
+    });
+
+    it("should convert amounts into the base currency", async () => {
+      const converter = await ExchangeRate.getConverter(userId, "USD");
+
+      expect(converter.toBase(100, "EUR")).toBeCloseTo(110);
+      expect(converter.toBase(100, "USD")).toBe(100);
+      expect(converter.toBase(100, null)).toBe(100);
+    });
+
+    it("should not convert currencies without a rate", async () => {
+      const converter = await ExchangeRate.getConverter(userId, "USD");
+
+      expect(converter.toBase(100, "JPY")).toBeNull();
+      expect(converter.getRate("JPY")).toBeNull();
+    });
+
+    it("should build an aggregation expression for the rates", async () => {
+      const converter = await ExchangeRate.getConverter(userId, "USD");
+      const expr = converter.rateExpr();
+
+      expect(expr.$switch.default).toBeNull();
+      expect(expr.$switch.branches).toContainEqual({
+        case: { $eq: ["$currency", "EUR"] },
+        then: 1.1,
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const Item = require("../models/item.model");
+const Alert = require("../models/alert.model");
+const UserSettings = require("../models/settings.model");
+const expirationService = require("../services/expirationService");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/itemRelationship.model");
+jest.mock("../models/attachment.model");
+jest.mock("../models/alert.model");
+jest.mock("../models/settings.model");
+jest.mock("../models/reservation.model");
+jest.mock("../config/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Expiration Service", () => {
+  const now = new Date("2024-06-01T00:00:00Z");
+
+  const mockSettings = (expiryAlertDays) => {
+    UserSettings.findOne.mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue(
+          expiryAlertDays === undefined
+            ? null
+            : { notifications: { expiryAlertDays } }
+        ),
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getDaysUntilExpiry", () => {
+    it("should count whole days until expiry", () => {
+      const expiryDate = new Date(now.getTime() + 3 * DAY_MS);
+      expect(expirationService.getDaysUntilExpiry(expiryDate, now)).toBe(3);
+    });
+
+    it("should be negative once the lot has expired", () => {
+      const expiryDate = new Date(now.getTime() - 2 * DAY_MS);
+      expect(expirationService.getDaysUntilExpiry(expiryDate, now)).toBe(-2);
+    });
+  });
+
+  describe("checkUserLots", () => {
+    it("should alert on stocked lots expiring within the user's window", async () => {
+      mockSettings(10);
+
+      const soon = {
+        _id: "lot1",
+        lotNumber: "A1",
+        quantity: 5,
+        expiryDate: new Date(now.getTime() + 5 * DAY_MS),
+      };
+      const later = {
+        _id: "lot2",
+        lotNumber: "B2",
+        quantity: 5,
+        expiryDate: new Date(now.getTime() + 60 * DAY_MS),
+      };
+      const empty = {
+        _id: "lot3",
+        lotNumber: "C3",
+        quantity: 0,
+        expiryDate: new Date(now.getTime() + DAY_MS),
+      };
+      const item = {
+        _id: "item123",
+        name: "Milk",
+        getLotsByExpiry: jest.fn().mockReturnValue([empty, soon, later]),
+      };
+      Item.find.mockResolvedValue([item]);
+
+      const result = await expirationService.checkUserLots("user123", now);
+
+      expect(Item.find).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: "user123" })
+      );
+      expect(Alert.createExpirationAlert).toHaveBeenCalledTimes(1);
+      expect(Alert.createExpirationAlert).toHaveBeenCalledWith(item, soon, 5);
+      expect(result).toEqual({ itemCount: 1, alertCount: 1 });
+    });
+
+    it("should fall back to the configured default window", async () => {
+      mockSettings();
+      Item.find.mockResolvedValue([]);
+
+      await expirationService.checkUserLots("user123", now);
+
+      const query = Item.find.mock.calls[0][0];
+      const horizon = query.lots.$elemMatch.expiryDate.$lte;
+      expect(horizon.getTime()).toBe(now.getTime() + 30 * DAY_MS);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  getImageDimensions,
+  processImage,
+  generateThumbnails,
+  createImageMetadata,
+} = require("../utils/imageProcessor");
+
+describe("Image Processor", () => {
+  let tempDir;
+
+  // Write a photo as a camera would, rotated by its EXIF orientation and
+  // carrying camera and GPS details
+  const writePhoto = async (filename, width = 1200, height = 900) => {
+    const filePath = path.join(tempDir, filename);
+    await sharp({
+      create: {
+        width,
+        height,
+        channels: 3,
+        background: { r: 200, g: 120, b: 40 },
+      },
+    })
+      .jpeg()
+      .withMetadata({
+        orientation: 6,
+        exif: {
+          IFD0: { Make: "TestCam", Model: "X100" },
+          IFD3: { GPSLatitudeRef: "N", GPSLatitude: "51/1 30/1 0/1" },
+        },
+      })
+      .toFile(filePath);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("getImageDimensions", () => {
+    it("should read dimensions from the file header", async () => {
+      const filePath = await writePhoto("header.jpg", 640, 480);
+
+      const dimensions = await getImageDimensions(filePath);
+
+      expect(dimensions).toMatchObject({
+        width: 640,
+        height: 480,
+        format: "jpeg",
+      });
+      expect(dimensions.size).toBe(fs.statSync(filePath).size);
+    });
+
+    it("should return null for files that are not images", async () => {
+      const filePath = path.join(tempDir, "notes.png");
+      fs.writeFileSync(filePath, "not an image");
+
+      expect(await getImageDimensions(filePath)).toBeNull();
+    });
+  });
+
+  describe("processImage", () => {
+    it("should apply the orientation and strip EXIF and GPS metadata", async () => {
+      const filePath = await writePhoto("photo.jpg");
+      expect((await sharp(filePath).metadata()).exif).toBeDefined();
+
+      const processed = await processImage(filePath);
+
+      const metadata = await sharp(filePath).metadata();
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.orientation).toBeUndefined();
+      expect([metadata.width, metadata.height]).toEqual([900, 1200]);
+      expect(processed).toEqual({
+        format: "jpeg",
+        width: 900,
+        height: 1200,
+        size: fs.statSync(filePath).size,
+      });
+    });
+
+    it("should reject files that are not a supported image", async () => {
+      const filePath = path.join(tempDir, "drawing.png");
+      fs.writeFileSync(
+        filePath,
+        '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>'
+      );
+
+      await expect(processImage(filePath)).rejects.toThrow(
+        "File contents are not a supported image"
+      );
+    });
+  });
+
+  describe("generateThumbnails", () => {
+    it("should store each size next to the original without enlarging", async () => {
+      const filePath = await writePhoto("item-drill.jpg", 600, 300);
+
+      const thumbnails = await generateThumbnails(filePath);
+
+      expect(thumbnails).toEqual({
+        small: "item-drill_thumb_small.jpg",
+        medium: "item-drill_thumb_medium.jpg",
+        large: "item-drill_thumb_large.jpg",
+      });
+      const sizes = await Promise.all(
+        Object.values(thumbnails).map((filename) =>
+          sharp(path.join(tempDir, filename)).metadata()
+        )
+      );
+      expect(sizes.map(({ width, height }) => [width, height])).toEqual([
+        [150, 75],
+        [400, 200],
+        [600, 300],
+      ]);
+    });
+  });
+
+  describe("createImageMetadata", () => {
+    it("should build thumbnail URLs next to the image URL", () => {
+      const metadata = createImageMetadata(
+        {
+          filename: "item-drill.jpg",
+          originalname: "drill.jpg",
+          path: "/uploads/items/item-drill.jpg",
+          mimetype: "image/jpeg",
+          size: 2048,
+          width: 900,
+          height: 1200,
+          thumbnails: { small: "item-drill_thumb_small.jpg" },
+        },
+        "http://localhost/uploads/items/item-drill.jpg"
+      );
+
+      expect(metadata).toMatchObject({
+        url: "http://localhost/uploads/items/item-drill.jpg",
+        width: 900,
+        height: 1200,
+        thumbnails: {
+          small: "http://localhost/uploads/items/item-drill_thumb_small.jpg",
+        },
+      });
+    });
+  });
+});
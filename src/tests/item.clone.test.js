@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const itemController = require("../controllers/item.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { duplicateImage } = require("../middleware/upload");
+const { NotFoundError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/itemRevision.model");
+jest.mock("../models/activity.model");
+jest.mock("../models/stockTransaction.model");
+jest.mock("../services/notificationService");
+jest.mock("../middleware/upload");
+jest.mock("../utils/apiResponse");
+
+describe("Item cloning", () => {
+  let req, res, next, source;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    const userId = new mongoose.Types.ObjectId();
+    req = {
+      user: { id: userId.toString() },
+      params: { id: "item123" },
+      body: {},
+      query: {},
+      protocol: "http",
+      get: () => "localhost",
+    };
+    res = {};
+    next = jest.fn();
+
+    source = new Item({
+      name: "Drill",
+      userId,
+      quantity: 7,
+      price: 99,
+      sku: "DRL",
+      barcode: "ITEM000001",
+      barcodeFormat: "CODE_128",
+      tags: ["tools"],
+      customFields: { voltage: "18V" },
+      images: [
+        {
+          filename: "item-drill.jpg",
+          originalName: "drill.jpg",
+          path: "/uploads/items/item-drill.jpg",
+          size: 1024,
+          mimetype: "image/jpeg",
+          url: "http://localhost/uploads/items/item-drill.jpg",
+        },
+      ],
+    });
+
+    jest.spyOn(Item, "findOne").mockResolvedValue(source);
+    jest.spyOn(Item, "distinct").mockReturnValue({
+      setOptions: jest.fn().mockResolvedValue(["DRL-1"]),
+    });
+    jest.spyOn(Item.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    duplicateImage.mockImplementation((request, image) => ({
+      ...image.toObject(),
+      filename: `item-copy-${image.originalName}`,
+      path: `/uploads/items/item-copy-${image.originalName}`,
+    }));
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  it("should create numbered copies with new SKUs, barcodes and image files", async () => {
+    req.body = { count: 2, name: "Drill #{n}" };
+
+    await itemController.cloneItem(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const { items } = ApiResponse.created.mock.calls[0][2];
+    expect(items.map((item) => item.name)).toEqual(["Drill #1", "Drill #2"]);
+    expect(items.map((item) => item.sku)).toEqual(["DRL-2", "DRL-3"]);
+    expect(items[0].barcode).not.toBe(source.barcode);
+    expect(items[0].barcode).not.toBe(items[1].barcode);
+    expect(items[0].quantity).toBe(0);
+    expect(items[0].tags).toEqual(["tools"]);
+    expect(items[0].customFields.get("voltage")).toBe("18V");
+    expect(duplicateImage).toHaveBeenCalledTimes(2);
+    expect(items[0].images[0].filename).toBe("item-copy-drill.jpg");
+    expect(StockTransaction.record).not.toHaveBeenCalled();
+  });
+
+  it("should keep stock and skip optional copies when asked", async () => {
+    req.body = {
+      resetQuantity: false,
+      copyImages: false,
+      copyTags: false,
+      copyCustomFields: false,
+      regenerateSku: false,
+    };
+
+    await itemController.cloneItem(req, res, next);
+
+    const [item] = ApiResponse.created.mock.calls[0][2].items;
+    expect(item.name).toBe("Drill (Copy)");
+    expect(item.quantity).toBe(7);
+    expect(item.sku).toBe("DRL");
+    expect(item.images).toHaveLength(0);
+    expect(item.tags).toHaveLength(0);
+    expect(item.customFields.size).toBe(0);
+    expect(duplicateImage).not.toHaveBeenCalled();
+    expect(StockTransaction.record).toHaveBeenCalledWith(
+      expect.objectContaining({ delta: 7, reasonCode: "initial" })
+    );
+  });
+
+  it("should return not found for unknown items", async () => {
+    Item.findOne.mockResolvedValueOnce(null);
+
+    await itemController.cloneItem(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+  });
+});
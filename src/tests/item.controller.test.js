@@ -1,13 +1,22 @@
 const mongoose = require("mongoose");
 const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
 const Activity = require("../models/activity.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const Unit = require("../models/unit.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
 const itemController = require("../controllers/item.controller");
 const ApiResponse = require("../utils/apiResponse");
 const { NotFoundError, BadRequestError } = require("../utils/customError");
 
 // Mock dependencies
 jest.mock("../models/item.model");
+jest.mock("../models/itemRevision.model");
 jest.mock("../models/activity.model");
+jest.mock("../models/stockTransaction.model");
+jest.mock("../models/unit.model");
+jest.mock("../models/reservation.model");
+jest.mock("../models/supplier.model");
 jest.mock("../utils/apiResponse");
 
 describe("Item Controller", () => {
@@ -31,6 +40,8 @@ describe("Item Controller", () => {
     // Default mock implementations
     ApiResponse.success = jest.fn().mockReturnValue({});
     ApiResponse.created = jest.fn().mockReturnValue({});
+    ItemRevision.record.mockResolvedValue({ revision: 1, snapshot: {} });
+    jest.spyOn(CustomFieldDefinition, "getDefinitions").mockResolvedValue([]);
   });
 
   describe("createItem", () => {
@@ -88,6 +99,45 @@ describe("Item Controller", () => {
 
       expect(next).toHaveBeenCalledWith(error);
     });
+
+    it("should coerce typed custom fields and apply defaults", async () => {
+      CustomFieldDefinition.getDefinitions.mockResolvedValueOnce([
+        { key: "weight", label: "Weight", type: "number" },
+        {
+          key: "size",
+          label: "Size",
+          type: "select",
+          options: ["S", "M"],
+          defaultValue: "M",
+        },
+      ]);
+      req.body.customFields = JSON.stringify({ weight: "2.5", note: "Keep" });
+      Item.create.mockResolvedValueOnce({ _id: "item123", quantity: 0 });
+
+      await itemController.createItem(req, res, next);
+
+      expect(Item.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          customFields: { weight: 2.5, size: "M", note: "Keep" },
+        })
+      );
+    });
+
+    it("should reject missing or invalid custom field values", async () => {
+      CustomFieldDefinition.getDefinitions.mockResolvedValueOnce([
+        { key: "serial", label: "Serial", type: "text", required: true },
+        { key: "manual", label: "Manual", type: "url" },
+      ]);
+      req.body.customFields = { manual: "not a url" };
+
+      await itemController.createItem(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(next.mock.calls[0][0].message).toBe(
+        "Serial is required; Manual must be a valid URL"
+      );
+      expect(Item.create).not.toHaveBeenCalled();
+    });
   });
 
   describe("getItems", () => {
@@ -337,29 +387,23 @@ describe("Item Controller", () => {
         name: "Test Item",
         description: "Test Description",
         userId: "user123",
+        stockLocations: [],
+        lots: [],
+        toObject: jest.fn().mockReturnValue({}),
+        set: jest.fn(),
+        syncQuantity: jest.fn(),
+        save: jest.fn().mockResolvedValue(),
       };
       Item.findOne.mockResolvedValueOnce(mockExistingItem);
 
-      // Mock updated item
-      const mockUpdatedItem = {
-        _id: "item123",
-        name: "Updated Item",
-        description: "Updated Description",
-        userId: "user123",
-      };
-      Item.findByIdAndUpdate.mockResolvedValueOnce(mockUpdatedItem);
-
       await itemController.updateItem(req, res, next);
 
       expect(Item.findOne).toHaveBeenCalledWith({
         _id: "item123",
         userId: "user123",
       });
-      expect(Item.findByIdAndUpdate).toHaveBeenCalledWith(
-        "item123",
-        { $set: req.body },
-        { new: true, runValidators: true }
-      );
+      expect(mockExistingItem.set).toHaveBeenCalledWith(req.body);
+      expect(mockExistingItem.save).toHaveBeenCalled();
       expect(Activity.create).toHaveBeenCalledWith({
         userId: "user123",
         resourceId: "item123",
@@ -378,7 +422,7 @@ describe("Item Controller", () => {
       expect(ApiResponse.success).toHaveBeenCalledWith(
         res,
         "Item updated successfully",
-        { item: mockUpdatedItem }
+        { item: mockExistingItem }
       );
       expect(next).not.toHaveBeenCalled();
     });
@@ -390,22 +434,41 @@ describe("Item Controller", () => {
         name: "Updated Item",
         description: "Updated Description",
         userId: "user123",
+        stockLocations: [],
+        lots: [],
+        toObject: jest.fn().mockReturnValue({}),
+        set: jest.fn(),
+        syncQuantity: jest.fn(),
+        save: jest.fn().mockResolvedValue(),
       };
       Item.findOne.mockResolvedValueOnce(mockExistingItem);
 
-      // Mock updated item (same as existing)
-      const mockUpdatedItem = {
+      await itemController.updateItem(req, res, next);
+
+      expect(Activity.create).not.toHaveBeenCalled();
+      expect(ApiResponse.success).toHaveBeenCalled();
+    });
+
+    it("should refuse a bare quantity edit on items with variants", async () => {
+      const mockExistingItem = {
         _id: "item123",
-        name: "Updated Item",
-        description: "Updated Description",
-        userId: "user123",
+        name: "T-Shirt",
+        quantity: 10,
+        hasVariants: true,
+        stockLocations: [],
+        set: jest.fn(),
+        save: jest.fn(),
       };
-      Item.findByIdAndUpdate.mockResolvedValueOnce(mockUpdatedItem);
+      Item.findOne.mockResolvedValueOnce(mockExistingItem);
+      req.body = { quantity: 12 };
 
       await itemController.updateItem(req, res, next);
 
-      expect(Activity.create).not.toHaveBeenCalled();
-      expect(ApiResponse.success).toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(next.mock.calls[0][0].message).toBe(
+        "Quantity of items with variants follows their variants"
+      );
+      expect(mockExistingItem.save).not.toHaveBeenCalled();
     });
 
     it("should return error if item doesn't exist", async () => {
@@ -441,7 +504,7 @@ describe("Item Controller", () => {
         name: "Test Item",
         userId: "user123",
         folderId: "folder123",
-        deleteOne: jest.fn().mockResolvedValueOnce({}),
+        softDelete: jest.fn().mockResolvedValueOnce({}),
       };
       Item.findOne.mockResolvedValueOnce(mockItem);
 
@@ -451,7 +514,7 @@ describe("Item Controller", () => {
         _id: "item123",
         userId: "user123",
       });
-      expect(mockItem.deleteOne).toHaveBeenCalled();
+      expect(mockItem.softDelete).toHaveBeenCalledWith("user123");
       expect(Activity.create).toHaveBeenCalledWith({
         userId: "user123",
         resourceId: "item123",
@@ -464,7 +527,7 @@ describe("Item Controller", () => {
       });
       expect(ApiResponse.success).toHaveBeenCalledWith(
         res,
-        "Item deleted successfully"
+        "Item moved to trash"
       );
       expect(next).not.toHaveBeenCalled();
     });
@@ -519,7 +582,11 @@ describe("Item Controller", () => {
         _id: "item123",
         userId: "user123",
       });
-      expect(mockItem.updateQuantity).toHaveBeenCalledWith(5, "Restock");
+      expect(mockItem.updateQuantity).toHaveBeenCalledWith(5, "Restock", {
+        userId: "user123",
+        reasonCode: "adjustment",
+        source: "manual",
+      });
       expect(ApiResponse.success).toHaveBeenCalledWith(
         res,
         "Item quantity updated successfully",
@@ -535,6 +602,78 @@ describe("Item Controller", () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it("should pass reason code and source to the ledger", async () => {
+      req.body = { change: -2, reasonCode: "damage", source: "scan" };
+      const mockItem = {
+        _id: "item123",
+        name: "Test Item",
+        quantity: 10,
+        updateQuantity: jest.fn().mockResolvedValueOnce({
+          previousQuantity: 10,
+          newQuantity: 8,
+          change: -2,
+          transactionId: "txn123",
+        }),
+      };
+      Item.findOne.mockResolvedValueOnce(mockItem);
+
+      await itemController.updateQuantity(req, res, next);
+
+      expect(mockItem.updateQuantity).toHaveBeenCalledWith(-2, "manual", {
+        userId: "user123",
+        reasonCode: "damage",
+        source: "scan",
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should convert changes entered in another unit to the base unit", async () => {
+      req.body = { change: 2, unit: "kg" };
+      const mockItem = {
+        _id: "item123",
+        name: "Flour",
+        quantity: 500,
+        unit: "g",
+        updateQuantity: jest.fn().mockResolvedValueOnce({
+          previousQuantity: 500,
+          newQuantity: 2500,
+          change: 2000,
+        }),
+      };
+      Item.findOne.mockResolvedValueOnce(mockItem);
+      Unit.convert.mockResolvedValueOnce(2000);
+
+      await itemController.updateQuantity(req, res, next);
+
+      expect(Unit.convert).toHaveBeenCalledWith("user123", 2, "kg", "g");
+      expect(mockItem.updateQuantity).toHaveBeenCalledWith(2000, "manual", {
+        userId: "user123",
+        reasonCode: "adjustment",
+        source: "manual",
+        metadata: { unit: "kg", enteredChange: 2 },
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should reject changes in an incompatible unit", async () => {
+      req.body = { change: 2, unit: "l" };
+      const mockItem = {
+        _id: "item123",
+        name: "Flour",
+        quantity: 500,
+        unit: "g",
+        updateQuantity: jest.fn(),
+      };
+      Item.findOne.mockResolvedValueOnce(mockItem);
+      Unit.convert.mockRejectedValueOnce(new Error("Cannot convert l to g"));
+
+      await itemController.updateQuantity(req, res, next);
+
+      expect(mockItem.updateQuantity).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(next.mock.calls[0][0].message).toBe("Cannot convert l to g");
+    });
+
     it("should return error if change is not provided", async () => {
       req.body = {};
 
@@ -581,6 +720,45 @@ describe("Item Controller", () => {
     });
   });
 
+  describe("getItemTransactions", () => {
+    beforeEach(() => {
+      req.params.id = "item123";
+    });
+
+    it("should return the item ledger for a date range", async () => {
+      req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
+      Item.findOne.mockResolvedValueOnce({ _id: "item123" });
+      const transactions = [{ _id: "txn1", delta: 5, balance: 5 }];
+      StockTransaction.getLedger.mockResolvedValueOnce({
+        transactions,
+        total: 1,
+      });
+
+      await itemController.getItemTransactions(req, res, next);
+
+      expect(StockTransaction.getLedger).toHaveBeenCalledWith("item123", {
+        startDate: "2024-01-01",
+        endDate: "2024-01-31",
+        skip: 0,
+        limit: 50,
+      });
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        "Stock transactions retrieved successfully",
+        expect.objectContaining({ transactions })
+      );
+    });
+
+    it("should return error if item doesn't exist", async () => {
+      Item.findOne.mockResolvedValueOnce(null);
+
+      await itemController.getItemTransactions(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+      expect(StockTransaction.getLedger).not.toHaveBeenCalled();
+    });
+  });
+
   describe("addItemImage", () => {
     beforeEach(() => {
       req.params.id = "item123";
@@ -672,9 +850,24 @@ describe("Item Controller", () => {
   });
 
   describe("removeItemImage", () => {
+    const firstImage = {
+      _id: "image1",
+      filename: "image.jpg",
+      url: "https://example.com/image.jpg",
+      path: "/uploads/items/image.jpg",
+    };
+    const secondImage = {
+      _id: "image2",
+      filename: "image2.jpg",
+      url: "https://example.com/image2.jpg",
+      path: "/uploads/items/image2.jpg",
+    };
+
     beforeEach(() => {
       req.params.id = "item123";
-      req.params.imageIndex = "0";
+      req.params.imageId = "image1";
+      // Drop lookups queued by earlier tests that never reached them
+      Item.findOne.mockReset();
     });
 
     it("should remove image successfully", async () => {
@@ -682,10 +875,7 @@ describe("Item Controller", () => {
       const mockItem = {
         _id: "item123",
         name: "Test Item",
-        images: [
-          "https://example.com/image.jpg",
-          "https://example.com/image2.jpg",
-        ],
+        images: [firstImage, secondImage],
         save: jest.fn().mockResolvedValueOnce({}),
       };
       Item.findOne.mockResolvedValueOnce(mockItem);
@@ -696,16 +886,16 @@ describe("Item Controller", () => {
         _id: "item123",
         userId: "user123",
       });
-      expect(mockItem.images).toHaveLength(1);
-      expect(mockItem.images[0]).toBe("https://example.com/image2.jpg");
+      expect(mockItem.images).toEqual([secondImage]);
       expect(mockItem.save).toHaveBeenCalled();
       expect(Activity.create).toHaveBeenCalledWith({
         userId: "user123",
         resourceId: "item123",
-        resourceType: "Item",
+        resourceType: "item",
         action: "remove_image",
         details: expect.objectContaining({
           name: "Test Item",
+          imageId: "image1",
           imageUrl: "https://example.com/image.jpg",
         }),
       });
@@ -714,7 +904,7 @@ describe("Item Controller", () => {
         "Image removed successfully",
         expect.objectContaining({
           item: mockItem,
-          removedImage: "https://example.com/image.jpg",
+          removedImage: firstImage,
         })
       );
       expect(next).not.toHaveBeenCalled();
@@ -731,11 +921,11 @@ describe("Item Controller", () => {
     });
 
     it("should return error if image doesn't exist", async () => {
-      // Mock item with no images
+      // Mock item without the image
       const mockItem = {
         _id: "item123",
         name: "Test Item",
-        images: [],
+        images: [secondImage],
       };
       Item.findOne.mockResolvedValueOnce(mockItem);
 
@@ -851,6 +1041,7 @@ describe("Item Controller", () => {
           folderId: "folder456",
         },
       };
+      Item.find.mockResolvedValue([]);
     });
 
     it("should bulk update items successfully", async () => {
@@ -892,6 +1083,57 @@ describe("Item Controller", () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it("should refuse a bulk quantity edit on an item with variants", async () => {
+      Item.find.mockResolvedValueOnce([
+        {
+          _id: "item1",
+          name: "T-Shirt",
+          quantity: 5,
+          hasVariants: true,
+          stockLocations: [],
+        },
+      ]);
+      req.body.updates = { quantity: 3 };
+
+      await itemController.bulkUpdateItems(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(next.mock.calls[0][0].message).toBe(
+        'Quantity of "T-Shirt" follows its serial numbers, variants or location balances'
+      );
+      expect(Item.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("should move bulk quantity edits through the item's stock movement", async () => {
+      const item = {
+        _id: "item1",
+        name: "Tape",
+        quantity: 5,
+        stockLocations: [],
+        updateQuantity: jest.fn().mockResolvedValue({}),
+      };
+      Item.find.mockResolvedValueOnce([item]).mockResolvedValueOnce([item]);
+      req.body.updates = {
+        quantity: 8,
+        costLayers: [],
+        "variants.0.quantity": 2,
+      };
+
+      await itemController.bulkUpdateItems(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(Item.updateMany).not.toHaveBeenCalled();
+      expect(item.updateQuantity).toHaveBeenCalledWith(3, "Bulk update", {
+        userId: "user123",
+        source: "bulk",
+      });
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        "Items updated successfully",
+        expect.objectContaining({ quantityChangedCount: 1 })
+      );
+    });
+
     it("should return error if itemIds are not provided", async () => {
       req.body = {
         updates: {
@@ -926,4 +1168,99 @@ describe("Item Controller", () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe("findItemByBarcode", () => {
+    beforeEach(() => {
+      Item.findOne.mockReset();
+    });
+
+    it("should find item by its barcode", async () => {
+      const mockItem = { _id: "item123", name: "Drill", barcode: "ABC123" };
+      Item.findOne.mockReturnValueOnce({
+        populate: jest.fn().mockResolvedValueOnce(mockItem),
+      });
+      req.params = { barcode: "ABC123" };
+
+      await itemController.findItemByBarcode(req, res, next);
+
+      expect(ApiResponse.success).toHaveBeenCalledWith(res, "Item found", {
+        item: mockItem,
+        serial: null,
+      });
+    });
+
+    it("should resolve a serial number to its unit and parent item", async () => {
+      const serial = { _id: "serial1", serialNumber: "SN-001" };
+      const mockItem = {
+        _id: "item123",
+        name: "Drill",
+        serials: [serial, { _id: "serial2", serialNumber: "SN-002" }],
+      };
+      Item.findOne
+        .mockReturnValueOnce({
+          populate: jest.fn().mockResolvedValueOnce(null),
+        })
+        .mockReturnValueOnce({
+          populate: jest.fn().mockResolvedValueOnce(mockItem),
+        });
+      req.params = { barcode: "SN-001" };
+
+      await itemController.findItemByBarcode(req, res, next);
+
+      expect(Item.findOne).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          "serials.serialNumber": "SN-001",
+          userId: "user123",
+        })
+      );
+      expect(ApiResponse.success).toHaveBeenCalledWith(res, "Item found", {
+        item: mockItem,
+        serial,
+      });
+    });
+
+    it("should find an item by a barcode it had before", async () => {
+      const mockItem = {
+        _id: "item123",
+        name: "Drill",
+        barcode: "NEW-1",
+        barcodeHistory: [{ barcode: "OLD-1" }],
+      };
+      Item.findOne
+        .mockReturnValueOnce({
+          populate: jest.fn().mockResolvedValueOnce(null),
+        })
+        .mockReturnValueOnce({
+          populate: jest.fn().mockResolvedValueOnce(null),
+        })
+        .mockReturnValueOnce({
+          populate: jest.fn().mockResolvedValueOnce(mockItem),
+        });
+      req.params = { barcode: "OLD-1" };
+
+      await itemController.findItemByBarcode(req, res, next);
+
+      expect(Item.findOne).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          "barcodeHistory.barcode": "OLD-1",
+          userId: "user123",
+        })
+      );
+      expect(ApiResponse.success).toHaveBeenCalledWith(res, "Item found", {
+        item: mockItem,
+        serial: null,
+      });
+    });
+
+    it("should return error if nothing matches", async () => {
+      Item.findOne.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(null),
+      });
+      req.params = { barcode: "missing" };
+
+      await itemController.findItemByBarcode(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+    });
+  });
 });
@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const itemController = require("../controllers/item.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, ConflictError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/activity.model");
+jest.mock("../services/notificationService");
+jest.mock("../middleware/upload");
+jest.mock("../utils/apiResponse");
+
+describe("Item images", () => {
+  let req, res, next, item;
+
+  // Stored image record for a file
+  const buildImage = (filename, fields = {}) => ({
+    filename,
+    originalName: filename,
+    path: `/uploads/items/${filename}`,
+    size: 1024,
+    mimetype: "image/jpeg",
+    url: `http://localhost/uploads/items/${filename}`,
+    thumbnails: {
+      medium: `http://localhost/uploads/items/thumb-${filename}`,
+    },
+    ...fields,
+  });
+
+  const imageIds = () => item.images.map((image) => String(image._id));
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    const userId = new mongoose.Types.ObjectId();
+    item = new Item({
+      name: "Drill",
+      userId,
+      images: [
+        buildImage("front.jpg"),
+        buildImage("side.jpg"),
+        buildImage("box.jpg"),
+      ],
+    });
+    req = {
+      user: { id: userId.toString() },
+      params: { id: item._id.toString() },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.spyOn(Item, "findOne").mockResolvedValue(item);
+    jest.spyOn(Item.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    ApiResponse.success = jest.fn().mockReturnValue({});
+  });
+
+  describe("primaryImage", () => {
+    it("should fall back to the first image and use its thumbnail", () => {
+      expect(item.primaryImage.filename).toBe("front.jpg");
+      expect(item.thumbnail).toBe(
+        "http://localhost/uploads/items/thumb-front.jpg"
+      );
+      expect(new Item({ name: "Empty" }).primaryImage).toBeNull();
+    });
+
+    it("should keep a single primary image when several are flagged", async () => {
+      item.images[1].primary = true;
+      item.images[2].primary = true;
+
+      await item.validate();
+
+      expect(item.images.map((image) => image.primary)).toEqual([
+        false,
+        true,
+        false,
+      ]);
+    });
+  });
+
+  describe("updateItemImage", () => {
+    it("should set the caption, alt text and cover image", async () => {
+      req.params.imageId = imageIds()[2];
+      req.body = {
+        caption: "Retail box",
+        altText: "Drill in its box",
+        primary: true,
+      };
+
+      await itemController.updateItemImage(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(item.images[2].caption).toBe("Retail box");
+      expect(item.images[2].altText).toBe("Drill in its box");
+      expect(item.primaryImage.filename).toBe("box.jpg");
+      expect(item.images.filter((image) => image.primary)).toHaveLength(1);
+    });
+
+    it("should return not found for unknown images", async () => {
+      req.params.imageId = new mongoose.Types.ObjectId().toString();
+
+      await itemController.updateItemImage(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+    });
+  });
+
+  describe("reorderItemImages", () => {
+    it("should put images in the given order, keeping their IDs", async () => {
+      const [front, side, box] = imageIds();
+      req.body = { imageIds: [box, front, side] };
+
+      await itemController.reorderItemImages(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(imageIds()).toEqual([box, front, side]);
+      expect(item.images.map((image) => image.filename)).toEqual([
+        "box.jpg",
+        "front.jpg",
+        "side.jpg",
+      ]);
+    });
+
+    it("should refuse an order that leaves out or repeats images", async () => {
+      const [front, side] = imageIds();
+
+      req.body = { imageIds: [side, front] };
+      await itemController.reorderItemImages(req, res, next);
+      req.body = { imageIds: [side, front, front] };
+      await itemController.reorderItemImages(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(next.mock.calls.map(([error]) => error)).toEqual([
+        expect.any(ConflictError),
+        expect.any(ConflictError),
+      ]);
+      expect(Item.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
+const Location = require("../models/location.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const itemController = require("../controllers/item.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/activity.model");
+jest.mock("../models/itemRevision.model");
+jest.mock("../models/stockTransaction.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Item stock locations", () => {
+  let req, res, next, item, shelf, bin;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    const userId = new mongoose.Types.ObjectId();
+    shelf = new mongoose.Types.ObjectId();
+    bin = new mongoose.Types.ObjectId();
+    item = new Item({
+      name: "Hinge",
+      userId,
+      quantity: 10,
+      stockLocations: [
+        { locationId: shelf, quantity: 6 },
+        { locationId: bin, quantity: 4 },
+      ],
+    });
+    req = {
+      user: { id: userId.toString() },
+      params: { id: item._id.toString() },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.spyOn(Item, "findOne").mockResolvedValue(item);
+    jest.spyOn(Item.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Location, "countDocuments").mockResolvedValue(2);
+    StockTransaction.record.mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+    });
+    ItemRevision.record.mockResolvedValue({ revision: 2, snapshot: {} });
+    ApiResponse.success = jest.fn().mockReturnValue({});
+  });
+
+  describe("adjustLocationQuantity", () => {
+    it("should open a balance for a new location", () => {
+      const shed = new mongoose.Types.ObjectId();
+
+      item.adjustLocationQuantity(shed, 5);
+
+      expect(item.getLocationQuantity(shed)).toBe(5);
+      expect(item.syncQuantity()).toBe(15);
+    });
+
+    it("should put stock that predates location tracking in the first location", () => {
+      const untracked = new Item({ name: "Washer", quantity: 7 });
+
+      untracked.adjustLocationQuantity(shelf, 3);
+
+      expect(untracked.getLocationQuantity(shelf)).toBe(10);
+      expect(untracked.syncQuantity()).toBe(10);
+    });
+
+    it("should not take a location below zero", () => {
+      expect(() => item.adjustLocationQuantity(bin, -5)).toThrow(
+        "Cannot reduce location quantity below zero"
+      );
+      expect(item.getLocationQuantity(bin)).toBe(4);
+    });
+  });
+
+  describe("updateQuantity", () => {
+    it("should move the named location and roll up the total", async () => {
+      const result = await item.updateQuantity(-2, "Picked", {
+        locationId: bin,
+      });
+
+      expect(item.getLocationQuantity(bin)).toBe(2);
+      expect(item.getLocationQuantity(shelf)).toBe(6);
+      expect(item.syncQuantity()).toBe(8);
+      expect(result.locationId).toEqual(bin);
+      expect(StockTransaction.record).toHaveBeenCalledWith(
+        expect.objectContaining({ delta: -2, locationId: bin })
+      );
+    });
+
+    it("should require a location when stock is held in several", async () => {
+      await expect(item.updateQuantity(3)).rejects.toThrow(
+        "Location is required for items stocked in multiple locations"
+      );
+      expect(Item.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it("should default to the only location", async () => {
+      item.stockLocations = [{ locationId: shelf, quantity: 10 }];
+
+      await item.updateQuantity(3);
+
+      expect(item.getLocationQuantity(shelf)).toBe(13);
+      expect(item.syncQuantity()).toBe(13);
+    });
+
+    it("should keep the total when stock moves between locations", async () => {
+      await item.updateQuantity(-4, "Moved", { locationId: shelf });
+      await item.updateQuantity(4, "Moved", { locationId: bin });
+
+      expect(item.getLocationQuantity(shelf)).toBe(2);
+      expect(item.getLocationQuantity(bin)).toBe(8);
+      expect(item.syncQuantity()).toBe(10);
+    });
+  });
+
+  describe("updateItem", () => {
+    it("should roll quantity up from the location balances sent", async () => {
+      req.body = {
+        stockLocations: [
+          { locationId: shelf, quantity: 6 },
+          { locationId: bin, quantity: 9 },
+        ],
+      };
+
+      await itemController.updateItem(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(item.quantity).toBe(15);
+      expect(Item.prototype.save).toHaveBeenCalled();
+      expect(StockTransaction.record).toHaveBeenCalledWith(
+        expect.objectContaining({ delta: 5, reason: "Item edited" })
+      );
+    });
+
+    it("should refuse a bare quantity edit on items stocked by location", async () => {
+      req.body = { quantity: 20 };
+
+      await itemController.updateItem(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(item.quantity).toBe(10);
+      expect(Item.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it("should refuse locations that belong to another user", async () => {
+      Location.countDocuments.mockResolvedValue(1);
+      req.body = {
+        stockLocations: [
+          { locationId: shelf, quantity: 6 },
+          { locationId: new mongoose.Types.ObjectId(), quantity: 4 },
+        ],
+      };
+
+      await itemController.updateItem(req, res, next);
+
+      expect(Location.countDocuments).toHaveBeenCalledWith({
+        _id: { $in: [String(shelf), expect.any(String)] },
+        userId: req.user.id,
+      });
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+      expect(Item.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+
+describe("Item lots", () => {
+  // Build an item holding the given lots, plus any unassigned stock
+  const buildItem = (lots, unassigned = 0) =>
+    new Item({
+      name: "Yogurt",
+      userId: new mongoose.Types.ObjectId(),
+      quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0) + unassigned,
+      lots,
+    });
+
+  const lotQuantities = (item) =>
+    Object.fromEntries(item.lots.map((lot) => [lot.lotNumber, lot.quantity]));
+
+  describe("consumeLots", () => {
+    it("should take the first-expiring lot first, then the oldest received", () => {
+      const item = buildItem([
+        {
+          lotNumber: "LATE",
+          quantity: 5,
+          expiryDate: new Date("2026-12-01"),
+          receivedDate: new Date("2026-01-01"),
+        },
+        {
+          lotNumber: "SOON-NEW",
+          quantity: 5,
+          expiryDate: new Date("2026-11-01"),
+          receivedDate: new Date("2026-03-01"),
+        },
+        {
+          lotNumber: "SOON-OLD",
+          quantity: 5,
+          expiryDate: new Date("2026-11-01"),
+          receivedDate: new Date("2026-02-01"),
+        },
+      ]);
+
+      const allocations = item.consumeLots(8);
+
+      expect(
+        allocations.map(({ lotNumber, quantity }) => [lotNumber, quantity])
+      ).toEqual([
+        ["SOON-OLD", 5],
+        ["SOON-NEW", 3],
+      ]);
+      expect(lotQuantities(item)).toEqual({
+        LATE: 5,
+        "SOON-NEW": 2,
+        "SOON-OLD": 0,
+      });
+    });
+
+    it("should use lots without an expiry date last", () => {
+      const item = buildItem([
+        {
+          lotNumber: "NO-EXPIRY",
+          quantity: 4,
+          receivedDate: new Date("2025-01-01"),
+        },
+        { lotNumber: "DATED", quantity: 4, expiryDate: new Date("2027-01-01") },
+      ]);
+
+      item.consumeLots(6);
+
+      expect(lotQuantities(item)).toEqual({ "NO-EXPIRY": 2, DATED: 0 });
+    });
+
+    it("should leave what the lots cannot cover to unassigned stock", () => {
+      const item = buildItem([{ lotNumber: "A", quantity: 3 }], 4);
+
+      const allocations = item.consumeLots(5);
+
+      expect(allocations).toEqual([
+        expect.objectContaining({ lotNumber: "A", quantity: 3 }),
+      ]);
+      expect(lotQuantities(item)).toEqual({ A: 0 });
+    });
+
+    it("should refuse to take more than a named lot holds", () => {
+      const item = buildItem([
+        { lotNumber: "A", quantity: 3 },
+        { lotNumber: "B", quantity: 9 },
+      ]);
+
+      expect(() => item.consumeLots(4, item.lots[0]._id)).toThrow(
+        "Cannot reduce lot quantity below zero"
+      );
+      expect(lotQuantities(item)).toEqual({ A: 3, B: 9 });
+      expect(() => item.consumeLots(1, new mongoose.Types.ObjectId())).toThrow(
+        "Lot not found"
+      );
+    });
+  });
+
+  describe("trimLots", () => {
+    it("should cut lots down to the quantity on hand, first-expiring first", () => {
+      const item = buildItem([
+        { lotNumber: "LATE", quantity: 4, expiryDate: new Date("2026-12-01") },
+        { lotNumber: "SOON", quantity: 4, expiryDate: new Date("2026-11-01") },
+      ]);
+      item.quantity = 5;
+
+      const allocations = item.trimLots();
+
+      expect(allocations).toEqual([
+        expect.objectContaining({ lotNumber: "SOON", quantity: 3 }),
+      ]);
+      expect(lotQuantities(item)).toEqual({ LATE: 4, SOON: 1 });
+    });
+
+    it("should leave lots alone while they fit within the quantity", () => {
+      const item = buildItem([{ lotNumber: "A", quantity: 4 }], 2);
+
+      expect(item.trimLots()).toEqual([]);
+      expect(lotQuantities(item)).toEqual({ A: 4 });
+    });
+  });
+
+  describe("getUnassignedLotQuantity", () => {
+    it("should report stock held outside any lot", () => {
+      const item = buildItem([{ lotNumber: "A", quantity: 4 }], 2);
+
+      expect(item.getUnassignedLotQuantity()).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const StockTransaction = require("../models/stockTransaction.model");
+
+describe("Item reorder suggestions", () => {
+  // Build an unsaved item with the given stock settings
+  const buildItem = (fields) =>
+    new Item({
+      name: "Filters",
+      userId: new mongoose.Types.ObjectId(),
+      ...fields,
+    });
+
+  it("should suggest nothing above the reorder point", () => {
+    const item = buildItem({ quantity: 20, reorderPoint: 10 });
+
+    expect(item.getReorderSuggestion({ dailyUsage: 1 })).toBeNull();
+  });
+
+  it("should cover the shortfall and expected usage", () => {
+    const item = buildItem({ quantity: 8, reorderPoint: 10 });
+
+    expect(
+      item.getReorderSuggestion({ dailyUsage: 0.5, coverageDays: 30 })
+    ).toEqual({
+      reorderPoint: 10,
+      position: 8,
+      onOrder: 0,
+      dailyUsage: 0.5,
+      suggestedQuantity: 17,
+    });
+  });
+
+  it("should count reserved stock out and open orders in", () => {
+    const item = buildItem({
+      quantity: 12,
+      reservedQuantity: 6,
+      reorderPoint: 10,
+    });
+
+    expect(item.getReorderSuggestion({ onOrder: 5 })).toBeNull();
+    expect(item.getReorderSuggestion({ onOrder: 2 }).position).toBe(8);
+  });
+
+  it("should derive the reorder point from lead time usage", () => {
+    const item = buildItem({ quantity: 9, minLevel: 4, leadTimeDays: 5 });
+    const suggestion = item.getReorderSuggestion({
+      dailyUsage: 2,
+      coverageDays: 0,
+    });
+
+    expect(suggestion.reorderPoint).toBe(14);
+    expect(suggestion.suggestedQuantity).toBe(5);
+  });
+
+  it("should round up to whole reorder quantities", () => {
+    const item = buildItem({
+      quantity: 0,
+      reorderPoint: 5,
+      reorderQuantity: 24,
+    });
+
+    expect(
+      item.getReorderSuggestion({ dailyUsage: 1, coverageDays: 30 })
+        .suggestedQuantity
+    ).toBe(48);
+  });
+
+  it("should ignore items without usage or a reorder point", () => {
+    const item = buildItem({ quantity: 0 });
+
+    expect(item.getReorderSuggestion()).toBeNull();
+  });
+
+  it("should count only issues and kit builds as consumption", async () => {
+    const itemId = new mongoose.Types.ObjectId();
+    const aggregate = jest
+      .spyOn(StockTransaction, "aggregate")
+      .mockResolvedValue([{ _id: itemId, consumed: 12 }]);
+
+    const consumption = await StockTransaction.getConsumption(
+      new mongoose.Types.ObjectId(),
+      new Date("2026-07-01")
+    );
+
+    const [{ $match }] = aggregate.mock.calls[0][0];
+    expect($match.delta).toEqual({ $lt: 0 });
+    expect($match.reasonCode).toEqual({ $in: ["issue", "assembly"] });
+    expect(consumption.get(itemId.toString())).toBe(12);
+    aggregate.mockRestore();
+  });
+});
@@ -1,7 +1,9 @@
 const mongoose = require("mongoose");
 const Item = require("../models/item.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
 const itemController = require("../controllers/item.controller");
 const ApiResponse = require("../utils/apiResponse");
+const { BadRequestError } = require("../utils/customError");
 
 // Mock dependencies
 jest.mock("../models/item.model");
@@ -25,6 +27,7 @@ describe("Item Search Controller", () => {
 
     // Default mock implementations
     ApiResponse.success = jest.fn().mockReturnValue({});
+    jest.spyOn(CustomFieldDefinition, "getDefinitions").mockResolvedValue([]);
   });
 
   describe("searchItems", () => {
@@ -186,6 +189,96 @@ describe("Item Search Controller", () => {
       });
     });
 
+    it("should scope low stock to a stock location", async () => {
+      const locationId = "507f1f77bcf86cd799439011";
+      const locationQuantity = { $sum: "location-quantity" };
+      req.query = {
+        lowStock: "true",
+        locationId,
+      };
+
+      const mockFind = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue([]),
+      };
+      Item.find.mockReturnValue(mockFind);
+      Item.countDocuments.mockResolvedValue(0);
+      Item.aggregate.mockResolvedValue([]);
+      Item.locationQuantityExpr.mockReturnValue(locationQuantity);
+
+      await itemController.searchItems(req, res, next);
+
+      expect(Item.locationQuantityExpr).toHaveBeenCalledWith(locationId);
+      expect(Item.find).toHaveBeenCalledWith({
+        userId: "user123",
+        "stockLocations.locationId": new mongoose.Types.ObjectId(locationId),
+        $expr: { $lte: [locationQuantity, "$minLevel"] },
+      });
+      expect(Item.aggregate.mock.calls[0][0][1]).toEqual({
+        $addFields: { quantity: locationQuantity },
+      });
+    });
+
+    it("should reject an invalid location ID", async () => {
+      req.query = { locationId: "not-an-id" };
+
+      await itemController.searchItems(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(Item.find).not.toHaveBeenCalled();
+    });
+
+    it("should filter by typed custom fields", async () => {
+      CustomFieldDefinition.getDefinitions.mockResolvedValue([
+        { key: "weight", label: "Weight", type: "number" },
+        { key: "size", label: "Size", type: "select", options: ["S", "M"] },
+        { key: "fragile", label: "Fragile", type: "checkbox" },
+      ]);
+      req.query = {
+        customFields: {
+          weight: { min: "2", max: "10" },
+          size: "S,M",
+          fragile: "yes",
+        },
+      };
+
+      const mockFind = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue([]),
+      };
+      Item.find.mockReturnValue(mockFind);
+      Item.countDocuments.mockResolvedValue(0);
+      Item.aggregate.mockResolvedValue([]);
+
+      await itemController.searchItems(req, res, next);
+
+      expect(Item.find).toHaveBeenCalledWith({
+        userId: "user123",
+        "customFields.weight": { $gte: 2, $lte: 10 },
+        "customFields.size": { $in: ["S", "M"] },
+        "customFields.fragile": true,
+      });
+    });
+
+    it("should reject filters on undefined or mistyped custom fields", async () => {
+      CustomFieldDefinition.getDefinitions.mockResolvedValue([
+        { key: "weight", label: "Weight", type: "number" },
+      ]);
+
+      req.query = { customFields: { color: "red" } };
+      await itemController.searchItems(req, res, next);
+      req.query = { customFields: { weight: "heavy" } };
+      await itemController.searchItems(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(next.mock.calls[1][0].message).toBe("Weight must be a number");
+      expect(Item.find).not.toHaveBeenCalled();
+    });
+
     it("should sort by specified field and order", async () => {
       req.query = {
         sortBy: "name",
@@ -0,0 +1,214 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const ItemTemplate = require("../models/itemTemplate.model");
+const Folder = require("../models/folder.model");
+const Location = require("../models/location.model");
+const Unit = require("../models/unit.model");
+const CustomFieldDefinition = require("../models/customFieldDefinition.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const itemController = require("../controllers/item.controller");
+const itemTemplateController = require("../controllers/itemTemplate.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, ConflictError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/itemRevision.model");
+jest.mock("../models/activity.model");
+jest.mock("../models/stockTransaction.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Item templates", () => {
+  let req, res, next, userId, template;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    userId = new mongoose.Types.ObjectId();
+    req = {
+      user: { id: userId.toString() },
+      params: {},
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    template = new ItemTemplate({
+      name: "Cable",
+      unit: "m",
+      minLevel: 20,
+      tags: ["electrical"],
+      customFields: { gauge: 12, color: "black" },
+      folderId: new mongoose.Types.ObjectId(),
+      barcodeFormat: "EAN_13",
+      userId,
+    });
+
+    jest.spyOn(ItemTemplate, "findOne").mockResolvedValue(template);
+    jest.spyOn(ItemTemplate.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Item.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Folder, "exists").mockResolvedValue({ _id: template.folderId });
+    jest
+      .spyOn(Unit, "findUnit")
+      .mockImplementation(async (user, name) => ({ name }));
+    jest.spyOn(CustomFieldDefinition, "getDefinitions").mockResolvedValue([
+      { key: "gauge", label: "Gauge", type: "number" },
+      {
+        key: "color",
+        label: "Color",
+        type: "select",
+        options: ["black", "red"],
+      },
+    ]);
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("createItemFromTemplate", () => {
+    it("should create items from template defaults and per-item overrides", async () => {
+      req.params.templateId = template._id.toString();
+      req.body = {
+        items: [
+          { name: "Cable 12/2", quantity: 100 },
+          {
+            name: "Cable 14/2",
+            minLevel: 5,
+            customFields: { gauge: "14", color: "red" },
+          },
+        ],
+      };
+
+      await itemController.createItemFromTemplate(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      const { items } = ApiResponse.created.mock.calls[0][2];
+      expect(items.map((item) => item.name)).toEqual([
+        "Cable 12/2",
+        "Cable 14/2",
+      ]);
+      expect(items[0].unit).toBe("m");
+      expect(items[0].minLevel).toBe(20);
+      expect(items[1].minLevel).toBe(5);
+      expect(items[0].tags).toEqual(["electrical"]);
+      expect(items[0].folderId).toEqual(template.folderId);
+      expect(Object.fromEntries(items[1].customFields)).toEqual({
+        gauge: 14,
+        color: "red",
+      });
+      expect(items[0].barcodeFormat).toBe("EAN_13");
+      expect(items[0].barcode).toBeTruthy();
+      expect(items[0].barcode).not.toBe(items[1].barcode);
+      expect(StockTransaction.record).toHaveBeenCalledTimes(1);
+      expect(template.usageCount).toBe(2);
+    });
+
+    it("should fall back to the root when the template folder is gone", async () => {
+      Folder.exists.mockResolvedValueOnce(null);
+      req.params.templateId = template._id.toString();
+      req.body = { name: "Cable 10/2" };
+
+      await itemController.createItemFromTemplate(req, res, next);
+
+      const [item] = ApiResponse.created.mock.calls[0][2].items;
+      expect(item.folderId).toBeNull();
+    });
+
+    it("should refuse overrides stocked in another user's location", async () => {
+      jest.spyOn(Location, "countDocuments").mockResolvedValueOnce(0);
+      req.params.templateId = template._id.toString();
+      req.body = {
+        items: [
+          { name: "Cable 12/2" },
+          {
+            name: "Cable 14/2",
+            stockLocations: [
+              { locationId: new mongoose.Types.ObjectId(), quantity: 50 },
+            ],
+          },
+        ],
+      };
+
+      await itemController.createItemFromTemplate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        new NotFoundError("Location not found")
+      );
+      expect(Item.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it("should leave out tracked stock, reservations and cost layers", async () => {
+      req.params.templateId = template._id.toString();
+      req.body = {
+        name: "Cable 12/2",
+        variants: [{ name: "Red", quantity: 10 }],
+        serials: [{ serialNumber: "SN-1" }],
+        lots: [{ lotNumber: "L1", quantity: 5 }],
+        reservedQuantity: 4,
+        costLayers: [{ quantity: 5, unitCost: 1 }],
+      };
+
+      await itemController.createItemFromTemplate(req, res, next);
+
+      const [item] = ApiResponse.created.mock.calls[0][2].items;
+      expect(item.variants).toHaveLength(0);
+      expect(item.serials).toHaveLength(0);
+      expect(item.lots).toHaveLength(0);
+      expect(item.reservedQuantity).toBe(0);
+      expect(item.costLayers).toHaveLength(0);
+    });
+
+    it("should return not found for unknown templates", async () => {
+      ItemTemplate.findOne.mockResolvedValueOnce(null);
+      req.body = { name: "Cable" };
+
+      await itemController.createItemFromTemplate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+      expect(Item.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createTemplateFromItem", () => {
+    it("should save an item's defaults as a template", async () => {
+      const item = new Item({
+        name: "Drill",
+        userId,
+        unit: "each",
+        minLevel: 3,
+        tags: ["tools"],
+        customFields: { voltage: "18V" },
+        barcode: "ITEM1",
+        barcodeFormat: "CODE_39",
+      });
+      jest.spyOn(Item, "findOne").mockResolvedValue(item);
+      ItemTemplate.findOne.mockResolvedValueOnce(null);
+      req.params.itemId = item._id.toString();
+
+      await itemTemplateController.createTemplateFromItem(req, res, next);
+
+      const { template: saved } = ApiResponse.created.mock.calls[0][2];
+      expect(saved.name).toBe("Drill template");
+      expect(saved.minLevel).toBe(3);
+      expect(saved.tags).toEqual(["tools"]);
+      expect(saved.customFields.get("voltage")).toBe("18V");
+      expect(saved.barcodeFormat).toBe("CODE_39");
+      expect(saved.sourceItemId).toEqual(item._id);
+    });
+
+    it("should refuse a name another template uses", async () => {
+      jest
+        .spyOn(Item, "findOne")
+        .mockResolvedValue(new Item({ name: "Drill", userId }));
+      req.body = { name: "Cable" };
+
+      await itemTemplateController.createTemplateFromItem(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const serialController = require("../controllers/serial.controller");
+const variantController = require("../controllers/variant.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { ConflictError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/activity.model");
+jest.mock("../models/alert.model");
+jest.mock("../models/stockTransaction.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Item stock tracking", () => {
+  let req, res, next, userId;
+
+  const buildItem = (fields) =>
+    new Item({ name: "Drill", userId, quantity: 0, ...fields });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    userId = new mongoose.Types.ObjectId();
+    req = {
+      user: { id: userId.toString() },
+      params: {},
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    // Saving applies the roll-up the pre-save hook runs
+    jest.spyOn(Item.prototype, "save").mockImplementation(function () {
+      this.syncQuantity();
+      return Promise.resolve(this);
+    });
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  // Serial duplicate lookups also search trashed items
+  const findDuplicate = (item) => ({
+    setOptions: jest.fn().mockResolvedValue(item),
+  });
+
+  describe("syncQuantity", () => {
+    it("should empty the item when its last variant is removed", () => {
+      const item = buildItem({
+        variants: [{ name: "Small", quantity: 3 }],
+      });
+      item.syncQuantity();
+      expect(item.quantity).toBe(3);
+
+      item.variants[0].deleteOne();
+
+      expect(item.syncQuantity()).toBe(0);
+      expect(item.hasVariants).toBe(false);
+    });
+
+    it("should empty the item when its last serial number is removed", () => {
+      const item = buildItem({
+        serials: [{ serialNumber: "SN-1" }, { serialNumber: "SN-2" }],
+      });
+      item.syncQuantity();
+      expect(item.quantity).toBe(2);
+
+      item.serials = [];
+
+      expect(item.syncQuantity()).toBe(0);
+      expect(item.isSerialized).toBe(false);
+    });
+
+    it("should keep the quantity of items that were never tracked", () => {
+      const item = buildItem({ quantity: 7 });
+
+      expect(item.syncQuantity()).toBe(7);
+    });
+  });
+
+  describe("deleteVariant", () => {
+    it("should record the stock leaving with the last variant", async () => {
+      const item = buildItem({
+        variants: [{ name: "Small", quantity: 3 }],
+      });
+      item.syncQuantity();
+      jest.spyOn(Item, "findOne").mockResolvedValue(item);
+      req.params = { id: item._id.toString(), variantId: item.variants[0].id };
+
+      await variantController.deleteVariant(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(item.quantity).toBe(0);
+      expect(StockTransaction.record).toHaveBeenCalledWith(
+        expect.objectContaining({ item, delta: -3 })
+      );
+    });
+  });
+
+  describe("addSerials", () => {
+    it("should write off untracked stock before the units are received", async () => {
+      const item = buildItem({ quantity: 5 });
+      jest
+        .spyOn(Item, "findOne")
+        .mockResolvedValueOnce(item)
+        .mockReturnValueOnce(findDuplicate(null));
+      req.params = { id: item._id.toString() };
+      req.body = { serialNumbers: ["SN-1", "SN-2"] };
+
+      await serialController.addSerials(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(item.quantity).toBe(2);
+      expect(
+        StockTransaction.record.mock.calls.map(([entry]) => [
+          entry.delta,
+          entry.reasonCode,
+          entry.balance,
+        ])
+      ).toEqual([
+        [-5, "other", 0],
+        [2, "receipt", undefined],
+      ]);
+    });
+
+    it("should refuse serial numbers held by a trashed item", async () => {
+      const item = buildItem({ quantity: 0 });
+      const trashedItem = buildItem({
+        serials: [{ serialNumber: "SN-1" }],
+        isDeleted: true,
+      });
+      const duplicateLookup = findDuplicate(trashedItem);
+      jest
+        .spyOn(Item, "findOne")
+        .mockResolvedValueOnce(item)
+        .mockReturnValueOnce(duplicateLookup);
+      req.params = { id: item._id.toString() };
+      req.body = { serialNumbers: ["SN-1"] };
+
+      await serialController.addSerials(req, res, next);
+
+      expect(duplicateLookup.setOptions).toHaveBeenCalledWith({
+        withDeleted: true,
+      });
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+      expect(item.serials).toHaveLength(0);
+    });
+  });
+
+  describe("updateSerial", () => {
+    it("should refuse to rename a serial to one held by a trashed item", async () => {
+      const item = buildItem({ serials: [{ serialNumber: "SN-1" }] });
+      const duplicateLookup = findDuplicate(
+        buildItem({ serials: [{ serialNumber: "SN-2" }], isDeleted: true })
+      );
+      jest
+        .spyOn(Item, "findOne")
+        .mockResolvedValueOnce(item)
+        .mockReturnValueOnce(duplicateLookup);
+      req.params = {
+        id: item._id.toString(),
+        serialId: item.serials[0].id,
+      };
+      req.body = { serialNumber: "SN-2" };
+
+      await serialController.updateSerial(req, res, next);
+
+      expect(duplicateLookup.setOptions).toHaveBeenCalledWith({
+        withDeleted: true,
+      });
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+      expect(item.serials[0].serialNumber).toBe("SN-1");
+    });
+  });
+});
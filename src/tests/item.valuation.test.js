@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const itemController = require("../controllers/item.controller");
+
+// Mock dependencies
+jest.mock("../models/activity.model");
+jest.mock("../models/itemRevision.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Item valuation", () => {
+  // Build an unsaved item whose stock movements skip the database
+  const buildItem = (fields) => {
+    const item = new Item({
+      name: "Valves",
+      userId: new mongoose.Types.ObjectId(),
+      ...fields,
+    });
+    item.save = jest.fn().mockResolvedValue(item);
+    return item;
+  };
+
+  beforeEach(() => {
+    jest
+      .spyOn(StockTransaction, "record")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should open a cost layer on each receipt", async () => {
+    const item = buildItem({ quantity: 0 });
+
+    await item.updateQuantity(10, "PO-1", { unitCost: 2 });
+    await item.updateQuantity(10, "PO-2", { unitCost: 4 });
+
+    expect(item.costLayers.map((layer) => layer.unitCost)).toEqual([2, 4]);
+    expect(item.averageCost).toBe(3);
+  });
+
+  it("should value the newest layers under FIFO", async () => {
+    const item = buildItem({ quantity: 0 });
+
+    await item.updateQuantity(10, "PO-1", { unitCost: 2 });
+    await item.updateQuantity(10, "PO-2", { unitCost: 4 });
+    await item.updateQuantity(-15, "Issue");
+
+    expect(item.costLayers).toHaveLength(1);
+    expect(item.costLayers[0].quantity).toBe(5);
+    expect(Item.getInventoryValue(item, "fifo")).toBe(20);
+    expect(Item.getInventoryValue(item, "average")).toBe(15);
+  });
+
+  it("should value receipts without a cost at the average cost", async () => {
+    const item = buildItem({ quantity: 0 });
+
+    await item.updateQuantity(4, "PO-1", { unitCost: 5 });
+    await item.updateQuantity(4, "Return");
+
+    expect(item.averageCost).toBe(5);
+    expect(Item.getInventoryValue(item, "fifo")).toBe(40);
+  });
+
+  it("should value stock that predates cost layers at the item cost", () => {
+    const item = { quantity: 8, cost: 3, averageCost: null, costLayers: [] };
+
+    expect(Item.getInventoryValue(item, "fifo")).toBe(24);
+    expect(Item.getInventoryValue(item, "average")).toBe(24);
+  });
+
+  it("should report the cost of the stock each movement moves", async () => {
+    const item = buildItem({ quantity: 5, cost: 1, averageCost: 1 });
+
+    const receipt = await item.updateQuantity(10, "PO-1", { unitCost: 4 });
+    const issue = await item.updateQuantity(-12, "Issue");
+
+    expect(receipt.cost).toBe(40);
+    // Ten units from the layer plus two that predate it at the average cost
+    expect(issue.cost).toBe(40 + 2 * 3);
+  });
+
+  describe("updateItem", () => {
+    let item, next;
+
+    const edit = (body) =>
+      itemController.updateItem(
+        {
+          user: { id: item.userId.toString() },
+          params: { id: item._id.toString() },
+          body,
+          query: {},
+        },
+        {},
+        next
+      );
+
+    beforeEach(() => {
+      item = buildItem({ quantity: 0 });
+      next = jest.fn();
+      jest.spyOn(Item, "findOne").mockResolvedValue(item);
+      ItemRevision.record.mockResolvedValue({ revision: 2, snapshot: {} });
+    });
+
+    it("should open a cost layer when an edit adds stock", async () => {
+      await item.updateQuantity(10, "PO-1", { unitCost: 2 });
+
+      await edit({ quantity: 15, unitCost: 5 });
+      await edit({ quantity: 20 });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(item.costLayers.map((layer) => layer.quantity)).toEqual([
+        10, 5, 5,
+      ]);
+      expect(item.averageCost).toBe(3);
+      expect(Item.getInventoryValue(item, "fifo")).toBe(60);
+    });
+
+    it("should draw down the oldest layers when an edit removes stock", async () => {
+      await item.updateQuantity(10, "PO-1", { unitCost: 2 });
+      await item.updateQuantity(10, "PO-2", { unitCost: 4 });
+
+      await edit({ quantity: 5 });
+
+      expect(item.costLayers).toHaveLength(1);
+      expect(item.costLayers[0].quantity).toBe(5);
+      expect(Item.getInventoryValue(item, "fifo")).toBe(20);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const Activity = require("../models/activity.model");
+const Alert = require("../models/alert.model");
+const Permission = require("../models/permission.model");
+const StockTransfer = require("../models/stockTransfer.model");
+const CountSession = require("../models/countSession.model");
+const itemMergeController = require("../controllers/itemMerge.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { BadRequestError, ConflictError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/itemRevision.model");
+jest.mock("../models/activity.model");
+jest.mock("../models/alert.model");
+jest.mock("../models/permission.model");
+jest.mock("../models/itemRelationship.model");
+jest.mock("../models/attachment.model");
+jest.mock("../models/reservation.model");
+jest.mock("../models/purchaseOrder.model");
+jest.mock("../models/salesOrder.model");
+jest.mock("../models/countSession.model");
+jest.mock("../models/stockTransfer.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Item Merge Controller", () => {
+  let req, res, next, session, userId;
+
+  // Build an unsaved item owned by the test user
+  const buildItem = (fields) => new Item({ userId, ...fields });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    userId = new mongoose.Types.ObjectId();
+    req = { user: { id: userId.toString() }, params: {}, body: {}, query: {} };
+    res = {};
+    next = jest.fn();
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn(),
+    };
+    jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+    jest.spyOn(Item.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest
+      .spyOn(StockTransaction, "record")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    StockTransfer.exists.mockResolvedValue(null);
+    CountSession.exists.mockResolvedValue(null);
+    Permission.find.mockReturnValue({
+      session: jest.fn().mockResolvedValue([]),
+    });
+    ItemRevision.record.mockResolvedValue({ revision: 2 });
+    ApiResponse.success = jest.fn().mockReturnValue({});
+  });
+
+  describe("mergeItems", () => {
+    it("should fold stock, tags, images and barcodes into the survivor", async () => {
+      const survivor = buildItem({ name: "Drill", quantity: 5, tags: ["a"] });
+      const duplicate = buildItem({
+        name: "drill ",
+        quantity: 3,
+        tags: ["a", "b"],
+        barcode: "ITEM123",
+        barcodeFormat: "CODE_128",
+        images: [
+          {
+            filename: "item-drill.jpg",
+            originalName: "drill.jpg",
+            path: "/uploads/items/item-drill.jpg",
+            size: 10,
+            mimetype: "image/jpeg",
+            url: "http://localhost/uploads/items/item-drill.jpg",
+          },
+        ],
+      });
+      jest
+        .spyOn(Item, "find")
+        .mockResolvedValueOnce([survivor, duplicate])
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue([]) });
+      req.body = {
+        survivorId: survivor._id.toString(),
+        itemIds: [duplicate._id.toString()],
+      };
+
+      await itemMergeController.mergeItems(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(session.commitTransaction).toHaveBeenCalled();
+      expect(survivor.quantity).toBe(8);
+      expect(duplicate.quantity).toBe(0);
+      expect(duplicate.isDeleted).toBe(true);
+      expect(survivor.tags).toEqual(["a", "b"]);
+      expect(survivor.images).toHaveLength(1);
+      expect(duplicate.images).toHaveLength(0);
+      expect(survivor.barcode).toBe("ITEM123");
+      expect(StockTransaction.record).toHaveBeenCalledWith(
+        expect.objectContaining({ delta: 3, source: "merge" })
+      );
+      expect(Activity.updateMany).toHaveBeenCalledWith(
+        { resourceType: "item", resourceId: { $in: [duplicate._id] } },
+        { $set: { resourceId: survivor._id } },
+        { session }
+      );
+      expect(Alert.updateMany).toHaveBeenCalledWith(
+        { itemId: { $in: [duplicate._id] } },
+        { $set: { itemId: survivor._id } },
+        { session }
+      );
+    });
+
+    it("should keep the survivor's barcode and record the source's in history", async () => {
+      const survivor = buildItem({ name: "Drill", barcode: "KEEP" });
+      const duplicate = buildItem({ name: "Drill", barcode: "OLD" });
+      jest
+        .spyOn(Item, "find")
+        .mockResolvedValueOnce([survivor, duplicate])
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue([]) });
+      req.body = {
+        survivorId: survivor._id.toString(),
+        itemIds: [survivor._id.toString(), duplicate._id.toString()],
+      };
+
+      await itemMergeController.mergeItems(req, res, next);
+
+      expect(survivor.barcode).toBe("KEEP");
+      expect(survivor.barcodeHistory.map((entry) => entry.barcode)).toEqual([
+        "OLD",
+      ]);
+    });
+
+    it("should refuse items with serial numbers", async () => {
+      const survivor = buildItem({ name: "Laptop", isSerialized: true });
+      const duplicate = buildItem({ name: "Laptop" });
+      jest.spyOn(Item, "find").mockResolvedValueOnce([survivor, duplicate]);
+      req.body = {
+        survivorId: survivor._id.toString(),
+        itemIds: [duplicate._id.toString()],
+      };
+
+      await itemMergeController.mergeItems(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+
+    it("should refuse items with transfers in transit", async () => {
+      const survivor = buildItem({ name: "Drill" });
+      const duplicate = buildItem({ name: "Drill" });
+      jest.spyOn(Item, "find").mockResolvedValueOnce([survivor, duplicate]);
+      StockTransfer.exists.mockResolvedValueOnce({ _id: "transfer" });
+      req.body = {
+        survivorId: survivor._id.toString(),
+        itemIds: [duplicate._id.toString()],
+      };
+
+      await itemMergeController.mergeItems(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+    });
+  });
+
+  describe("getDuplicateCandidates", () => {
+    // Resolve the scan query to the given items
+    const mockScan = (items) => {
+      const chain = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(items),
+      };
+      jest.spyOn(Item, "find").mockReturnValue(chain);
+      return chain;
+    };
+
+    it("should group items by SKU, barcode and similar names", async () => {
+      const items = [
+        { _id: "1", name: "Cordless Drill", sku: "DRL-1" },
+        { _id: "2", name: "cordless  drill", sku: "drl-1" },
+        { _id: "3", name: "Cordless Drills" },
+        { _id: "4", name: "Hammer", barcode: "B1" },
+        { _id: "5", name: "Mallet", barcodeHistory: [{ barcode: "B1" }] },
+        { _id: "6", name: "Screwdriver" },
+      ];
+      mockScan(items);
+
+      await itemMergeController.getDuplicateCandidates(req, res, next);
+
+      const { groups } = ApiResponse.success.mock.calls[0][2];
+      const ids = (reason) =>
+        groups
+          .filter((group) => group.reason === reason)
+          .map((group) => group.items.map((item) => item._id));
+
+      expect(ids("sku")).toEqual([["1", "2"]]);
+      expect(ids("barcode")).toEqual([["4", "5"]]);
+      expect(ids("name")).toEqual([["1", "2", "3"]]);
+    });
+
+    it("should only compare names that start alike and cap the scan", async () => {
+      const items = Array.from({ length: 1001 }, (_, index) => ({
+        _id: String(index),
+        name: index === 0 ? "Drill bit" : `${index} part`,
+      }));
+      items[1].name = "Rill bit";
+      const chain = mockScan(items);
+
+      await itemMergeController.getDuplicateCandidates(req, res, next);
+
+      const { groups, truncated } = ApiResponse.success.mock.calls[0][2];
+      expect(chain.limit).toHaveBeenCalledWith(1001);
+      expect(truncated).toBe(true);
+      expect(groups.some((group) => group.items[0]._id === "0")).toBe(false);
+    });
+  });
+});
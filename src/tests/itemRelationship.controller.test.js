@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const ItemRelationship = require("../models/itemRelationship.model");
+const Activity = require("../models/activity.model");
+const itemRelationshipController = require("../controllers/itemRelationship.controller");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/activity.model");
+jest.mock("../utils/apiResponse");
+
+describe("Item Relationship Controller", () => {
+  let req, res, next, userId, drill, otherDrill;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    userId = new mongoose.Types.ObjectId();
+    drill = { _id: new mongoose.Types.ObjectId(), name: "Drill" };
+    otherDrill = { _id: new mongoose.Types.ObjectId(), name: "Other Drill" };
+    req = {
+      user: { id: userId.toString() },
+      params: { id: drill._id.toString() },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("addItemRelationship", () => {
+    it("should refuse to link an item to itself", async () => {
+      const findItem = jest.spyOn(Item, "findOne");
+      req.body = { relatedItemId: drill._id.toString(), type: "substitute" };
+
+      await itemRelationshipController.addItemRelationship(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(findItem).not.toHaveBeenCalled();
+    });
+
+    it("should not link to another user's item", async () => {
+      jest
+        .spyOn(Item, "findOne")
+        .mockResolvedValueOnce(drill)
+        .mockResolvedValueOnce(null);
+      const create = jest.spyOn(ItemRelationship, "create");
+      req.body = {
+        relatedItemId: otherDrill._id.toString(),
+        type: "substitute",
+      };
+
+      await itemRelationshipController.addItemRelationship(req, res, next);
+
+      expect(Item.findOne).toHaveBeenCalledWith({
+        _id: req.body.relatedItemId,
+        userId: req.user.id,
+      });
+      expect(next).toHaveBeenCalledWith(
+        new NotFoundError("Related item not found")
+      );
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it("should reject a substitute link that already exists the other way round", async () => {
+      jest
+        .spyOn(Item, "findOne")
+        .mockResolvedValueOnce(drill)
+        .mockResolvedValueOnce(otherDrill);
+      jest.spyOn(ItemRelationship, "findOne").mockResolvedValue({
+        itemId: otherDrill._id,
+        relatedItemId: drill._id,
+        type: "substitute",
+      });
+      const create = jest.spyOn(ItemRelationship, "create");
+      req.body = {
+        relatedItemId: otherDrill._id.toString(),
+        type: "substitute",
+      };
+
+      await itemRelationshipController.addItemRelationship(req, res, next);
+
+      expect(ItemRelationship.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "substitute",
+          $or: expect.arrayContaining([
+            { itemId: otherDrill._id, relatedItemId: drill._id },
+          ]),
+        })
+      );
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("removeItemRelationship", () => {
+    it("should let the related item remove the link", async () => {
+      const relationship = {
+        _id: new mongoose.Types.ObjectId(),
+        itemId: drill._id,
+        relatedItemId: otherDrill._id,
+        type: "accessory",
+        deleteOne: jest.fn().mockResolvedValue({}),
+      };
+      jest.spyOn(ItemRelationship, "findOne").mockResolvedValue(relationship);
+      req.params = {
+        id: otherDrill._id.toString(),
+        relationshipId: relationship._id.toString(),
+      };
+
+      await itemRelationshipController.removeItemRelationship(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(ItemRelationship.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: req.user.id,
+          $or: [{ itemId: req.params.id }, { relatedItemId: req.params.id }],
+        })
+      );
+      expect(relationship.deleteOne).toHaveBeenCalled();
+      expect(Activity.create).toHaveBeenCalledWith(
+        expect.objectContaining({ resourceId: req.params.id })
+      );
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        "Relationship removed successfully"
+      );
+    });
+  });
+});
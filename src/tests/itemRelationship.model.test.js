@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+const ItemRelationship = require("../models/itemRelationship.model");
+
+describe("ItemRelationship Model", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const drill = { _id: new mongoose.Types.ObjectId(), name: "Drill" };
+  const battery = {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Battery",
+    quantity: 4,
+    reservedQuantity: 1,
+  };
+  const otherDrill = {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Other Drill",
+    sku: "DRL-2",
+    quantity: 6,
+    unit: "each",
+  };
+  const emptyDrill = {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Empty Drill",
+    quantity: 2,
+    reservedQuantity: 2,
+  };
+
+  // Build a stored link between two items
+  const buildLink = (item, relatedItem, type) =>
+    new ItemRelationship({
+      itemId: item._id,
+      relatedItemId: relatedItem._id,
+      type,
+      userId,
+    });
+
+  // Mock the populated link lookup of forItem
+  const mockLinks = (links) =>
+    jest.spyOn(ItemRelationship, "find").mockReturnValue({
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockResolvedValue(links),
+    });
+
+  // Populated form of a link, as returned by forItem's lookup
+  const populated = (item, relatedItem, type) => ({
+    _id: new mongoose.Types.ObjectId(),
+    itemId: item,
+    relatedItemId: relatedItem,
+    type,
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("forItem", () => {
+    it("should describe links from the item's side", async () => {
+      mockLinks([
+        populated(drill, battery, "accessory"),
+        populated(otherDrill, drill, "substitute"),
+        populated(battery, drill, "replacement_part"),
+        populated(drill, null, "related"),
+      ]);
+
+      const links = await ItemRelationship.forItem(drill._id);
+
+      expect(links.map((link) => [link.relation, link.item.name])).toEqual([
+        ["accessory", "Battery"],
+        ["substitute", "Other Drill"],
+        ["replacement_part_for", "Battery"],
+      ]);
+    });
+  });
+
+  describe("findInStockSubstitutes", () => {
+    it("should list substitutes with available stock", async () => {
+      mockLinks([
+        populated(drill, otherDrill, "substitute"),
+        populated(emptyDrill, drill, "substitute"),
+      ]);
+
+      const substitutes = await ItemRelationship.findInStockSubstitutes(drill);
+
+      expect(substitutes).toEqual([
+        {
+          itemId: otherDrill._id,
+          name: "Other Drill",
+          sku: "DRL-2",
+          availableQuantity: 6,
+          unit: "each",
+        },
+      ]);
+    });
+  });
+
+  describe("repoint", () => {
+    it("should move links to the survivor and drop self links and repeats", async () => {
+      const accessory = buildLink(drill, battery, "accessory");
+      const repeated = buildLink(otherDrill, battery, "accessory");
+      const selfLink = buildLink(otherDrill, drill, "substitute");
+      const reversed = buildLink(emptyDrill, otherDrill, "related");
+      const links = [accessory, repeated, selfLink, reversed];
+      jest.spyOn(ItemRelationship, "find").mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue(links),
+        }),
+      });
+      links.forEach((link) => {
+        jest.spyOn(link, "save").mockResolvedValue(link);
+        jest.spyOn(link, "deleteOne").mockResolvedValue(link);
+      });
+
+      await ItemRelationship.repoint([otherDrill._id], drill._id);
+
+      expect(accessory.save).not.toHaveBeenCalled();
+      expect(repeated.deleteOne).toHaveBeenCalled();
+      expect(selfLink.deleteOne).toHaveBeenCalled();
+      expect(reversed.relatedItemId).toEqual(drill._id);
+      expect(reversed.save).toHaveBeenCalled();
+    });
+  });
+});
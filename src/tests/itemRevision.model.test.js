@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const ItemRevision = require("../models/itemRevision.model");
+
+describe("ItemRevision Model", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  // Mock the latest revision lookup
+  const mockLatest = (revision) =>
+    jest.spyOn(ItemRevision, "findOne").mockReturnValue({
+      sort: jest.fn().mockResolvedValue(revision),
+    });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest
+      .spyOn(ItemRevision, "create")
+      .mockImplementation(async (doc) => ({ ...doc }));
+  });
+
+  describe("takeSnapshot", () => {
+    it("should capture item state as plain JSON without bookkeeping fields", () => {
+      const item = new Item({
+        name: "Drill",
+        userId,
+        quantity: 4,
+        customFields: { color: "red" },
+      });
+
+      const snapshot = ItemRevision.takeSnapshot(item);
+
+      expect(snapshot.name).toBe("Drill");
+      expect(snapshot.customFields).toEqual({ color: "red" });
+      expect(snapshot._id).toBeUndefined();
+      expect(snapshot.userId).toBeUndefined();
+    });
+  });
+
+  describe("diffSnapshots", () => {
+    it("should list changed fields including nested custom fields", () => {
+      const changes = ItemRevision.diffSnapshots(
+        { name: "Drill", price: 10, customFields: { color: "red" } },
+        {
+          name: "Drill",
+          price: 12,
+          customFields: { color: "blue", size: "L" },
+          notes: "Cordless",
+        }
+      );
+
+      expect(changes).toEqual([
+        { field: "customFields.color", from: "red", to: "blue" },
+        { field: "customFields.size", from: null, to: "L" },
+        { field: "notes", from: null, to: "Cordless" },
+        { field: "price", from: 10, to: 12 },
+      ]);
+    });
+
+    it("should compare arrays as a whole", () => {
+      expect(
+        ItemRevision.diffSnapshots({ tags: ["a", "b"] }, { tags: ["a", "b"] })
+      ).toEqual([]);
+      expect(
+        ItemRevision.diffSnapshots({ tags: ["a"] }, { tags: ["a", "b"] })
+      ).toEqual([{ field: "tags", from: ["a"], to: ["a", "b"] }]);
+    });
+  });
+
+  describe("record", () => {
+    it("should record a baseline before the first update of an older item", async () => {
+      const item = new Item({ name: "Drill", userId, price: 12 });
+      mockLatest(null);
+
+      const revision = await ItemRevision.record(item, {
+        userId,
+        previous: { name: "Drill", price: 10 },
+      });
+
+      expect(ItemRevision.create).toHaveBeenNthCalledWith(
+        1,
+        expect.objectContaining({ revision: 1, action: "baseline" })
+      );
+      expect(revision.revision).toBe(2);
+      expect(revision.changedFields).toContain("price");
+    });
+
+    it("should skip updates that changed nothing", async () => {
+      const item = new Item({ name: "Drill", userId });
+      const latest = {
+        revision: 3,
+        snapshot: ItemRevision.takeSnapshot(item),
+      };
+      mockLatest(latest);
+
+      const revision = await ItemRevision.record(item, { userId });
+
+      expect(revision).toBe(latest);
+      expect(ItemRevision.create).not.toHaveBeenCalled();
+    });
+
+    it("should always record a rollback", async () => {
+      const item = new Item({ name: "Drill", userId });
+      mockLatest({ revision: 3, snapshot: ItemRevision.takeSnapshot(item) });
+
+      const revision = await ItemRevision.record(item, {
+        userId,
+        action: "restore",
+        restoredFrom: 1,
+      });
+
+      expect(revision).toEqual(
+        expect.objectContaining({
+          revision: 4,
+          action: "restore",
+          restoredFrom: 1,
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const kitController = require("../controllers/kit.controller");
+const notificationService = require("../services/notificationService");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/location.model");
+jest.mock("../models/activity.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+const { getBuildableQuantity } = jest.requireActual("../models/item.model");
+
+describe("Kit Controller", () => {
+  let req, res, next, session;
+
+  // Build a minimal item whose updateQuantity applies the change
+  const buildItem = (
+    name,
+    quantity,
+    components = [],
+    cost = 0,
+    stockLocations = []
+  ) => {
+    const item = {
+      _id: new mongoose.Types.ObjectId(),
+      name,
+      quantity,
+      cost,
+      availableQuantity: quantity,
+      variants: [],
+      isSerialized: false,
+      components,
+      stockLocations,
+      getLocationQuantity: (locationId) => {
+        const stock = item.stockLocations.find((entry) =>
+          entry.locationId.equals(locationId)
+        );
+        return stock ? stock.quantity : 0;
+      },
+      save: jest.fn(),
+      updateQuantity: jest.fn().mockImplementation(async (change) => {
+        item.quantity += change;
+        item.availableQuantity = item.quantity;
+        return {
+          change,
+          cost: Math.abs(change) * item.cost,
+          transactionId: new mongoose.Types.ObjectId(),
+        };
+      }),
+    };
+    return item;
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { id: "user123" },
+      params: { id: "kit123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn(),
+    };
+    jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+
+    Item.getBuildableQuantity.mockImplementation(getBuildableQuantity);
+    ApiResponse.success = jest.fn().mockReturnValue({});
+  });
+
+  describe("buildKit", () => {
+    it("should consume components and add kit stock in one transaction", async () => {
+      const bolt = buildItem("Bolt", 10, [], 0.5);
+      const nut = buildItem("Nut", 9, [], 0.2);
+      const kit = buildItem("Fixing kit", 1, [
+        { itemId: bolt._id, quantity: 2 },
+        { itemId: nut._id, quantity: 3 },
+      ]);
+      Item.findOne.mockResolvedValueOnce(kit);
+      Item.find.mockResolvedValueOnce([bolt, nut]);
+      req.body = { quantity: 3 };
+
+      await kitController.buildKit(req, res, next);
+
+      expect(bolt.updateQuantity).toHaveBeenCalledWith(
+        -6,
+        "Built 3 x Fixing kit",
+        expect.objectContaining({
+          reasonCode: "assembly",
+          source: "kit_build",
+          session,
+        })
+      );
+      expect(nut.quantity).toBe(0);
+      expect(kit.quantity).toBe(4);
+      // Each kit costs two bolts and three nuts
+      expect(kit.updateQuantity.mock.calls[0][2].unitCost).toBeCloseTo(1.6);
+      expect(session.commitTransaction).toHaveBeenCalled();
+      expect(Activity.create).toHaveBeenCalledTimes(3);
+      expect(notificationService.emitItemEvent).toHaveBeenCalledTimes(3);
+      expect(ApiResponse.success.mock.calls[0][2].buildableQuantity).toBe(0);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should refuse the build when any component is short", async () => {
+      const bolt = buildItem("Bolt", 10);
+      const nut = buildItem("Nut", 5);
+      const kit = buildItem("Fixing kit", 0, [
+        { itemId: bolt._id, quantity: 2 },
+        { itemId: nut._id, quantity: 3 },
+      ]);
+      Item.findOne.mockResolvedValueOnce(kit);
+      Item.find.mockResolvedValueOnce([bolt, nut]);
+      req.body = { quantity: 2 };
+
+      await kitController.buildKit(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(next.mock.calls[0][0].message).toContain("Nut needs 6");
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+      expect(bolt.updateQuantity).not.toHaveBeenCalled();
+    });
+    it("should refuse to build into another user's location", async () => {
+      const bolt = buildItem("Bolt", 10);
+      const kit = buildItem("Bolt kit", 0, [{ itemId: bolt._id, quantity: 2 }]);
+      Item.findOne.mockResolvedValueOnce(kit);
+      Location.countDocuments.mockResolvedValueOnce(0);
+      req.body = {
+        quantity: 1,
+        locationId: new mongoose.Types.ObjectId().toString(),
+      };
+
+      await kitController.buildKit(req, res, next);
+
+      expect(Location.countDocuments).toHaveBeenCalledWith({
+        _id: req.body.locationId,
+        userId: "user123",
+      });
+      expect(next).toHaveBeenCalledWith(
+        new NotFoundError("Location not found")
+      );
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+
+    it("should draw components without stock at the location from where they are stored", async () => {
+      const bench = new mongoose.Types.ObjectId();
+      const shelf = new mongoose.Types.ObjectId();
+      const bolt = buildItem("Bolt", 10, [], 0, [
+        { locationId: bench, quantity: 10 },
+      ]);
+      const nut = buildItem("Nut", 9, [], 0, [
+        { locationId: shelf, quantity: 9 },
+      ]);
+      const kit = buildItem("Fixing kit", 0, [
+        { itemId: bolt._id, quantity: 2 },
+        { itemId: nut._id, quantity: 3 },
+      ]);
+      Item.findOne.mockResolvedValueOnce(kit);
+      Item.find.mockResolvedValueOnce([bolt, nut]);
+      Location.countDocuments.mockResolvedValueOnce(1);
+      req.body = { quantity: 2, locationId: bench.toString() };
+
+      await kitController.buildKit(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(bolt.updateQuantity.mock.calls[0][2].locationId).toBe(
+        req.body.locationId
+      );
+      expect(nut.updateQuantity.mock.calls[0][2].locationId).toBeNull();
+      expect(kit.updateQuantity.mock.calls[0][2].locationId).toBe(
+        req.body.locationId
+      );
+    });
+  });
+
+  describe("setComponents", () => {
+    it("should refuse a component that contains the kit", async () => {
+      const kit = buildItem("Fixing kit", 0);
+      const subKit = buildItem("Sub kit", 4, [
+        { itemId: kit._id, quantity: 1 },
+      ]);
+      Item.findOne.mockResolvedValueOnce(kit);
+      Item.find.mockResolvedValueOnce([subKit]).mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue([subKit]),
+      });
+      req.body = { components: [{ itemId: subKit._id, quantity: 1 }] };
+
+      await kitController.setComponents(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(kit.save).not.toHaveBeenCalled();
+    });
+  });
+});
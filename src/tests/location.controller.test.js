@@ -0,0 +1,196 @@
+const mongoose = require("mongoose");
+const Location = require("../models/location.model");
+const Item = require("../models/item.model");
+const locationController = require("../controllers/location.controller");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/location.model");
+jest.mock("../utils/apiResponse");
+
+describe("Location Controller", () => {
+  let req, res, next, userId;
+
+  // Build a location whose stock summary reports the given quantity
+  const buildLocation = (name, totalQuantity = 0) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    userId,
+    getStockSummary: jest
+      .fn()
+      .mockResolvedValue({ itemCount: 1, totalQuantity, totalValue: 0 }),
+    save: jest.fn().mockResolvedValue(),
+    deleteOne: jest.fn().mockResolvedValue(),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+
+    userId = new mongoose.Types.ObjectId().toString();
+    req = {
+      user: { id: userId },
+      params: {},
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("createLocation", () => {
+    it("should create a location for the user", async () => {
+      const location = buildLocation("Back room");
+      Location.findOne.mockResolvedValueOnce(null);
+      Location.create.mockResolvedValueOnce(location);
+      req.body = { name: " Back room ", code: "BR" };
+
+      await locationController.createLocation(req, res, next);
+
+      expect(Location.findOne).toHaveBeenCalledWith({
+        name: "Back room",
+        userId,
+      });
+      expect(Location.create).toHaveBeenCalledWith({
+        name: " Back room ",
+        code: "BR",
+        description: undefined,
+        userId,
+      });
+      expect(ApiResponse.created).toHaveBeenCalledWith(
+        res,
+        "Location created successfully",
+        { location }
+      );
+    });
+
+    it("should refuse a name the user already has", async () => {
+      Location.findOne.mockResolvedValueOnce(buildLocation("Back room"));
+      req.body = { name: "Back room" };
+
+      await locationController.createLocation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+      expect(Location.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getLocationById", () => {
+    it("should list items with the quantity held at the location", async () => {
+      const location = buildLocation("Shelf A", 4);
+      const item = new Item({
+        name: "Hinge",
+        userId,
+        quantity: 10,
+        stockLocations: [
+          { locationId: location._id, quantity: 4 },
+          { locationId: new mongoose.Types.ObjectId(), quantity: 6 },
+        ],
+      });
+      Location.findOne.mockResolvedValueOnce(location);
+      const chain = {
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockResolvedValue([item]),
+      };
+      jest.spyOn(Item, "find").mockReturnValue(chain);
+      req.params.id = location._id.toString();
+
+      await locationController.getLocationById(req, res, next);
+
+      expect(Item.find).toHaveBeenCalledWith({
+        userId,
+        "stockLocations.locationId": location._id,
+      });
+      const { items } = ApiResponse.success.mock.calls[0][2];
+      expect(items).toEqual([
+        expect.objectContaining({ totalQuantity: 10, quantity: 4 }),
+      ]);
+    });
+
+    it("should return not found for other users' locations", async () => {
+      Location.findOne.mockResolvedValueOnce(null);
+      req.params.id = new mongoose.Types.ObjectId().toString();
+
+      await locationController.getLocationById(req, res, next);
+
+      expect(Location.findOne).toHaveBeenCalledWith({
+        _id: req.params.id,
+        userId,
+      });
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+    });
+  });
+
+  describe("updateLocation", () => {
+    it("should rename and deactivate the location", async () => {
+      const location = buildLocation("Shelf A");
+      Location.findOne
+        .mockResolvedValueOnce(location)
+        .mockResolvedValueOnce(null);
+      req.params.id = location._id.toString();
+      req.body = { name: "Shelf B", isActive: false };
+
+      await locationController.updateLocation(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(location.name).toBe("Shelf B");
+      expect(location.isActive).toBe(false);
+      expect(location.save).toHaveBeenCalled();
+    });
+
+    it("should refuse a name used by another location", async () => {
+      const location = buildLocation("Shelf A");
+      Location.findOne
+        .mockResolvedValueOnce(location)
+        .mockResolvedValueOnce(buildLocation("Shelf B"));
+      req.params.id = location._id.toString();
+      req.body = { name: "Shelf B" };
+
+      await locationController.updateLocation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+      expect(location.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteLocation", () => {
+    it("should refuse to delete a location that holds stock", async () => {
+      const location = buildLocation("Shelf A", 3);
+      Location.findOne.mockResolvedValueOnce(location);
+      jest.spyOn(Item, "updateMany");
+
+      await locationController.deleteLocation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(Item.updateMany).not.toHaveBeenCalled();
+      expect(location.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it("should drop empty balances before deleting", async () => {
+      const location = buildLocation("Shelf A", 0);
+      Location.findOne.mockResolvedValueOnce(location);
+      jest.spyOn(Item, "updateMany").mockResolvedValue({ modifiedCount: 2 });
+
+      await locationController.deleteLocation(req, res, next);
+
+      expect(Item.updateMany).toHaveBeenCalledWith(
+        { userId, "stockLocations.locationId": location._id },
+        { $pull: { stockLocations: { locationId: location._id } } }
+      );
+      expect(location.deleteOne).toHaveBeenCalled();
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        "Location deleted successfully"
+      );
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+const PurchaseOrder = require("../models/purchaseOrder.model");
+const Item = require("../models/item.model");
+const Activity = require("../models/activity.model");
+const Alert = require("../models/alert.model");
+const Location = require("../models/location.model");
+const purchaseOrderController = require("../controllers/purchaseOrder.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/activity.model");
+jest.mock("../models/alert.model");
+jest.mock("../models/supplier.model");
+jest.mock("../models/location.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Purchase Order Controller", () => {
+  let req, res, next;
+
+  const supplierId = new mongoose.Types.ObjectId();
+
+  // Build an order document with real line and status behaviour
+  const buildOrder = (status = "sent", lines = [{ quantityOrdered: 10 }]) => {
+    const order = new PurchaseOrder({
+      orderNumber: "PO-00001",
+      supplierId,
+      userId: new mongoose.Types.ObjectId(),
+      status,
+      lines: lines.map((line) => ({
+        itemId: new mongoose.Types.ObjectId(),
+        unitCost: 2.5,
+        ...line,
+      })),
+    });
+    order.save = jest.fn().mockResolvedValue(order);
+    return order;
+  };
+
+  // Build a minimal item whose updateQuantity applies the change
+  const buildItem = (overrides = {}) => {
+    const item = {
+      _id: "item123",
+      name: "Drill Bit",
+      quantity: 1,
+      preferredSupplierId: null,
+      cost: 0,
+      updateQuantity: jest.fn().mockImplementation(async (change) => {
+        item.quantity += change;
+        return { change, transactionId: "tx1" };
+      }),
+      ...overrides,
+    };
+    return item;
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { id: "user123" },
+      params: { id: "order123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("receivePurchaseOrder", () => {
+    it("should receive stock and mark the order partially received", async () => {
+      const order = buildOrder();
+      const item = buildItem();
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      Item.findOne.mockResolvedValueOnce(item);
+      req.body = { lines: [{ lineId: order.lines[0]._id, quantity: 4 }] };
+
+      await purchaseOrderController.receivePurchaseOrder(req, res, next);
+
+      expect(item.updateQuantity).toHaveBeenCalledWith(
+        4,
+        "Received on PO-00001",
+        expect.objectContaining({
+          reasonCode: "receipt",
+          source: "purchase_order",
+          userId: "user123",
+        })
+      );
+      expect(Alert.checkAndResolveAlerts).toHaveBeenCalledWith(item);
+      expect(Activity.create).toHaveBeenCalled();
+      expect(order.lines[0].quantityReceived).toBe(4);
+      expect(order.status).toBe("partially_received");
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should mark the order received once every line is complete", async () => {
+      const order = buildOrder("partially_received", [
+        { quantityOrdered: 10, quantityReceived: 6 },
+      ]);
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      Item.findOne.mockResolvedValueOnce(buildItem());
+      req.body = { lines: [{ lineId: order.lines[0]._id, quantity: 4 }] };
+
+      await purchaseOrderController.receivePurchaseOrder(req, res, next);
+
+      expect(order.status).toBe("received");
+      expect(order.receivedAt).toBeTruthy();
+    });
+
+    it("should update the cost of items from their preferred supplier", async () => {
+      const order = buildOrder();
+      const item = buildItem({ preferredSupplierId: supplierId, cost: 2 });
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      Item.findOne.mockResolvedValueOnce(item);
+      req.body = { lines: [{ lineId: order.lines[0]._id, quantity: 1 }] };
+
+      await purchaseOrderController.receivePurchaseOrder(req, res, next);
+
+      expect(item.cost).toBe(2.5);
+    });
+
+    it("should refuse to receive more than is outstanding", async () => {
+      const order = buildOrder("sent", [
+        { quantityOrdered: 10, quantityReceived: 8 },
+      ]);
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      req.body = { lines: [{ lineId: order.lines[0]._id, quantity: 3 }] };
+
+      await purchaseOrderController.receivePurchaseOrder(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(Item.findOne).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to receive into another user's location", async () => {
+      const order = buildOrder();
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      Location.countDocuments.mockResolvedValueOnce(0);
+      const locationId = new mongoose.Types.ObjectId().toString();
+      req.body = {
+        lines: [{ lineId: order.lines[0]._id, quantity: 2, locationId }],
+      };
+
+      await purchaseOrderController.receivePurchaseOrder(req, res, next);
+
+      expect(Location.countDocuments).toHaveBeenCalledWith({
+        _id: { $in: [locationId] },
+        userId: "user123",
+      });
+      expect(next).toHaveBeenCalledWith(
+        new NotFoundError("Location not found")
+      );
+      expect(Item.findOne).not.toHaveBeenCalled();
+      expect(order.lines[0].quantityReceived).toBe(0);
+    });
+
+    it("should refuse receipts against draft orders", async () => {
+      const order = buildOrder("draft");
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      req.body = { lines: [{ lineId: order.lines[0]._id, quantity: 1 }] };
+
+      await purchaseOrderController.receivePurchaseOrder(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+    });
+
+    it("should return not found for an unknown order", async () => {
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(null);
+      req.body = { lines: [] };
+
+      await purchaseOrderController.receivePurchaseOrder(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+    });
+  });
+
+  describe("updatePurchaseOrderStatus", () => {
+    it("should send a draft order", async () => {
+      const order = buildOrder("draft");
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      req.body = { status: "sent" };
+
+      await purchaseOrderController.updatePurchaseOrderStatus(req, res, next);
+
+      expect(order.status).toBe("sent");
+      expect(order.sentAt).toBeTruthy();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should not close a draft order", async () => {
+      const order = buildOrder("draft");
+      jest.spyOn(PurchaseOrder, "findOne").mockResolvedValueOnce(order);
+      req.body = { status: "closed" };
+
+      await purchaseOrderController.updatePurchaseOrderStatus(req, res, next);
+
+      expect(order.status).toBe("draft");
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const Item = require("../models/item.model");
+const Reservation = require("../models/reservation.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const reservationController = require("../controllers/reservation.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/reservation.model");
+jest.mock("../models/location.model");
+jest.mock("../models/activity.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Reservation Controller", () => {
+  let req, res, next;
+
+  // Build a minimal item document with on-hand and reserved stock
+  const buildItem = (quantity = 10, reservedQuantity = 0) => ({
+    _id: "item123",
+    name: "Drill",
+    quantity,
+    reservedQuantity,
+    availableQuantity: Math.max(quantity - reservedQuantity, 0),
+    updateQuantity: jest.fn(),
+  });
+
+  // Build a minimal reservation document
+  const buildReservation = (overrides = {}) => ({
+    _id: "res123",
+    itemId: "item123",
+    quantity: 4,
+    reference: "JOB-1",
+    status: "active",
+    close: jest.fn(),
+    save: jest.fn(),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    req = {
+      user: { id: "user123" },
+      params: { id: "item123", reservationId: "res123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+    Reservation.expireDue.mockResolvedValue(0);
+  });
+
+  describe("createReservation", () => {
+    it("should reserve stock and report available quantity", async () => {
+      const reservation = buildReservation();
+      Item.findOne.mockResolvedValueOnce(buildItem(10));
+      Reservation.reserve.mockResolvedValueOnce({
+        reservation,
+        item: buildItem(10, 4),
+      });
+      req.body = { quantity: "4", reference: "JOB-1" };
+
+      await reservationController.createReservation(req, res, next);
+
+      expect(Reservation.reserve).toHaveBeenCalledWith(
+        expect.objectContaining({ quantity: 4, userId: "user123" })
+      );
+      expect(Activity.create).toHaveBeenCalled();
+      expect(ApiResponse.created).toHaveBeenCalledWith(
+        res,
+        "Reservation created successfully",
+        {
+          reservation,
+          stock: { onHand: 10, reserved: 4, available: 6 },
+        }
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to reserve more than is available", async () => {
+      Item.findOne.mockResolvedValueOnce(buildItem(2));
+      Reservation.reserve.mockRejectedValueOnce(
+        new Error("Insufficient available quantity")
+      );
+      req.body = { quantity: 5 };
+
+      await reservationController.createReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(Activity.create).not.toHaveBeenCalled();
+    });
+
+    it("should reject an expiry date in the past", async () => {
+      Item.findOne.mockResolvedValueOnce(buildItem(10));
+      req.body = { quantity: 1, expiresAt: "2000-01-01T00:00:00.000Z" };
+
+      await reservationController.createReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(Reservation.reserve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("releaseReservation", () => {
+    it("should return not found for an unknown reservation", async () => {
+      Reservation.findOne.mockResolvedValueOnce(null);
+
+      await reservationController.releaseReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+    });
+
+    it("should return not found when the item has been purged", async () => {
+      const reservation = buildReservation();
+      reservation.close.mockResolvedValueOnce(null);
+      Reservation.findOne.mockResolvedValueOnce(reservation);
+
+      await reservationController.releaseReservation(req, res, next);
+
+      expect(reservation.close).toHaveBeenCalledWith("released");
+      expect(next).toHaveBeenCalledWith(new NotFoundError("Item not found"));
+      expect(Activity.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("fulfillReservation", () => {
+    it("should issue the reserved stock", async () => {
+      const item = buildItem(10, 0);
+      const reservation = buildReservation();
+      reservation.close.mockResolvedValueOnce(item);
+      item.updateQuantity.mockImplementationOnce(async (change) => {
+        item.quantity += change;
+        return { transactionId: "tx1" };
+      });
+      Reservation.findOne.mockResolvedValueOnce(reservation);
+
+      await reservationController.fulfillReservation(req, res, next);
+
+      expect(reservation.close).toHaveBeenCalledWith("fulfilled");
+      expect(item.updateQuantity).toHaveBeenCalledWith(
+        -4,
+        "Reservation JOB-1 fulfilled",
+        expect.objectContaining({ reasonCode: "issue", userId: "user123" })
+      );
+      expect(item.quantity).toBe(6);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to issue from another user's location", async () => {
+      const reservation = buildReservation();
+      Reservation.findOne.mockResolvedValueOnce(reservation);
+      Location.countDocuments.mockResolvedValueOnce(0);
+      req.body = { locationId: "5f0000000000000000000001" };
+
+      await reservationController.fulfillReservation(req, res, next);
+
+      expect(Location.countDocuments).toHaveBeenCalledWith({
+        _id: "5f0000000000000000000001",
+        userId: "user123",
+      });
+      expect(next).toHaveBeenCalledWith(
+        new NotFoundError("Location not found")
+      );
+      expect(reservation.close).not.toHaveBeenCalled();
+    });
+
+    it("should restore the hold when the stock cannot be issued", async () => {
+      const item = buildItem(2, 0);
+      const reservation = buildReservation();
+      reservation.close.mockResolvedValueOnce(item);
+      item.updateQuantity.mockRejectedValueOnce(
+        new Error("Insufficient quantity")
+      );
+      Reservation.findOne.mockResolvedValueOnce(reservation);
+
+      await reservationController.fulfillReservation(req, res, next);
+
+      expect(reservation.status).toBe("active");
+      expect(reservation.save).toHaveBeenCalled();
+      expect(Item.updateOne).toHaveBeenCalledWith(
+        { _id: "item123" },
+        { $inc: { reservedQuantity: 4 } }
+      );
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const mongoose = require("mongoose");
+const SalesOrder = require("../models/salesOrder.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Location = require("../models/location.model");
+const Activity = require("../models/activity.model");
+const salesOrderController = require("../controllers/salesOrder.controller");
+const notificationService = require("../services/notificationService");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/folder.model");
+jest.mock("../models/location.model");
+jest.mock("../models/activity.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Sales Order Controller", () => {
+  let req, res, next;
+
+  // Build an order document with real line and status behaviour
+  const buildOrder = (lines, status = "confirmed") => {
+    const order = new SalesOrder({
+      orderNumber: "SO-00001",
+      userId: new mongoose.Types.ObjectId(),
+      status,
+      lines,
+    });
+    order.save = jest.fn().mockResolvedValue(order);
+    return order;
+  };
+
+  // Build a minimal item whose updateQuantity applies the change
+  const buildItem = (overrides = {}) => {
+    const item = {
+      _id: new mongoose.Types.ObjectId(),
+      name: "Widget",
+      quantity: 5,
+      availableQuantity: 5,
+      stockLocations: [],
+      variants: { id: () => null },
+      updateQuantity: jest.fn().mockImplementation(async (change) => {
+        item.quantity += change;
+        item.availableQuantity += change;
+        return { change, transactionId: "tx1" };
+      }),
+      ...overrides,
+    };
+    return item;
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { id: "user123" },
+      params: { id: "order123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("fulfillSalesOrder", () => {
+    it("should ship available stock and backorder the shortfall", async () => {
+      const item = buildItem({ quantity: 3, availableQuantity: 3 });
+      const order = buildOrder([{ itemId: item._id, quantityOrdered: 5 }]);
+      jest.spyOn(SalesOrder, "findOne").mockResolvedValueOnce(order);
+      Item.findOne.mockResolvedValueOnce(item);
+
+      await salesOrderController.fulfillSalesOrder(req, res, next);
+
+      expect(item.updateQuantity).toHaveBeenCalledWith(
+        -3,
+        "Fulfilled on SO-00001",
+        expect.objectContaining({ reasonCode: "issue", source: "sales_order" })
+      );
+      expect(notificationService.emitItemEvent).toHaveBeenCalledWith(
+        "quantity_changed",
+        expect.objectContaining({ item, previousQuantity: 3, newQuantity: 0 })
+      );
+      expect(Activity.create).toHaveBeenCalled();
+      expect(order.lines[0].quantityFulfilled).toBe(3);
+      expect(order.lines[0].quantityBackordered).toBe(2);
+      expect(order.status).toBe("partially_fulfilled");
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        "Sales order partially fulfilled with backorders",
+        expect.any(Object)
+      );
+    });
+
+    it("should clear the backorder once stock arrives", async () => {
+      const item = buildItem();
+      const order = buildOrder(
+        [
+          {
+            itemId: item._id,
+            quantityOrdered: 5,
+            quantityFulfilled: 3,
+            quantityBackordered: 2,
+          },
+        ],
+        "partially_fulfilled"
+      );
+      jest.spyOn(SalesOrder, "findOne").mockResolvedValueOnce(order);
+      Item.findOne.mockResolvedValueOnce(item);
+
+      await salesOrderController.fulfillSalesOrder(req, res, next);
+
+      expect(item.updateQuantity).toHaveBeenCalledWith(
+        -2,
+        expect.any(String),
+        expect.any(Object)
+      );
+      expect(order.lines[0].quantityBackordered).toBe(0);
+      expect(order.status).toBe("fulfilled");
+    });
+
+    it("should refuse short shipments when partial fulfilment is off", async () => {
+      const item = buildItem({ quantity: 1, availableQuantity: 1 });
+      const order = buildOrder([{ itemId: item._id, quantityOrdered: 5 }]);
+      jest.spyOn(SalesOrder, "findOne").mockResolvedValueOnce(order);
+      Item.findOne.mockResolvedValueOnce(item);
+      req.body = { allowPartial: false };
+
+      await salesOrderController.fulfillSalesOrder(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(item.updateQuantity).not.toHaveBeenCalled();
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to ship from another user's location", async () => {
+      const item = buildItem();
+      const order = buildOrder([{ itemId: item._id, quantityOrdered: 2 }]);
+      jest.spyOn(SalesOrder, "findOne").mockResolvedValueOnce(order);
+      Location.countDocuments.mockResolvedValueOnce(0);
+      const locationId = new mongoose.Types.ObjectId().toString();
+      req.body = { lines: [{ lineId: order.lines[0]._id, locationId }] };
+
+      await salesOrderController.fulfillSalesOrder(req, res, next);
+
+      expect(Location.countDocuments).toHaveBeenCalledWith({
+        _id: { $in: [locationId] },
+        userId: "user123",
+      });
+      expect(next).toHaveBeenCalledWith(
+        new NotFoundError("Location not found")
+      );
+      expect(item.updateQuantity).not.toHaveBeenCalled();
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to fulfil a draft order", async () => {
+      const order = buildOrder(
+        [{ itemId: new mongoose.Types.ObjectId(), quantityOrdered: 1 }],
+        "draft"
+      );
+      jest.spyOn(SalesOrder, "findOne").mockResolvedValueOnce(order);
+
+      await salesOrderController.fulfillSalesOrder(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+    });
+  });
+
+  describe("getPickList", () => {
+    it("should group outstanding lines by folder path and location", async () => {
+      const shelfId = new mongoose.Types.ObjectId();
+      const binId = new mongoose.Types.ObjectId();
+      const locationId = new mongoose.Types.ObjectId();
+      const bolt = buildItem({ name: "Bolt", folderId: binId });
+      const nut = buildItem({ name: "Nut", folderId: shelfId });
+      const washer = buildItem({
+        name: "Washer",
+        folderId: binId,
+        stockLocations: [{ locationId, quantity: 5 }],
+        getLocationQuantity: () => 5,
+      });
+      const order = buildOrder([
+        { itemId: bolt._id, quantityOrdered: 2 },
+        { itemId: nut._id, quantityOrdered: 1 },
+        { itemId: washer._id, quantityOrdered: 4 },
+        { itemId: nut._id, quantityOrdered: 1, quantityFulfilled: 1 },
+      ]);
+      jest.spyOn(SalesOrder, "findOne").mockResolvedValueOnce(order);
+      Item.find.mockResolvedValueOnce([bolt, nut, washer]);
+      Folder.getPathNames.mockResolvedValueOnce(
+        new Map([
+          [shelfId.toString(), "Store / Shelf"],
+          [binId.toString(), "Store / Bin"],
+        ])
+      );
+      Location.find.mockReturnValueOnce({
+        select: jest
+          .fn()
+          .mockResolvedValue([{ _id: locationId, name: "Aisle 1" }]),
+      });
+
+      await salesOrderController.getPickList(req, res, next);
+
+      const { groups } = ApiResponse.success.mock.calls[0][2];
+      expect(groups.map((group) => [group.folderPath, group.location])).toEqual(
+        [
+          ["Store / Bin", ""],
+          ["Store / Bin", "Aisle 1"],
+          ["Store / Shelf", ""],
+        ]
+      );
+      expect(groups[1].lines[0]).toEqual(
+        expect.objectContaining({ name: "Washer", quantity: 4 })
+      );
+      expect(groups[2].lines).toHaveLength(1);
+    });
+  });
+});
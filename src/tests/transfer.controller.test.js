@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const StockTransfer = require("../models/stockTransfer.model");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Activity = require("../models/activity.model");
+const transferController = require("../controllers/transfer.controller");
+const notificationService = require("../services/notificationService");
+const ApiResponse = require("../utils/apiResponse");
+const { BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/folder.model");
+jest.mock("../models/location.model");
+jest.mock("../models/activity.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Transfer Controller", () => {
+  let req, res, next, session;
+
+  const userId = new mongoose.Types.ObjectId().toString();
+  const destinationFolderId = new mongoose.Types.ObjectId().toString();
+
+  // Build a minimal item whose updateQuantity applies the change
+  const buildItem = (quantity, overrides = {}) => {
+    const item = {
+      _id: new mongoose.Types.ObjectId(),
+      name: "Screws",
+      sku: "SCR-1",
+      unit: "box",
+      folderId: new mongoose.Types.ObjectId(),
+      quantity,
+      availableQuantity: quantity,
+      averageCost: 0.25,
+      variants: [],
+      isSerialized: false,
+      lots: { id: () => null },
+      receiveLot: jest.fn(),
+      updateQuantity: jest.fn().mockImplementation(async (change) => {
+        if (item.quantity + change < 0) {
+          throw new Error("Cannot reduce quantity below zero");
+        }
+        item.quantity += change;
+        return {
+          change,
+          cost: Math.abs(change) * item.averageCost,
+          lots: [],
+          locationId: null,
+          transactionId: new mongoose.Types.ObjectId(),
+        };
+      }),
+      ...overrides,
+    };
+    return item;
+  };
+
+  // Build a transfer document with save mocked out
+  const buildTransfer = (fields) => {
+    const transfer = new StockTransfer({
+      transferNumber: "TR-00001",
+      userId,
+      ...fields,
+    });
+    transfer.save = jest.fn().mockResolvedValue(transfer);
+    return transfer;
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { id: userId },
+      params: { id: "item123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn(),
+    };
+    jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+    jest
+      .spyOn(StockTransfer, "nextTransferNumber")
+      .mockResolvedValue("TR-00001");
+    jest
+      .spyOn(StockTransfer, "create")
+      .mockImplementation(async ([fields]) => [buildTransfer(fields)]);
+
+    Folder.findOne.mockResolvedValue({ _id: destinationFolderId });
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("createTransfer", () => {
+    it("should split stock into a new linked record in the destination folder", async () => {
+      const source = buildItem(10);
+      const created = buildItem(0);
+      Item.findOne
+        .mockResolvedValueOnce(source)
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue(null) });
+      Item.create.mockResolvedValueOnce([created]);
+      req.body = { destinationFolderId, quantity: 4 };
+
+      await transferController.createTransfer(req, res, next);
+
+      expect(Item.create).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({
+            sku: "SCR-1",
+            quantity: 0,
+            linkedItemId: source._id,
+          }),
+        ],
+        { session }
+      );
+      expect(source.updateQuantity).toHaveBeenCalledWith(
+        -4,
+        "Transfer TR-00001 sent",
+        expect.objectContaining({ reasonCode: "transfer", session })
+      );
+      expect(created.updateQuantity).toHaveBeenCalledWith(
+        4,
+        "Transfer TR-00001 received",
+        expect.objectContaining({ source: "transfer", unitCost: 0.25, session })
+      );
+      expect(source.quantity).toBe(6);
+      expect(created.quantity).toBe(4);
+      expect(session.commitTransaction).toHaveBeenCalled();
+      expect(Activity.create).toHaveBeenCalledTimes(2);
+      expect(notificationService.emitItemEvent).toHaveBeenCalledTimes(2);
+
+      const { transfer } = ApiResponse.created.mock.calls[0][2];
+      expect(transfer.status).toBe("completed");
+      expect(transfer.destinationTransactionId).toBeTruthy();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should only move the source side while in transit", async () => {
+      const source = buildItem(10);
+      const destination = buildItem(2, { folderId: destinationFolderId });
+      Item.findOne.mockResolvedValueOnce(source).mockReturnValueOnce({
+        session: jest.fn().mockResolvedValue(destination),
+      });
+      req.body = { destinationFolderId, quantity: 3, inTransit: true };
+
+      await transferController.createTransfer(req, res, next);
+
+      expect(source.quantity).toBe(7);
+      expect(destination.updateQuantity).not.toHaveBeenCalled();
+      expect(Item.create).not.toHaveBeenCalled();
+
+      const { transfer } = ApiResponse.created.mock.calls[0][2];
+      expect(transfer.status).toBe("in_transit");
+      expect(transfer.destinationItemId).toEqual(destination._id);
+    });
+
+    it("should refuse more than the available quantity", async () => {
+      const source = buildItem(10, { availableQuantity: 3 });
+      Item.findOne.mockResolvedValueOnce(source);
+      req.body = { destinationFolderId, quantity: 4 };
+
+      await transferController.createTransfer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+
+    it("should abort the transaction when a side fails", async () => {
+      const source = buildItem(10);
+      const destination = buildItem(0, {
+        folderId: destinationFolderId,
+        unit: "each",
+      });
+      Item.findOne.mockResolvedValueOnce(source).mockReturnValueOnce({
+        session: jest.fn().mockResolvedValue(destination),
+      });
+      req.body = { destinationFolderId, quantity: 4 };
+
+      await transferController.createTransfer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(session.commitTransaction).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+    });
+  });
+
+  describe("receiveTransfer", () => {
+    it("should credit the destination and recreate its lots", async () => {
+      const destination = buildItem(1);
+      const transfer = buildTransfer({
+        sourceItemId: new mongoose.Types.ObjectId(),
+        destinationItemId: destination._id,
+        quantity: 5,
+        unitCost: 0.4,
+        lots: [{ lotNumber: "L-1", quantity: 5 }],
+      });
+      jest.spyOn(StockTransfer, "findOne").mockResolvedValueOnce(transfer);
+      Item.findOne.mockResolvedValueOnce(destination);
+
+      await transferController.receiveTransfer(req, res, next);
+
+      expect(destination.receiveLot).toHaveBeenCalledWith(
+        { lotNumber: "L-1", expiryDate: null },
+        5
+      );
+      expect(destination.quantity).toBe(6);
+      expect(destination.updateQuantity).toHaveBeenCalledWith(
+        5,
+        "Transfer TR-00001 received",
+        expect.objectContaining({ unitCost: 0.4 })
+      );
+      expect(transfer.status).toBe("completed");
+      expect(transfer.receivedAt).toBeTruthy();
+      expect(session.commitTransaction).toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should not receive a transfer twice", async () => {
+      const transfer = buildTransfer({
+        sourceItemId: new mongoose.Types.ObjectId(),
+        destinationItemId: new mongoose.Types.ObjectId(),
+        quantity: 5,
+        status: "completed",
+      });
+      jest.spyOn(StockTransfer, "findOne").mockResolvedValueOnce(transfer);
+
+      await transferController.receiveTransfer(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(Item.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
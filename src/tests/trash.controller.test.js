@@ -0,0 +1,199 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const Folder = require("../models/folder.model");
+const Activity = require("../models/activity.model");
+const Reservation = require("../models/reservation.model");
+const UserSettings = require("../models/settings.model");
+const trashController = require("../controllers/trash.controller");
+const itemController = require("../controllers/item.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, ConflictError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/folder.model");
+jest.mock("../models/itemRelationship.model");
+jest.mock("../models/attachment.model");
+jest.mock("../models/activity.model");
+jest.mock("../models/reservation.model");
+jest.mock("../models/settings.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Trash Controller", () => {
+  let req, res, next;
+
+  // Build a minimal trashed or live record
+  const buildRecord = (fields = {}) => {
+    const record = {
+      _id: new mongoose.Types.ObjectId(),
+      isDeleted: true,
+      deletedAt: new Date("2026-01-10"),
+      ...fields,
+      restore: jest.fn().mockImplementation(async () => {
+        record.isDeleted = false;
+        record.deletedAt = null;
+      }),
+    };
+    return record;
+  };
+
+  // Folder lookups chain setOptions({ withDeleted: true })
+  const mockFolderLookup = (folder) =>
+    Folder.findOne.mockReturnValueOnce({
+      setOptions: jest.fn().mockResolvedValue(folder),
+    });
+
+  beforeEach(() => {
+    req = {
+      user: { id: "user123" },
+      params: { id: "item123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    UserSettings.getInventorySettings.mockResolvedValue({
+      trashRetentionDays: 30,
+    });
+  });
+
+  describe("restoreItem", () => {
+    it("should come back without the reservations released on delete", async () => {
+      const item = buildRecord({
+        name: "Bolt",
+        isDeleted: false,
+        deletedAt: null,
+        folderId: null,
+        quantity: 10,
+        reservedQuantity: 4,
+        toObject: () => ({ name: "Bolt" }),
+        softDelete: jest.fn().mockImplementation(async () => {
+          item.isDeleted = true;
+        }),
+      });
+      Item.findOne.mockResolvedValueOnce(item).mockResolvedValueOnce(item);
+      Item.countDocuments.mockResolvedValueOnce(0);
+
+      await itemController.deleteItem(req, res, next);
+
+      expect(Reservation.updateMany).toHaveBeenCalledWith(
+        { itemId: item._id, status: "active" },
+        { status: "released", closedAt: expect.any(Date) }
+      );
+      expect(item.isDeleted).toBe(true);
+      expect(item.reservedQuantity).toBe(0);
+
+      await trashController.restoreItem(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(item.isDeleted).toBe(false);
+      expect(item.reservedQuantity).toBe(0);
+      expect(item.quantity).toBe(10);
+    });
+
+    it("should restore the item into its original folder", async () => {
+      const folder = buildRecord({ name: "Shelf A", isDeleted: false });
+      const item = buildRecord({ name: "Bolt", folderId: folder._id });
+      Item.findOne.mockResolvedValueOnce(item);
+      mockFolderLookup(folder);
+
+      await trashController.restoreItem(req, res, next);
+
+      expect(Item.findOne).toHaveBeenCalledWith({
+        _id: "item123",
+        userId: "user123",
+        isDeleted: true,
+      });
+      expect(item.restore).toHaveBeenCalled();
+      expect(item.folderId).toEqual(folder._id);
+      expect(folder.restore).not.toHaveBeenCalled();
+      expect(Activity.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: "restore" })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should restore the trashed folders the item was in", async () => {
+      const parent = buildRecord({ name: "Warehouse", parentId: null });
+      const folder = buildRecord({ name: "Shelf A", parentId: parent._id });
+      const item = buildRecord({ name: "Bolt", folderId: folder._id });
+      Item.findOne.mockResolvedValueOnce(item);
+      mockFolderLookup(folder);
+      mockFolderLookup(parent);
+      Folder.exists.mockResolvedValue(null);
+
+      await trashController.restoreItem(req, res, next);
+
+      expect(parent.restore).toHaveBeenCalled();
+      expect(folder.restore).toHaveBeenCalled();
+      expect(folder.parentId).toEqual(parent._id);
+      expect(item.folderId).toEqual(folder._id);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should restore to the root when the folder was purged", async () => {
+      const item = buildRecord({
+        name: "Bolt",
+        folderId: new mongoose.Types.ObjectId(),
+      });
+      Item.findOne.mockResolvedValueOnce(item);
+      mockFolderLookup(null);
+
+      await trashController.restoreItem(req, res, next);
+
+      expect(item.folderId).toBeNull();
+      expect(item.restore).toHaveBeenCalled();
+    });
+
+    it("should return not found for items outside the trash", async () => {
+      Item.findOne.mockResolvedValueOnce(null);
+
+      await trashController.restoreItem(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+    });
+  });
+
+  describe("restoreFolder", () => {
+    it("should refuse when the name is taken in the original parent", async () => {
+      const folder = buildRecord({ name: "Shelf A", parentId: null });
+      Folder.findOne.mockResolvedValueOnce(folder);
+      mockFolderLookup(folder);
+      Folder.exists.mockResolvedValueOnce({ _id: "other" });
+
+      await trashController.restoreFolder(req, res, next);
+
+      expect(folder.restore).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.any(ConflictError));
+    });
+  });
+
+  describe("getTrash", () => {
+    it("should list trashed records newest first with purge dates", async () => {
+      const older = buildRecord({ name: "Bolt" });
+      const newer = buildRecord({
+        name: "Shelf A",
+        deletedAt: new Date("2026-02-01"),
+      });
+      older.toObject = () => ({ name: older.name, deletedAt: older.deletedAt });
+      newer.toObject = () => ({ name: newer.name, deletedAt: newer.deletedAt });
+      Item.find.mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue([older]),
+      });
+      Folder.find.mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue([newer]),
+      });
+
+      await trashController.getTrash(req, res, next);
+
+      const { trash } = ApiResponse.success.mock.calls[0][2];
+      expect(trash.map((entry) => entry.type)).toEqual(["folder", "item"]);
+      expect(trash[1].purgeAt).toEqual(new Date("2026-02-09"));
+    });
+  });
+});
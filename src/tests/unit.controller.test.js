@@ -0,0 +1,66 @@
+const Unit = require("../models/unit.model");
+const Item = require("../models/item.model");
+const unitController = require("../controllers/unit.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/unit.model");
+jest.mock("../models/item.model");
+jest.mock("../utils/apiResponse");
+
+describe("Unit Controller", () => {
+  let req, res, next, unit, setOptions;
+
+  beforeEach(() => {
+    req = {
+      user: { id: "user123" },
+      params: { id: "unit123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+
+    unit = {
+      _id: "unit123",
+      name: "crate",
+      save: jest.fn().mockResolvedValue(),
+      deleteOne: jest.fn().mockResolvedValue(),
+    };
+    Unit.findOne.mockResolvedValue(unit);
+    // Only the trashed item still uses the unit
+    setOptions = jest.fn().mockResolvedValue(1);
+    Item.countDocuments.mockReturnValue({ setOptions });
+    ApiResponse.success = jest.fn().mockReturnValue({});
+  });
+
+  describe("deleteUnit", () => {
+    it("should refuse to delete a unit used by trashed items", async () => {
+      await unitController.deleteUnit(req, res, next);
+
+      expect(Item.countDocuments).toHaveBeenCalledWith({
+        userId: "user123",
+        unit: "crate",
+      });
+      expect(setOptions).toHaveBeenCalledWith({ withDeleted: true });
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(unit.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateUnit", () => {
+    it("should refuse to rename a unit used by trashed items", async () => {
+      Unit.findOne.mockResolvedValueOnce(unit).mockResolvedValueOnce(null);
+      req.body = { name: "box" };
+
+      await unitController.updateUnit(req, res, next);
+
+      expect(setOptions).toHaveBeenCalledWith({ withDeleted: true });
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(unit.save).not.toHaveBeenCalled();
+    });
+  });
+});
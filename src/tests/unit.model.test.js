@@ -0,0 +1,47 @@
+const Unit = require("../models/unit.model");
+
+describe("Unit Model", () => {
+  const catalog = [
+    ...Unit.DEFAULT_UNITS,
+    { name: "box", dimension: "count", factor: 12 },
+  ];
+
+  describe("convertWithCatalog", () => {
+    it("should convert between units of the same dimension", () => {
+      expect(Unit.convertWithCatalog(catalog, 2, "kg", "g")).toBe(2000);
+      expect(Unit.convertWithCatalog(catalog, 250, "g", "kg")).toBe(0.25);
+      expect(Unit.convertWithCatalog(catalog, 3, "box", "each")).toBe(36);
+    });
+
+    it("should match unit names case-insensitively", () => {
+      expect(Unit.convertWithCatalog(catalog, 1, "KG", "g")).toBe(1000);
+    });
+
+    it("should leave quantities in the same unit unchanged", () => {
+      expect(Unit.convertWithCatalog(catalog, 7, "crate", "crate")).toBe(7);
+    });
+
+    it("should round away floating point noise", () => {
+      expect(Unit.convertWithCatalog(catalog, 1, "lb", "kg")).toBe(0.453592);
+    });
+
+    it("should reject units from different dimensions", () => {
+      expect(() => Unit.convertWithCatalog(catalog, 1, "kg", "l")).toThrow(
+        "Cannot convert kg to l"
+      );
+    });
+
+    it("should reject unknown units", () => {
+      expect(() =>
+        Unit.convertWithCatalog(catalog, 1, "crate", "each")
+      ).toThrow('Unknown unit "crate"');
+    });
+  });
+
+  describe("isBuiltIn", () => {
+    it("should recognise built-in unit names", () => {
+      expect(Unit.isBuiltIn("Kg")).toBe(true);
+      expect(Unit.isBuiltIn("box")).toBe(false);
+    });
+  });
+});
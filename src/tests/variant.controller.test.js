@@ -0,0 +1,119 @@
+const Item = require("../models/item.model");
+const Activity = require("../models/activity.model");
+const StockTransaction = require("../models/stockTransaction.model");
+const variantController = require("../controllers/variant.controller");
+const ApiResponse = require("../utils/apiResponse");
+const { NotFoundError, BadRequestError } = require("../utils/customError");
+
+// Mock dependencies
+jest.mock("../models/item.model");
+jest.mock("../models/activity.model");
+jest.mock("../models/alert.model");
+jest.mock("../models/stockTransaction.model");
+jest.mock("../services/notificationService");
+jest.mock("../utils/apiResponse");
+
+describe("Variant Controller", () => {
+  let req, res, next;
+
+  // Build a minimal item document with an embedded variants array
+  const buildItem = (variants = [], quantity = 0) => {
+    const item = {
+      _id: "item123",
+      name: "T-Shirt",
+      quantity,
+      variants,
+      save: jest.fn().mockImplementation(async () => {
+        item.quantity = item.variants.reduce((sum, v) => sum + v.quantity, 0);
+        return item;
+      }),
+      updateQuantity: jest.fn(),
+    };
+    item.variants.id = (id) => item.variants.find((v) => v._id === id);
+    return item;
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { id: "user123" },
+      params: { id: "item123" },
+      body: {},
+      query: {},
+    };
+    res = {};
+    next = jest.fn();
+
+    jest.clearAllMocks();
+
+    ApiResponse.success = jest.fn().mockReturnValue({});
+    ApiResponse.created = jest.fn().mockReturnValue({});
+  });
+
+  describe("createVariant", () => {
+    it("should add a variant and record the rolled-up quantity", async () => {
+      const item = buildItem(
+        [{ _id: "v1", name: "Small", quantity: 4, minLevel: 0 }],
+        4
+      );
+      Item.findOne.mockResolvedValueOnce(item);
+      req.body = { name: "Large", quantity: 6 };
+
+      await variantController.createVariant(req, res, next);
+
+      expect(item.variants).toHaveLength(2);
+      expect(item.quantity).toBe(10);
+      expect(StockTransaction.record).toHaveBeenCalledWith(
+        expect.objectContaining({ item, delta: 6, userId: "user123" })
+      );
+      expect(Activity.create).toHaveBeenCalled();
+      expect(ApiResponse.created).toHaveBeenCalledWith(
+        res,
+        "Variant created successfully",
+        expect.objectContaining({ item })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should reject duplicate variant names", async () => {
+      const item = buildItem([{ _id: "v1", name: "Small", quantity: 4 }], 4);
+      Item.findOne.mockResolvedValueOnce(item);
+      req.body = { name: "small" };
+
+      await variantController.createVariant(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(item.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateVariantQuantity", () => {
+    it("should adjust the variant through the item ledger path", async () => {
+      const item = buildItem([{ _id: "v1", name: "Small", quantity: 4 }], 4);
+      item.updateQuantity.mockResolvedValueOnce({ transactionId: "txn1" });
+      Item.findOne.mockResolvedValueOnce(item);
+      req.params.variantId = "v1";
+      req.body = { change: 3, reasonCode: "receipt" };
+
+      await variantController.updateVariantQuantity(req, res, next);
+
+      expect(item.updateQuantity).toHaveBeenCalledWith(3, "manual", {
+        userId: "user123",
+        reasonCode: "receipt",
+        source: "manual",
+        variantId: "v1",
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should return error if variant doesn't exist", async () => {
+      Item.findOne.mockResolvedValueOnce(buildItem());
+      req.params.variantId = "missing";
+      req.body = { change: 1 };
+
+      await variantController.updateVariantQuantity(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+      expect(next.mock.calls[0][0].message).toBe("Variant not found");
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Document attachment utilities
+ * Files are identified by their leading bytes rather than the mimetype the
+ * client sent, which browsers derive from the file extension
+ */
+
+const MB = 1024 * 1024;
+
+// Magic bytes of the container formats attachments can use
+const SIGNATURES = {
+  pdf: Buffer.from("%PDF-"),
+  zip: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  ole: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+};
+
+// Accepted attachment types by extension
+const ATTACHMENT_TYPES = {
+  ".pdf": {
+    kind: "pdf",
+    mimetype: "application/pdf",
+    format: "pdf",
+    maxSize: 20 * MB,
+  },
+  ".xlsx": {
+    kind: "spreadsheet",
+    mimetype:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    format: "zip",
+    maxSize: 10 * MB,
+  },
+  ".ods": {
+    kind: "spreadsheet",
+    mimetype: "application/vnd.oasis.opendocument.spreadsheet",
+    format: "zip",
+    maxSize: 10 * MB,
+  },
+  ".xls": {
+    kind: "spreadsheet",
+    mimetype: "application/vnd.ms-excel",
+    format: "ole",
+    maxSize: 10 * MB,
+  },
+  ".csv": {
+    kind: "spreadsheet",
+    mimetype: "text/csv",
+    format: "text",
+    maxSize: 10 * MB,
+  },
+  ".txt": {
+    kind: "text",
+    mimetype: "text/plain",
+    format: "text",
+    maxSize: 2 * MB,
+  },
+  ".md": {
+    kind: "text",
+    mimetype: "text/markdown",
+    format: "text",
+    maxSize: 2 * MB,
+  },
+};
+
+// Largest size any attachment type allows
+const MAX_ATTACHMENT_SIZE = Math.max(
+  ...Object.values(ATTACHMENT_TYPES).map((type) => type.maxSize)
+);
+
+/**
+ * Look up the attachment type of a filename
+ * @param {string} filename - Original filename
+ * @returns {Object|null} - Attachment type, or null when not accepted
+ */
+const getAttachmentType = (filename) => {
+  const ext = path.extname(filename || "").toLowerCase();
+  return ATTACHMENT_TYPES[ext] || null;
+};
+
+/**
+ * Detect the container format of a file from its contents
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} - "pdf", "zip", "ole", "text" or null if unknown
+ */
+const sniffFormat = (filePath) => {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const buffer = Buffer.alloc(4096);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const head = buffer.subarray(0, bytesRead);
+
+    const format = Object.keys(SIGNATURES).find((name) =>
+      head.subarray(0, SIGNATURES[name].length).equals(SIGNATURES[name])
+    );
+    if (format) {
+      return format;
+    }
+
+    // Text files have no NUL bytes and decode as UTF-8. A multi-byte
+    // character may be cut off at the end of the sample, so the last few
+    // bytes are not checked.
+    if (head.includes(0)) {
+      return null;
+    }
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(
+        bytesRead === buffer.length ? head.subarray(0, bytesRead - 3) : head
+      );
+      return "text";
+    } catch (error) {
+      return null;
+    }
+  } catch (error) {
+    console.error("Error reading attachment:", error);
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+};
+
+/**
+ * Validate an uploaded attachment against its type
+ * @param {Object} file - Multer file object
+ * @returns {Object} - Validation result with the attachment type
+ */
+const validateAttachment = (file) => {
+  const errors = [];
+  const type = getAttachmentType(file.originalname);
+
+  if (!type) {
+    errors.push("File type is not allowed");
+    return { isValid: false, errors, type: null };
+  }
+
+  if (file.size > type.maxSize) {
+    errors.push(
+      `File too large. Maximum size for ${path
+        .extname(file.originalname)
+        .toLowerCase()} files is ${type.maxSize / MB}MB`
+    );
+  }
+
+  if (sniffFormat(file.path) !== type.format) {
+    errors.push("File contents do not match its extension");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    type,
+  };
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  getAttachmentType,
+  sniffFormat,
+  validateAttachment,
+};
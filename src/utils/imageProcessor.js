@@ -1,26 +1,36 @@
 const fs = require("fs");
 const path = require("path");
+const sharp = require("sharp");
 
 /**
- * Simple image processing utilities
- * Note: For production use, consider using libraries like sharp or jimp
- * for more advanced image processing capabilities
+ * Image processing utilities
+ * Uploaded images are re-encoded without their EXIF, GPS and other metadata,
+ * and scaled-down copies are stored next to the original for list views
  */
 
+// Longest edge in pixels of each generated thumbnail
+const THUMBNAIL_SIZES = {
+  small: 150,
+  medium: 400,
+  large: 800,
+};
+
+// Formats an uploaded image's contents may be in
+const IMAGE_FORMATS = ["jpeg", "png", "gif", "webp"];
+
 /**
- * Get image dimensions from file (basic implementation)
+ * Get image dimensions from the file header
  * @param {string} filePath - Path to image file
- * @returns {Object} - Image dimensions
+ * @returns {Promise<Object|null>} - Image dimensions, or null if unreadable
  */
-const getImageDimensions = (filePath) => {
+const getImageDimensions = async (filePath) => {
   try {
-    // This is a basic implementation
-    // In production, use a proper image processing library
-    const stats = fs.statSync(filePath);
+    const { width, height, format, size } = await sharp(filePath).metadata();
     return {
-      width: null, // Would be determined by image processing library
-      height: null, // Would be determined by image processing library
-      size: stats.size,
+      width,
+      height,
+      format,
+      size: size || fs.statSync(filePath).size,
     };
   } catch (error) {
     console.error("Error getting image dimensions:", error);
@@ -70,31 +80,89 @@ const validateImage = (file) => {
 /**
  * Generate thumbnail filename
  * @param {string} originalFilename - Original filename
+ * @param {string} size - Thumbnail size name
  * @returns {string} - Thumbnail filename
  */
-const getThumbnailFilename = (originalFilename) => {
+const getThumbnailFilename = (originalFilename, size = "small") => {
   const ext = path.extname(originalFilename);
   const name = path.basename(originalFilename, ext);
-  return `${name}_thumb${ext}`;
+  return `${name}_thumb_${size}${ext}`;
+};
+
+/**
+ * Strip metadata from an image in place, applying its EXIF orientation first
+ * so photos keep the way up they were taken
+ * @param {string} filePath - Path to image file
+ * @returns {Promise<Object>} - Format, dimensions and size of the stored image
+ */
+const processImage = async (filePath) => {
+  const metadata = await sharp(filePath).metadata();
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw new Error("File contents are not a supported image");
+  }
+
+  const animated = (metadata.pages || 1) > 1;
+  let image = sharp(filePath, { animated });
+  if (!animated) {
+    image = image.rotate();
+  }
+
+  // Metadata is dropped unless asked for with withMetadata()
+  const { data, info } = await image
+    .toFormat(metadata.format, { quality: 90 })
+    .toBuffer({ resolveWithObject: true });
+  await fs.promises.writeFile(filePath, data);
+
+  return {
+    format: metadata.format,
+    width: info.width,
+    height: info.pageHeight || info.height,
+    size: data.length,
+  };
+};
+
+/**
+ * Generate thumbnails of an image next to it
+ * @param {string} filePath - Path to image file
+ * @returns {Promise<Object>} - Thumbnail filenames by size name
+ */
+const generateThumbnails = async (filePath) => {
+  const thumbnails = {};
+  const { pages } = await sharp(filePath).metadata();
+
+  for (const [size, edge] of Object.entries(THUMBNAIL_SIZES)) {
+    const filename = getThumbnailFilename(path.basename(filePath), size);
+    await sharp(filePath, { animated: (pages || 1) > 1 })
+      .resize(edge, edge, { fit: "inside", withoutEnlargement: true })
+      .toFile(path.join(path.dirname(filePath), filename));
+    thumbnails[size] = filename;
+  }
+
+  return thumbnails;
 };
 
 /**
  * Create image metadata
- * @param {Object} file - Multer file object
+ * @param {Object} file - Multer file object, after processing
  * @param {string} imageUrl - Image URL
  * @returns {Object} - Image metadata
  */
 const createImageMetadata = (file, imageUrl) => {
-  const dimensions = getImageDimensions(file.path);
+  const thumbnails = {};
+  Object.entries(file.thumbnails || {}).forEach(([size, filename]) => {
+    thumbnails[size] = imageUrl.replace(file.filename, filename);
+  });
 
   return {
     url: imageUrl,
     filename: file.filename,
     originalName: file.originalname,
+    path: file.path,
     mimetype: file.mimetype,
     size: file.size,
-    dimensions: dimensions,
-    uploadedAt: new Date(),
+    width: file.width || null,
+    height: file.height || null,
+    thumbnails,
   };
 };
 
@@ -136,9 +204,12 @@ const generateOptimizedFilename = (originalName) => {
 };
 
 module.exports = {
+  THUMBNAIL_SIZES,
   getImageDimensions,
   validateImage,
   getThumbnailFilename,
+  processImage,
+  generateThumbnails,
   createImageMetadata,
   cleanupFiles,
   generateOptimizedFilename,